@@ -1,362 +1,444 @@
-import { getHistoricalRates } from "dukascopy-node";
-import mysql from "mysql2/promise";
 import dotenv from "dotenv";
-import fs from "fs/promises";
-import path from "path";
+import { rebuildBars, replaceAggregatedBars, replaceBars } from "./lib/bars.js";
+import { getOpenCandleSlots, planCandleSlots } from "./lib/candles.js";
+import { loadConfig } from "./lib/config.js";
+import { createFetcher } from "./lib/fetcher.js";
+import {
+  createFollower,
+  getCaughtUpTo,
+  lastCompleteHour,
+  writeFollowStatus,
+} from "./lib/follow.js";
+import { importSlots } from "./lib/importer.js";
+import { planArchiveImport } from "./lib/offline.js";
+import {
+  SlotStatus,
+  dayRange,
+  getOpenSlots,
+  hourRange,
+  importLegacyCheckpoint,
+  listDays,
+  planSlots,
+} from "./lib/ledger.js";
+import {
+  captureConsole,
+  createLogger,
+  createRunId,
+  log,
+} from "./lib/logger.js";
+import { createRateLimiter } from "./lib/rateLimiter.js";
+import { createRunControl } from "./lib/runControl.js";
+import { acquireRunLock } from "./lib/runLock.js";
+import { createStore } from "./lib/storage/index.js";
 
 // Load environment variables
 dotenv.config();
 
-// Configuration
-const symbols = [
-  "eurusd",
-  "gbpusd",
-  "audusd",
-  "nzdusd",
-  "usdcad",
-  "usdchf",
-  "usdjpy",
-  "xagusd",
-  "xauusd",
-  "adausd",
-  "aveusd",
-  "batusd",
-  "btcchf",
-  "btceur",
-  "btcgbp",
-  "btcusd",
-  "ethchf",
-  "etheur",
-  "ethgbp",
-  "ethusd",
-  "cmpusd",
-  "dshusd",
-  "enjusd",
-  "eosusd",
-  "lnkusd",
-  "ltcchf",
-  "ltceur",
-  "ltcgbp",
-  "ltcusd",
-  "matusd",
-  "mkrusd",
-  "trxusd",
-  "uniusd",
-  "xlmchf",
-  "xlmeur",
-  "xlmgbp",
-  "xlmusd",
-];
-
-const startDate = "2020-01-01";
-const endDate = "2025-04-25";
-const batchSize = 20;
-const pauseBetweenBatchesMs = 500;
-const dbBatchSize = 1000; // Number of records to insert in a single query
-const logDirectory = "./logs";
-const checkpointFile = "./checkpoint.json";
-
-// Create pool instead of single connection
-const pool = mysql.createPool({
-  host: process.env.HOST,
-  user: process.env.USER,
-  password: process.env.PWD,
-  database: process.env.DB,
-  port: Number(process.env.PORT) || 3306,
-  waitForConnections: true,
-  connectionLimit: 10,
-  queueLimit: 0,
-});
+// Configuration; --follow keeps importing up to the last finished hour
+// instead of stopping at endDate, --offline <directory> imports an archive of
+// .bi5 and CSV files instead of downloading
+let config;
+try {
+  config = await loadConfig(process.argv.slice(2), {
+    follow: { type: "boolean", default: false },
+    offline: { type: "string" },
+  });
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
+if (
+  (config.args.follow || config.args.offline) &&
+  config.timeframe !== "tick"
+) {
+  console.error(
+    `--follow and --offline import ticks only (timeframe is ${config.timeframe})`
+  );
+  process.exit(1);
+}
+
+const {
+  symbols,
+  startDate,
+  endDate,
+  batchSize,
+  pauseBetweenBatchesMs,
+  dbBatchSize, // Number of records to insert in a single query
+  concurrency, // Number of symbol-days downloaded/inserted at once
+  requestsPerSecond, // Shared limit on requests to Dukascopy
+  maxRetries, // Retries after a transient download error
+  retryBaseDelayMs,
+  retryMaxDelayMs,
+} = config;
+
+// Id of this run in the log records; runs started from the dashboard get it
+// from the server
+const runId = process.env.IMPORT_RUN_ID || createRunId();
+const legacyCheckpointFile = "./checkpoint.json";
+const lockFile = "./import.lock";
+
+// Stopping finishes the slots in flight and leaves the rest pending. Runs
+// started from the dashboard are paused, resumed and stopped by server.js
+// over IPC; a run started by hand stops on Ctrl+C (twice to quit at once).
+const control = createRunControl();
 
 /**
- * Ensures a table exists for a given symbol
- * @param {mysql.Pool} pool - The database pool
- * @param {string} symbol - The forex/crypto symbol
+ * Send a message to the process that started this run (server.js), if any
+ * @param {Object} message - Message with a type
  */
-async function ensureTableExists(pool, symbol) {
-  try {
-    const createTable = `
-      CREATE TABLE IF NOT EXISTS ${symbol} (
-        Timestamp BIGINT NOT NULL,
-        BidPrice FLOAT NOT NULL,
-        AskPrice FLOAT NOT NULL,
-        BidVolume FLOAT NOT NULL,
-        AskVolume FLOAT NOT NULL,
-        PRIMARY KEY (Timestamp)
-      )
-    `;
-
-    await pool.query(createTable);
-    console.log(`Table for ${symbol} ensured`);
-  } catch (error) {
-    console.error(`Error creating table for ${symbol}:`, error);
-    throw error;
+function notifyParent(message) {
+  if (process.send && process.connected) {
+    process.send(message);
   }
 }
 
+process.on("message", (message) => {
+  switch (message && message.type) {
+    case "pause":
+      control.pause();
+      console.log("Import paused; slots in flight will finish");
+      notifyParent({ type: "state", state: "paused" });
+      break;
+    case "resume":
+      control.resume();
+      console.log("Import resumed");
+      notifyParent({ type: "state", state: "running" });
+      break;
+    case "stop":
+      control.stop();
+      console.log("Import stopping; slots in flight will finish");
+      notifyParent({ type: "state", state: "stopping" });
+      break;
+  }
+});
+
+// Without the server there is nobody left to control the run
+process.on("disconnect", () => control.stop());
+
+for (const signal of ["SIGINT", "SIGTERM"]) {
+  process.once(signal, () => {
+    console.log(`${signal} received, stopping after the slots in flight`);
+    control.stop();
+    process.once(signal, () => process.exit(130));
+  });
+}
+
 /**
- * Upload data to database in batches
- * @param {mysql.Pool} pool - The database pool
- * @param {Array} data - Data to upload
+ * Store the data of a slot, then refresh the symbol's bars. The ticks of a
+ * day or hour slot replace whatever the store held for its range, so an
+ * import that runs again leaves the same rows behind. Candles downloaded for
+ * a candle slot go to their own table and leave the bars alone.
+ * @param {Object} store - The storage backend
+ * @param {Array|Object} data - Data to upload, or ticks staged by stageTicks
+ *   (see lib/bulkLoad.js)
  * @param {string} symbol - The forex/crypto symbol
+ * @param {Object} slot - The ledger slot the data belongs to
  */
-async function uploadData(pool, data, symbol) {
-  if (!data || data.length === 0) {
+async function uploadData(store, data, symbol, slot) {
+  const candles = slot.timeframe !== undefined;
+  const staged = !Array.isArray(data);
+  const records = staged ? data.rowCount : data.length;
+  if (candles && records === 0) {
     console.log(`No data to upload for ${symbol}`);
     return;
   }
 
-  const connection = await pool.getConnection();
-
   try {
-    // Ensure table exists
-    await ensureTableExists(pool, symbol);
-
-    // Insert data in batches
-    const insertQuery = `
-      INSERT INTO ${symbol} (Timestamp, BidPrice, AskPrice, BidVolume, AskVolume)
-      VALUES ?
-      ON DUPLICATE KEY UPDATE 
-      BidPrice = VALUES(BidPrice),
-      AskPrice = VALUES(AskPrice),
-      BidVolume = VALUES(BidVolume),
-      AskVolume = VALUES(AskVolume)
-    `;
-
-    // Process in batches to avoid packet size limits
-    for (let i = 0; i < data.length; i += dbBatchSize) {
-      const batch = data.slice(i, i + dbBatchSize);
-      const values = batch.map((item) => [
-        item.timestamp,
-        item.bidPrice,
-        item.askPrice,
-        item.bidVolume,
-        item.askVolume,
-      ]);
-
-      await connection.query(insertQuery, [values]);
-      console.log(
-        `Uploaded batch ${i / dbBatchSize + 1} for ${symbol} (${
-          batch.length
-        } records)`
-      );
+    const startedAt = Date.now();
+    const { from, to } =
+      slot.hour === undefined
+        ? dayRange(slot.day)
+        : hourRange(slot.day, slot.hour);
+    if (candles) {
+      await store.upsertCandles(symbol, slot.timeframe, slot.side, data);
+    } else if (staged) {
+      await store.loadTicks(symbol, from, to, data.file);
+    } else {
+      await store.replaceTicks(symbol, from, to, data);
     }
+    log.info(`Successfully uploaded ${records} records for ${symbol}`, {
+      symbol,
+      day: slot.day,
+      hour: slot.hour,
+      timeframe: slot.timeframe,
+      records,
+      duration_ms: Date.now() - startedAt,
+    });
+    notifyParent({
+      type: "event",
+      name: "batch_uploaded",
+      data: { symbol, records },
+    });
 
-    console.log(`Successfully uploaded ${data.length} records for ${symbol}`);
+    // Keep the bar tables in step with the ticks just stored. An hour slot
+    // holds part of a day only, so its bars come from every tick of the day.
+    if (candles) {
+      return;
+    }
+    if (slot.hour !== undefined) {
+      const day = dayRange(slot.day);
+      await rebuildBars(store, symbol, day.from, day.to);
+    } else if (staged) {
+      await replaceAggregatedBars(store, symbol, data.bars, from, to);
+    } else {
+      await replaceBars(store, symbol, data, from, to);
+    }
   } catch (error) {
     console.error(`Error uploading data for ${symbol}:`, error);
     throw error;
-  } finally {
-    connection.release();
   }
 }
 
 /**
- * Fetch historical data for a specific symbol and date range
- * @param {string} symbol - The forex/crypto symbol
- * @param {Date} fromDate - Start date
- * @param {Date} toDate - End date
- * @returns {Array} - The historical data
+ * Write the log to rotating JSON Lines files. Everything logged through the
+ * console or lib/logger.js becomes a record of this run.
+ * @returns {?Object} - The logger, null if the log files cannot be written
  */
-async function fetchHistoricalData(symbol, fromDate, toDate) {
+function setupLogging() {
   try {
-    console.log(
-      `Fetching data for ${symbol} from ${fromDate.toISOString()} to ${toDate.toISOString()}`
-    );
-
-    const data = await getHistoricalRates({
-      instrument: symbol,
-      dates: {
-        from: fromDate,
-        to: toDate,
-      },
-      timeframe: "tick",
-      volumeUnits: "units",
-      ignoreFlats: false,
-      batchSize: batchSize,
-      pauseBetweenBatchesMs: pauseBetweenBatchesMs,
-      format: "json",
+    const logger = createLogger({
+      directory: config.logging.directory,
+      level: config.logging.level,
+      maxFileBytes: config.logging.maxFileMB * 1024 * 1024,
+      maxFiles: config.logging.maxFiles,
+      context: { run: runId },
     });
+    captureConsole(logger);
 
-    console.log(`Retrieved ${data.length} records for ${symbol}`);
-    return data;
-  } catch (error) {
-    console.error(`Error fetching data for ${symbol}:`, error);
-    return [];
-  }
-}
-
-/**
- * Save checkpoint information
- * @param {Date} currentDate - Current processing date
- * @param {string} lastSymbol - Last processed symbol
- */
-async function saveCheckpoint(currentDate, lastSymbol) {
-  try {
-    const checkpoint = {
-      date: currentDate.toISOString(),
-      lastSymbol: lastSymbol,
-    };
+    // Log environment variables for debugging (excluding sensitive information)
+    console.log("Environment variables:");
+    console.log(`  HOST: ${process.env.HOST}`);
+    console.log(`  USER: ${process.env.USER}`);
+    console.log(`  DB: ${process.env.DB}`);
+    console.log(`  PWD exists: ${process.env.PWD !== undefined}`);
 
-    await fs.writeFile(checkpointFile, JSON.stringify(checkpoint, null, 2));
-    console.log(
-      `Checkpoint saved: ${currentDate.toISOString()}, last symbol: ${lastSymbol}`
-    );
+    console.log(`Logging setup complete, run ${runId}`);
+    return logger;
   } catch (error) {
-    console.error(`Error saving checkpoint:`, error);
-  }
-}
-
-/**
- * Load the latest checkpoint if available
- * @returns {Object|null} - The checkpoint information or null
- */
-async function loadCheckpoint() {
-  try {
-    const data = await fs.readFile(checkpointFile, "utf8");
-    const checkpoint = JSON.parse(data);
-    console.log(
-      `Checkpoint loaded: ${checkpoint.date}, last symbol: ${checkpoint.lastSymbol}`
-    );
-    return checkpoint;
-  } catch (error) {
-    // If file doesn't exist or is invalid, return null
-    console.log("No valid checkpoint found, starting from the beginning");
+    console.error("Failed to set up logging:", error);
     return null;
   }
 }
 
 /**
- * Setup logging directory
+ * Keep the history complete up to the last finished hour: every
+ * follow.intervalMinutes, import the open slots from startDate and the hours
+ * of the current day published since the last poll, until stopped. The state
+ * is written to the follow status file for the dashboard.
+ * @param {Object} store - The storage backend
+ * @param {Object} importOptions - Options for importSlots
  */
-async function setupLogging() {
-  try {
-    await fs.mkdir(logDirectory, { recursive: true });
-
-    // Redirect console output to log file
-    const logFile = path.join(
-      logDirectory,
-      `data_import_${new Date().toISOString().replace(/:/g, "-")}.log`
-    );
-
-    // Create a write stream for logging
-    const fsPromises = await import("fs/promises");
-    const fs = await import("fs");
-    const logStream = fs.createWriteStream(logFile, { flags: "a" });
+async function followMarket(store, importOptions) {
+  const { intervalMinutes, delayMinutes } = config.follow;
+  const follower = createFollower({ store, symbols, startDate });
+  const status = {
+    pid: process.pid,
+    state: "polling",
+    startedAt: new Date().toISOString(),
+    intervalMinutes,
+    delayMinutes,
+    lastPollAt: null,
+    lastSuccessAt: null,
+    nextPollAt: null,
+    lastError: null,
+    lastPoll: null,
+    caughtUpTo: {},
+  };
+  console.log(
+    `Following the market from ${startDate}, polling every ${intervalMinutes} minutes`
+  );
 
-    // Keep references to original console methods
-    const originalConsoleLog = console.log;
-    const originalConsoleError = console.error;
+  do {
+    status.state = "polling";
+    status.lastPollAt = new Date().toISOString();
+    await writeFollowStatus(status);
 
-    // Override console methods to write to both stdout and log file
-    console.log = function () {
-      const args = Array.from(arguments);
-      const message = args
-        .map((arg) => (typeof arg === "object" ? JSON.stringify(arg) : arg))
-        .join(" ");
+    try {
+      const until = lastCompleteHour(new Date(), delayMinutes);
+      const slots = await follower.plan(until);
+      console.log(
+        `Polling up to ${until.toISOString()}: ${slots.length} slots to process`
+      );
+      notifyParent({ type: "planned", total: slots.length });
 
-      logStream.write(`[LOG] ${new Date().toISOString()} - ${message}\n`);
-      originalConsoleLog.apply(console, args);
-    };
+      const progress = await importSlots(slots, importOptions);
+      const completedDays = await follower.completeDays(until);
+      if (completedDays > 0) {
+        console.log(`Completed ${completedDays} days imported hour by hour`);
+      }
 
-    console.error = function () {
-      const args = Array.from(arguments);
-      const message = args
-        .map((arg) => (typeof arg === "object" ? JSON.stringify(arg) : arg))
-        .join(" ");
+      status.caughtUpTo = getCaughtUpTo(
+        symbols,
+        await follower.plan(until),
+        until
+      );
+      status.lastPoll = {
+        until: until.toISOString(),
+        slots: slots.length,
+        done: progress.done,
+        empty: progress.empty,
+        failed: progress.failed,
+        records: progress.records,
+      };
+      status.lastSuccessAt = new Date().toISOString();
+      status.lastError = null;
+    } catch (error) {
+      console.error("Error while following the market:", error);
+      status.lastError = error.message;
+    }
 
-      logStream.write(`[ERROR] ${new Date().toISOString()} - ${message}\n`);
-      originalConsoleError.apply(console, args);
-    };
+    status.state = control.stopped ? "stopped" : "sleeping";
+    status.nextPollAt = control.stopped
+      ? null
+      : new Date(Date.now() + intervalMinutes * 60 * 1000).toISOString();
+    await writeFollowStatus(status);
+  } while (await control.sleep(intervalMinutes * 60 * 1000));
 
-    // Log environment variables for debugging (excluding sensitive information)
-    console.log("Environment variables:");
-    console.log(`  HOST: ${process.env.HOST}`);
-    console.log(`  USER: ${process.env.USER}`);
-    console.log(`  DB: ${process.env.DB}`);
-    console.log(`  PWD exists: ${process.env.PWD !== undefined}`);
+  status.state = "stopped";
+  status.nextPollAt = null;
+  await writeFollowStatus(status);
+}
 
-    console.log("Logging setup complete");
-  } catch (error) {
-    console.error("Failed to set up logging:", error);
-  }
+/**
+ * Import an archive of Dukascopy .bi5 files and CSV dumps for the symbols and
+ * dates of the job, without downloading anything
+ * @param {Object} store - The storage backend
+ * @param {Object} importOptions - Options for importSlots
+ */
+async function importArchive(store, importOptions) {
+  const { slots, fetchHistoricalData } = await planArchiveImport(store, {
+    directory: config.args.offline,
+    symbols,
+    startDate,
+    endDate,
+  });
+  notifyParent({ type: "planned", total: slots.length });
+
+  await importSlots(slots, { ...importOptions, fetchHistoricalData });
 }
 
 /**
  * Main function to run the data import process
  */
 async function main() {
+  let store;
+  let releaseLock;
+  const logger = setupLogging();
   try {
-    await setupLogging();
+    releaseLock = await acquireRunLock(lockFile);
     console.log("Starting data import process");
+    console.log(
+      config.args.follow
+        ? `Job from ${config.configFile}: ${symbols.length} symbols, ${startDate} onwards (follow mode, endDate ignored)`
+        : `Job from ${config.configFile}: ${
+            symbols.length
+          } symbols, ${startDate} to ${endDate}, ${config.timeframe}${
+            config.timeframe === "tick" ? "" : ` ${config.price}`
+          }${
+            config.args.offline ? ` (offline, from ${config.args.offline})` : ""
+          }`
+    );
 
-    // Load checkpoint if available
-    const checkpoint = await loadCheckpoint();
-    let current = checkpoint ? new Date(checkpoint.date) : new Date(startDate);
-    const end = new Date(endDate);
-
-    // Initial symbol index based on checkpoint
-    let startSymbolIndex = 0;
-    if (checkpoint && checkpoint.lastSymbol) {
-      const symbolIndex = symbols.indexOf(checkpoint.lastSymbol);
-      if (symbolIndex !== -1) {
-        startSymbolIndex = symbolIndex + 1;
-        if (startSymbolIndex >= symbols.length) {
-          // If we've completed all symbols for this date, move to next date
-          startSymbolIndex = 0;
-          current.setDate(current.getDate() + 1);
-        }
-      }
-    }
-
-    // Process data for each day and each symbol
-    while (current <= end) {
-      console.log(`Processing date: ${current.toISOString().split("T")[0]}`);
-
-      for (let i = startSymbolIndex; i < symbols.length; i++) {
-        const symbol = symbols[i];
-        try {
-          // Set next day as end date
-          let nextDay = new Date(current);
-          nextDay.setDate(current.getDate() + 1);
-
-          // Fetch data
-          const data = await fetchHistoricalData(symbol, current, nextDay);
-
-          // Upload data if any was retrieved
-          if (data.length > 0) {
-            await uploadData(pool, data, symbol);
-          }
-
-          // Save checkpoint after each symbol is processed
-          await saveCheckpoint(current, symbol);
-        } catch (error) {
-          console.error(
-            `Failed to process ${symbol} for ${current.toISOString()}:`,
-            error
-          );
-          // Continue with next symbol despite errors
-          continue;
-        }
-      }
+    store = await createStore(config);
+    console.log(`Using ${config.storage.type} storage`);
+    await importLegacyCheckpoint(
+      store,
+      legacyCheckpointFile,
+      symbols,
+      startDate
+    );
 
-      // Reset start symbol index for next day
-      startSymbolIndex = 0;
+    const fetchHistoricalData = createFetcher({
+      limiter: createRateLimiter({ ratePerSecond: requestsPerSecond }),
+      batchSize,
+      pauseBetweenBatchesMs,
+      maxRetries,
+      retryBaseDelayMs,
+      retryMaxDelayMs,
+    });
+    const importOptions = {
+      store,
+      fetchHistoricalData,
+      uploadData,
+      validation: config.validation,
+      bulkLoad: config.bulkLoad,
+      concurrency,
+      control,
+      onProgress: (progress, throughput) =>
+        notifyParent({ type: "progress", progress, throughput }),
+      onEvent: (name, data) => notifyParent({ type: "event", name, data }),
+    };
 
-      // Move to next day
-      current.setDate(current.getDate() + 1);
+    if (config.args.follow) {
+      await followMarket(store, importOptions);
+      console.log("Follow mode stopped");
+      return;
+    }
+    if (config.args.offline) {
+      await importArchive(store, importOptions);
       console.log(
-        `Completed processing for date: ${current.toISOString().split("T")[0]}`
+        control.stopped ? "Offline import stopped" : "Offline import completed"
       );
+      return;
     }
 
-    console.log("Data import process completed successfully");
+    // Register every slot of the job in the ledger, then work through the
+    // ones that are still pending or previously failed
+    const days = listDays(startDate, endDate);
+    let slots;
+    if (config.timeframe === "tick") {
+      await planSlots(store, symbols, days);
+      slots = await getOpenSlots(
+        store,
+        symbols,
+        days[0],
+        days[days.length - 1]
+      );
+    } else {
+      const { timeframe, price } = config;
+      await planCandleSlots(store, symbols, timeframe, price, days);
+      slots = await getOpenCandleSlots(
+        store,
+        symbols,
+        timeframe,
+        price,
+        days[0],
+        days[days.length - 1]
+      );
+    }
+    console.log(
+      `${slots.length} slots to process (${
+        slots.filter((s) => s.status === SlotStatus.FAILED).length
+      } retrying after failure)`
+    );
+    notifyParent({ type: "planned", total: slots.length });
+
+    await importSlots(slots, importOptions);
+
+    console.log(
+      control.stopped
+        ? "Data import process stopped"
+        : "Data import process completed successfully"
+    );
   } catch (error) {
     console.error("Fatal error in data import process:", error);
+    process.exitCode = 1;
   } finally {
-    // Close the pool before exiting
-    await pool.end();
-    console.log("Database connection pool closed");
+    // Close the store before exiting
+    if (store) {
+      await store.close();
+      console.log("Storage closed");
+    }
+    if (releaseLock) {
+      await releaseLock();
+    }
+    if (logger) {
+      logger.close();
+    }
+    // Let go of the IPC channel so the process can exit
+    if (process.connected) {
+      process.disconnect();
+    }
   }
 }
 
@@ -367,12 +449,16 @@ console.log(`USER: ${process.env.USER || "not set"}`);
 console.log(`DB: ${process.env.DB || "not set"}`);
 console.log(`PWD: ${process.env.PWD ? "set (not showing value)" : "not set"}`);
 
-// Check if critical environment variables are missing
+// Check if critical environment variables are missing for a database server
+const needsServer =
+  config.storage.type === "mysql" ||
+  (config.storage.type === "postgres" && !config.storage.connectionString);
 if (
-  !process.env.HOST ||
-  !process.env.USER ||
-  !process.env.PWD ||
-  !process.env.DB
+  needsServer &&
+  (!process.env.HOST ||
+    !process.env.USER ||
+    !process.env.PWD ||
+    !process.env.DB)
 ) {
   console.error("ERROR: Missing required environment variables!");
   console.error(
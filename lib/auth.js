@@ -0,0 +1,330 @@
+import crypto from "crypto";
+import fs from "fs/promises";
+import { promisify } from "util";
+
+const scrypt = promisify(crypto.scrypt);
+
+// Roles in increasing order of rights; each role may do what the ones
+// before it may
+export const roles = ["viewer", "operator"];
+
+const sessionCookie = "session";
+const keyLength = 64;
+
+// A failed login holds off the next attempt for the same username and from
+// the same address for a second, doubling with every further failure up to
+// 15 minutes. Failures are forgotten an hour after the last one.
+const loginDelayBaseMs = 1000;
+const loginDelayMaxMs = 15 * 60 * 1000;
+const loginFailureMemoryMs = 60 * 60 * 1000;
+
+/**
+ * Hash a password for the users file
+ * @param {string} password - The password
+ * @returns {Promise<string>} - "scrypt$<salt>$<hash>", both hex
+ */
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, keyLength);
+  return `scrypt$${salt.toString("hex")}$${hash.toString("hex")}`;
+}
+
+/**
+ * Check a password against a hash made by hashPassword, in constant time
+ * @param {string} password - The password to check
+ * @param {string} stored - The stored hash
+ * @returns {Promise<boolean>} - Whether the password matches
+ */
+export async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored).split("$");
+  if (scheme !== "scrypt" || !salt || !hash) {
+    return false;
+  }
+  const expected = Buffer.from(hash, "hex");
+  const actual = await scrypt(password, Buffer.from(salt, "hex"), keyLength);
+  return (
+    expected.length === actual.length &&
+    crypto.timingSafeEqual(expected, actual)
+  );
+}
+
+/**
+ * Hash an API token; tokens are random, so a fast hash is enough
+ * @param {string} token - The token
+ * @returns {string} - Its SHA-256 in hex
+ */
+export function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+/**
+ * Generate a random API token or session id
+ * @returns {string} - 32 random bytes in base64url
+ */
+export function generateToken() {
+  return crypto.randomBytes(32).toString("base64url");
+}
+
+/**
+ * Read the users file
+ * @param {string} usersFile - Path of the users file
+ * @returns {Promise<{users: Array, tokens: Array}>} - Users with password
+ *   hashes and API tokens with token hashes; empty if the file is missing
+ */
+export async function loadUsers(usersFile) {
+  try {
+    const { users = [], tokens = [] } = JSON.parse(
+      await fs.readFile(usersFile, "utf8")
+    );
+    return { users, tokens };
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return { users: [], tokens: [] };
+    }
+    throw new Error(`Could not read users file ${usersFile}: ${error.message}`);
+  }
+}
+
+/**
+ * Write the users file, readable by its owner only
+ * @param {string} usersFile - Path of the users file
+ * @param {{users: Array, tokens: Array}} data - The users and tokens
+ */
+export async function saveUsers(usersFile, data) {
+  await fs.writeFile(usersFile, `${JSON.stringify(data, null, 2)}\n`, {
+    mode: 0o600,
+  });
+}
+
+/**
+ * Read one cookie from a Cookie header. Other apps on the same host send
+ * their cookies too, so the rest are left alone, and a value that does not
+ * decode counts as no cookie.
+ * @param {string} [header] - The Cookie header
+ * @param {string} name - Name of the cookie
+ * @returns {string|undefined} - Its value
+ */
+function readCookie(header = "", name) {
+  for (const part of header.split(";")) {
+    const separator = part.indexOf("=");
+    if (separator === -1 || part.slice(0, separator).trim() !== name) {
+      continue;
+    }
+    try {
+      return decodeURIComponent(part.slice(separator + 1).trim());
+    } catch (error) {
+      return undefined;
+    }
+  }
+  return undefined;
+}
+
+function hasRole(user, role) {
+  return roles.indexOf(user.role) >= roles.indexOf(role);
+}
+
+// Everybody is an operator when authentication is switched off
+const anonymous = Object.freeze({ username: "anonymous", role: "operator" });
+
+const openAccess = {
+  loginDelay: () => 0,
+  login: async () => ({ sessionId: null, user: anonymous }),
+  logout() {},
+  setSessionCookie() {},
+  identify: () => anonymous,
+  authorize(req, res, next) {
+    req.user = anonymous;
+    next();
+  },
+};
+
+/**
+ * Create the dashboard's authentication. Users log in with a password and
+ * get a session cookie; scripts send an API token as a bearer token. Sessions
+ * live in memory, so a restart logs everybody out. Failed logins slow down
+ * further attempts for the username and the address they came from.
+ * @param {Object} options - The auth config
+ * @param {boolean} options.enabled - False lets everybody in as an operator
+ * @param {string} options.usersFile - Path of the users file
+ * @param {number} options.sessionTtlHours - Lifetime of a session
+ * @returns {Promise<Object>} - The authentication
+ * @throws {Error} - If the users file cannot be read or holds nobody
+ */
+export async function createAuth({ enabled, usersFile, sessionTtlHours }) {
+  if (!enabled) {
+    return openAccess;
+  }
+
+  const { users, tokens } = await loadUsers(usersFile);
+  if (users.length === 0 && tokens.length === 0) {
+    throw new Error(
+      `No users or API tokens in ${usersFile}; add one with npm run users -- --add <name> --role operator`
+    );
+  }
+  const tokenRoles = new Map(
+    tokens.map((token) => [
+      token.tokenHash,
+      { username: token.name, role: token.role },
+    ])
+  );
+  const sessions = new Map();
+  const sessionTtlMs = sessionTtlHours * 60 * 60 * 1000;
+  // Failed logins per "user:<name>" and "address:<ip>"
+  const loginFailures = new Map();
+
+  // Verified against when the username is unknown, so a failed login takes
+  // as long whether or not the user exists
+  const dummyHash = await hashPassword(generateToken());
+
+  /**
+   * Find who sent a request, from its bearer token or session cookie
+   * @returns {?{username: string, role: string}} - The user, null if anonymous
+   */
+  function identify(req) {
+    const header = req.get("authorization") || "";
+    if (header.startsWith("Bearer ")) {
+      return tokenRoles.get(hashToken(header.slice(7).trim())) || null;
+    }
+
+    const sessionId = readCookie(req.get("cookie"), sessionCookie);
+    const session = sessionId && sessions.get(sessionId);
+    if (!session) {
+      return null;
+    }
+    if (session.expiresAt < Date.now()) {
+      sessions.delete(sessionId);
+      return null;
+    }
+    return session.user;
+  }
+
+  // Drop expired sessions and forgotten login failures; sessions are only
+  // added on login, so sweeping then keeps the maps from growing
+  function sweep() {
+    const now = Date.now();
+    for (const [sessionId, session] of sessions) {
+      if (session.expiresAt < now) {
+        sessions.delete(sessionId);
+      }
+    }
+    for (const [key, failure] of loginFailures) {
+      if (failure.lastAt + loginFailureMemoryMs < now) {
+        loginFailures.delete(key);
+      }
+    }
+  }
+
+  const failureKeys = (username, address) => [
+    `user:${username}`,
+    `address:${address}`,
+  ];
+
+  return {
+    /**
+     * Get how long logins for a username or from an address are held off
+     * after failed attempts
+     * @param {string} username - The username tried
+     * @param {string} address - The client's IP address
+     * @returns {number} - Milliseconds until the next attempt, 0 if it may
+     *   go ahead now
+     */
+    loginDelay(username, address) {
+      const now = Date.now();
+      return Math.max(
+        0,
+        ...failureKeys(username, address).map((key) => {
+          const failure = loginFailures.get(key);
+          return failure ? failure.blockedUntil - now : 0;
+        })
+      );
+    },
+
+    /**
+     * Check a username and password and open a session
+     * @param {string} username - The username
+     * @param {string} password - The password
+     * @param {string} address - The client's IP address
+     * @returns {Promise<?{sessionId: string, user: Object}>} - The session,
+     *   null if the credentials are wrong
+     */
+    async login(username, password, address) {
+      sweep();
+      // The attempt counts as failed until the password checks out, so
+      // guesses sent in parallel are held off too
+      const keys = failureKeys(username, address);
+      const now = Date.now();
+      for (const key of keys) {
+        const previous = loginFailures.get(key);
+        const failures = previous ? previous.failures + 1 : 1;
+        loginFailures.set(key, {
+          failures,
+          lastAt: now,
+          blockedUntil:
+            now +
+            Math.min(loginDelayMaxMs, loginDelayBaseMs * 2 ** (failures - 1)),
+        });
+      }
+
+      const user = users.find((candidate) => candidate.username === username);
+      const valid = await verifyPassword(
+        String(password),
+        user ? user.passwordHash : dummyHash
+      );
+      if (!user || !valid) {
+        return null;
+      }
+      for (const key of keys) {
+        loginFailures.delete(key);
+      }
+
+      const sessionId = generateToken();
+      const session = {
+        user: { username: user.username, role: user.role },
+        expiresAt: Date.now() + sessionTtlMs,
+      };
+      sessions.set(sessionId, session);
+      return { sessionId, user: session.user };
+    },
+
+    logout(req) {
+      sessions.delete(readCookie(req.get("cookie"), sessionCookie));
+    },
+
+    /**
+     * Set or clear the session cookie on a response
+     * @param {Object} res - The express response
+     * @param {?string} sessionId - The session, null to clear the cookie
+     */
+    setSessionCookie(res, sessionId) {
+      res.cookie(sessionCookie, sessionId || "", {
+        httpOnly: true,
+        sameSite: "strict",
+        secure: res.req.secure,
+        maxAge: sessionId ? sessionTtlMs : 0,
+      });
+    },
+
+    identify,
+
+    /**
+     * Middleware enforcing the roles on the API: reading (GET and HEAD) needs
+     * viewer, anything else operator. Sets req.user.
+     */
+    authorize(req, res, next) {
+      const user = identify(req);
+      if (!user) {
+        return res.status(401).json({ error: "Authentication required" });
+      }
+      const needed = ["GET", "HEAD"].includes(req.method)
+        ? "viewer"
+        : "operator";
+      if (!hasRole(user, needed)) {
+        return res
+          .status(403)
+          .json({ error: `This requires the ${needed} role` });
+      }
+      req.user = user;
+      next();
+    },
+  };
+}
@@ -0,0 +1,236 @@
+// Bar timeframes maintained for every symbol and their length in milliseconds.
+// All of them divide a UTC day, so one day of ticks always yields whole bars.
+export const barTimeframes = Object.freeze({
+  m1: 60 * 1000,
+  m5: 5 * 60 * 1000,
+  m15: 15 * 60 * 1000,
+  h1: 60 * 60 * 1000,
+  h4: 4 * 60 * 60 * 1000,
+  d1: 24 * 60 * 60 * 1000,
+});
+
+/**
+ * Add a tick to the bar of its period, starting the bar if needed
+ * @param {Map<number, Object>} bars - Bars being built, by period start
+ * @param {Object} tick - Tick with timestamp, bid/ask price and volume
+ * @param {number} periodMs - Bar length in milliseconds
+ */
+function addTick(bars, tick, periodMs) {
+  const start = tick.timestamp - (tick.timestamp % periodMs);
+  const bar = bars.get(start);
+
+  if (!bar) {
+    bars.set(start, {
+      openTime: tick.timestamp,
+      closeTime: tick.timestamp,
+      bidOpen: tick.bidPrice,
+      bidHigh: tick.bidPrice,
+      bidLow: tick.bidPrice,
+      bidClose: tick.bidPrice,
+      askOpen: tick.askPrice,
+      askHigh: tick.askPrice,
+      askLow: tick.askPrice,
+      askClose: tick.askPrice,
+      bidVolume: tick.bidVolume,
+      askVolume: tick.askVolume,
+      tickCount: 1,
+    });
+    return;
+  }
+
+  if (tick.timestamp < bar.openTime) {
+    bar.openTime = tick.timestamp;
+    bar.bidOpen = tick.bidPrice;
+    bar.askOpen = tick.askPrice;
+  }
+  if (tick.timestamp >= bar.closeTime) {
+    bar.closeTime = tick.timestamp;
+    bar.bidClose = tick.bidPrice;
+    bar.askClose = tick.askPrice;
+  }
+  bar.bidHigh = Math.max(bar.bidHigh, tick.bidPrice);
+  bar.bidLow = Math.min(bar.bidLow, tick.bidPrice);
+  bar.askHigh = Math.max(bar.askHigh, tick.askPrice);
+  bar.askLow = Math.min(bar.askLow, tick.askPrice);
+  bar.bidVolume += tick.bidVolume;
+  bar.askVolume += tick.askVolume;
+  bar.tickCount++;
+}
+
+/**
+ * List the bars being built, oldest first
+ */
+function finishBars(bars) {
+  return [...bars.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([start, { openTime, closeTime, ...bar }]) => ({
+      timestamp: start,
+      ...bar,
+    }));
+}
+
+/**
+ * Aggregate ticks into bid/ask OHLCV bars
+ * @param {Array} ticks - Ticks with timestamp, bid/ask price and volume
+ * @param {number} periodMs - Bar length in milliseconds
+ * @returns {Array<Object>} - Bars, oldest first
+ */
+export function aggregateTicks(ticks, periodMs) {
+  const bars = new Map();
+  for (const tick of ticks) {
+    addTick(bars, tick, periodMs);
+  }
+  return finishBars(bars);
+}
+
+/**
+ * Create an aggregator that builds the bars of every bar timeframe from
+ * ticks added in chunks, so a day's bars need not wait for all its ticks
+ * @returns {{add: function(Array): void, bars: function(string): Array, tickCount: function(): number}} -
+ *   add takes ticks, bars lists the bars of a timeframe so far and tickCount
+ *   the number of ticks added
+ */
+export function createBarAggregator() {
+  const timeframes = Object.entries(barTimeframes).map(
+    ([timeframe, periodMs]) => ({ timeframe, periodMs, bars: new Map() })
+  );
+  let tickCount = 0;
+
+  return {
+    add(ticks) {
+      for (const { periodMs, bars } of timeframes) {
+        for (const tick of ticks) {
+          addTick(bars, tick, periodMs);
+        }
+      }
+      tickCount += ticks.length;
+    },
+
+    bars(timeframe) {
+      return finishBars(timeframes.find((t) => t.timeframe === timeframe).bars);
+    },
+
+    tickCount: () => tickCount,
+  };
+}
+
+/**
+ * Replace the bars of a range with the bars of an aggregator, in every bar
+ * timeframe, so bars left from earlier imports of the range go
+ * @param {Object} store - The storage backend
+ * @param {string} symbol - The forex/crypto symbol
+ * @param {Object} aggregator - Holds the bars of the range's ticks, see
+ *   createBarAggregator
+ * @param {Date} fromDate - Start of the range
+ * @param {Date} toDate - End of the range (exclusive)
+ */
+export async function replaceAggregatedBars(
+  store,
+  symbol,
+  aggregator,
+  fromDate,
+  toDate
+) {
+  const ticks = aggregator.tickCount();
+  for (const timeframe of Object.keys(barTimeframes)) {
+    await store.deleteBars(symbol, timeframe, fromDate, toDate);
+    if (ticks > 0) {
+      await store.upsertBars(symbol, timeframe, aggregator.bars(timeframe));
+    }
+  }
+
+  if (ticks > 0) {
+    console.log(`Updated bars for ${symbol} from ${ticks} ticks`);
+  }
+}
+
+/**
+ * Replace the bars of a range with bars aggregated from its ticks, see
+ * replaceAggregatedBars. The range must cover whole UTC days, otherwise the
+ * bars at the edges are partial.
+ * @param {Object} store - The storage backend
+ * @param {string} symbol - The forex/crypto symbol
+ * @param {Array} ticks - The ticks of the range
+ * @param {Date} fromDate - Start of the range
+ * @param {Date} toDate - End of the range (exclusive)
+ */
+export async function replaceBars(store, symbol, ticks, fromDate, toDate) {
+  const aggregator = createBarAggregator();
+  aggregator.add(ticks);
+  await replaceAggregatedBars(store, symbol, aggregator, fromDate, toDate);
+}
+
+/**
+ * Rebuild the bars of one day from the ticks already stored for it
+ * @param {Object} store - The storage backend
+ * @param {string} symbol - The forex/crypto symbol
+ * @param {Date} fromDate - Start of the day
+ * @param {Date} toDate - End of the day (exclusive)
+ * @returns {number} - Number of ticks read
+ */
+export async function rebuildBars(store, symbol, fromDate, toDate) {
+  const ticks = await store.readTicks(symbol, fromDate, toDate);
+  await replaceBars(store, symbol, ticks, fromDate, toDate);
+  return ticks.length;
+}
+
+/**
+ * Turn a single tick into a one-tick bar, so ticks can be resampled the same
+ * way as stored bars
+ * @param {Object} tick - Tick with timestamp, bid/ask price and volume
+ * @returns {Object} - The bar
+ */
+export function tickToBar(tick) {
+  return {
+    timestamp: tick.timestamp,
+    bidOpen: tick.bidPrice,
+    bidHigh: tick.bidPrice,
+    bidLow: tick.bidPrice,
+    bidClose: tick.bidPrice,
+    askOpen: tick.askPrice,
+    askHigh: tick.askPrice,
+    askLow: tick.askPrice,
+    askClose: tick.askPrice,
+    bidVolume: tick.bidVolume,
+    askVolume: tick.askVolume,
+    tickCount: 1,
+  };
+}
+
+/**
+ * Create a resampler that merges bars (oldest first) into longer bars. A bar
+ * is handed back once a bar of a later period is pushed, or by flush().
+ * @param {number} periodMs - Length of the output bars in milliseconds
+ * @returns {{push: function(Object): ?Object, flush: function(): ?Object}} - The resampler
+ */
+export function createBarResampler(periodMs) {
+  let current = null;
+
+  return {
+    push(bar) {
+      const start = bar.timestamp - (bar.timestamp % periodMs);
+      if (current && current.timestamp === start) {
+        current.bidHigh = Math.max(current.bidHigh, bar.bidHigh);
+        current.bidLow = Math.min(current.bidLow, bar.bidLow);
+        current.bidClose = bar.bidClose;
+        current.askHigh = Math.max(current.askHigh, bar.askHigh);
+        current.askLow = Math.min(current.askLow, bar.askLow);
+        current.askClose = bar.askClose;
+        current.bidVolume += bar.bidVolume;
+        current.askVolume += bar.askVolume;
+        current.tickCount += bar.tickCount;
+        return null;
+      }
+
+      const completed = current;
+      current = { ...bar, timestamp: start };
+      return completed;
+    },
+
+    flush() {
+      const completed = current;
+      current = null;
+      return completed;
+    },
+  };
+}
@@ -0,0 +1,155 @@
+import { randomUUID } from "crypto";
+import { once } from "events";
+import fs from "fs";
+import path from "path";
+import readline from "readline";
+import { finished } from "stream/promises";
+import { createBarAggregator } from "./bars.js";
+import { tickColumns } from "./storage/schema.js";
+import { createTickValidator } from "./validation.js";
+
+// The bulk loader keeps a slot's ticks out of memory. They are downloaded a
+// few hours at a time, validated and appended to a staging file as they
+// arrive, with the bars aggregated on the way, and the store then loads the
+// whole file inside the slot's transaction (see loadTicks in
+// storage/index.js). A staging file is CSV without a header, one tick per
+// line with the columns of tickColumns in order.
+
+const hourMs = 60 * 60 * 1000;
+
+/**
+ * Download a range of ticks a few hours at a time
+ * @param {Function} fetchHistoricalData - Gets the ticks of (symbol, from, to)
+ * @param {string} symbol - The forex/crypto symbol
+ * @param {Date} fromDate - Start date
+ * @param {Date} toDate - End date (exclusive)
+ * @param {number} chunkHours - Hours per download
+ * @yields {Array} - The ticks of each part, oldest first
+ */
+export async function* fetchInChunks(
+  fetchHistoricalData,
+  symbol,
+  fromDate,
+  toDate,
+  chunkHours
+) {
+  const step = chunkHours * hourMs;
+  for (
+    let start = fromDate.getTime();
+    start < toDate.getTime();
+    start += step
+  ) {
+    const end = Math.min(start + step, toDate.getTime());
+    yield await fetchHistoricalData(symbol, new Date(start), new Date(end));
+  }
+}
+
+/**
+ * Validate ticks arriving in chunks and write the accepted ones to a
+ * staging file, aggregating their bars as they go
+ * @param {AsyncIterable<Array>} chunks - Ticks in time order, no timestamp
+ *   split over two chunks (see fetchInChunks)
+ * @param {Object} options
+ * @param {Object} options.rules - Validation rules of the symbol, see rulesFor
+ * @param {string} options.directory - Directory for the staging file
+ * @param {string} options.symbol - The forex/crypto symbol, used in the file name
+ * @returns {Promise<Object>} - {file, fetched, rowCount, rejected, counts,
+ *   bars, remove}: the staging file, the number of ticks downloaded and
+ *   accepted, the rejected ticks and their count per reason, the bar
+ *   aggregator (see createBarAggregator) and a function deleting the file
+ */
+export async function stageTicks(chunks, { rules, directory, symbol }) {
+  const file = path.join(
+    directory,
+    `dukascopy-${symbol}-${process.pid}-${randomUUID()}.csv`
+  );
+  const remove = () => fs.promises.rm(file, { force: true });
+  const output = fs.createWriteStream(file);
+  // Write errors surface in the wait for drain or for the end
+  output.on("error", () => {});
+  const validator = createTickValidator(rules);
+  const bars = createBarAggregator();
+  const rejected = [];
+  let fetched = 0;
+  let rowCount = 0;
+
+  const write = async (ticks) => {
+    bars.add(ticks);
+    rowCount += ticks.length;
+    if (ticks.length === 0) {
+      return;
+    }
+    const lines = ticks
+      .map((tick) =>
+        tickColumns.map(([, property]) => tick[property]).join(",")
+      )
+      .join("\n");
+    if (!output.write(`${lines}\n`)) {
+      await once(output, "drain");
+    }
+  };
+
+  try {
+    for await (const chunk of chunks) {
+      fetched += chunk.length;
+      const judged = validator.push(chunk);
+      rejected.push(...judged.rejected);
+      await write(judged.accepted);
+    }
+    const last = validator.flush();
+    rejected.push(...last.rejected);
+    await write(last.accepted);
+    output.end();
+    await finished(output);
+  } catch (error) {
+    output.destroy();
+    await remove();
+    throw error;
+  }
+
+  return {
+    file,
+    fetched,
+    rowCount,
+    rejected,
+    counts: validator.counts,
+    bars,
+    remove,
+  };
+}
+
+/**
+ * Read a staging file back in batches
+ * @param {string} file - Path of the staging file
+ * @param {number} batchSize - Ticks per batch
+ * @yields {Array} - The next ticks, in file order
+ */
+export async function* readStagedTicks(file, batchSize) {
+  const properties = tickColumns.map(([, property]) => property);
+  const input = fs.createReadStream(file);
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+  let batch = [];
+  try {
+    for await (const line of lines) {
+      if (line === "") {
+        continue;
+      }
+      const values = line.split(",");
+      const tick = {};
+      properties.forEach((property, index) => {
+        tick[property] = Number(values[index]);
+      });
+      batch.push(tick);
+      if (batch.length >= batchSize) {
+        yield batch;
+        batch = [];
+      }
+    }
+    if (batch.length > 0) {
+      yield batch;
+    }
+  } finally {
+    lines.close();
+    input.destroy();
+  }
+}
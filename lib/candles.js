@@ -0,0 +1,307 @@
+import { getInstrument, hasTicksOn } from "./instruments.js";
+import { SlotStatus, toDay } from "./ledger.js";
+
+// Candles are bars downloaded ready-made from Dukascopy, as opposed to the
+// bars lib/bars.js aggregates from ticks. Dukascopy serves each timeframe in
+// files covering a fixed period, and a candle slot covers one such period:
+// it is keyed by the first day of the period.
+export const candleTimeframes = Object.freeze({
+  s1: "day",
+  m1: "day",
+  m15: "day",
+  h1: "month",
+  d1: "year",
+});
+
+// Timeframes and price types a job can download
+export const jobTimeframes = ["tick", ...Object.keys(candleTimeframes)];
+export const jobPrices = ["both", "bid", "ask"];
+
+const insertBatchSize = 1000;
+
+/**
+ * List the candle sides a price type stands for
+ * @param {string} price - One of jobPrices
+ * @returns {string[]} - "bid" and/or "ask"
+ */
+export function candleSides(price) {
+  return price === "both" ? ["bid", "ask"] : [price];
+}
+
+/**
+ * Get the first day of the period a day falls in
+ * @param {string} timeframe - One of the candleTimeframes keys
+ * @param {string} day - Day string (YYYY-MM-DD)
+ * @returns {string} - The first day of the period
+ */
+function periodStart(timeframe, day) {
+  switch (candleTimeframes[timeframe]) {
+    case "year":
+      return `${day.slice(0, 4)}-01-01`;
+    case "month":
+      return `${day.slice(0, 7)}-01`;
+    default:
+      return day;
+  }
+}
+
+/**
+ * Get the UTC time range of the period a day falls in
+ * @param {string} timeframe - One of the candleTimeframes keys
+ * @param {string} day - Day string (YYYY-MM-DD)
+ * @returns {{from: Date, to: Date}} - Start (inclusive) and end (exclusive)
+ */
+export function periodRange(timeframe, day) {
+  const from = new Date(`${periodStart(timeframe, day)}T00:00:00Z`);
+  const to = new Date(from);
+  switch (candleTimeframes[timeframe]) {
+    case "year":
+      to.setUTCFullYear(to.getUTCFullYear() + 1);
+      break;
+    case "month":
+      to.setUTCMonth(to.getUTCMonth() + 1);
+      break;
+    default:
+      to.setUTCDate(to.getUTCDate() + 1);
+  }
+  return { from, to };
+}
+
+/**
+ * List the periods overlapping a range of days
+ * @param {string} timeframe - One of the candleTimeframes keys
+ * @param {string} firstDay - First day (inclusive)
+ * @param {string} lastDay - Last day (inclusive)
+ * @returns {string[]} - The first day of every period, in ascending order
+ */
+export function listPeriods(timeframe, firstDay, lastDay) {
+  const periods = [];
+  let day = periodStart(timeframe, firstDay);
+  while (day <= lastDay) {
+    periods.push(day);
+    day = toDay(periodRange(timeframe, day).to);
+  }
+  return periods;
+}
+
+/**
+ * Decide whether a period can hold any data for an instrument: periods of a
+ * day are checked like tick days, longer ones only against the earliest date
+ */
+function mayHaveCandles(symbol, timeframe, day) {
+  if (candleTimeframes[timeframe] === "day") {
+    return hasTicksOn(symbol, day);
+  }
+  const { earliest_date: earliestDate } = getInstrument(symbol);
+  const { to } = periodRange(timeframe, day);
+  return !earliestDate || toDay(new Date(to - 1)) >= earliestDate;
+}
+
+/**
+ * Register every (symbol, timeframe, side, period) candle slot of a job as
+ * pending, leaving slots already known to the ledger untouched. Periods the
+ * instrument cannot have data in are registered as empty, as planSlots does
+ * for tick days.
+ * @param {Object} store - The storage backend
+ * @param {string[]} symbols - The forex/crypto symbols
+ * @param {string} timeframe - One of the candleTimeframes keys
+ * @param {string} price - One of jobPrices
+ * @param {string[]} days - Day strings to plan
+ */
+export async function planCandleSlots(store, symbols, timeframe, price, days) {
+  if (days.length === 0) {
+    return;
+  }
+  const slots = [];
+  for (const day of listPeriods(timeframe, days[0], days[days.length - 1])) {
+    for (const symbol of symbols) {
+      const status = mayHaveCandles(symbol, timeframe, day)
+        ? SlotStatus.PENDING
+        : SlotStatus.EMPTY;
+      for (const side of candleSides(price)) {
+        slots.push({ symbol, timeframe, side, day, status });
+      }
+    }
+  }
+
+  for (let i = 0; i < slots.length; i += insertBatchSize) {
+    await store.insertCandleSlots(slots.slice(i, i + insertBatchSize));
+  }
+}
+
+/**
+ * Get the candle slots that still need work (pending or failed), oldest
+ * period first and in the order of the given symbol list within a period
+ * @param {Object} store - The storage backend
+ * @param {string[]} symbols - The forex/crypto symbols
+ * @param {string} timeframe - One of the candleTimeframes keys
+ * @param {string} price - One of jobPrices
+ * @param {string} firstDay - First day (inclusive)
+ * @param {string} lastDay - Last day (inclusive)
+ * @returns {Array<{symbol: string, day: string, timeframe: string, side: string, status: string, attempts: number}>}
+ */
+export async function getOpenCandleSlots(
+  store,
+  symbols,
+  timeframe,
+  price,
+  firstDay,
+  lastDay
+) {
+  if (symbols.length === 0) {
+    return [];
+  }
+
+  const rows = [];
+  for (const side of candleSides(price)) {
+    rows.push(
+      ...(await store.getOpenCandleSlots(
+        symbols,
+        timeframe,
+        side,
+        periodStart(timeframe, firstDay),
+        lastDay
+      ))
+    );
+  }
+
+  const order = new Map(symbols.map((symbol, index) => [symbol, index]));
+  return rows.sort(
+    (a, b) =>
+      a.day.localeCompare(b.day) ||
+      order.get(a.symbol) - order.get(b.symbol) ||
+      a.side.localeCompare(b.side)
+  );
+}
+
+/**
+ * Get the time range to download for a candle slot: its whole period, or
+ * up to now for a period that is not over yet
+ * @param {{timeframe: string, day: string}} slot - A candle slot
+ * @returns {{from: Date, to: Date, unfinished: boolean}} - Start (inclusive),
+ *   end (exclusive) and whether the period is still running
+ */
+export function candleRange({ timeframe, day }) {
+  const { from, to } = periodRange(timeframe, day);
+  const now = new Date();
+  return to > now
+    ? { from, to: now, unfinished: true }
+    : { from, to, unfinished: false };
+}
+
+/**
+ * Record the outcome of a candle slot
+ * @param {Object} store - The storage backend
+ * @param {{symbol: string, timeframe: string, side: string, day: string}} slot - The candle slot
+ * @param {string} status - One of SlotStatus
+ * @param {Object} [details] - rowCount and error, as for markSlot
+ */
+export async function markCandleSlot(store, slot, status, details = {}) {
+  const { symbol, timeframe, side, day } = slot;
+  await store.markCandleSlot(symbol, timeframe, side, day, status, details);
+}
+
+/**
+ * Measure how much of the requested date range has been downloaded for
+ * every candle series (timeframe and side): the periods that are done or
+ * empty out of every period overlapping the range, per symbol and overall.
+ * Series are listed when the ledger has slots for them or they are asked for.
+ * @param {Object} store - The storage backend
+ * @param {string[]} symbols - The forex/crypto symbols
+ * @param {string} firstDay - First day (inclusive)
+ * @param {string} lastDay - Last day (inclusive)
+ * @param {Array<{timeframe: string, side: string}>} [include] - Series to
+ *   list even without slots
+ * @returns {Array<Object>} - {timeframe, side, period, requested, processed,
+ *   failed, completion_percentage, symbols} per series
+ */
+export async function getCandleProgress(
+  store,
+  symbols,
+  firstDay,
+  lastDay,
+  include = []
+) {
+  // Slots are keyed by the first day of their period, which may be before
+  // the first day of the range, so the ledger is read from the start of
+  // each kind of period and only the timeframes of that kind are kept
+  const rows = [];
+  if (symbols.length > 0) {
+    for (const period of new Set(Object.values(candleTimeframes))) {
+      const timeframes = Object.keys(candleTimeframes).filter(
+        (timeframe) => candleTimeframes[timeframe] === period
+      );
+      const counts = await store.getCandleSlotCounts(
+        symbols,
+        periodStart(timeframes[0], firstDay),
+        lastDay
+      );
+      rows.push(...counts.filter((row) => timeframes.includes(row.timeframe)));
+    }
+  }
+
+  const series = new Map();
+  const seriesOf = (timeframe, side) => {
+    const key = `${timeframe}_${side}`;
+    if (!series.has(key) && candleTimeframes[timeframe]) {
+      series.set(key, {
+        timeframe,
+        side,
+        processed: new Map(),
+        failed: new Map(),
+      });
+    }
+    return series.get(key);
+  };
+  for (const { timeframe, side } of include) {
+    seriesOf(timeframe, side);
+  }
+  for (const { symbol, timeframe, side, status, slots } of rows) {
+    const entry = seriesOf(timeframe, side);
+    const counts =
+      status === SlotStatus.DONE || status === SlotStatus.EMPTY
+        ? entry.processed
+        : status === SlotStatus.FAILED
+        ? entry.failed
+        : null;
+    if (entry && counts) {
+      counts.set(symbol, (counts.get(symbol) || 0) + slots);
+    }
+  }
+
+  const progress = (requested, processed, failed) => ({
+    requested,
+    processed,
+    failed,
+    completion_percentage:
+      requested > 0 ? Math.round((processed / requested) * 1000) / 10 : 0,
+  });
+  const sum = (counts) =>
+    [...counts.values()].reduce((total, count) => total + count, 0);
+
+  return [...series.values()]
+    .sort(
+      (a, b) =>
+        jobTimeframes.indexOf(a.timeframe) -
+          jobTimeframes.indexOf(b.timeframe) || a.side.localeCompare(b.side)
+    )
+    .map(({ timeframe, side, processed, failed }) => {
+      const requested = listPeriods(timeframe, firstDay, lastDay).length;
+      return {
+        timeframe,
+        side,
+        period: candleTimeframes[timeframe],
+        ...progress(requested * symbols.length, sum(processed), sum(failed)),
+        symbols: Object.fromEntries(
+          symbols.map((symbol) => [
+            symbol,
+            progress(
+              requested,
+              processed.get(symbol) || 0,
+              failed.get(symbol) || 0
+            ),
+          ])
+        ),
+      };
+    });
+}
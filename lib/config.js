@@ -0,0 +1,402 @@
+import fs from "fs/promises";
+import os from "os";
+import { parseArgs } from "util";
+import { jobPrices, jobTimeframes } from "./candles.js";
+import { configureInstruments, resolveInstruments } from "./instruments.js";
+import { logLevels } from "./logger.js";
+import { storageTypes } from "./storage/index.js";
+import { validateSymbol } from "./storage/schema.js";
+import { resolveValidation } from "./validation.js";
+
+const defaultConfigFile = "./config.json";
+
+// Command line flags and the config keys they override
+const cliOptions = {
+  config: { type: "string" },
+  symbols: { type: "string", key: "symbols" },
+  from: { type: "string", key: "startDate" },
+  to: { type: "string", key: "endDate" },
+  "batch-size": { type: "string", key: "batchSize" },
+  "pause-ms": { type: "string", key: "pauseBetweenBatchesMs" },
+  "db-batch-size": { type: "string", key: "dbBatchSize" },
+  concurrency: { type: "string", key: "concurrency" },
+  rps: { type: "string", key: "requestsPerSecond" },
+  "max-retries": { type: "string", key: "maxRetries" },
+  storage: { type: "string", key: "storage" },
+  timeframe: { type: "string", key: "timeframe" },
+  price: { type: "string", key: "price" },
+};
+
+// Settings each storage backend falls back to
+const storageDefaults = {
+  mysql: { partitionByMonth: false },
+  sqlite: { path: "./data/dukascopy.sqlite" },
+  postgres: { timescale: false, partitionByMonth: false },
+  files: { directory: "./data", format: "csv" },
+};
+
+// Dashboard authentication, see lib/auth.js
+const authDefaults = {
+  enabled: true,
+  usersFile: "./users.json",
+  sessionTtlHours: 12,
+};
+
+// Follow mode (index.js --follow): poll every intervalMinutes and fetch an
+// hour once it has been over for delayMinutes
+const followDefaults = {
+  intervalMinutes: 5,
+  delayMinutes: 10,
+};
+
+// Bulk loading of tick slots, see lib/bulkLoad.js: download chunkHours at a
+// time into a staging file in directory and load the file in one go
+const bulkLoadDefaults = {
+  enabled: false,
+  chunkHours: 6,
+  directory: os.tmpdir(),
+};
+
+// Log files of the importer, see lib/logger.js
+const loggingDefaults = {
+  directory: "./logs",
+  level: "info",
+  maxFileMB: 20,
+  maxFiles: 50,
+};
+
+// Numeric config keys and the smallest value each accepts
+const integerOptions = {
+  batchSize: 1,
+  pauseBetweenBatchesMs: 0,
+  dbBatchSize: 1,
+  concurrency: 1,
+  requestsPerSecond: 1,
+  maxRetries: 0,
+  retryBaseDelayMs: 0,
+  retryMaxDelayMs: 0,
+};
+
+/**
+ * Raised when the job configuration cannot be loaded or is invalid
+ */
+export class ConfigError extends Error {
+  /**
+   * @param {string[]} problems - One message per invalid setting
+   */
+  constructor(problems) {
+    super(`Invalid configuration:\n  - ${problems.join("\n  - ")}`);
+    this.name = "ConfigError";
+    this.problems = problems;
+  }
+}
+
+/**
+ * Resolve a configured date to a YYYY-MM-DD day string. Besides plain dates,
+ * "today" and "yesterday" are accepted (UTC).
+ * @param {string} value - The configured date
+ * @returns {string|null} - The day string, or null if the value is invalid
+ */
+export function resolveDate(value) {
+  if (typeof value !== "string") {
+    return null;
+  }
+
+  const keyword = value.trim().toLowerCase();
+  if (keyword === "today" || keyword === "yesterday") {
+    const date = new Date();
+    if (keyword === "yesterday") {
+      date.setUTCDate(date.getUTCDate() - 1);
+    }
+    return date.toISOString().split("T")[0];
+  }
+
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return null;
+  }
+
+  // Reject dates such as 2024-02-31 that Date would silently roll over
+  const date = new Date(`${value}T00:00:00Z`);
+  if (isNaN(date) || date.toISOString().split("T")[0] !== value) {
+    return null;
+  }
+  return value;
+}
+
+/**
+ * Validate a job configuration, resolving dates and numbers in place
+ * @param {Object} config - The merged configuration
+ * @returns {string[]} - Problems found, empty if the configuration is valid
+ */
+export function validateConfig(config) {
+  const problems = [];
+
+  if (!Array.isArray(config.symbols) || config.symbols.length === 0) {
+    problems.push("symbols must be a non-empty list");
+  } else {
+    const seen = new Set();
+    config.symbols.forEach((symbol) => {
+      const problem = validateSymbol(symbol);
+      if (problem) {
+        problems.push(problem);
+      } else if (seen.has(symbol)) {
+        problems.push(`symbol ${symbol} is listed more than once`);
+      }
+      seen.add(symbol);
+    });
+  }
+
+  for (const key of ["startDate", "endDate"]) {
+    const day = resolveDate(config[key]);
+    if (day === null) {
+      problems.push(
+        `${key} must be a YYYY-MM-DD date, "today" or "yesterday" (got ${JSON.stringify(
+          config[key]
+        )})`
+      );
+    } else {
+      config[key] = day;
+    }
+  }
+
+  if (
+    resolveDate(config.startDate) &&
+    resolveDate(config.endDate) &&
+    config.startDate > config.endDate
+  ) {
+    problems.push(
+      `startDate ${config.startDate} is after endDate ${config.endDate}`
+    );
+  }
+
+  config.timeframe = config.timeframe === undefined ? "tick" : config.timeframe;
+  config.price = config.price === undefined ? "both" : config.price;
+  if (!jobTimeframes.includes(config.timeframe)) {
+    problems.push(
+      `timeframe must be one of ${jobTimeframes.join(
+        ", "
+      )} (got ${JSON.stringify(config.timeframe)})`
+    );
+  }
+  if (!jobPrices.includes(config.price)) {
+    problems.push(
+      `price must be one of ${jobPrices.join(", ")} (got ${JSON.stringify(
+        config.price
+      )})`
+    );
+  } else if (config.timeframe === "tick" && config.price !== "both") {
+    // A tick holds both prices
+    problems.push("price must be both for the tick timeframe");
+  }
+
+  for (const [key, min] of Object.entries(integerOptions)) {
+    const value = Number(config[key]);
+    if (!Number.isInteger(value) || value < min) {
+      problems.push(
+        `${key} must be an integer >= ${min} (got ${JSON.stringify(
+          config[key]
+        )})`
+      );
+    } else {
+      config[key] = value;
+    }
+  }
+
+  const storage =
+    config.storage === undefined ? { type: "mysql" } : config.storage;
+  if (
+    typeof storage !== "object" ||
+    storage === null ||
+    !storageTypes.includes(storage.type)
+  ) {
+    problems.push(
+      `storage.type must be one of ${storageTypes.join(
+        ", "
+      )} (got ${JSON.stringify(storage && storage.type)})`
+    );
+  } else {
+    config.storage = { ...storageDefaults[storage.type], ...storage };
+    if (
+      storage.type === "files" &&
+      !["csv", "parquet"].includes(config.storage.format)
+    ) {
+      problems.push(
+        `storage.format must be csv or parquet (got ${JSON.stringify(
+          config.storage.format
+        )})`
+      );
+    }
+    // Tick tables can be partitioned by month on MySQL and PostgreSQL;
+    // TimescaleDB already chunks them by day
+    const { partitionByMonth } = config.storage;
+    if (partitionByMonth !== undefined && partitionByMonth !== false) {
+      if (partitionByMonth !== true) {
+        problems.push("storage.partitionByMonth must be true or false");
+      } else if (!["mysql", "postgres"].includes(storage.type)) {
+        problems.push("storage.partitionByMonth needs mysql or postgres");
+      } else if (config.storage.timescale) {
+        problems.push(
+          "storage.partitionByMonth cannot be combined with storage.timescale"
+        );
+      }
+    }
+  }
+
+  const auth = { ...authDefaults, ...config.auth };
+  if (typeof auth.enabled !== "boolean") {
+    problems.push("auth.enabled must be true or false");
+  }
+  if (typeof auth.usersFile !== "string" || auth.usersFile === "") {
+    problems.push("auth.usersFile must be a file path");
+  }
+  if (!Number.isInteger(auth.sessionTtlHours) || auth.sessionTtlHours < 1) {
+    problems.push(
+      `auth.sessionTtlHours must be an integer >= 1 (got ${JSON.stringify(
+        auth.sessionTtlHours
+      )})`
+    );
+  }
+  config.auth = auth;
+
+  const follow = { ...followDefaults, ...config.follow };
+  for (const [key, min] of [
+    ["intervalMinutes", 1],
+    ["delayMinutes", 0],
+  ]) {
+    if (!Number.isInteger(follow[key]) || follow[key] < min) {
+      problems.push(
+        `follow.${key} must be an integer >= ${min} (got ${JSON.stringify(
+          follow[key]
+        )})`
+      );
+    }
+  }
+  config.follow = follow;
+
+  const bulkLoad = { ...bulkLoadDefaults, ...config.bulkLoad };
+  if (typeof bulkLoad.enabled !== "boolean") {
+    problems.push("bulkLoad.enabled must be true or false");
+  }
+  if (
+    !Number.isInteger(bulkLoad.chunkHours) ||
+    bulkLoad.chunkHours < 1 ||
+    bulkLoad.chunkHours > 24
+  ) {
+    problems.push(
+      `bulkLoad.chunkHours must be an integer from 1 to 24 (got ${JSON.stringify(
+        bulkLoad.chunkHours
+      )})`
+    );
+  }
+  if (typeof bulkLoad.directory !== "string" || bulkLoad.directory === "") {
+    problems.push("bulkLoad.directory must be a directory path");
+  }
+  config.bulkLoad = bulkLoad;
+
+  const logging = { ...loggingDefaults, ...config.logging };
+  if (typeof logging.directory !== "string" || logging.directory === "") {
+    problems.push("logging.directory must be a directory path");
+  }
+  if (!logLevels.includes(logging.level)) {
+    problems.push(
+      `logging.level must be one of ${logLevels.join(
+        ", "
+      )} (got ${JSON.stringify(logging.level)})`
+    );
+  }
+  for (const key of ["maxFileMB", "maxFiles"]) {
+    if (!Number.isInteger(logging[key]) || logging[key] < 1) {
+      problems.push(
+        `logging.${key} must be an integer >= 1 (got ${JSON.stringify(
+          logging[key]
+        )})`
+      );
+    }
+  }
+  config.logging = logging;
+
+  const instruments = resolveInstruments(config.instruments);
+  problems.push(...instruments.problems);
+  config.instruments = instruments.overrides;
+
+  const validation = resolveValidation(config.validation);
+  problems.push(...validation.problems);
+  config.validation = validation.rules;
+
+  return problems;
+}
+
+/**
+ * Load the shared job configuration from the config file and apply command
+ * line overrides, e.g. `--symbols eurusd,btcusd --from 2024-01-01 --to today`.
+ * The file is taken from --config, then the CONFIG_FILE environment variable,
+ * then ./config.json.
+ * @param {string[]} [argv] - Command line arguments, without node and script
+ * @param {Object} [scriptOptions] - Extra util.parseArgs options of a single
+ *   script; their values are returned as `args`
+ * @returns {Object} - The validated configuration
+ * @throws {ConfigError} - If the file or any setting is invalid
+ */
+export async function loadConfig(
+  argv = process.argv.slice(2),
+  scriptOptions = {}
+) {
+  let flags;
+  try {
+    ({ values: flags } = parseArgs({
+      args: argv,
+      options: {
+        ...Object.fromEntries(
+          Object.entries(cliOptions).map(([flag, { type }]) => [flag, { type }])
+        ),
+        ...scriptOptions,
+      },
+    }));
+  } catch (error) {
+    throw new ConfigError([error.message]);
+  }
+
+  const configFile =
+    flags.config || process.env.CONFIG_FILE || defaultConfigFile;
+
+  let config;
+  try {
+    config = JSON.parse(await fs.readFile(configFile, "utf8"));
+  } catch (error) {
+    throw new ConfigError([
+      `could not read config file ${configFile}: ${error.message}`,
+    ]);
+  }
+
+  // Flags a script defines for itself are left to the script
+  for (const [flag, { key }] of Object.entries(cliOptions)) {
+    if (!key || flags[flag] === undefined || scriptOptions[flag]) {
+      continue;
+    }
+    if (key === "symbols") {
+      config.symbols = flags[flag]
+        .split(",")
+        .map((symbol) => symbol.trim().toLowerCase())
+        .filter(Boolean);
+    } else if (key === "storage") {
+      // Switching backend drops the file's settings for the other one
+      config.storage =
+        config.storage && config.storage.type === flags[flag]
+          ? config.storage
+          : { type: flags[flag] };
+    } else {
+      config[key] = flags[flag];
+    }
+  }
+
+  const problems = validateConfig(config);
+  if (problems.length > 0) {
+    throw new ConfigError(problems);
+  }
+  configureInstruments(config.instruments);
+
+  const args = Object.fromEntries(
+    Object.keys(scriptOptions).map((flag) => [flag, flags[flag]])
+  );
+  return Object.freeze({ ...config, configFile, args });
+}
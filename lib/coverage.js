@@ -0,0 +1,104 @@
+import { isTradingDay, marketSession } from "./instruments.js";
+import { SlotStatus, dayRange, listDays, toDay } from "./ledger.js";
+
+/**
+ * Describe every day of a symbol's range for the coverage calendar: ticks
+ * stored, ticks quarantined, ledger status and whether it is a gap, i.e. an
+ * imported trading day without a single tick
+ * @param {Object} store - The storage backend
+ * @param {string} symbol - The forex/crypto symbol
+ * @param {string} firstDay - First day (inclusive)
+ * @param {string} lastDay - Last day (inclusive)
+ * @returns {Array<Object>} - {day, ticks, quarantined, status, trading_day, gap}
+ *   per day, oldest first; status is null for days not in the ledger
+ */
+export async function getCoverage(store, symbol, firstDay, lastDay) {
+  const [summaries, quarantined, slots] = await Promise.all([
+    store.readDaySummaries(symbol, firstDay, lastDay),
+    store.getQuarantineDays(symbol, firstDay, lastDay),
+    store.getSymbolSlots(symbol, firstDay, lastDay),
+  ]);
+  const ticks = new Map(summaries.map((day) => [day.day, day.rowCount]));
+  const rejected = new Map(quarantined.map((day) => [day.day, day.ticks]));
+  const statuses = new Map(slots.map((slot) => [slot.day, slot.status]));
+  const session = marketSession(symbol);
+
+  return listDays(firstDay, lastDay).map((day) => {
+    const status = statuses.get(day) || null;
+    const tradingDay = isTradingDay(session, day);
+    const dayTicks = ticks.get(day) || 0;
+    return {
+      day,
+      ticks: dayTicks,
+      quarantined: rejected.get(day) || 0,
+      status,
+      trading_day: tradingDay,
+      gap:
+        tradingDay &&
+        dayTicks === 0 &&
+        status !== null &&
+        status !== SlotStatus.PENDING,
+    };
+  });
+}
+
+/**
+ * Summarise the spreads and volumes of a symbol over a range of days, from
+ * the day summaries and the daily bars
+ * @param {Object} store - The storage backend
+ * @param {string} symbol - The forex/crypto symbol
+ * @param {string} firstDay - First day (inclusive)
+ * @param {string} lastDay - Last day (inclusive)
+ * @returns {Object} - {days_with_data, total_ticks, spread, volume}
+ */
+export async function getMarketSummary(store, symbol, firstDay, lastDay) {
+  const summaries = await store.readDaySummaries(symbol, firstDay, lastDay);
+  const bars = await store.readBars(
+    symbol,
+    "d1",
+    dayRange(firstDay).from,
+    dayRange(lastDay).to
+  );
+
+  const totalTicks = summaries.reduce((sum, day) => sum + day.rowCount, 0);
+  const spread =
+    summaries.length > 0
+      ? {
+          min: Math.min(...summaries.map((day) => day.minSpread)),
+          max: Math.max(...summaries.map((day) => day.maxSpread)),
+          avg:
+            summaries.reduce(
+              (sum, day) => sum + day.avgSpread * day.rowCount,
+              0
+            ) / totalTicks,
+        }
+      : { min: null, max: null, avg: null };
+
+  let bidVolume = 0;
+  let askVolume = 0;
+  let busiest = null;
+  for (const bar of bars) {
+    bidVolume += bar.bidVolume;
+    askVolume += bar.askVolume;
+    const volume = bar.bidVolume + bar.askVolume;
+    if (!busiest || volume > busiest.volume) {
+      busiest = {
+        day: toDay(new Date(bar.timestamp)),
+        volume,
+      };
+    }
+  }
+
+  return {
+    days_with_data: summaries.length,
+    total_ticks: totalTicks,
+    spread,
+    volume: {
+      bid: bidVolume,
+      ask: askVolume,
+      total: bidVolume + askVolume,
+      avg_daily: bars.length > 0 ? (bidVolume + askVolume) / bars.length : null,
+      busiest_day: busiest,
+    },
+  };
+}
@@ -0,0 +1,21 @@
+import mysql from "mysql2/promise";
+
+/**
+ * Create the MySQL connection pool shared by the importer and the dashboard,
+ * using the HOST, USER, PWD, DB and PORT environment variables
+ * @returns {mysql.Pool} - The database pool
+ */
+export function createPool() {
+  return mysql.createPool({
+    host: process.env.HOST,
+    user: process.env.USER,
+    password: process.env.PWD,
+    database: process.env.DB,
+    port: Number(process.env.PORT) || 3306,
+    waitForConnections: true,
+    connectionLimit: 10,
+    queueLimit: 0,
+    // Prices are DECIMAL columns; read them as numbers like the rest
+    decimalNumbers: true,
+  });
+}
@@ -0,0 +1,62 @@
+// Comment line sent to idle clients so proxies do not close the stream
+const defaultHeartbeatMs = 25000;
+
+/**
+ * Format an event in the Server-Sent Events wire format
+ * @param {string} event - The event name
+ * @param {Object} data - The payload, sent as JSON
+ * @returns {string} - The message
+ */
+export function formatEvent(event, data) {
+  return `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+/**
+ * Create the hub that pushes events to dashboards over Server-Sent Events
+ * @param {Object} [options]
+ * @param {number} [options.heartbeatMs] - Interval of the keep-alive comments
+ * @returns {{subscribe: function, publish: function}} - The hub
+ */
+export function createEventHub({ heartbeatMs = defaultHeartbeatMs } = {}) {
+  const clients = new Set();
+
+  const heartbeat = setInterval(() => {
+    for (const res of clients) {
+      res.write(": heartbeat\n\n");
+    }
+  }, heartbeatMs);
+  heartbeat.unref();
+
+  return {
+    /**
+     * Turn a response into an event stream that receives every published
+     * event until the client disconnects
+     * @param {Object} res - The express response
+     * @param {Array<[string, Object]>} [initial] - Events sent to this client first
+     */
+    subscribe(res, initial = []) {
+      res.writeHead(200, {
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        Connection: "keep-alive",
+      });
+      for (const [event, data] of initial) {
+        res.write(formatEvent(event, data));
+      }
+      clients.add(res);
+      res.on("close", () => clients.delete(res));
+    },
+
+    /**
+     * Send an event to every connected client
+     * @param {string} event - The event name
+     * @param {Object} data - The payload, sent as JSON
+     */
+    publish(event, data) {
+      const message = formatEvent(event, data);
+      for (const res of clients) {
+        res.write(message);
+      }
+    },
+  };
+}
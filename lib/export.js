@@ -0,0 +1,525 @@
+import { PassThrough } from "stream";
+import { pipeline } from "stream/promises";
+import zlib from "zlib";
+import { barTimeframes } from "./bars.js";
+import { getInstrument } from "./instruments.js";
+import { listDays, toDay } from "./ledger.js";
+import {
+  parseTimeframe,
+  priceTypes,
+  queryColumns,
+  streamQuery,
+  writeChunk,
+} from "./query.js";
+import { importOptional } from "./storage/index.js";
+
+// Rows gathered into one Parquet row group
+const parquetRowGroupSize = 100000;
+
+const minuteMs = 60 * 1000;
+
+// Parts an export can be split into
+export const exportSplits = ["none", "day", "month"];
+
+// Date and time fields of a timestamp, all UTC
+function timeParts(timestamp) {
+  const iso = new Date(timestamp).toISOString();
+  return {
+    date: iso.slice(0, 10),
+    time: iso.slice(11, 19),
+    millis: iso.slice(20, 23),
+  };
+}
+
+/**
+ * Guess the number of decimals prices are quoted with, for the HST header of
+ * instruments whose decimals are not known
+ */
+function priceDigits(bars) {
+  let digits = 0;
+  for (const bar of bars) {
+    for (const price of [bar.open, bar.high, bar.low, bar.close]) {
+      while (
+        digits < 8 &&
+        Math.abs(Math.round(price * 10 ** digits) - price * 10 ** digits) > 1e-6
+      ) {
+        digits++;
+      }
+    }
+  }
+  return digits;
+}
+
+/**
+ * Get a function rounding prices to the decimals a symbol is quoted with, so
+ * that mid prices come out as prices the platform can quote. Prices pass
+ * unchanged when the decimals are not known.
+ * @param {?number} decimals - See getInstrument
+ * @returns {function(number): number}
+ */
+function priceRounder(decimals) {
+  if (decimals === null) {
+    return (price) => price;
+  }
+  const factor = 10 ** decimals;
+  return (price) => Math.round(price * factor) / factor;
+}
+
+function csvWriter(output, { columns }) {
+  let started = false;
+  return {
+    async rows(rows) {
+      const lines = started ? [] : [columns.join(",")];
+      started = true;
+      for (const row of rows) {
+        lines.push(columns.map((column) => row[column]).join(","));
+      }
+      await writeChunk(output, `${lines.join("\n")}\n`);
+    },
+
+    async end() {
+      if (!started) {
+        await writeChunk(output, `${columns.join(",")}\n`);
+      }
+    },
+  };
+}
+
+async function parquetWriter(output, { columns }) {
+  const { ByteWriter, ParquetWriter, schemaFromColumnData } =
+    await importOptional("hyparquet-writer", "Parquet exports");
+
+  const columnType = (column) =>
+    column === "timestamp"
+      ? "INT64"
+      : column === "tickCount"
+      ? "INT32"
+      : "DOUBLE";
+
+  // Each row group is handed to the output as soon as it is encoded, so only
+  // one row group is held in memory
+  const bytes = new ByteWriter();
+  bytes.flush = async () => {
+    const chunk = Buffer.from(bytes.getBytes());
+    bytes.index = 0;
+    await writeChunk(output, chunk);
+  };
+  bytes.finish = bytes.flush;
+
+  const parquet = new ParquetWriter({
+    writer: bytes,
+    schema: schemaFromColumnData({
+      columnData: columns.map((column) => ({
+        name: column,
+        type: columnType(column),
+        nullable: false,
+        data: [],
+      })),
+    }),
+  });
+
+  let pending = [];
+  const writeGroup = async () => {
+    const rows = pending;
+    pending = [];
+    await parquet.write({
+      columnData: columns.map((column) => ({
+        name: column,
+        data: rows.map((row) =>
+          column === "timestamp" ? BigInt(row[column]) : row[column]
+        ),
+      })),
+      rowGroupSize: rows.length,
+    });
+  };
+
+  return {
+    async rows(rows) {
+      pending.push(...rows);
+      if (pending.length >= parquetRowGroupSize) {
+        await writeGroup();
+      }
+    },
+
+    async end() {
+      if (pending.length > 0) {
+        await writeGroup();
+      }
+      await parquet.finish();
+    },
+  };
+}
+
+// MetaTrader 5 imports the tab-separated layout of its own "Export Bars" and
+// "Export Ticks"; its tick volume column holds the bars' tick counts
+function metatraderWriter(output, { symbol, type }) {
+  const round = priceRounder(getInstrument(symbol).decimals);
+  const header =
+    type === "ticks"
+      ? ["DATE", "TIME", "BID", "ASK", "LAST", "VOLUME"]
+      : [
+          "DATE",
+          "TIME",
+          "OPEN",
+          "HIGH",
+          "LOW",
+          "CLOSE",
+          "TICKVOL",
+          "VOL",
+          "SPREAD",
+        ];
+  let started = false;
+
+  const line = (row) => {
+    const { date, time, millis } = timeParts(row.timestamp);
+    const day = date.replace(/-/g, ".");
+    if (type === "ticks") {
+      return [
+        day,
+        `${time}.${millis}`,
+        round(row.bidPrice),
+        round(row.askPrice),
+        "",
+        Math.round(row.bidVolume + row.askVolume),
+      ];
+    }
+    return [
+      day,
+      time,
+      round(row.open),
+      round(row.high),
+      round(row.low),
+      round(row.close),
+      row.tickCount,
+      Math.round(row.volume),
+      0,
+    ];
+  };
+
+  const writeHeader = () => {
+    started = true;
+    return writeChunk(
+      output,
+      `${header.map((column) => `<${column}>`).join("\t")}\n`
+    );
+  };
+
+  return {
+    async rows(rows) {
+      if (!started) {
+        await writeHeader();
+      }
+      await writeChunk(
+        output,
+        rows.map((row) => `${line(row).join("\t")}\n`).join("")
+      );
+    },
+
+    async end() {
+      if (!started) {
+        await writeHeader();
+      }
+    },
+  };
+}
+
+// MetaTrader 4 history file (.hst, version 401): a 148 byte header and a
+// 60 byte record per bar
+function hstWriter(output, { symbol, periodMs }) {
+  const { decimals } = getInstrument(symbol);
+  const round = priceRounder(decimals);
+  let started = false;
+
+  const header = (bars) => {
+    const buffer = Buffer.alloc(148);
+    buffer.writeInt32LE(401, 0);
+    buffer.write("Dukascopy Data Miner", 4, 64, "latin1");
+    buffer.write(symbol.toUpperCase(), 68, 12, "latin1");
+    buffer.writeInt32LE(periodMs / minuteMs, 80);
+    buffer.writeInt32LE(
+      decimals ?? (bars.length > 0 ? priceDigits(bars) : 5),
+      84
+    );
+    buffer.writeInt32LE(Math.floor(Date.now() / 1000), 88);
+    started = true;
+    return buffer;
+  };
+
+  return {
+    async rows(bars) {
+      const buffer = Buffer.alloc(bars.length * 60);
+      bars.forEach((bar, index) => {
+        const offset = index * 60;
+        buffer.writeBigInt64LE(BigInt(bar.timestamp / 1000), offset);
+        buffer.writeDoubleLE(round(bar.open), offset + 8);
+        buffer.writeDoubleLE(round(bar.high), offset + 16);
+        buffer.writeDoubleLE(round(bar.low), offset + 24);
+        buffer.writeDoubleLE(round(bar.close), offset + 32);
+        buffer.writeBigInt64LE(BigInt(bar.tickCount), offset + 40);
+        buffer.writeInt32LE(0, offset + 48);
+        buffer.writeBigInt64LE(BigInt(Math.round(bar.volume)), offset + 52);
+      });
+      await writeChunk(
+        output,
+        started ? buffer : Buffer.concat([header(bars), buffer])
+      );
+    },
+
+    async end() {
+      if (!started) {
+        await writeChunk(output, header([]));
+      }
+    },
+  };
+}
+
+// NinjaTrader 8 text imports: ticks as "yyyyMMdd HHmmss fffffff;price;volume",
+// minute bars stamped with their close time and daily bars with their day
+function ninjatraderWriter(output, { symbol, type, periodMs }) {
+  const round = priceRounder(getInstrument(symbol).decimals);
+  const line = (row) => {
+    if (type === "ticks") {
+      const { date, time, millis } = timeParts(row.timestamp);
+      return `${date.replace(/-/g, "")} ${time.replace(
+        /:/g,
+        ""
+      )} ${millis}0000;${round(row.price)};${Math.round(row.volume)}`;
+    }
+    const prices = [row.open, row.high, row.low, row.close]
+      .map(round)
+      .concat(Math.round(row.volume))
+      .join(";");
+    if (periodMs === barTimeframes.d1) {
+      return `${timeParts(row.timestamp).date.replace(/-/g, "")};${prices}`;
+    }
+    const { date, time } = timeParts(row.timestamp + periodMs);
+    return `${date.replace(/-/g, "")} ${time.replace(/:/g, "")};${prices}`;
+  };
+
+  return {
+    async rows(rows) {
+      await writeChunk(output, rows.map((row) => `${line(row)}\n`).join(""));
+    },
+
+    async end() {},
+  };
+}
+
+const singlePrices = ["bid", "ask", "mid"];
+
+/**
+ * Export formats. prices lists the price types each kind of data can be
+ * exported with, the default first; kinds without an entry are not supported.
+ */
+export const exportFormats = {
+  csv: {
+    extension: "csv.gz",
+    contentType: "application/gzip",
+    gzip: true,
+    prices: { ticks: priceTypes, bars: priceTypes },
+    create: csvWriter,
+  },
+  parquet: {
+    extension: "parquet",
+    contentType: "application/vnd.apache.parquet",
+    prices: { ticks: priceTypes, bars: priceTypes },
+    create: parquetWriter,
+  },
+  metatrader: {
+    extension: "csv",
+    contentType: "text/csv",
+    prices: { ticks: ["both"], bars: singlePrices },
+    create: metatraderWriter,
+  },
+  hst: {
+    extension: "hst",
+    contentType: "application/octet-stream",
+    prices: { bars: singlePrices },
+    timeframeError: (periodMs) =>
+      periodMs % minuteMs === 0
+        ? null
+        : "hst exports need a timeframe of whole minutes",
+    create: hstWriter,
+  },
+  ninjatrader: {
+    extension: "txt",
+    contentType: "text/plain",
+    prices: { ticks: singlePrices, bars: singlePrices },
+    timeframeError: (periodMs) =>
+      periodMs === barTimeframes.m1 || periodMs === barTimeframes.d1
+        ? null
+        : "ninjatrader exports take m1 or d1 bars",
+    create: ninjatraderWriter,
+  },
+};
+
+/**
+ * Check the settings of an export and fill in its defaults
+ * @param {Object} options
+ * @param {string} options.symbol - The forex/crypto symbol
+ * @param {string} options.type - "ticks" or "bars"
+ * @param {string} [options.timeframe] - Bar timeframe, see parseTimeframe
+ * @param {string} [options.price] - One of the format's price types
+ * @param {string} options.format - One of exportFormats
+ * @param {number} options.from - Start in epoch milliseconds
+ * @param {number} options.to - End in epoch milliseconds (exclusive)
+ * @param {string} [options.split] - One of exportSplits, none by default
+ * @returns {{job: Object}|{error: string}} - The export or what is wrong with it
+ */
+export function resolveExport({
+  symbol,
+  type,
+  timeframe,
+  price,
+  format,
+  from,
+  to,
+  split = "none",
+}) {
+  if (typeof format !== "string" || !Object.hasOwn(exportFormats, format)) {
+    return {
+      error: `format must be one of ${Object.keys(exportFormats).join(", ")}`,
+    };
+  }
+  if (!["ticks", "bars"].includes(type)) {
+    return { error: "type must be ticks or bars" };
+  }
+  const exportFormat = exportFormats[format];
+  const prices = exportFormat.prices[type];
+  if (!prices) {
+    return { error: `${format} exports only take bars` };
+  }
+  const exportPrice = price || prices[0];
+  if (!prices.includes(exportPrice)) {
+    return {
+      error: `price of ${format} ${type} must be one of ${prices.join(", ")}`,
+    };
+  }
+
+  let periodMs;
+  if (type === "bars") {
+    periodMs = parseTimeframe(timeframe);
+    if (!periodMs) {
+      return {
+        error:
+          "timeframe must be a number of seconds, minutes, hours or days that divides a day, e.g. s10, m1, m30, h4, d1",
+      };
+    }
+    const timeframeError =
+      exportFormat.timeframeError && exportFormat.timeframeError(periodMs);
+    if (timeframeError) {
+      return { error: timeframeError };
+    }
+  }
+
+  if (!exportSplits.includes(split)) {
+    return { error: `split must be one of ${exportSplits.join(", ")}` };
+  }
+  if (!(from < to)) {
+    return { error: "from must be before to" };
+  }
+
+  return {
+    job: {
+      symbol,
+      type,
+      timeframe: type === "bars" ? timeframe : undefined,
+      periodMs,
+      price: exportPrice,
+      format,
+      from,
+      to,
+      split,
+      columns: queryColumns(type, exportPrice),
+    },
+  };
+}
+
+/**
+ * Split the range of an export into the parts written as separate files,
+ * e.g. eurusd_m5_bid_2024-01.csv.gz for a monthly split. Days without ticks
+ * in the day summaries, such as weekends, get no part of their own.
+ * @param {Object} store - The storage backend
+ * @param {Object} job - The export, see resolveExport
+ * @returns {Promise<Array<{name: string, from: number, to: number}>>} - File
+ *   name and time range of each part, oldest first
+ */
+export async function listExportParts(store, job) {
+  const { symbol, type, timeframe, price, format, from, to, split } = job;
+  const name = (label) =>
+    `${[symbol, type === "ticks" ? "ticks" : timeframe, price, label].join(
+      "_"
+    )}.${exportFormats[format].extension}`;
+
+  if (split === "none") {
+    const lastDay = toDay(new Date(to - 1));
+    const firstDay = toDay(new Date(from));
+    return [
+      {
+        name: name(firstDay === lastDay ? firstDay : `${firstDay}_${lastDay}`),
+        from,
+        to,
+      },
+    ];
+  }
+
+  const summaries = await store.readDaySummaries(
+    symbol,
+    toDay(new Date(from)),
+    toDay(new Date(to - 1))
+  );
+  const daysWithTicks = new Set(
+    summaries.filter((summary) => summary.rowCount > 0).map(({ day }) => day)
+  );
+
+  const parts = [];
+  for (const day of listDays(new Date(from), new Date(to - 1))) {
+    if (!daysWithTicks.has(day)) {
+      continue;
+    }
+    const label = split === "day" ? day : day.slice(0, 7);
+    const start = Date.parse(`${day}T00:00:00Z`);
+    const end = start + barTimeframes.d1;
+    const last = parts[parts.length - 1];
+    if (last && last.label === label) {
+      last.to = Math.min(end, to);
+    } else {
+      parts.push({ label, from: Math.max(start, from), to: Math.min(end, to) });
+    }
+  }
+  return parts.map(({ label, ...range }) => ({ name: name(label), ...range }));
+}
+
+/**
+ * Write one part of an export to a stream, reading the store chunk by chunk
+ * so that memory use does not grow with the size of the export. The
+ * destination is ended once the part is complete.
+ * @param {Object} store - The storage backend
+ * @param {Object} job - The export, see resolveExport
+ * @param {{from: number, to: number}} part - Time range of the part
+ * @param {Writable} destination - A file or HTTP response
+ * @returns {Promise<number>} - Number of rows written
+ */
+export async function writeExport(store, job, part, destination) {
+  const format = exportFormats[job.format];
+  const output = format.gzip ? zlib.createGzip() : new PassThrough();
+  const writer = await format.create(output, job);
+  const done = pipeline(output, destination);
+  // Rejections are picked up below once the rows are written
+  done.catch(() => {});
+
+  try {
+    const { count } = await streamQuery(
+      store,
+      { ...job, from: part.from, to: part.to, limit: Infinity },
+      (rows) => writer.rows(rows)
+    );
+    await writer.end();
+    output.end();
+    await done;
+    return count;
+  } catch (error) {
+    output.destroy(error);
+    throw error;
+  }
+}
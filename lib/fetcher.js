@@ -0,0 +1,253 @@
+import {
+  getHistoricalRates as dukascopyGetHistoricalRates,
+  generateUrls,
+} from "dukascopy-node";
+import { log } from "./logger.js";
+
+const hourMs = 60 * 60 * 1000;
+
+// Network error codes worth another attempt
+const transientErrorCodes = new Set([
+  "ETIMEDOUT",
+  "ECONNRESET",
+  "ECONNREFUSED",
+  "ECONNABORTED",
+  "EPIPE",
+  "EAI_AGAIN",
+  "ENETUNREACH",
+  "EHOSTUNREACH",
+  "UND_ERR_CONNECT_TIMEOUT",
+  "UND_ERR_HEADERS_TIMEOUT",
+  "UND_ERR_BODY_TIMEOUT",
+  "UND_ERR_SOCKET",
+]);
+
+/**
+ * Raised when a download fails for good, either because the error is
+ * permanent or because every retry was used up
+ */
+export class FetchError extends Error {
+  /**
+   * @param {string} message - What went wrong
+   * @param {Object} details
+   * @param {boolean} details.transient - Whether the last error was transient
+   * @param {number} details.attempts - Number of attempts made
+   * @param {*} details.cause - The last underlying error
+   */
+  constructor(message, { transient, attempts, cause }) {
+    super(message, { cause });
+    this.name = "FetchError";
+    this.transient = transient;
+    this.attempts = attempts;
+  }
+}
+
+/**
+ * Describe an error thrown by getHistoricalRates. dukascopy-node throws
+ * `{ validationErrors }` objects for invalid requests such as an unknown
+ * instrument, and plain Errors for everything else.
+ * @param {*} error - The thrown value
+ * @returns {string} - A readable message
+ */
+function describeError(error) {
+  if (error && Array.isArray(error.validationErrors)) {
+    return error.validationErrors.map((e) => e.message).join("; ");
+  }
+  if (error && error.cause && error.cause.message) {
+    return `${error.message} (${error.cause.message})`;
+  }
+  return error && error.message ? error.message : String(error);
+}
+
+/**
+ * Decide whether an error from getHistoricalRates is worth retrying.
+ * Timeouts, connection resets, HTTP 5xx, 408 and 429 are transient; invalid
+ * requests and other HTTP 4xx responses are permanent.
+ * @param {*} error - The thrown value
+ * @returns {boolean} - True if the request may succeed when retried
+ */
+export function isTransientError(error) {
+  if (!error) {
+    return false;
+  }
+  if (Array.isArray(error.validationErrors)) {
+    return false;
+  }
+
+  const code = error.code || (error.cause && error.cause.code);
+  if (code && transientErrorCodes.has(code)) {
+    return true;
+  }
+  if (error.name === "AbortError" || error.name === "TimeoutError") {
+    return true;
+  }
+
+  const status = /status (\d{3})/.exec(error.message || "");
+  if (status) {
+    const statusCode = Number(status[1]);
+    return statusCode >= 500 || statusCode === 408 || statusCode === 429;
+  }
+
+  // fetch() rejects with "fetch failed" for network level problems, and a
+  // truncated download shows up as an invalid data response
+  return /fetch failed|socket hang up|timed? ?out|invalid .*response/i.test(
+    error.message || ""
+  );
+}
+
+/**
+ * Delay before the given retry, using exponential backoff with full jitter
+ * @param {number} retry - Retry number, starting at 1
+ * @param {number} baseDelayMs - Delay ceiling of the first retry
+ * @param {number} maxDelayMs - Upper bound of the delay ceiling
+ * @returns {number} - Delay in milliseconds
+ */
+export function backoffDelay(retry, baseDelayMs, maxDelayMs) {
+  const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** (retry - 1));
+  return Math.round(Math.random() * ceiling);
+}
+
+/**
+ * Count the files Dukascopy serves for a download: one per hour of ticks,
+ * and one per day, month or year of candles depending on the timeframe
+ * @param {string} symbol - The forex/crypto symbol
+ * @param {Date} fromDate - Start date
+ * @param {Date} toDate - End date
+ * @param {string} timeframe - tick or a candle timeframe
+ * @param {string} [side] - bid or ask, for candles
+ * @returns {number} - The number of files, at least 1
+ */
+function countFiles(symbol, fromDate, toDate, timeframe, side) {
+  if (timeframe === "tick") {
+    return Math.max(1, Math.ceil((toDate - fromDate) / hourMs));
+  }
+  const urls = generateUrls({
+    instrument: symbol,
+    timeframe,
+    priceType: side,
+    startDate: fromDate,
+    endDate: toDate,
+  });
+  return Math.max(1, urls.length);
+}
+
+/**
+ * Create the function used to download historical data, ticks or bid/ask
+ * candles. Every attempt takes one rate limiter token per file Dukascopy
+ * serves for the range.
+ * @param {Object} options
+ * @param {{acquire: Function}} options.limiter - Shared rate limiter
+ * @param {number} options.batchSize - Requests dukascopy-node runs per batch
+ * @param {number} options.pauseBetweenBatchesMs - Pause between those batches
+ * @param {number} options.maxRetries - Retries allowed after a transient error
+ * @param {number} options.retryBaseDelayMs - Backoff ceiling of the first retry
+ * @param {number} options.retryMaxDelayMs - Largest backoff ceiling
+ * @param {Function} [options.getHistoricalRates] - Download implementation, replaceable with a stub
+ * @returns {function(string, Date, Date, Object): Promise<Array>} - fetchHistoricalData
+ */
+export function createFetcher({
+  limiter,
+  batchSize,
+  pauseBetweenBatchesMs,
+  maxRetries,
+  retryBaseDelayMs,
+  retryMaxDelayMs,
+  getHistoricalRates = dukascopyGetHistoricalRates,
+}) {
+  /**
+   * Fetch historical data for a specific symbol and date range
+   * @param {string} symbol - The forex/crypto symbol
+   * @param {Date} fromDate - Start date
+   * @param {Date} toDate - End date
+   * @param {Object} [options]
+   * @param {string} [options.timeframe] - tick (the default) or a candle
+   *   timeframe such as m1
+   * @param {string} [options.side] - bid or ask, for candles
+   * @returns {Array} - Ticks, or candles with timestamp, open, high, low,
+   *   close and volume
+   * @throws {FetchError} - If the data could not be downloaded
+   */
+  return async function fetchHistoricalData(
+    symbol,
+    fromDate,
+    toDate,
+    { timeframe = "tick", side } = {}
+  ) {
+    const fields = { symbol, day: fromDate.toISOString().split("T")[0] };
+    const candles = timeframe !== "tick";
+    if (candles) {
+      Object.assign(fields, { timeframe, side });
+    }
+    for (let attempt = 1; ; attempt++) {
+      const startedAt = Date.now();
+      try {
+        await limiter.acquire(
+          countFiles(symbol, fromDate, toDate, timeframe, side)
+        );
+
+        log.info(
+          `Fetching ${
+            candles ? `${timeframe} ${side} candles` : "data"
+          } for ${symbol} from ${fromDate.toISOString()} to ${toDate.toISOString()}${
+            attempt > 1 ? ` (attempt ${attempt})` : ""
+          }`,
+          fields
+        );
+
+        const data = await getHistoricalRates({
+          instrument: symbol,
+          dates: {
+            from: fromDate,
+            to: toDate,
+          },
+          timeframe,
+          ...(candles && { priceType: side, volumes: true }),
+          volumeUnits: "units",
+          // Flat candles are the ones Dukascopy fills in while the market
+          // is closed
+          ignoreFlats: candles,
+          batchSize: batchSize,
+          pauseBetweenBatchesMs: pauseBetweenBatchesMs,
+          // Without a retry dukascopy-node turns HTTP errors into empty
+          // hours; with one it throws once the retry fails too
+          retryCount: 1,
+          failAfterRetryCount: true,
+          format: "json",
+        });
+
+        log.info(`Retrieved ${data.length} records for ${symbol}`, {
+          ...fields,
+          records: data.length,
+          duration_ms: Date.now() - startedAt,
+        });
+        return data;
+      } catch (error) {
+        const transient = isTransientError(error);
+        const message = describeError(error);
+
+        if (!transient || attempt > maxRetries) {
+          log.error(`Error fetching data for ${symbol}: ${message}`, {
+            ...fields,
+            attempts: attempt,
+            duration_ms: Date.now() - startedAt,
+          });
+          throw new FetchError(
+            transient
+              ? `Gave up after ${attempt} attempts: ${message}`
+              : `Permanent error: ${message}`,
+            { transient, attempts: attempt, cause: error }
+          );
+        }
+
+        const delay = backoffDelay(attempt, retryBaseDelayMs, retryMaxDelayMs);
+        log.warn(
+          `Transient error fetching ${symbol} (attempt ${attempt}/${
+            maxRetries + 1
+          }), retrying in ${delay}ms: ${message}`,
+          { ...fields, attempts: attempt, duration_ms: Date.now() - startedAt }
+        );
+        await new Promise((resolve) => setTimeout(resolve, delay));
+      }
+    }
+  };
+}
@@ -0,0 +1,263 @@
+import fs from "fs/promises";
+import {
+  SlotStatus,
+  dayRange,
+  getOpenSlots,
+  hourRange,
+  listDays,
+  markSlot,
+  planSlots,
+  toDay,
+} from "./ledger.js";
+import { isProcessRunning } from "./runLock.js";
+
+// Written by the follow mode after every poll, read by the dashboard
+export const followStatusFile = "./follow-status.json";
+
+const hourMs = 60 * 60 * 1000;
+const dayMs = 24 * hourMs;
+
+// A poll this late makes the follow mode stale
+const staleGraceMs = 5 * 60 * 1000;
+
+const isComplete = (status) =>
+  status === SlotStatus.DONE || status === SlotStatus.EMPTY;
+
+/**
+ * Get the end of the last finished hour that Dukascopy should have published
+ * by now; an hour is only fetched once it has been over for delayMinutes
+ * @param {Date} now - The current time
+ * @param {number} delayMinutes - Publishing delay allowed for an hour
+ * @returns {Date} - Exclusive end of the complete hours
+ */
+export function lastCompleteHour(now, delayMinutes) {
+  const settled = now.getTime() - delayMinutes * 60 * 1000;
+  return new Date(settled - (settled % hourMs));
+}
+
+/**
+ * Create the planner of the follow mode. Finished days are imported as day
+ * slots; the day in progress is imported hour by hour so that each poll only
+ * downloads the hours published since the last one. Once that day is over,
+ * only its missing hours are fetched and its hour slots are folded into its
+ * day slot.
+ * @param {Object} options
+ * @param {Object} options.store - The storage backend
+ * @param {string[]} options.symbols - The forex/crypto symbols
+ * @param {string} options.startDate - First day of the history to keep
+ * @returns {Object} - The planner
+ */
+export function createFollower({ store, symbols, startDate }) {
+  // Days up to this one (exclusive) are registered in the ledger
+  let plannedUntil = startDate;
+
+  return {
+    /**
+     * Get every slot still needed to have the history complete up to a time
+     * @param {Date} until - Exclusive end of the complete hours
+     * @returns {Promise<Array>} - Day and hour slots for importSlots, oldest first
+     */
+    async plan(until) {
+      const currentDay = toDay(until);
+      if (currentDay < startDate) {
+        return [];
+      }
+      const previousDay = toDay(new Date(until.getTime() - dayMs));
+
+      if (plannedUntil < currentDay) {
+        await planSlots(store, symbols, listDays(plannedUntil, previousDay));
+        plannedUntil = currentDay;
+      }
+
+      const hourSlots = await store.getHourSlots(
+        symbols,
+        startDate,
+        currentDay
+      );
+      const followedDays = new Set(
+        hourSlots.map((slot) => `${slot.symbol}|${slot.day}`)
+      );
+      const completeHours = new Set(
+        hourSlots
+          .filter((slot) => isComplete(slot.status))
+          .map((slot) => `${slot.symbol}|${slot.day}|${slot.hour}`)
+      );
+      const missingHours = (symbol, day, hours) =>
+        Array.from({ length: hours }, (_, hour) => hour)
+          .filter((hour) => !completeHours.has(`${symbol}|${day}|${hour}`))
+          .map((hour) => ({ symbol, day, hour }));
+
+      const slots = [];
+      if (startDate < currentDay) {
+        const openSlots = await getOpenSlots(
+          store,
+          symbols,
+          startDate,
+          previousDay
+        );
+        for (const slot of openSlots) {
+          if (followedDays.has(`${slot.symbol}|${slot.day}`)) {
+            slots.push(...missingHours(slot.symbol, slot.day, 24));
+          } else {
+            slots.push(slot);
+          }
+        }
+      }
+      for (const symbol of symbols) {
+        slots.push(...missingHours(symbol, currentDay, until.getUTCHours()));
+      }
+      return slots;
+    },
+
+    /**
+     * Fold the hour slots of finished days whose hours are all done into
+     * their day slot
+     * @param {Date} until - Exclusive end of the complete hours
+     * @returns {Promise<number>} - Number of days completed
+     */
+    async completeDays(until) {
+      const currentDay = toDay(until);
+      const hourSlots = await store.getHourSlots(
+        symbols,
+        startDate,
+        currentDay
+      );
+
+      const days = new Map();
+      for (const slot of hourSlots) {
+        if (slot.day < currentDay) {
+          const key = `${slot.symbol}|${slot.day}`;
+          days.set(key, [...(days.get(key) || []), slot]);
+        }
+      }
+
+      let completed = 0;
+      for (const hours of days.values()) {
+        const { symbol, day } = hours[0];
+        if (hours.length < 24 || !hours.every((h) => isComplete(h.status))) {
+          continue;
+        }
+        const rowCount = hours.reduce((sum, h) => sum + (h.row_count || 0), 0);
+        await store.transaction(async (tx) => {
+          await markSlot(
+            tx,
+            symbol,
+            day,
+            rowCount > 0 ? SlotStatus.DONE : SlotStatus.EMPTY,
+            { rowCount }
+          );
+          await tx.clearHourSlots(symbol, day);
+        });
+        completed++;
+      }
+      return completed;
+    },
+  };
+}
+
+/**
+ * Work out how far each symbol's history is complete: up to the start of
+ * its oldest open slot, or up to `until` if nothing is open
+ * @param {string[]} symbols - The forex/crypto symbols
+ * @param {Array} openSlots - Slots still open, as returned by plan()
+ * @param {Date} until - Exclusive end of the complete hours
+ * @returns {Object} - ISO timestamp per symbol
+ */
+export function getCaughtUpTo(symbols, openSlots, until) {
+  const caughtUpTo = Object.fromEntries(
+    symbols.map((symbol) => [symbol, until.getTime()])
+  );
+  for (const slot of openSlots) {
+    const { from } =
+      slot.hour === undefined
+        ? dayRange(slot.day)
+        : hourRange(slot.day, slot.hour);
+    caughtUpTo[slot.symbol] = Math.min(caughtUpTo[slot.symbol], from.getTime());
+  }
+  return Object.fromEntries(
+    Object.entries(caughtUpTo).map(([symbol, time]) => [
+      symbol,
+      new Date(time).toISOString(),
+    ])
+  );
+}
+
+/**
+ * Save the state of the follow mode for the dashboard
+ * @param {Object} status - The state, see index.js
+ */
+export async function writeFollowStatus(status) {
+  const temporary = `${followStatusFile}.${process.pid}.tmp`;
+  await fs.writeFile(temporary, JSON.stringify(status, null, 2));
+  await fs.rename(temporary, followStatusFile);
+}
+
+/**
+ * Judge the health of the follow mode from its status file:
+ *
+ *   off       never started here
+ *   stopped   stopped, or its process is gone
+ *   stale     missed its polls
+ *   failing   the last poll failed
+ *   lagging   some symbol is more than an hour behind the last finished hour
+ *   healthy   caught up
+ *
+ * @param {Date} [now] - The current time
+ * @returns {Promise<Object>} - The state, what the follow mode is doing
+ *   (activity: polling, sleeping or stopped), its last poll and the lag of
+ *   each symbol
+ */
+export async function getFollowHealth(now = new Date()) {
+  let status;
+  try {
+    status = JSON.parse(await fs.readFile(followStatusFile, "utf8"));
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return { state: "off" };
+    }
+    throw error;
+  }
+
+  const expected = lastCompleteHour(now, status.delayMinutes).getTime();
+  const symbols = Object.entries(status.caughtUpTo || {}).map(
+    ([symbol, caughtUpTo]) => ({
+      symbol,
+      caught_up_to: caughtUpTo,
+      lag_seconds: Math.max(
+        0,
+        Math.round((expected - Date.parse(caughtUpTo)) / 1000)
+      ),
+    })
+  );
+  const lagSeconds = Math.max(0, ...symbols.map((s) => s.lag_seconds));
+
+  let state = "healthy";
+  if (status.state === "stopped" || !isProcessRunning(status.pid)) {
+    state = "stopped";
+  } else if (
+    status.state === "sleeping" &&
+    now - Date.parse(status.nextPollAt) > staleGraceMs
+  ) {
+    state = "stale";
+  } else if (status.lastError) {
+    state = "failing";
+  } else if (symbols.length === 0 || lagSeconds * 1000 > hourMs) {
+    state = "lagging";
+  }
+
+  return {
+    state,
+    activity: status.state,
+    pid: status.pid,
+    started_at: status.startedAt,
+    last_poll_at: status.lastPollAt,
+    last_success_at: status.lastSuccessAt,
+    next_poll_at: status.nextPollAt,
+    interval_minutes: status.intervalMinutes,
+    delay_minutes: status.delayMinutes,
+    last_error: status.lastError,
+    last_poll: status.lastPoll,
+    lag_seconds: lagSeconds,
+    symbols,
+  };
+}
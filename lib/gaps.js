@@ -0,0 +1,201 @@
+import { rebuildBars } from "./bars.js";
+import { getInstrument, isOpenDuring, marketSession } from "./instruments.js";
+import { SlotStatus, dayRange, listDays, markSlot } from "./ledger.js";
+import { quarantineRejected } from "./validation.js";
+import { runWorkerPool } from "./workerPool.js";
+
+const hourMs = 60 * 60 * 1000;
+const dayMs = 24 * hourMs;
+
+// Tick counts are read this many days at a time
+const scanChunkDays = 31;
+
+// Bucket sizes a symbol's ticks can be scanned at
+export const gapGranularities = Object.freeze({
+  hour: hourMs,
+  day: dayMs,
+});
+
+/**
+ * Find the holes in a symbol's stored ticks: runs of buckets without a single
+ * tick while the market was open. Closed buckets (e.g. forex weekends) neither
+ * count as missing nor split a gap. The scan starts no earlier than the
+ * instrument's earliest date and ends no later than now, so holes before the
+ * first or after the last stored tick are found too.
+ * @param {Object} store - The storage backend
+ * @param {string} symbol - The forex/crypto symbol
+ * @param {Object} options
+ * @param {Date} options.fromDate - Start of the range to scan
+ * @param {Date} options.toDate - End of the range to scan (exclusive)
+ * @param {string} [options.granularity] - "hour" or "day"
+ * @param {number} [options.minBuckets] - Smallest number of missing buckets reported
+ * @returns {Array<{symbol: string, from: Date, to: Date, buckets: number}>} - The gaps, oldest first
+ */
+export async function findGaps(
+  store,
+  symbol,
+  { fromDate, toDate, granularity = "hour", minBuckets = 1 }
+) {
+  if (!Object.hasOwn(gapGranularities, granularity)) {
+    throw new Error(`Unknown gap granularity ${granularity}`);
+  }
+  const bucketMs = gapGranularities[granularity];
+
+  const { earliest_date: earliestDate } = getInstrument(symbol);
+  const floor = (time) => time - (time % bucketMs);
+  const start = floor(
+    Math.max(
+      fromDate.getTime(),
+      earliestDate ? dayRange(earliestDate).from.getTime() : -Infinity
+    )
+  );
+  // The bucket in progress is still being filled
+  const end = Math.min(toDate.getTime(), floor(Date.now()));
+  const session = marketSession(symbol);
+  const gaps = [];
+  let current = null;
+
+  const closeGap = () => {
+    if (current && current.buckets >= minBuckets) {
+      gaps.push({
+        symbol,
+        from: new Date(current.from),
+        to: new Date(current.to),
+        buckets: current.buckets,
+      });
+    }
+    current = null;
+  };
+
+  for (let chunk = start; chunk < end; chunk += scanChunkDays * dayMs) {
+    const chunkEnd = Math.min(chunk + scanChunkDays * dayMs, end);
+    const counts = new Map(
+      (
+        await store.tickCounts(
+          symbol,
+          new Date(chunk),
+          new Date(chunkEnd),
+          bucketMs
+        )
+      ).map(({ timestamp, count }) => [timestamp, count])
+    );
+
+    for (let bucket = chunk; bucket < chunkEnd; bucket += bucketMs) {
+      if (!isOpenDuring(session, bucket, bucketMs)) {
+        continue;
+      }
+      if (counts.get(bucket)) {
+        closeGap();
+      } else if (current) {
+        current.to = bucket + bucketMs;
+        current.buckets++;
+      } else {
+        current = { from: bucket, to: bucket + bucketMs, buckets: 1 };
+      }
+    }
+  }
+  closeGap();
+
+  return gaps;
+}
+
+/**
+ * Split gaps into download ranges that stay within one UTC day
+ * @param {Array} gaps - Gaps from findGaps
+ * @returns {Array<{symbol: string, day: string, from: Date, to: Date}>} - The ranges
+ */
+export function gapRanges(gaps) {
+  const ranges = [];
+  for (const { symbol, from, to } of gaps) {
+    for (const day of listDays(from, new Date(to.getTime() - 1))) {
+      const bounds = dayRange(day);
+      ranges.push({
+        symbol,
+        day,
+        from: new Date(Math.max(from.getTime(), bounds.from.getTime())),
+        to: new Date(Math.min(to.getTime(), bounds.to.getTime())),
+      });
+    }
+  }
+  return ranges;
+}
+
+/**
+ * Download the ranges of the given gaps again and store what comes back
+ * after validation.
+ * The bars of every touched day are rebuilt from the stored ticks, and a gap
+ * covering a whole day updates that day's ledger slot.
+ * @param {Array} gaps - Gaps from findGaps
+ * @param {Object} options
+ * @param {Object} options.store - The storage backend
+ * @param {Function} options.fetchHistoricalData - Downloads (symbol, from, to)
+ * @param {Object} options.validation - Validation rules per asset class
+ * @param {number} options.concurrency - Number of ranges in flight at once
+ * @returns {{ranges: number, filled: number, failed: number, records: number}} - Outcome counts
+ */
+export async function backfillGaps(
+  gaps,
+  { store, fetchHistoricalData, validation, concurrency }
+) {
+  const ranges = gapRanges(gaps);
+  const result = { ranges: ranges.length, filled: 0, failed: 0, records: 0 };
+
+  await runWorkerPool(
+    ranges,
+    concurrency,
+    async ({ symbol, day, from, to }) => {
+      const wholeDay = to.getTime() - from.getTime() === dayMs;
+      const range = `${symbol} ${from.toISOString()} - ${to.toISOString()}`;
+
+      try {
+        const data = await fetchHistoricalData(symbol, from, to);
+        const accepted = await store.transaction(async (tx) => {
+          const accepted =
+            data.length > 0
+              ? await quarantineRejected(tx, symbol, data, validation)
+              : [];
+          if (accepted.length > 0) {
+            await tx.upsertTicks(symbol, accepted);
+            const bounds = dayRange(day);
+            await rebuildBars(tx, symbol, bounds.from, bounds.to);
+          }
+          if (wholeDay) {
+            await markSlot(
+              tx,
+              symbol,
+              day,
+              data.length > 0 ? SlotStatus.DONE : SlotStatus.EMPTY,
+              { rowCount: accepted.length }
+            );
+          }
+          return accepted;
+        });
+        if (accepted.length > 0) {
+          result.filled++;
+          result.records += accepted.length;
+        }
+        console.log(`Backfilled ${range}: ${accepted.length} records`);
+      } catch (error) {
+        console.error(`Failed to backfill ${range}:`, error);
+        result.failed++;
+        if (wholeDay) {
+          try {
+            await markSlot(store, symbol, day, SlotStatus.FAILED, {
+              error: error.message,
+            });
+          } catch (ledgerError) {
+            console.error(
+              `Error updating ledger for ${symbol} ${day}:`,
+              ledgerError
+            );
+          }
+        }
+      }
+    }
+  );
+
+  console.log(
+    `Backfill finished: ${result.filled} of ${result.ranges} ranges filled, ${result.failed} failed, ${result.records} records stored`
+  );
+  return result;
+}
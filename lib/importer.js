@@ -0,0 +1,248 @@
+import { fetchInChunks, stageTicks } from "./bulkLoad.js";
+import { candleRange, markCandleSlot } from "./candles.js";
+import {
+  SlotStatus,
+  dayRange,
+  hourRange,
+  markHourSlot,
+  markSlot,
+  slotLabel,
+} from "./ledger.js";
+import { log } from "./logger.js";
+import { quarantineRejected, quarantineTicks, rulesFor } from "./validation.js";
+import { runWorkerPool } from "./workerPool.js";
+
+/**
+ * Process one candle slot: download the candles of its period, then store
+ * them and record the outcome in one transaction. A period that is not over
+ * yet stays pending so the next run downloads the rest of it.
+ * @param {Object} slot - The (symbol, timeframe, side, day) candle slot
+ * @param {Object} options - See importSlots
+ * @returns {{status: string, rowCount: number, error: ?string}} - The recorded outcome
+ */
+async function processCandleSlot(slot, options) {
+  const { store, fetchHistoricalData, uploadData } = options;
+  const { symbol, timeframe, side } = slot;
+  const { from, to, unfinished } = candleRange(slot);
+
+  const data = await fetchHistoricalData(symbol, from, to, {
+    timeframe,
+    side,
+  });
+  const status = unfinished
+    ? SlotStatus.PENDING
+    : data.length > 0
+    ? SlotStatus.DONE
+    : SlotStatus.EMPTY;
+  await store.transaction(async (tx) => {
+    if (data.length > 0) {
+      await uploadData(tx, data, symbol, slot);
+    }
+    await markCandleSlot(tx, slot, status, { rowCount: data.length });
+  });
+  return { status, rowCount: data.length, error: null };
+}
+
+/**
+ * Process one ledger slot: download it, then store it and record the outcome
+ * in one transaction, so the ledger never says done for ticks that were not
+ * all written. The slot's ticks replace those already stored for its range.
+ * With bulk loading on, tick slots are downloaded in parts into a staging
+ * file instead of an array, see lib/bulkLoad.js.
+ * @param {Object} slot - The (symbol, day) slot, (symbol, day, hour) slot or
+ *   (symbol, timeframe, side, day) candle slot
+ * @param {Object} options - See importSlots
+ * @returns {{status: string, rowCount: number, error: ?string}} - The recorded outcome
+ */
+async function processSlot(slot, options) {
+  const { store, fetchHistoricalData, uploadData, validation, bulkLoad } =
+    options;
+  const { symbol, day, hour } = slot;
+  const markSlotOutcome = (target, status, details) =>
+    slot.timeframe !== undefined
+      ? markCandleSlot(target, slot, status, details)
+      : hour === undefined
+      ? markSlot(target, symbol, day, status, details)
+      : markHourSlot(target, symbol, day, hour, status, details);
+
+  try {
+    if (slot.timeframe !== undefined) {
+      return await processCandleSlot(slot, options);
+    }
+
+    const { from, to } =
+      hour === undefined ? dayRange(day) : hourRange(day, hour);
+
+    if (bulkLoad && bulkLoad.enabled) {
+      const staged = await stageTicks(
+        fetchInChunks(
+          fetchHistoricalData,
+          symbol,
+          from,
+          to,
+          bulkLoad.chunkHours
+        ),
+        {
+          rules: rulesFor(validation, symbol),
+          directory: bulkLoad.directory,
+          symbol,
+        }
+      );
+      try {
+        const status = staged.fetched > 0 ? SlotStatus.DONE : SlotStatus.EMPTY;
+        await store.transaction(async (tx) => {
+          await quarantineTicks(tx, symbol, staged.rejected, staged.counts);
+          await uploadData(tx, staged, symbol, slot);
+          await markSlotOutcome(tx, status, { rowCount: staged.rowCount });
+        });
+        return { status, rowCount: staged.rowCount, error: null };
+      } finally {
+        await staged.remove();
+      }
+    }
+
+    // Fetch data
+    const data = await fetchHistoricalData(symbol, from, to);
+
+    // Upload the data minus the ticks failing validation. Empty slots are
+    // uploaded too, clearing ticks left from an earlier import of the range.
+    const status = data.length > 0 ? SlotStatus.DONE : SlotStatus.EMPTY;
+    const rowCount = await store.transaction(async (tx) => {
+      const accepted = await quarantineRejected(tx, symbol, data, validation);
+      await uploadData(tx, accepted, symbol, slot);
+      await markSlotOutcome(tx, status, { rowCount: accepted.length });
+      return accepted.length;
+    });
+    return { status, rowCount, error: null };
+  } catch (error) {
+    log.error(`Failed to process ${symbol} for ${slotLabel(slot)}`, {
+      symbol,
+      day,
+      hour,
+      error: error.message,
+    });
+    // Record the failure so the slot is retried on the next run
+    try {
+      await markSlotOutcome(store, SlotStatus.FAILED, {
+        error: error.message,
+      });
+    } catch (ledgerError) {
+      log.error(`Error updating ledger for ${symbol} ${slotLabel(slot)}`, {
+        symbol,
+        day,
+        hour,
+        error: ledgerError.message,
+      });
+    }
+    return { status: SlotStatus.FAILED, rowCount: 0, error: error.message };
+  }
+}
+
+/**
+ * Import ledger slots with a pool of workers. Each worker downloads a slot
+ * and then stores it, so one slot's insert overlaps with other downloads.
+ * Slots with an hour cover that hour only and are recorded as hour slots;
+ * slots with a timeframe are candle slots, see lib/candles.js.
+ * @param {Array<{symbol: string, day: string, hour: (number|undefined), timeframe: (string|undefined)}>} slots - Slots to import, in order
+ * @param {Object} options
+ * @param {Object} options.store - The storage backend
+ * @param {Function} options.fetchHistoricalData - Downloads (symbol, from,
+ *   to, {timeframe, side})
+ * @param {Function} options.uploadData - Stores (store, data, symbol, slot),
+ *   called with the store of the slot's transaction; data is an array, or
+ *   the staged ticks from stageTicks when bulk loading
+ * @param {Object} options.validation - Validation rules per asset class
+ * @param {Object} [options.bulkLoad] - Bulk loading settings (config.bulkLoad)
+ * @param {number} options.concurrency - Number of slots in flight at once
+ * @param {Object} [options.control] - Pause/stop switch, see lib/runControl.js
+ * @param {function(Object, Object): void} [options.onProgress] - Called with
+ *   the progress counts and throughput after each slot
+ * @param {function(string, Object): void} [options.onEvent] - Called with
+ *   "slot_started" and "slot_finished" events
+ * @returns {Object} - Slot counts per outcome (pending for candle periods
+ *   that are not over yet), slots skipped after a stop and the number of
+ *   records stored
+ */
+export async function importSlots(slots, options) {
+  const progress = {
+    total: slots.length,
+    completed: 0,
+    [SlotStatus.DONE]: 0,
+    [SlotStatus.EMPTY]: 0,
+    [SlotStatus.FAILED]: 0,
+    // Candle slots of periods that are not over yet
+    [SlotStatus.PENDING]: 0,
+    skipped: 0,
+    records: 0,
+  };
+  const startedAt = Date.now();
+  const { control, onProgress, onEvent = () => {} } = options;
+
+  await runWorkerPool(slots, options.concurrency, async (slot) => {
+    if (control && !(await control.proceed())) {
+      progress.skipped++;
+      return;
+    }
+
+    onEvent("slot_started", {
+      symbol: slot.symbol,
+      day: slot.day,
+      hour: slot.hour,
+      timeframe: slot.timeframe,
+      side: slot.side,
+    });
+    const slotStartedAt = Date.now();
+    const { status, rowCount, error } = await processSlot(slot, options);
+
+    progress[status]++;
+    progress.completed++;
+    progress.records += rowCount;
+
+    const elapsedMinutes = Math.max((Date.now() - startedAt) / 60000, 1 / 60);
+    const throughput = {
+      slotsPerMinute: progress.completed / elapsedMinutes,
+      recordsPerSecond: progress.records / (elapsedMinutes * 60),
+    };
+    log.info(
+      `[${progress.completed}/${progress.total}] ${slot.symbol} ${slotLabel(
+        slot
+      )} ${status} (${rowCount} records, ${throughput.slotsPerMinute.toFixed(
+        1
+      )} slots/min)`,
+      {
+        symbol: slot.symbol,
+        day: slot.day,
+        hour: slot.hour,
+        timeframe: slot.timeframe,
+        status,
+        records: rowCount,
+        duration_ms: Date.now() - slotStartedAt,
+      }
+    );
+    onEvent("slot_finished", {
+      symbol: slot.symbol,
+      day: slot.day,
+      hour: slot.hour,
+      timeframe: slot.timeframe,
+      side: slot.side,
+      status,
+      rowCount,
+      error,
+    });
+    if (onProgress) {
+      onProgress({ ...progress }, throughput);
+    }
+  });
+
+  log.info(
+    `Import ${progress.skipped > 0 ? "stopped" : "finished"}: ${
+      progress.done
+    } done, ${progress.empty} empty, ${progress.failed} failed, ${
+      progress.pending
+    } left pending, ${progress.skipped} skipped, ${
+      progress.records
+    } records stored`,
+    { duration_ms: Date.now() - startedAt }
+  );
+  return progress;
+}
@@ -0,0 +1,318 @@
+import { instrumentMetaData } from "dukascopy-node";
+
+// Registry of what is known about each instrument: asset class, currencies,
+// price precision, trading sessions and how far back Dukascopy has ticks.
+// Defaults come from the base currency and the dukascopy-node metadata; the
+// instruments block of the config overrides them per symbol.
+
+// Base currencies of the crypto pairs, which trade around the clock
+const cryptoBases = new Set([
+  "ada",
+  "ave",
+  "bat",
+  "bch",
+  "btc",
+  "cmp",
+  "dsh",
+  "enj",
+  "eos",
+  "eth",
+  "lnk",
+  "ltc",
+  "mat",
+  "mkr",
+  "trx",
+  "uni",
+  "xlm",
+  "xrp",
+  "yfi",
+]);
+
+const metalBases = new Set(["xag", "xau", "xpd", "xpt"]);
+
+export const assetClasses = ["forex", "metal", "crypto"];
+
+// Market sessions: "forex" trades from Sunday evening to Friday evening,
+// "crypto" around the clock
+export const marketSessions = ["forex", "crypto"];
+
+// Decimals Dukascopy quotes metals with. Crypto pairs differ from pair to pair
+// and have to be configured (instruments.<symbol>.decimals).
+const metalDecimals = { xau: 3, xag: 3 };
+
+// dukascopy-node gives this date for instruments whose first tick it does
+// not know
+const unknownStart = "2000-01-01T00:00:00.000Z";
+
+// Settings of the instruments config block and the check each must pass
+const overrideRules = {
+  name: [(value) => typeof value === "string" && value !== "", "a string"],
+  description: [(value) => typeof value === "string", "a string"],
+  assetClass: [
+    (value) => assetClasses.includes(value),
+    `one of ${assetClasses.join(", ")}`,
+  ],
+  baseCurrency: [(value) => /^[a-z0-9]+$/.test(value), "a lowercase code"],
+  quoteCurrency: [(value) => /^[a-z0-9]+$/.test(value), "a lowercase code"],
+  decimals: [
+    (value) => Number.isInteger(value) && value >= 0 && value <= 10,
+    "an integer from 0 to 10",
+  ],
+  pipSize: [
+    (value) => typeof value === "number" && value > 0,
+    "a positive number",
+  ],
+  session: [
+    (value) => marketSessions.includes(value),
+    `one of ${marketSessions.join(", ")}`,
+  ],
+  earliestDate: [
+    (value) =>
+      typeof value === "string" &&
+      /^\d{4}-\d{2}-\d{2}$/.test(value) &&
+      !isNaN(new Date(`${value}T00:00:00Z`)),
+    "a YYYY-MM-DD date",
+  ],
+};
+
+// Overrides the process configured, see configureInstruments
+let configured = {};
+
+/**
+ * Check the instruments block of the config, e.g.
+ * { "btcusd": { "decimals": 1 }, "xptusd": { "decimals": 3 } }
+ * @param {Object} [instruments] - Metadata overrides per symbol
+ * @returns {{overrides: Object, problems: string[]}} - The overrides and any problems found
+ */
+export function resolveInstruments(instruments = {}) {
+  if (
+    typeof instruments !== "object" ||
+    instruments === null ||
+    Array.isArray(instruments)
+  ) {
+    return {
+      overrides: {},
+      problems: ["instruments must map symbols to metadata"],
+    };
+  }
+
+  const problems = [];
+  for (const [symbol, settings] of Object.entries(instruments)) {
+    if (typeof settings !== "object" || settings === null) {
+      problems.push(`instruments.${symbol} must be an object`);
+      continue;
+    }
+    for (const [key, value] of Object.entries(settings)) {
+      const rule = overrideRules[key];
+      if (!rule) {
+        problems.push(
+          `instruments.${symbol}.${key} is not an instrument setting (use ${Object.keys(
+            overrideRules
+          ).join(", ")})`
+        );
+      } else if (!rule[0](value)) {
+        problems.push(
+          `instruments.${symbol}.${key} must be ${
+            rule[1]
+          } (got ${JSON.stringify(value)})`
+        );
+      }
+    }
+  }
+  return { overrides: instruments, problems };
+}
+
+/**
+ * Make configured overrides apply to every later getInstrument call
+ * @param {Object} overrides - Checked overrides, see resolveInstruments
+ */
+export function configureInstruments(overrides) {
+  configured = overrides || {};
+}
+
+/**
+ * Get the asset class of a symbol from its base currency. Anything that is
+ * not a known crypto or metal pair is treated as forex.
+ * @param {string} symbol - The forex/crypto symbol
+ * @returns {string} - "forex", "metal" or "crypto"
+ */
+function defaultAssetClass(symbol) {
+  const base = symbol.slice(0, 3);
+  if (cryptoBases.has(base)) {
+    return "crypto";
+  }
+  return metalBases.has(base) ? "metal" : "forex";
+}
+
+/**
+ * Get the decimals a symbol is quoted with, e.g. 5 for EUR/USD and 3 for
+ * USD/JPY
+ */
+function defaultDecimals(assetClassName, base, quote) {
+  switch (assetClassName) {
+    case "forex":
+      return quote === "jpy" ? 3 : 5;
+    case "metal":
+      return metalDecimals[base] ?? null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Get the first day Dukascopy has ticks for, from the dukascopy-node
+ * metadata; its candle start dates stand in when the tick start is unknown
+ */
+function defaultEarliestDate(metadata) {
+  if (!metadata) {
+    return null;
+  }
+  const start = [
+    metadata.startHourForTicks,
+    metadata.startMonthForHourlyCandles,
+    metadata.startDayForMinuteCandles,
+  ].find((date) => date && date !== unknownStart);
+  return start ? new Date(start).toISOString().split("T")[0] : null;
+}
+
+/**
+ * Get the metadata of an instrument. Decimals, and the pip size and point
+ * value that follow from them, are null when they are not known.
+ * @param {string} symbol - The forex/crypto symbol
+ * @returns {Object} - {symbol, name, description, asset_class, base_currency,
+ *   quote_currency, decimals, pip_size, point_value, session, earliest_date}
+ */
+export function getInstrument(symbol) {
+  const metadata = instrumentMetaData[symbol];
+  const settings = configured[symbol] || {};
+  const [codeBase, codeQuote] = metadata
+    ? metadata.code.toLowerCase().split("-")
+    : [symbol.slice(0, 3), symbol.slice(3)];
+  const base = settings.baseCurrency || codeBase;
+  const quote = settings.quoteCurrency || codeQuote;
+  const assetClassName = settings.assetClass || defaultAssetClass(symbol);
+  const decimals =
+    settings.decimals ?? defaultDecimals(assetClassName, base, quote);
+
+  return {
+    symbol,
+    name:
+      settings.name ||
+      (metadata ? metadata.name : `${base}/${quote}`.toUpperCase()),
+    description: settings.description ?? (metadata ? metadata.description : ""),
+    asset_class: assetClassName,
+    base_currency: base,
+    quote_currency: quote,
+    decimals,
+    // Prices are quoted to a tenth of a pip, e.g. 0.00001 for EUR/USD
+    pip_size:
+      settings.pipSize ?? (decimals === null ? null : 1 / 10 ** (decimals - 1)),
+    point_value: decimals === null ? null : 10 ** decimals,
+    session:
+      settings.session || (assetClassName === "crypto" ? "crypto" : "forex"),
+    earliest_date: settings.earliestDate || defaultEarliestDate(metadata),
+  };
+}
+
+/**
+ * Get the asset class of a symbol
+ * @param {string} symbol - The forex/crypto symbol
+ * @returns {string} - "forex", "metal" or "crypto"
+ */
+export function assetClass(symbol) {
+  return getInstrument(symbol).asset_class;
+}
+
+/**
+ * Get the market session a symbol trades in
+ * @param {string} symbol - The forex/crypto symbol
+ * @returns {string} - "crypto" (24/7) or "forex" (Sunday to Friday)
+ */
+export function marketSession(symbol) {
+  return getInstrument(symbol).session;
+}
+
+const hourMs = 60 * 60 * 1000;
+
+// Days (MM-DD) on which the forex market is closed
+const forexHolidays = new Set(["12-25", "01-01"]);
+
+/**
+ * Check whether ticks are expected in the hour starting at a given time.
+ * Forex opens on Sunday at 21:00 or 22:00 UTC and closes on Friday at 21:00
+ * or 22:00 UTC depending on daylight saving time; the hours that move are
+ * treated as closed, as are holidays from the evening before.
+ * @param {string} session - Market session, see marketSession
+ * @param {number} time - Start of the hour in milliseconds
+ * @returns {boolean} - True if the market is open for the whole hour
+ */
+export function isMarketOpen(session, time) {
+  if (session === "crypto") {
+    return true;
+  }
+
+  const date = new Date(time);
+  const weekday = date.getUTCDay();
+  const hour = date.getUTCHours();
+
+  if (
+    weekday === 6 ||
+    (weekday === 5 && hour >= 21) ||
+    (weekday === 0 && hour < 22)
+  ) {
+    return false;
+  }
+
+  // Shifting by three hours also covers the evening before a holiday
+  return !(
+    forexHolidays.has(date.toISOString().slice(5, 10)) ||
+    forexHolidays.has(new Date(time + 3 * hourMs).toISOString().slice(5, 10))
+  );
+}
+
+/**
+ * Check whether ticks are expected in a period, i.e. whether the market is
+ * open for any hour of it
+ * @param {string} session - Market session, see marketSession
+ * @param {number} start - Start of the period in milliseconds (a full hour)
+ * @param {number} length - Length of the period in milliseconds
+ * @returns {boolean} - True if the market opens during the period
+ */
+export function isOpenDuring(session, start, length) {
+  for (let hour = start; hour < start + length; hour += hourMs) {
+    if (isMarketOpen(session, hour)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Check whether ticks are expected on a day, i.e. whether the market is open
+ * for any hour of it
+ * @param {string} session - Market session, see marketSession
+ * @param {string} day - Day string (YYYY-MM-DD)
+ * @returns {boolean} - True on trading days
+ */
+export function isTradingDay(session, day) {
+  return isOpenDuring(session, Date.parse(`${day}T00:00:00Z`), 24 * hourMs);
+}
+
+/**
+ * Check whether Dukascopy can have ticks of a symbol on a day: on or after
+ * the instrument's earliest date and unless its market is closed all day.
+ * Holidays count as days with ticks, as the market reopens on the evening of
+ * some of them.
+ * @param {string} symbol - The forex/crypto symbol
+ * @param {string} day - Day string (YYYY-MM-DD)
+ * @returns {boolean} - False for days that can only come back empty
+ */
+export function hasTicksOn(symbol, day) {
+  const instrument = getInstrument(symbol);
+  const weekend =
+    instrument.session === "forex" &&
+    new Date(`${day}T00:00:00Z`).getUTCDay() === 6;
+  return (
+    (!instrument.earliest_date || day >= instrument.earliest_date) && !weekend
+  );
+}
@@ -0,0 +1,301 @@
+import fs from "fs/promises";
+import { hasTicksOn } from "./instruments.js";
+
+// The ledger holds one slot per (symbol, day) describing how far the import
+// got for it; the storage backend decides where it is kept
+const insertBatchSize = 1000;
+
+export const SlotStatus = Object.freeze({
+  PENDING: "pending",
+  DONE: "done",
+  EMPTY: "empty",
+  FAILED: "failed",
+});
+
+/**
+ * Format a Date as a YYYY-MM-DD day string (UTC)
+ * @param {Date} date - The date to format
+ * @returns {string} - The day string
+ */
+export function toDay(date) {
+  return date.toISOString().split("T")[0];
+}
+
+/**
+ * List every day between two dates, inclusive
+ * @param {string|Date} fromDate - First day
+ * @param {string|Date} toDate - Last day
+ * @returns {string[]} - Day strings in ascending order
+ */
+export function listDays(fromDate, toDate) {
+  const days = [];
+  const current = new Date(`${toDay(new Date(fromDate))}T00:00:00Z`);
+  const end = new Date(`${toDay(new Date(toDate))}T00:00:00Z`);
+
+  while (current <= end) {
+    days.push(toDay(current));
+    current.setUTCDate(current.getUTCDate() + 1);
+  }
+
+  return days;
+}
+
+/**
+ * Get the UTC time range covered by a day slot
+ * @param {string} day - Day string (YYYY-MM-DD)
+ * @returns {{from: Date, to: Date}} - Start (inclusive) and end (exclusive)
+ */
+export function dayRange(day) {
+  const from = new Date(`${day}T00:00:00Z`);
+  const to = new Date(from);
+  to.setUTCDate(to.getUTCDate() + 1);
+  return { from, to };
+}
+
+/**
+ * Get the UTC time range covered by an hour slot
+ * @param {string} day - Day string (YYYY-MM-DD)
+ * @param {number} hour - Hour of the day (0-23)
+ * @returns {{from: Date, to: Date}} - Start (inclusive) and end (exclusive)
+ */
+export function hourRange(day, hour) {
+  const from = new Date(`${day}T00:00:00Z`);
+  from.setUTCHours(hour);
+  const to = new Date(from);
+  to.setUTCHours(to.getUTCHours() + 1);
+  return { from, to };
+}
+
+/**
+ * Describe a slot for log lines, e.g. "2024-01-02", "2024-01-02 13:00" or
+ * "2024-01-01 h1 bid"
+ * @param {{day: string, hour: (number|undefined), timeframe: (string|undefined), side: (string|undefined)}} slot - A day, hour or candle slot
+ * @returns {string} - The description
+ */
+export function slotLabel({ day, hour, timeframe, side }) {
+  if (timeframe !== undefined) {
+    return `${day} ${timeframe} ${side}`;
+  }
+  return hour === undefined
+    ? day
+    : `${day} ${String(hour).padStart(2, "0")}:00`;
+}
+
+/**
+ * Register every (symbol, day) slot of a job as pending, leaving slots
+ * already known to the ledger untouched. Days the instrument cannot have
+ * ticks on (before its earliest date, or with its market closed all day) are
+ * registered as empty so they are never downloaded.
+ * @param {Object} store - The storage backend
+ * @param {string[]} symbols - The forex/crypto symbols
+ * @param {string[]} days - Day strings to plan
+ * @param {Object} [options]
+ * @param {boolean} [options.checkCalendar] - False to plan every day as
+ *   pending, whatever the instrument registry says
+ */
+export async function planSlots(
+  store,
+  symbols,
+  days,
+  { checkCalendar = true } = {}
+) {
+  const slots = [];
+  for (const day of days) {
+    for (const symbol of symbols) {
+      slots.push({
+        symbol,
+        day,
+        status:
+          !checkCalendar || hasTicksOn(symbol, day)
+            ? SlotStatus.PENDING
+            : SlotStatus.EMPTY,
+      });
+    }
+  }
+
+  for (let i = 0; i < slots.length; i += insertBatchSize) {
+    await store.insertSlots(slots.slice(i, i + insertBatchSize));
+  }
+}
+
+/**
+ * Get the slots that still need work (pending or failed), oldest day first
+ * and in the order of the given symbol list within a day
+ * @param {Object} store - The storage backend
+ * @param {string[]} symbols - The forex/crypto symbols
+ * @param {string} firstDay - First day (inclusive)
+ * @param {string} lastDay - Last day (inclusive)
+ * @returns {Array<{symbol: string, day: string, status: string, attempts: number}>}
+ */
+export async function getOpenSlots(store, symbols, firstDay, lastDay) {
+  if (symbols.length === 0) {
+    return [];
+  }
+
+  const rows = await store.getOpenSlots(symbols, firstDay, lastDay);
+
+  const order = new Map(symbols.map((symbol, index) => [symbol, index]));
+  return rows.sort(
+    (a, b) =>
+      a.day.localeCompare(b.day) || order.get(a.symbol) - order.get(b.symbol)
+  );
+}
+
+/**
+ * Measure how much of the requested date range has been processed: the
+ * symbol-days that are done or empty out of every day between the first and
+ * last day, per symbol and overall. Days not planned yet count as open.
+ * @param {Object} store - The storage backend
+ * @param {string[]} symbols - The forex/crypto symbols
+ * @param {string} firstDay - First day (inclusive)
+ * @param {string} lastDay - Last day (inclusive)
+ * @returns {{symbols: Object, overall: Object}} - {requested_days,
+ *   processed_days, failed_days, completion_percentage} per symbol and in total
+ */
+export async function getRangeProgress(store, symbols, firstDay, lastDay) {
+  const requested = listDays(firstDay, lastDay).length;
+  const rows =
+    symbols.length > 0
+      ? await store.getSlotCounts(symbols, firstDay, lastDay)
+      : [];
+
+  const progress = (requestedDays, processedDays, failedDays) => ({
+    requested_days: requestedDays,
+    processed_days: processedDays,
+    failed_days: failedDays,
+    completion_percentage:
+      requestedDays > 0
+        ? Math.round((processedDays / requestedDays) * 1000) / 10
+        : 0,
+  });
+
+  const processed = new Map();
+  const failed = new Map();
+  for (const { symbol, status, slots } of rows) {
+    if (status === SlotStatus.DONE || status === SlotStatus.EMPTY) {
+      processed.set(symbol, (processed.get(symbol) || 0) + slots);
+    } else if (status === SlotStatus.FAILED) {
+      failed.set(symbol, slots);
+    }
+  }
+
+  const sum = (counts) =>
+    [...counts.values()].reduce((total, count) => total + count, 0);
+  return {
+    symbols: Object.fromEntries(
+      symbols.map((symbol) => [
+        symbol,
+        progress(
+          requested,
+          processed.get(symbol) || 0,
+          failed.get(symbol) || 0
+        ),
+      ])
+    ),
+    overall: progress(requested * symbols.length, sum(processed), sum(failed)),
+  };
+}
+
+/**
+ * Record the outcome of a slot
+ * @param {Object} store - The storage backend
+ * @param {string} symbol - The forex/crypto symbol
+ * @param {string} day - Day string (YYYY-MM-DD)
+ * @param {string} status - One of SlotStatus
+ * @param {Object} [details]
+ * @param {number} [details.rowCount] - Number of ticks stored for the slot
+ * @param {string} [details.error] - Error message for failed slots
+ */
+export async function markSlot(store, symbol, day, status, details = {}) {
+  await store.markSlot(symbol, day, status, details);
+}
+
+/**
+ * Record the outcome of an hour slot, see markSlot
+ * @param {Object} store - The storage backend
+ * @param {string} symbol - The forex/crypto symbol
+ * @param {string} day - Day string (YYYY-MM-DD)
+ * @param {number} hour - Hour of the day (0-23)
+ * @param {string} status - One of SlotStatus
+ * @param {Object} [details] - rowCount and error, as for markSlot
+ */
+export async function markHourSlot(
+  store,
+  symbol,
+  day,
+  hour,
+  status,
+  details = {}
+) {
+  await store.markHourSlot(symbol, day, hour, status, details);
+}
+
+/**
+ * Summarise the ledger for the dashboard
+ * @param {Object} store - The storage backend
+ * @param {number} [failedLimit] - Maximum number of failed slots to list
+ * @returns {Object} - Status totals, the last completed slot and failed slots
+ */
+export async function getLedgerSummary(store, failedLimit = 50) {
+  return store.getLedgerSummary(failedLimit);
+}
+
+/**
+ * Seed an empty ledger from the legacy single-cursor checkpoint file, so an
+ * import that was interrupted before the ledger existed does not start over.
+ * Slots before the cursor are marked done only where the store has ticks for
+ * the day; the others are left for planSlots, so days the old import skipped
+ * (it moved on after a failed download) are downloaded again.
+ * @param {Object} store - The storage backend
+ * @param {string} checkpointFile - Path of the legacy checkpoint.json
+ * @param {string[]} symbols - The forex/crypto symbols, in import order
+ * @param {string} startDate - First day of the job
+ * @returns {boolean} - Whether a legacy checkpoint was imported
+ */
+export async function importLegacyCheckpoint(
+  store,
+  checkpointFile,
+  symbols,
+  startDate
+) {
+  let checkpoint;
+  try {
+    checkpoint = JSON.parse(await fs.readFile(checkpointFile, "utf8"));
+  } catch (error) {
+    return false;
+  }
+
+  if (!checkpoint || !checkpoint.date) {
+    return false;
+  }
+
+  if (await store.hasLedgerEntries()) {
+    return false;
+  }
+
+  const cursorDay = toDay(new Date(checkpoint.date));
+  const lastIndex = symbols.indexOf(checkpoint.lastSymbol);
+  let checked = 0;
+  let done = 0;
+
+  for (const day of listDays(startDate, cursorDay)) {
+    const doneSymbols =
+      day < cursorDay ? symbols : symbols.slice(0, lastIndex + 1);
+    for (const symbol of doneSymbols) {
+      checked++;
+      // Also builds the day's summary, which the old import did not keep
+      const summary = await store.refreshDaySummary(symbol, day);
+      if (summary && summary.rowCount > 0) {
+        await markSlot(store, symbol, day, SlotStatus.DONE, {
+          rowCount: summary.rowCount,
+        });
+        done++;
+      }
+    }
+  }
+
+  console.log(
+    `Imported legacy checkpoint ${cursorDay}/${checkpoint.lastSymbol} into the ledger (${done} of ${checked} slots have ticks and are done)`
+  );
+  return true;
+}
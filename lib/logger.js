@@ -0,0 +1,169 @@
+import fs from "fs";
+import path from "path";
+import { format } from "util";
+
+// Levels in increasing order of severity
+export const logLevels = ["debug", "info", "warn", "error"];
+
+// Log files are named after the time they were opened, so they sort by age
+export const logFilePrefix = "data_import_";
+export const logFileExtension = ".jsonl";
+
+/**
+ * Make the id of an import run, e.g. 20240102T030405Z; import runs started
+ * from the dashboard get theirs from the server
+ * @returns {string} - The run id
+ */
+export function createRunId() {
+  return new Date().toISOString().replace(/[-:]/g, "").replace(/\.\d+/, "");
+}
+
+/**
+ * Render a record as a line for the terminal
+ */
+function formatLine({ time, level, message, symbol, day, hour }) {
+  const slot = [symbol, day, hour === undefined ? undefined : `${hour}h`]
+    .filter((part) => part !== undefined)
+    .join(" ");
+  return `${time} ${level.toUpperCase().padEnd(5)} ${
+    slot ? `[${slot}] ` : ""
+  }${message}`;
+}
+
+/**
+ * Create a logger that writes one JSON record per line to log files in a
+ * directory, and echoes a readable line to the terminal. A file is rotated
+ * once it reaches maxFileBytes; only the newest maxFiles files are kept.
+ *
+ * Records look like {time, level, message, run, symbol, day, duration_ms, ...}:
+ * the logger's context plus the fields passed with each message.
+ * @param {Object} options
+ * @param {string} options.directory - Directory of the log files
+ * @param {string} options.level - Least severe level written
+ * @param {number} options.maxFileBytes - Size at which a file is rotated
+ * @param {number} options.maxFiles - Number of files kept
+ * @param {Object} [options.context] - Fields added to every record, e.g. run
+ * @returns {Object} - The logger
+ */
+export function createLogger({
+  directory,
+  level,
+  maxFileBytes,
+  maxFiles,
+  context = {},
+}) {
+  // Terminal output goes through the console methods as they were before
+  // captureConsole replaced them
+  const stdout = console.log.bind(console);
+  const stderr = console.error.bind(console);
+  const minLevel = logLevels.indexOf(level);
+
+  fs.mkdirSync(directory, { recursive: true });
+  let fd = null;
+  let bytes = 0;
+
+  function pruneFiles() {
+    const files = fs
+      .readdirSync(directory)
+      .filter((file) => file.startsWith(logFilePrefix))
+      .sort();
+    for (const file of files.slice(0, Math.max(0, files.length - maxFiles))) {
+      fs.rmSync(path.join(directory, file), { force: true });
+    }
+  }
+
+  function openFile() {
+    if (fd !== null) {
+      fs.closeSync(fd);
+    }
+    const file = path.join(
+      directory,
+      `${logFilePrefix}${new Date()
+        .toISOString()
+        .replace(/:/g, "-")}${logFileExtension}`
+    );
+    fd = fs.openSync(file, "a");
+    bytes = 0;
+    pruneFiles();
+  }
+
+  function write(recordLevel, message, fields = {}) {
+    if (logLevels.indexOf(recordLevel) < minLevel) {
+      return;
+    }
+    const record = {
+      time: new Date().toISOString(),
+      level: recordLevel,
+      message,
+      ...context,
+      ...fields,
+    };
+    (recordLevel === "warn" || recordLevel === "error" ? stderr : stdout)(
+      formatLine(record)
+    );
+
+    try {
+      if (fd === null || bytes >= maxFileBytes) {
+        openFile();
+      }
+      const line = `${JSON.stringify(record)}\n`;
+      fs.writeSync(fd, line);
+      bytes += Buffer.byteLength(line);
+    } catch (error) {
+      stderr("Failed to write log file:", error);
+    }
+  }
+
+  return {
+    debug: (message, fields) => write("debug", message, fields),
+    info: (message, fields) => write("info", message, fields),
+    warn: (message, fields) => write("warn", message, fields),
+    error: (message, fields) => write("error", message, fields),
+
+    close() {
+      if (fd !== null) {
+        fs.closeSync(fd);
+        fd = null;
+      }
+    },
+  };
+}
+
+// Logger the library modules write to through `log`; the console until the
+// importer sets one up
+let current = null;
+
+/**
+ * Log through the logger set up by the process, with structured fields, e.g.
+ * `log.info("Stored slot", { symbol, day, duration_ms })`. Without one, the
+ * message goes to the console.
+ */
+export const log = Object.fromEntries(
+  logLevels.map((level) => [
+    level,
+    (message, fields) => {
+      if (current) {
+        current[level](message, fields);
+      } else {
+        (level === "warn" || level === "error" ? console.error : console.log)(
+          message
+        );
+      }
+    },
+  ])
+);
+
+/**
+ * Make a logger the one behind `log`, and turn console.log, console.info,
+ * console.warn and console.error into records of it as well, so code that
+ * logs through the console ends up in the log files too
+ * @param {Object} logger - A logger made by createLogger
+ */
+export function captureConsole(logger) {
+  current = logger;
+  console.debug = (...args) => logger.debug(format(...args));
+  console.log = (...args) => logger.info(format(...args));
+  console.info = console.log;
+  console.warn = (...args) => logger.warn(format(...args));
+  console.error = (...args) => logger.error(format(...args));
+}
@@ -0,0 +1,271 @@
+import fs from "fs/promises";
+import path from "path";
+import { logFilePrefix, logLevels } from "./logger.js";
+
+// Bytes read from a log file at a time
+const chunkSize = 64 * 1024;
+
+// Bytes a single search may scan before handing back a cursor
+const maxScanBytes = 32 * 1024 * 1024;
+
+// Lines of the log files written before the logs were structured, e.g.
+// "[ERROR] 2024-01-02T03:04:05.000Z - message"
+const legacyLine = /^\[(LOG|ERROR)\] (\S+) - (.*)$/;
+
+/**
+ * Parse a line of a log file into a record; lines of the old text logs get
+ * the level and time they carry
+ * @param {string} line - The line
+ * @returns {?Object} - The record, null for a blank line
+ */
+export function parseLogLine(line) {
+  if (line.trim() === "") {
+    return null;
+  }
+  if (line.startsWith("{")) {
+    try {
+      return JSON.parse(line);
+    } catch (error) {
+      // A line cut short while it was written; keep it as text
+    }
+  }
+  const legacy = legacyLine.exec(line);
+  if (legacy) {
+    return {
+      time: legacy[2],
+      level: legacy[1] === "ERROR" ? "error" : "info",
+      message: legacy[3],
+    };
+  }
+  return { time: null, level: "info", message: line };
+}
+
+/**
+ * Build the test a record has to pass
+ * @param {Object} filters
+ * @param {string} [filters.level] - Least severe level
+ * @param {string} [filters.symbol] - Symbol of the slot logged about
+ * @param {string} [filters.run] - Run id
+ * @param {string} [filters.from] - Earliest time (ISO, inclusive)
+ * @param {string} [filters.to] - Latest time (ISO, exclusive)
+ * @returns {function(Object): boolean} - The test
+ */
+export function createLogFilter({ level, symbol, run, from, to }) {
+  const minLevel = level ? logLevels.indexOf(level) : 0;
+  return (record) =>
+    logLevels.indexOf(record.level) >= minLevel &&
+    (!symbol || record.symbol === symbol) &&
+    (!run || record.run === run) &&
+    (!from || (record.time !== null && record.time >= from)) &&
+    (!to || (record.time !== null && record.time < to));
+}
+
+/**
+ * List the log files, newest first
+ * @param {string} directory - The log directory
+ * @returns {Promise<Array<{name: string, size: number, modified: string}>>}
+ */
+export async function listLogFiles(directory) {
+  let names;
+  try {
+    names = await fs.readdir(directory);
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return [];
+    }
+    throw error;
+  }
+
+  const files = await Promise.all(
+    names
+      .filter((name) => name.startsWith(logFilePrefix))
+      .map(async (name) => {
+        const stats = await fs.stat(path.join(directory, name));
+        return { name, size: stats.size, modified: stats.mtime.toISOString() };
+      })
+  );
+  return files.sort((a, b) => b.name.localeCompare(a.name));
+}
+
+/**
+ * Read the lines of a file backwards, from a byte offset to its start
+ * @param {string} file - Path of the file
+ * @param {number} end - Byte offset to read back from
+ * @yields {{line: string, offset: number}} - Each line and its byte offset
+ */
+async function* readLinesBackward(file, end) {
+  const handle = await fs.open(file, "r");
+  try {
+    let position = end;
+    let rest = Buffer.alloc(0);
+    while (position > 0) {
+      const size = Math.min(chunkSize, position);
+      position -= size;
+      const chunk = Buffer.alloc(size);
+      await handle.read(chunk, 0, size, position);
+
+      let buffer = Buffer.concat([chunk, rest]);
+      let newline;
+      while ((newline = buffer.lastIndexOf(10)) !== -1) {
+        const line = buffer.subarray(newline + 1);
+        if (line.length > 0) {
+          yield { line: line.toString("utf8"), offset: position + newline + 1 };
+        }
+        buffer = buffer.subarray(0, newline);
+      }
+      rest = buffer;
+    }
+    if (rest.length > 0) {
+      yield { line: rest.toString("utf8"), offset: 0 };
+    }
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Search the log files from the newest record backwards. Each search scans a
+ * bounded number of bytes and returns a cursor to carry on with older records.
+ * @param {string} directory - The log directory
+ * @param {Object} options
+ * @param {Object} options.filters - See createLogFilter
+ * @param {number} options.limit - Most records returned
+ * @param {string} [options.cursor] - Where the previous page stopped
+ * @returns {Promise<{records: Array, next_cursor: ?string}>} - Matching
+ *   records, newest first, and the cursor of the next page if there is one
+ * @throws {Error} - If the cursor is invalid
+ */
+export async function searchLogs(directory, { filters, limit, cursor }) {
+  const files = await listLogFiles(directory);
+  const matches = createLogFilter(filters);
+
+  let start = 0;
+  let end = files.length > 0 ? files[0].size : 0;
+  if (cursor) {
+    // Query strings can also parse into arrays and objects
+    const [name, offset] = typeof cursor === "string" ? cursor.split(":") : [];
+    start = files.findIndex((file) => file.name === name);
+    end = Number(offset);
+    if (start === -1 || !Number.isInteger(end) || end < 0) {
+      throw new Error("Invalid or expired cursor");
+    }
+  }
+
+  const records = [];
+  let scanned = 0;
+  for (let i = start; i < files.length; i++) {
+    const file = files[i];
+    const fileEnd = i === start ? end : file.size;
+
+    // Records in a file are older than the time it was last written to
+    if (filters.from && file.modified < filters.from) {
+      break;
+    }
+
+    for await (const { line, offset } of readLinesBackward(
+      path.join(directory, file.name),
+      fileEnd
+    )) {
+      scanned += line.length + 1;
+      const record = parseLogLine(line);
+      if (record && matches(record)) {
+        records.push({ ...record, file: file.name });
+      }
+      if (records.length >= limit || scanned >= maxScanBytes) {
+        return {
+          records,
+          next_cursor:
+            offset > 0 || i + 1 < files.length
+              ? `${file.name}:${offset}`
+              : null,
+        };
+      }
+    }
+  }
+  return { records, next_cursor: null };
+}
+
+/**
+ * Follow the newest log file like `tail -f`, moving on to a newer file when
+ * the logs rotate or a new run starts
+ * @param {string} directory - The log directory
+ * @param {Object} filters - See createLogFilter
+ * @param {function(Object): void} onRecord - Receives each new record
+ * @param {number} [intervalMs] - How often the files are checked
+ * @returns {function(): void} - Stops following
+ */
+export function tailLogs(directory, filters, onRecord, intervalMs = 1000) {
+  const matches = createLogFilter(filters);
+  let current = null;
+  let offset = 0;
+  let partial = "";
+  let busy = false;
+
+  async function readNew(name) {
+    let handle;
+    try {
+      handle = await fs.open(path.join(directory, name), "r");
+    } catch (error) {
+      // Pruned after a rotation
+      if (error.code === "ENOENT") {
+        return;
+      }
+      throw error;
+    }
+    try {
+      const { size } = await handle.stat();
+      if (size <= offset) {
+        return;
+      }
+      const buffer = Buffer.alloc(size - offset);
+      await handle.read(buffer, 0, buffer.length, offset);
+      offset = size;
+
+      const lines = (partial + buffer.toString("utf8")).split("\n");
+      partial = lines.pop();
+      for (const line of lines) {
+        const record = parseLogLine(line);
+        if (record && matches(record)) {
+          onRecord({ ...record, file: name });
+        }
+      }
+    } finally {
+      await handle.close();
+    }
+  }
+
+  async function check() {
+    if (busy) {
+      return;
+    }
+    busy = true;
+    try {
+      const [newest] = await listLogFiles(directory);
+      if (current === null) {
+        // Start at the end: only records written from now on
+        current = newest ? newest.name : "";
+        offset = newest ? newest.size : 0;
+        return;
+      }
+      if (newest && newest.name !== current) {
+        if (current) {
+          await readNew(current);
+        }
+        current = newest.name;
+        offset = 0;
+        partial = "";
+      }
+      if (current) {
+        await readNew(current);
+      }
+    } catch (error) {
+      console.error("Error following the logs:", error);
+    } finally {
+      busy = false;
+    }
+  }
+
+  check();
+  const timer = setInterval(check, intervalMs);
+  return () => clearInterval(timer);
+}
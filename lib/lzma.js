@@ -0,0 +1,310 @@
+// Decoder for the LZMA "alone" format (.lzma) that Dukascopy compresses its
+// .bi5 files with, following the reference decoder of the LZMA SDK
+// (LzmaSpec.cpp). Only decompression is supported.
+
+const probBits = 11;
+const probInit = 1 << (probBits - 1);
+const moveBits = 5;
+const topValue = 2 ** 24;
+
+const matchMinLen = 2;
+const endPosModelIndex = 14;
+const numFullDistances = 128;
+const numAlignBits = 4;
+const numStates = 12;
+const posBitsMax = 4;
+
+const createProbs = (size) => new Uint16Array(size).fill(probInit);
+
+/**
+ * Range decoder over the compressed bytes. Range and code are kept as
+ * unsigned 32-bit values in plain numbers.
+ */
+function createRangeDecoder(input, offset) {
+  let position = offset;
+  const nextByte = () => {
+    if (position >= input.length) {
+      throw new Error("LZMA data is truncated");
+    }
+    return input[position++];
+  };
+
+  if (nextByte() !== 0) {
+    throw new Error("LZMA data is corrupted");
+  }
+  let range = 0xffffffff;
+  let code = 0;
+  for (let i = 0; i < 4; i++) {
+    code = code * 256 + nextByte();
+  }
+  if (code === range) {
+    throw new Error("LZMA data is corrupted");
+  }
+
+  const normalize = () => {
+    if (range < topValue) {
+      range *= 256;
+      code = code * 256 + nextByte();
+    }
+  };
+
+  return {
+    finishedOk: () => code === 0,
+
+    decodeBit(probs, index) {
+      const prob = probs[index];
+      const bound = (range >>> probBits) * prob;
+      let bit;
+      if (code < bound) {
+        probs[index] = prob + (((1 << probBits) - prob) >>> moveBits);
+        range = bound;
+        bit = 0;
+      } else {
+        probs[index] = prob - (prob >>> moveBits);
+        code -= bound;
+        range -= bound;
+        bit = 1;
+      }
+      normalize();
+      return bit;
+    },
+
+    decodeDirectBits(count) {
+      let result = 0;
+      for (let i = 0; i < count; i++) {
+        range = Math.floor(range / 2);
+        let bit = 0;
+        if (code >= range) {
+          code -= range;
+          bit = 1;
+        }
+        normalize();
+        result = result * 2 + bit;
+      }
+      return result;
+    },
+  };
+}
+
+function bitTreeDecode(rc, probs, offset, numBits) {
+  let m = 1;
+  for (let i = 0; i < numBits; i++) {
+    m = (m << 1) + rc.decodeBit(probs, offset + m);
+  }
+  return m - (1 << numBits);
+}
+
+function bitTreeReverseDecode(rc, probs, offset, numBits) {
+  let m = 1;
+  let symbol = 0;
+  for (let i = 0; i < numBits; i++) {
+    const bit = rc.decodeBit(probs, offset + m);
+    m = (m << 1) + bit;
+    symbol |= bit << i;
+  }
+  return symbol;
+}
+
+function createLenDecoder(rc) {
+  const choice = createProbs(2);
+  const low = createProbs(8 << posBitsMax);
+  const mid = createProbs(8 << posBitsMax);
+  const high = createProbs(256);
+
+  return (posState) => {
+    if (rc.decodeBit(choice, 0) === 0) {
+      return bitTreeDecode(rc, low, posState << 3, 3);
+    }
+    if (rc.decodeBit(choice, 1) === 0) {
+      return 8 + bitTreeDecode(rc, mid, posState << 3, 3);
+    }
+    return 16 + bitTreeDecode(rc, high, 0, 8);
+  };
+}
+
+/**
+ * Decompress an LZMA "alone" stream: a 13 byte header (properties, dictionary
+ * size and uncompressed size) followed by the range coded data
+ * @param {Buffer} input - The compressed bytes
+ * @returns {Buffer} - The uncompressed bytes
+ * @throws {Error} - If the data is truncated or corrupted
+ */
+export function decompressLzma(input) {
+  if (input.length < 13) {
+    throw new Error("LZMA data is truncated");
+  }
+  let properties = input[0];
+  if (properties >= 9 * 5 * 5) {
+    throw new Error("LZMA data has invalid properties");
+  }
+  const lc = properties % 9;
+  properties = Math.floor(properties / 9);
+  const lp = properties % 5;
+  const pb = Math.floor(properties / 5);
+
+  // An uncompressed size of all ones means unknown: the data then ends with
+  // an end marker
+  const sizeLow = input.readUInt32LE(5);
+  const sizeHigh = input.readUInt32LE(9);
+  const sizeDefined = !(sizeLow === 0xffffffff && sizeHigh === 0xffffffff);
+  let remaining = sizeDefined ? sizeHigh * 2 ** 32 + sizeLow : Infinity;
+
+  let output = Buffer.alloc(sizeDefined ? remaining : input.length * 4);
+  let position = 0;
+  const put = (byte) => {
+    if (position === output.length) {
+      const grown = Buffer.alloc(output.length * 2);
+      output.copy(grown);
+      output = grown;
+    }
+    output[position++] = byte;
+  };
+
+  const rc = createRangeDecoder(input, 13);
+  const literalProbs = createProbs(0x300 << (lc + lp));
+  const posSlotProbs = createProbs(4 << 6);
+  const posProbs = createProbs(1 + numFullDistances - endPosModelIndex);
+  const alignProbs = createProbs(1 << numAlignBits);
+  const isMatch = createProbs(numStates << posBitsMax);
+  const isRep = createProbs(numStates);
+  const isRepG0 = createProbs(numStates);
+  const isRepG1 = createProbs(numStates);
+  const isRepG2 = createProbs(numStates);
+  const isRep0Long = createProbs(numStates << posBitsMax);
+  const decodeLen = createLenDecoder(rc);
+  const decodeRepLen = createLenDecoder(rc);
+
+  const decodeLiteral = (state, rep0) => {
+    const prevByte = position > 0 ? output[position - 1] : 0;
+    const litState =
+      ((position & ((1 << lp) - 1)) << lc) + (prevByte >>> (8 - lc));
+    const offset = 0x300 * litState;
+    let symbol = 1;
+    if (state >= 7) {
+      let matchByte = output[position - rep0 - 1];
+      do {
+        const matchBit = (matchByte >>> 7) & 1;
+        matchByte <<= 1;
+        const bit = rc.decodeBit(
+          literalProbs,
+          offset + ((1 + matchBit) << 8) + symbol
+        );
+        symbol = (symbol << 1) | bit;
+        if (matchBit !== bit) {
+          break;
+        }
+      } while (symbol < 0x100);
+    }
+    while (symbol < 0x100) {
+      symbol = (symbol << 1) | rc.decodeBit(literalProbs, offset + symbol);
+    }
+    put(symbol - 0x100);
+  };
+
+  const decodeDistance = (len) => {
+    const lenState = Math.min(len, 3);
+    const posSlot = bitTreeDecode(rc, posSlotProbs, lenState << 6, 6);
+    if (posSlot < 4) {
+      return posSlot;
+    }
+    const numDirectBits = (posSlot >>> 1) - 1;
+    let distance = (2 | (posSlot & 1)) * 2 ** numDirectBits;
+    if (posSlot < endPosModelIndex) {
+      distance += bitTreeReverseDecode(
+        rc,
+        posProbs,
+        distance - posSlot,
+        numDirectBits
+      );
+    } else {
+      distance +=
+        rc.decodeDirectBits(numDirectBits - numAlignBits) * 2 ** numAlignBits;
+      distance += bitTreeReverseDecode(rc, alignProbs, 0, numAlignBits);
+    }
+    return distance;
+  };
+
+  let state = 0;
+  let rep0 = 0;
+  let rep1 = 0;
+  let rep2 = 0;
+  let rep3 = 0;
+
+  for (;;) {
+    if (remaining === 0 && rc.finishedOk()) {
+      break;
+    }
+    const posState = position & ((1 << pb) - 1);
+
+    if (rc.decodeBit(isMatch, (state << posBitsMax) + posState) === 0) {
+      if (remaining === 0) {
+        throw new Error("LZMA data is corrupted");
+      }
+      decodeLiteral(state, rep0);
+      state = state < 4 ? 0 : state < 10 ? state - 3 : state - 6;
+      remaining--;
+      continue;
+    }
+
+    let len;
+    if (rc.decodeBit(isRep, state) !== 0) {
+      if (remaining === 0 || position === 0) {
+        throw new Error("LZMA data is corrupted");
+      }
+      if (rc.decodeBit(isRepG0, state) === 0) {
+        if (rc.decodeBit(isRep0Long, (state << posBitsMax) + posState) === 0) {
+          // A single byte repeated from rep0
+          state = state < 7 ? 9 : 11;
+          put(output[position - rep0 - 1]);
+          remaining--;
+          continue;
+        }
+      } else {
+        let distance;
+        if (rc.decodeBit(isRepG1, state) === 0) {
+          distance = rep1;
+        } else {
+          if (rc.decodeBit(isRepG2, state) === 0) {
+            distance = rep2;
+          } else {
+            distance = rep3;
+            rep3 = rep2;
+          }
+          rep2 = rep1;
+        }
+        rep1 = rep0;
+        rep0 = distance;
+      }
+      len = decodeRepLen(posState);
+      state = state < 7 ? 8 : 11;
+    } else {
+      rep3 = rep2;
+      rep2 = rep1;
+      rep1 = rep0;
+      len = decodeLen(posState);
+      state = state < 7 ? 7 : 10;
+      rep0 = decodeDistance(len);
+      if (rep0 === 0xffffffff) {
+        // End marker
+        if (!rc.finishedOk()) {
+          throw new Error("LZMA data is corrupted");
+        }
+        break;
+      }
+      if (remaining === 0 || rep0 >= position) {
+        throw new Error("LZMA data is corrupted");
+      }
+    }
+
+    len += matchMinLen;
+    if (len > remaining) {
+      throw new Error("LZMA data is corrupted");
+    }
+    for (let i = 0; i < len; i++) {
+      put(output[position - rep0 - 1]);
+    }
+    remaining -= len;
+  }
+
+  return output.subarray(0, position);
+}
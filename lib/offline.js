@@ -0,0 +1,477 @@
+import fs from "fs";
+import path from "path";
+import readline from "readline";
+import zlib from "zlib";
+import { getInstrument } from "./instruments.js";
+import {
+  SlotStatus,
+  dayRange,
+  getOpenSlots,
+  planSlots,
+  toDay,
+} from "./ledger.js";
+import { decompressLzma } from "./lzma.js";
+
+const hourMs = 60 * 60 * 1000;
+
+// Raw Dukascopy files as laid out on its datafeed, with zero-based months:
+// EURUSD/2024/00/02/13h_ticks.bi5 holds 2024-01-02 13:00-14:00 UTC
+const bi5Path =
+  /([A-Za-z0-9]+)[\\/](\d{4})[\\/](\d{2})[\\/](\d{2})[\\/](\d{2})h_ticks\.bi5$/;
+
+const csvFile = /\.csv(\.gz)?$/i;
+
+// Each tick of a .bi5 file: milliseconds into the hour, ask and bid in
+// points, ask and bid volume in millions (big-endian)
+const bi5RecordSize = 20;
+
+// Header names a CSV column is recognised by, lowercase. Files written by
+// npm run export and by dukascopy-node use the first of each.
+const csvColumns = {
+  timestamp: ["timestamp", "time", "datetime"],
+  bidPrice: ["bidprice", "bid"],
+  askPrice: ["askprice", "ask"],
+  bidVolume: ["bidvolume", "bid_volume"],
+  askVolume: ["askvolume", "ask_volume"],
+};
+
+// Columns a CSV may leave out; they are read as 0
+const optionalCsvColumns = ["bidVolume", "askVolume"];
+
+/**
+ * Decode the ticks of a .bi5 file
+ * @param {Buffer} buffer - The file contents, LZMA compressed; empty for an
+ *   hour without ticks
+ * @param {number} hourStart - Start of the file's hour in epoch milliseconds
+ * @param {number} points - Point value of the instrument, see getInstrument
+ * @returns {Array} - Ticks like the fetcher's, oldest first
+ * @throws {Error} - If the file is corrupted
+ */
+export function decodeBi5(buffer, hourStart, points) {
+  if (buffer.length === 0) {
+    return [];
+  }
+  const data = decompressLzma(buffer);
+  if (data.length % bi5RecordSize !== 0) {
+    throw new Error(`bi5 data of ${data.length} bytes is not whole ticks`);
+  }
+
+  const ticks = [];
+  for (let offset = 0; offset < data.length; offset += bi5RecordSize) {
+    ticks.push({
+      timestamp: hourStart + data.readUInt32BE(offset),
+      askPrice: data.readUInt32BE(offset + 4) / points,
+      bidPrice: data.readUInt32BE(offset + 8) / points,
+      askVolume: Math.round(data.readFloatBE(offset + 12) * 1000000),
+      bidVolume: Math.round(data.readFloatBE(offset + 16) * 1000000),
+    });
+  }
+  return ticks;
+}
+
+/**
+ * Read the ticks of a CSV file (optionally gzip-compressed) with a header
+ * line naming its columns, see csvColumns. Timestamps are epoch
+ * milliseconds or ISO 8601; volumes are optional.
+ * @param {string} file - Path of the file
+ * @yields {Object} - Each tick, in file order
+ * @throws {Error} - If the header or a line cannot be read
+ */
+export async function* readCsvTicks(file) {
+  let input = fs.createReadStream(file);
+  if (file.toLowerCase().endsWith(".gz")) {
+    input = input.pipe(zlib.createGunzip());
+  }
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+
+  let fields = null;
+  let lineNumber = 0;
+  try {
+    for await (const line of lines) {
+      lineNumber++;
+      if (line.trim() === "") {
+        continue;
+      }
+      const values = line.split(",").map((value) => value.trim());
+
+      if (!fields) {
+        const names = values.map((value) => value.toLowerCase());
+        fields = Object.entries(csvColumns).map(([property, aliases]) => [
+          property,
+          names.findIndex((name) => aliases.includes(name)),
+        ]);
+        const missing = fields
+          .filter(
+            ([property, index]) =>
+              index === -1 && !optionalCsvColumns.includes(property)
+          )
+          .map(([property]) => property);
+        if (missing.length > 0) {
+          throw new Error(
+            `${file} is not a tick CSV: no ${missing.join(", ")} column`
+          );
+        }
+        continue;
+      }
+
+      const tick = {};
+      for (const [property, index] of fields) {
+        const value = index === -1 ? "0" : values[index];
+        tick[property] =
+          property === "timestamp" && !/^\d+$/.test(value)
+            ? Date.parse(value)
+            : Number(value);
+        if (!Number.isFinite(tick[property])) {
+          throw new Error(
+            `${file}:${lineNumber}: invalid ${property} ${JSON.stringify(
+              value
+            )}`
+          );
+        }
+      }
+      yield tick;
+    }
+  } finally {
+    lines.close();
+    input.destroy();
+  }
+}
+
+/**
+ * Hand out the ticks of a CSV file day by day, reading it once from start
+ * to end; days have to be asked for in the order they appear in the file
+ * @param {string} file - Path of the file
+ * @returns {function(string): Promise<Array>} - Gets the ticks of a day
+ */
+function createCsvDayReader(file) {
+  const ticks = readCsvTicks(file);
+  let next = null;
+  let queue = Promise.resolve();
+
+  async function readDay(day) {
+    if (!next) {
+      next = await ticks.next();
+    }
+    // Days skipped over are imported from elsewhere or already done
+    while (!next.done && toDay(new Date(next.value.timestamp)) < day) {
+      next = await ticks.next();
+    }
+    const dayTicks = [];
+    while (!next.done && toDay(new Date(next.value.timestamp)) === day) {
+      dayTicks.push(next.value);
+      next = await ticks.next();
+    }
+    if (dayTicks.length === 0) {
+      throw new Error(`${file} has no ticks for ${day} where expected`);
+    }
+    return dayTicks;
+  }
+
+  return (day) => {
+    const result = queue.then(() => readDay(day));
+    queue = result.catch(() => {});
+    return result;
+  };
+}
+
+/**
+ * List the days a CSV file has ticks for
+ * @param {string} file - Path of the file
+ * @returns {Promise<string[]>} - The days, in file order
+ * @throws {Error} - If the file cannot be read or is not in time order
+ */
+async function listCsvDays(file) {
+  const days = [];
+  for await (const tick of readCsvTicks(file)) {
+    const day = toDay(new Date(tick.timestamp));
+    const last = days[days.length - 1];
+    if (last !== day) {
+      if (last && day < last) {
+        throw new Error(`${file} is not in time order (${day} after ${last})`);
+      }
+      days.push(day);
+    }
+  }
+  return days;
+}
+
+/**
+ * Find the .bi5 and CSV files in a directory tree
+ * @param {string} directory - Root of the archive
+ * @returns {Promise<{bi5: Array, csv: string[]}>} - bi5 files with the
+ *   symbol, day and hour they hold, and the paths of the CSV files
+ */
+async function scanDirectory(directory) {
+  const bi5 = [];
+  const csv = [];
+  const entries = await fs.promises.readdir(directory, {
+    recursive: true,
+    withFileTypes: true,
+  });
+
+  for (const entry of entries) {
+    if (!entry.isFile()) {
+      continue;
+    }
+    const file = path.join(entry.parentPath || entry.path, entry.name);
+    const match = bi5Path.exec(file);
+    if (match) {
+      const [, symbol, year, month, date, hour] = match;
+      bi5.push({
+        file,
+        symbol: symbol.toLowerCase(),
+        day: toDay(new Date(Date.UTC(year, month, date))),
+        hour: Number(hour),
+      });
+    } else if (csvFile.test(entry.name)) {
+      csv.push(file);
+    }
+  }
+  return { bi5, csv: csv.sort() };
+}
+
+/**
+ * Open an archive of raw Dukascopy .bi5 hour files and CSV tick dumps for
+ * reading. CSV files belong to the symbol their name starts with (e.g.
+ * eurusd_ticks_both_2024-01.csv.gz), must be in time order and are taken to
+ * hold whole days; the days of one CSV file have to be read in order.
+ * @param {Object} options
+ * @param {string} options.directory - Root of the archive
+ * @param {string[]} options.symbols - Symbols to read; files of others are skipped
+ * @param {string} options.startDate - First day to read
+ * @param {string} options.endDate - Last day to read
+ * @returns {Promise<{days: Array<{symbol: string, day: string, hours: ?number[]}>, fetchHistoricalData: Function}>}
+ *   - The symbol-days the archive has ticks for, with the hours it has files
+ *   for when it lacks some (null for a whole day), and the fetcher reading
+ *   them from the archive in place of fetchHistoricalData (see lib/fetcher.js)
+ * @throws {Error} - If a CSV file cannot be read, or the decimals of a
+ *   symbol with .bi5 files are not known
+ */
+export async function openArchive({ directory, symbols, startDate, endDate }) {
+  const wanted = new Set(symbols);
+  const inRange = (day) => day >= startDate && day <= endDate;
+  const { bi5, csv } = await scanDirectory(directory);
+  let skipped = 0;
+
+  // "symbol|day" -> hour -> file
+  const hourFiles = new Map();
+  for (const { file, symbol, day, hour } of bi5) {
+    if (!wanted.has(symbol) || !inRange(day)) {
+      skipped++;
+      continue;
+    }
+    if (!getInstrument(symbol).point_value) {
+      throw new Error(
+        `The decimals of ${symbol} are not known; set instruments.${symbol}.decimals in the config`
+      );
+    }
+    const key = `${symbol}|${day}`;
+    if (!hourFiles.has(key)) {
+      hourFiles.set(key, new Map());
+    }
+    hourFiles.get(key).set(hour, file);
+  }
+
+  // "symbol|day" -> readers of the CSV files with ticks of that day
+  const csvDays = new Map();
+  for (const file of csv) {
+    const symbol = (/^[a-z0-9]+/.exec(path.basename(file).toLowerCase()) ||
+      [])[0];
+    if (!wanted.has(symbol)) {
+      skipped++;
+      continue;
+    }
+    const readDay = createCsvDayReader(file);
+    for (const day of (await listCsvDays(file)).filter(inRange)) {
+      const key = `${symbol}|${day}`;
+      csvDays.set(key, [...(csvDays.get(key) || []), readDay]);
+    }
+  }
+  if (skipped > 0) {
+    console.log(
+      `Skipping ${skipped} archive files of other symbols or outside ${startDate} to ${endDate}`
+    );
+  }
+
+  const days = [];
+  for (const key of new Set([...hourFiles.keys(), ...csvDays.keys()])) {
+    const [symbol, day] = key.split("|");
+    const hours = hourFiles.get(key) || new Map();
+    days.push({
+      symbol,
+      day,
+      hours:
+        hours.size === 24 || csvDays.has(key)
+          ? null
+          : [...hours.keys()].sort((a, b) => a - b),
+    });
+  }
+
+  // A CSV day is read once, so a day fetched in parts is kept until its
+  // last hour has been asked for
+  const csvReads = new Map();
+  async function readCsvDay(key, day) {
+    if (!csvReads.has(key)) {
+      csvReads.set(
+        key,
+        (async () => {
+          let ticks = [];
+          for (const readDay of csvDays.get(key)) {
+            ticks = ticks.concat(await readDay(day));
+          }
+          return ticks;
+        })()
+      );
+    }
+    return csvReads.get(key);
+  }
+
+  async function fetchHistoricalData(symbol, fromDate, toDate) {
+    const day = toDay(fromDate);
+    const key = `${symbol}|${day}`;
+    let ticks = [];
+
+    if (csvDays.has(key)) {
+      const { to } = dayRange(day);
+      let dayTicks;
+      try {
+        dayTicks = await readCsvDay(key, day);
+      } catch (error) {
+        csvReads.delete(key);
+        throw error;
+      }
+      if (toDate >= to) {
+        csvReads.delete(key);
+      }
+      ticks = dayTicks.filter(
+        (tick) =>
+          tick.timestamp >= fromDate.getTime() &&
+          tick.timestamp < toDate.getTime()
+      );
+    } else {
+      const start = dayRange(day).from.getTime();
+      const hours = hourFiles.get(key) || new Map();
+      for (
+        let hourStart = fromDate.getTime();
+        hourStart < toDate.getTime();
+        hourStart += hourMs
+      ) {
+        const file = hours.get((hourStart - start) / hourMs);
+        if (file) {
+          ticks = ticks.concat(
+            decodeBi5(
+              await fs.promises.readFile(file),
+              hourStart,
+              getInstrument(symbol).point_value
+            )
+          );
+        }
+      }
+    }
+    return ticks.sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  console.log(
+    `Archive ${directory}: ${bi5.length} .bi5 files and ${csv.length} CSV files`
+  );
+  return { days, fetchHistoricalData };
+}
+
+/**
+ * Plan the import of an archive (see openArchive). The archive becomes
+ * ledger slots that importSlots works through with the archive's fetcher in
+ * place of the download, so its ticks are validated, stored and recorded
+ * like downloaded ones:
+ *
+ *   - a day with all 24 hour files, or with ticks in a CSV, is a day slot
+ *   - the hours of a day with only some hour files are hour slots, and the
+ *     day slot stays pending for a later download of the rest
+ *
+ * Slots the ledger already has as done are left alone.
+ * @param {Object} store - The storage backend
+ * @param {Object} options
+ * @param {string} options.directory - Root of the archive
+ * @param {string[]} options.symbols - Symbols to import; files of others are skipped
+ * @param {string} options.startDate - First day to import
+ * @param {string} options.endDate - Last day to import
+ * @returns {Promise<{slots: Array, fetchHistoricalData: Function}>} - The
+ *   slots to import and the fetcher reading them from the archive
+ * @throws {Error} - If a CSV file cannot be read, or the decimals of a
+ *   symbol with .bi5 files are not known
+ */
+export async function planArchiveImport(
+  store,
+  { directory, symbols, startDate, endDate }
+) {
+  const archive = await openArchive({
+    directory,
+    symbols,
+    startDate,
+    endDate,
+  });
+  const daySlots = [];
+  const hourSlots = [];
+  for (const { symbol, day, hours } of archive.days) {
+    if (hours === null) {
+      daySlots.push({ symbol, day });
+    } else {
+      for (const hour of hours) {
+        hourSlots.push({ symbol, day, hour });
+      }
+    }
+  }
+
+  const days = archive.days.map((entry) => entry.day).sort();
+  if (days.length === 0) {
+    return { slots: [], fetchHistoricalData: async () => [] };
+  }
+  const [firstDay, lastDay] = [days[0], days[days.length - 1]];
+  // The archive decides which days have ticks, not the trading calendar
+  for (const symbol of symbols) {
+    await planSlots(
+      store,
+      [symbol],
+      [
+        ...new Set(
+          archive.days
+            .filter((entry) => entry.symbol === symbol)
+            .map((entry) => entry.day)
+        ),
+      ].sort(),
+      { checkCalendar: false }
+    );
+  }
+
+  // Only slots the ledger still has open, and hours not imported before
+  const open = new Set(
+    (await getOpenSlots(store, symbols, firstDay, lastDay)).map(
+      (slot) => `${slot.symbol}|${slot.day}`
+    )
+  );
+  const doneHours = new Set(
+    (await store.getHourSlots(symbols, firstDay, lastDay))
+      .filter(
+        (slot) =>
+          slot.status === SlotStatus.DONE || slot.status === SlotStatus.EMPTY
+      )
+      .map((slot) => `${slot.symbol}|${slot.day}|${slot.hour}`)
+  );
+  const slots = [
+    ...daySlots.filter((slot) => open.has(`${slot.symbol}|${slot.day}`)),
+    ...hourSlots.filter(
+      (slot) =>
+        open.has(`${slot.symbol}|${slot.day}`) &&
+        !doneHours.has(`${slot.symbol}|${slot.day}|${slot.hour}`)
+    ),
+  ].sort(
+    (a, b) =>
+      a.day.localeCompare(b.day) ||
+      a.symbol.localeCompare(b.symbol) ||
+      (a.hour || 0) - (b.hour || 0)
+  );
+
+  console.log(
+    `Archive ${directory}: ${slots.length} slots to import from ${firstDay} to ${lastDay}`
+  );
+  return { slots, fetchHistoricalData: archive.fetchHistoricalData };
+}
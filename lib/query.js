@@ -0,0 +1,299 @@
+import { barTimeframes, createBarResampler, tickToBar } from "./bars.js";
+
+// Rows are read from the store this many at a time
+const chunkSize = 10000;
+
+export const maxQueryLimit = 1000000;
+
+export const priceTypes = ["both", "bid", "ask", "mid"];
+
+const timeframeUnits = {
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+};
+
+/**
+ * Parse a timeframe such as s10, m1, m30, h2 or d1
+ * @param {string} timeframe - The timeframe
+ * @returns {number|null} - Its length in milliseconds, or null if it is invalid
+ *   or does not divide a UTC day
+ */
+export function parseTimeframe(timeframe) {
+  const match = /^([smhd])(\d+)$/.exec(timeframe || "");
+  if (!match) {
+    return null;
+  }
+  const periodMs = timeframeUnits[match[1]] * Number(match[2]);
+  return periodMs > 0 && barTimeframes.d1 % periodMs === 0 ? periodMs : null;
+}
+
+/**
+ * Parse a point in time given as epoch milliseconds, a YYYY-MM-DD day or an
+ * ISO 8601 date-time
+ * @param {string} value - The time
+ * @returns {number|null} - Epoch milliseconds, or null if it is invalid
+ */
+export function parseTime(value) {
+  if (/^\d+$/.test(value)) {
+    return Number(value);
+  }
+  const time = /^\d{4}-\d{2}-\d{2}$/.test(value)
+    ? Date.parse(`${value}T00:00:00Z`)
+    : Date.parse(value);
+  return isNaN(time) ? null : time;
+}
+
+/**
+ * Get the fields of the rows a query returns, in output order
+ * @param {string} type - "ticks" or "bars"
+ * @param {string} price - One of priceTypes
+ * @returns {string[]} - The row keys
+ */
+export function queryColumns(type, price) {
+  if (type === "ticks") {
+    return price === "both"
+      ? ["timestamp", "bidPrice", "askPrice", "bidVolume", "askVolume"]
+      : ["timestamp", "price", "volume"];
+  }
+  return price === "both"
+    ? [
+        "timestamp",
+        "bidOpen",
+        "bidHigh",
+        "bidLow",
+        "bidClose",
+        "askOpen",
+        "askHigh",
+        "askLow",
+        "askClose",
+        "bidVolume",
+        "askVolume",
+        "tickCount",
+      ]
+    : ["timestamp", "open", "high", "low", "close", "volume", "tickCount"];
+}
+
+function shapeTick(tick, price) {
+  switch (price) {
+    case "bid":
+      return {
+        timestamp: tick.timestamp,
+        price: tick.bidPrice,
+        volume: tick.bidVolume,
+      };
+    case "ask":
+      return {
+        timestamp: tick.timestamp,
+        price: tick.askPrice,
+        volume: tick.askVolume,
+      };
+    case "mid":
+      return {
+        timestamp: tick.timestamp,
+        price: (tick.bidPrice + tick.askPrice) / 2,
+        volume: tick.bidVolume + tick.askVolume,
+      };
+    default:
+      return tick;
+  }
+}
+
+function shapeBar(bar, price) {
+  if (price === "both") {
+    return bar;
+  }
+  // Mid bars average the bid and ask prices of each field
+  const field = (name) =>
+    price === "mid"
+      ? (bar[`bid${name}`] + bar[`ask${name}`]) / 2
+      : bar[`${price}${name}`];
+  return {
+    timestamp: bar.timestamp,
+    open: field("Open"),
+    high: field("High"),
+    low: field("Low"),
+    close: field("Close"),
+    volume:
+      price === "mid" ? bar.bidVolume + bar.askVolume : bar[`${price}Volume`],
+    tickCount: bar.tickCount,
+  };
+}
+
+/**
+ * Pick where the bars of a timeframe come from: its own stored table, the
+ * longest stored timeframe that divides it, or the ticks
+ * @param {number} periodMs - Length of the requested bars
+ * @returns {{timeframe: ?string, resample: boolean}} - The stored timeframe to
+ *   read (null for ticks) and whether it has to be resampled
+ */
+function barSource(periodMs) {
+  const stored = Object.entries(barTimeframes)
+    .filter(([, ms]) => periodMs % ms === 0)
+    .sort(([, a], [, b]) => b - a);
+  if (stored.length === 0) {
+    return { timeframe: null, resample: true };
+  }
+  const [timeframe, ms] = stored[0];
+  return { timeframe, resample: ms !== periodMs };
+}
+
+/**
+ * Write to a stream, waiting for it to drain when its buffer is full. Fails
+ * once the stream is closed, e.g. because the client disconnected.
+ * @param {Writable} stream - The output, such as an HTTP response
+ * @param {string|Buffer} [chunk] - Data to write; nothing is written when empty
+ * @returns {Promise|undefined} - Settles once the stream can take more data
+ */
+export function writeChunk(stream, chunk) {
+  if (stream.destroyed) {
+    throw new Error("Output stream closed");
+  }
+  if (chunk && !stream.write(chunk)) {
+    return new Promise((resolve, reject) => {
+      const onDrain = () => {
+        stream.off("close", onClose);
+        resolve();
+      };
+      const onClose = () => {
+        stream.off("drain", onDrain);
+        reject(new Error("Output stream closed"));
+      };
+      stream.once("drain", onDrain);
+      stream.once("close", onClose);
+    });
+  }
+}
+
+/**
+ * Read the ticks or bars of a symbol over a time range in chunks, handing each
+ * chunk to a callback so the caller can stream it out without holding the
+ * whole result in memory. Bars of timeframes that are not stored are resampled
+ * on the fly; only bars starting inside the range are returned.
+ * @param {Object} store - The storage backend
+ * @param {Object} query
+ * @param {string} query.symbol - The forex/crypto symbol
+ * @param {string} query.type - "ticks" or "bars"
+ * @param {string} [query.timeframe] - Bar timeframe, see parseTimeframe
+ * @param {number} query.from - Start of the range in epoch milliseconds
+ * @param {number} query.to - End of the range in epoch milliseconds (exclusive)
+ * @param {number} [query.cursor] - Timestamp of the last row of the previous page
+ * @param {number} query.limit - Maximum number of rows
+ * @param {string} query.price - One of priceTypes
+ * @param {function(Array): Promise} onRows - Receives the shaped rows, chunk by chunk
+ * @returns {{count: number, nextCursor: ?number}} - Rows returned and the cursor
+ *   of the next page, null once the range is exhausted
+ */
+export async function streamQuery(store, query, onRows) {
+  const { symbol, type, to, limit, price } = query;
+  const from =
+    query.cursor !== undefined
+      ? Math.max(query.from, query.cursor + 1)
+      : query.from;
+
+  if (type === "ticks") {
+    return readChunks(
+      (start, size) =>
+        store.readTicks(symbol, new Date(start), new Date(to), size),
+      from,
+      limit,
+      (tick) => shapeTick(tick, price),
+      onRows
+    );
+  }
+
+  const periodMs = parseTimeframe(query.timeframe);
+  const source = barSource(periodMs);
+  const read = (start, end, size) =>
+    source.timeframe
+      ? store.readBars(
+          symbol,
+          source.timeframe,
+          new Date(start),
+          new Date(end),
+          size
+        )
+      : store.readTicks(symbol, new Date(start), new Date(end), size);
+
+  if (!source.resample) {
+    return readChunks(
+      (start, size) => read(start, to, size),
+      from,
+      limit,
+      (bar) => shapeBar(bar, price),
+      onRows
+    );
+  }
+
+  // Resampled bars start on a period boundary and take in the source rows up
+  // to the end of their period, even past the end of the range
+  const ceil = (time) => Math.ceil(time / periodMs) * periodMs;
+  const end = ceil(to);
+  const resampler = createBarResampler(periodMs);
+  let next = ceil(from);
+  let count = 0;
+  let last = null;
+  let exhausted = false;
+
+  while (count < limit && !exhausted) {
+    const rows = await read(next, end, chunkSize);
+    exhausted = rows.length < chunkSize;
+    const output = [];
+
+    const emit = (bar) => {
+      output.push(shapeBar(bar, price));
+      last = bar.timestamp;
+      count++;
+    };
+    for (const row of rows) {
+      const bar = resampler.push(source.timeframe ? row : tickToBar(row));
+      if (bar) {
+        emit(bar);
+        if (count === limit) {
+          exhausted = false;
+          break;
+        }
+      }
+    }
+    if (exhausted) {
+      const bar = resampler.flush();
+      if (bar) {
+        emit(bar);
+      }
+    } else if (rows.length > 0) {
+      next = rows[rows.length - 1].timestamp + 1;
+    }
+
+    if (output.length > 0) {
+      await onRows(output);
+    }
+  }
+
+  return { count, nextCursor: exhausted ? null : last };
+}
+
+/**
+ * Read rows in chunks until the limit is reached or the store runs out
+ */
+async function readChunks(read, from, limit, shape, onRows) {
+  let count = 0;
+  let last = null;
+  let next = from;
+
+  while (count < limit) {
+    const size = Math.min(chunkSize, limit - count);
+    const rows = await read(next, size);
+    if (rows.length > 0) {
+      await onRows(rows.map(shape));
+      count += rows.length;
+      last = rows[rows.length - 1].timestamp;
+      next = last + 1;
+    }
+    if (rows.length < size) {
+      return { count, nextCursor: null };
+    }
+  }
+
+  return { count, nextCursor: last };
+}
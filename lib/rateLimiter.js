@@ -0,0 +1,47 @@
+/**
+ * Create a token-bucket rate limiter shared by every download worker.
+ * Tokens refill continuously at `ratePerSecond` up to `burst`. A request
+ * costing more than the bucket holds waits for a full bucket and leaves it in
+ * debt, so the long-run rate never exceeds the limit.
+ * @param {Object} options
+ * @param {number} options.ratePerSecond - Tokens added per second
+ * @param {number} [options.burst] - Bucket capacity, defaults to one second's worth
+ * @returns {{acquire: function(number=): Promise<void>}} - The limiter
+ */
+export function createRateLimiter({ ratePerSecond, burst = ratePerSecond }) {
+  let tokens = burst;
+  let lastRefill = Date.now();
+  // Waiters are served one at a time, in the order they asked
+  let queue = Promise.resolve();
+
+  function refill() {
+    const now = Date.now();
+    tokens = Math.min(
+      burst,
+      tokens + ((now - lastRefill) / 1000) * ratePerSecond
+    );
+    lastRefill = now;
+  }
+
+  /**
+   * Wait until `cost` tokens are available and take them
+   * @param {number} [cost] - Number of requests about to be made
+   */
+  function acquire(cost = 1) {
+    const turn = queue.then(async () => {
+      refill();
+      const needed = Math.min(cost, burst);
+      if (tokens < needed) {
+        await new Promise((resolve) =>
+          setTimeout(resolve, ((needed - tokens) / ratePerSecond) * 1000)
+        );
+        refill();
+      }
+      tokens -= cost;
+    });
+    queue = turn.catch(() => {});
+    return turn;
+  }
+
+  return { acquire };
+}
@@ -0,0 +1,73 @@
+/**
+ * Create the switch an import run checks before each slot. Pausing lets the
+ * slots in flight finish and holds back the rest until resumed; stopping
+ * skips every slot not started yet, leaving it pending in the ledger.
+ * @returns {Object} - The control
+ */
+export function createRunControl() {
+  let paused = false;
+  let stopped = false;
+  let waiters = [];
+
+  const wake = () => {
+    waiters.forEach((resolve) => resolve());
+    waiters = [];
+  };
+
+  return {
+    get paused() {
+      return paused;
+    },
+
+    get stopped() {
+      return stopped;
+    },
+
+    pause() {
+      if (!stopped) {
+        paused = true;
+      }
+    },
+
+    resume() {
+      paused = false;
+      wake();
+    },
+
+    stop() {
+      stopped = true;
+      paused = false;
+      wake();
+    },
+
+    /**
+     * Wait between the polls of the follow mode, waking up early when the
+     * run is stopped or resumed
+     * @param {number} ms - How long to wait
+     * @returns {Promise<boolean>} - False if the run was stopped
+     */
+    async sleep(ms) {
+      if (!stopped) {
+        await new Promise((resolve) => {
+          const timer = setTimeout(resolve, ms);
+          waiters.push(() => {
+            clearTimeout(timer);
+            resolve();
+          });
+        });
+      }
+      return !stopped;
+    },
+
+    /**
+     * Wait while the run is paused
+     * @returns {Promise<boolean>} - False if the run was stopped
+     */
+    async proceed() {
+      while (paused) {
+        await new Promise((resolve) => waiters.push(resolve));
+      }
+      return !stopped;
+    },
+  };
+}
@@ -0,0 +1,39 @@
+import fs from "fs/promises";
+
+/**
+ * Check whether a process exists
+ * @param {number} pid - The process id
+ * @returns {boolean} - True if it is running
+ */
+export function isProcessRunning(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === "EPERM";
+  }
+}
+
+/**
+ * Take the lock that allows a single import run at a time. A lock left
+ * behind by a process that no longer exists is taken over.
+ * @param {string} lockFile - Path of the lock file
+ * @returns {function(): Promise<void>} - Releases the lock
+ * @throws {Error} - If another import is running
+ */
+export async function acquireRunLock(lockFile) {
+  try {
+    await fs.writeFile(lockFile, String(process.pid), { flag: "wx" });
+  } catch (error) {
+    if (error.code !== "EEXIST") {
+      throw error;
+    }
+    const pid = Number(await fs.readFile(lockFile, "utf8"));
+    if (pid && pid !== process.pid && isProcessRunning(pid)) {
+      throw new Error(`Another import (pid ${pid}) is already running`);
+    }
+    await fs.writeFile(lockFile, String(process.pid));
+  }
+
+  return () => fs.rm(lockFile, { force: true });
+}
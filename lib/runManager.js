@@ -0,0 +1,243 @@
+import { fork } from "child_process";
+import readline from "readline";
+import { createRunId } from "./logger.js";
+
+// How long a stopping run may take to finish its slots in flight
+const defaultStopTimeoutMs = 5 * 60 * 1000;
+
+// Lines of the importer's stderr kept to explain a failed run
+const stderrLines = 20;
+
+/**
+ * Raised when a run command does not fit the current state, e.g. starting a
+ * second run or pausing when nothing runs
+ */
+export class RunStateError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "RunStateError";
+  }
+}
+
+/**
+ * Create the manager of import runs started from the dashboard. Each run is
+ * index.js in a child process, controlled over IPC; only one runs at a time.
+ * @param {Object} options
+ * @param {string} options.script - Path of the importer script
+ * @param {string[]} options.baseArgs - Arguments every run gets, e.g. --config
+ * @param {number} [options.stopTimeoutMs] - Grace period before a stopping run is killed
+ * @param {function(string, Object): void} [options.onEvent] - Receives "run"
+ *   (status), "progress", "log" and the importer's slot and upload events
+ * @returns {Object} - The manager
+ */
+export function createRunManager({
+  script,
+  baseArgs,
+  stopTimeoutMs = defaultStopTimeoutMs,
+  onEvent = () => {},
+}) {
+  let child = null;
+  let run = null;
+  let killTimer = null;
+
+  function send(message) {
+    if (child && child.connected) {
+      child.send(message);
+    }
+  }
+
+  function handleMessage(message) {
+    switch (message && message.type) {
+      case "planned":
+        run.progress = { ...run.progress, total: message.total };
+        break;
+      case "progress":
+        run.progress = message.progress;
+        run.throughput = message.throughput;
+        onEvent("progress", {
+          id: run.id,
+          progress: run.progress,
+          throughput: run.throughput,
+        });
+        break;
+      case "state":
+        // A stop overrides a pause or resume acknowledged after it
+        if (run.state !== "stopping") {
+          run.state = message.state;
+          onEvent("run", status());
+        }
+        break;
+      case "event":
+        onEvent(message.name, { id: run.id, ...message.data });
+        break;
+    }
+  }
+
+  /**
+   * Forward the importer's output line by line as log events
+   */
+  function followOutput(stream, level, current) {
+    readline.createInterface({ input: stream }).on("line", (line) => {
+      if (level === "error") {
+        current.stderr.push(line);
+        current.stderr.splice(0, current.stderr.length - stderrLines);
+      }
+      onEvent("log", { id: current.id, level, line });
+    });
+  }
+
+  function handleExit(code, signal) {
+    clearTimeout(killTimer);
+    run.finishedAt = new Date().toISOString();
+    run.exitCode = code;
+
+    if (run.state === "stopping") {
+      run.state = "cancelled";
+    } else if (code === 0) {
+      run.state = "completed";
+    } else {
+      run.state = "failed";
+      run.error =
+        run.stderr.slice(-5).join("\n") ||
+        `Importer exited with ${signal || `code ${code}`}`;
+    }
+    console.log(`Import run ${run.id} ${run.state}`);
+    child = null;
+    onEvent("run", status());
+  }
+
+  /**
+   * Get the current state: idle, running, paused, stopping or failed (the
+   * last run failed and nothing runs), plus the details of the last run
+   * @returns {{state: string, run: ?Object}} - The status
+   */
+  function status() {
+    let state = "idle";
+    if (child) {
+      state = run.state;
+    } else if (run && run.state === "failed") {
+      state = "failed";
+    }
+    if (!run) {
+      return { state, run: null };
+    }
+    const { stderr, ...details } = run;
+    return { state, run: details };
+  }
+
+  return {
+    status,
+
+    /**
+     * Start a run over the given symbols, dates and timeframe
+     * @param {Object} job
+     * @param {string[]} job.symbols - The forex/crypto symbols
+     * @param {string} job.startDate - First day (YYYY-MM-DD)
+     * @param {string} job.endDate - Last day (YYYY-MM-DD)
+     * @param {string} job.timeframe - tick or a candle timeframe
+     * @param {string} job.price - both, bid or ask
+     * @returns {Object} - The new status
+     * @throws {RunStateError} - If a run is already active
+     */
+    start({ symbols, startDate, endDate, timeframe, price }) {
+      if (child) {
+        throw new RunStateError(`Import run ${run.id} is still ${run.state}`);
+      }
+
+      // Tags the run's log records, so its logs can be picked out later
+      const logRun = createRunId();
+      child = fork(
+        script,
+        [
+          ...baseArgs,
+          "--symbols",
+          symbols.join(","),
+          "--from",
+          startDate,
+          "--to",
+          endDate,
+          "--timeframe",
+          timeframe,
+          "--price",
+          price,
+        ],
+        {
+          stdio: ["ignore", "pipe", "pipe", "ipc"],
+          env: { ...process.env, IMPORT_RUN_ID: logRun },
+        }
+      );
+      run = {
+        id: (run ? run.id : 0) + 1,
+        state: "running",
+        pid: child.pid,
+        logRun,
+        symbols,
+        startDate,
+        endDate,
+        timeframe,
+        price,
+        startedAt: new Date().toISOString(),
+        finishedAt: null,
+        exitCode: null,
+        error: null,
+        progress: null,
+        throughput: null,
+        stderr: [],
+      };
+
+      const current = run;
+      followOutput(child.stdout, "info", current);
+      followOutput(child.stderr, "error", current);
+      child.on("message", handleMessage);
+      child.on("exit", handleExit);
+      child.on("error", (error) => {
+        console.error("Import run process error:", error);
+        current.stderr.push(error.message);
+      });
+
+      console.log(`Import run ${run.id} started (pid ${child.pid})`);
+      onEvent("run", status());
+      return status();
+    },
+
+    pause() {
+      if (!child || run.state !== "running") {
+        throw new RunStateError("No running import to pause");
+      }
+      send({ type: "pause" });
+      run.state = "paused";
+      onEvent("run", status());
+      return status();
+    },
+
+    resume() {
+      if (!child || run.state !== "paused") {
+        throw new RunStateError("No paused import to resume");
+      }
+      send({ type: "resume" });
+      run.state = "running";
+      onEvent("run", status());
+      return status();
+    },
+
+    /**
+     * Stop the active run after its slots in flight, killing it if that
+     * takes longer than the grace period
+     */
+    stop() {
+      if (!child || run.state === "stopping") {
+        throw new RunStateError("No active import to stop");
+      }
+      send({ type: "stop" });
+      run.state = "stopping";
+
+      const stopping = child;
+      killTimer = setTimeout(() => {
+        console.error(`Import run ${run.id} did not stop in time, killing it`);
+        stopping.kill("SIGKILL");
+      }, stopTimeoutMs);
+      onEvent("run", status());
+      return status();
+    },
+  };
+}
@@ -0,0 +1,1093 @@
+import fs from "fs/promises";
+import path from "path";
+import { readStagedTicks } from "../bulkLoad.js";
+import { listDays, toDay } from "../ledger.js";
+import { importOptional } from "./index.js";
+import {
+  barColumns,
+  candleColumns,
+  ledgerStatuses,
+  tickColumns,
+  verificationColumns,
+  verificationRunColumns,
+} from "./schema.js";
+
+// Ledger changes are written out at most this often
+const ledgerFlushDelayMs = 1000;
+const dayMs = 24 * 60 * 60 * 1000;
+// Older verify runs are dropped from verification-runs.json
+const verificationRunLimit = 100;
+// Ticks read from a staging file at a time
+const stagedBatchSize = 10000;
+
+const csvCodec = {
+  extension: "csv",
+
+  async read(file, columns) {
+    const [header, ...lines] = (await fs.readFile(file, "utf8"))
+      .split("\n")
+      .filter((line) => line.trim() !== "");
+    const properties = new Map(columns);
+    const fields = header.split(",").map((column) => properties.get(column));
+
+    return lines.map((line) => {
+      const row = {};
+      line.split(",").forEach((value, index) => {
+        if (fields[index]) {
+          row[fields[index]] = Number(value);
+        }
+      });
+      return row;
+    });
+  },
+
+  async write(file, columns, rows) {
+    const lines = [columns.map(([column]) => column).join(",")];
+    for (const row of rows) {
+      lines.push(columns.map(([, property]) => row[property]).join(","));
+    }
+    await writeAtomic(file, `${lines.join("\n")}\n`);
+  },
+};
+
+/**
+ * Load the Parquet codec; hyparquet is only needed when it is used
+ */
+async function loadParquetCodec() {
+  const { parquetReadObjects } = await importOptional(
+    "hyparquet",
+    "the files storage backend"
+  );
+  const { parquetWriteBuffer } = await importOptional(
+    "hyparquet-writer",
+    "the files storage backend"
+  );
+
+  const columnType = (column) =>
+    column === "Timestamp"
+      ? "INT64"
+      : column === "TickCount"
+      ? "INT32"
+      : "DOUBLE";
+
+  return {
+    extension: "parquet",
+
+    async read(file, columns) {
+      const buffer = await fs.readFile(file);
+      const rows = await parquetReadObjects({
+        file: buffer.buffer.slice(
+          buffer.byteOffset,
+          buffer.byteOffset + buffer.byteLength
+        ),
+      });
+      return rows.map((row) =>
+        Object.fromEntries(
+          columns.map(([column, property]) => [property, Number(row[column])])
+        )
+      );
+    },
+
+    async write(file, columns, rows) {
+      const buffer = parquetWriteBuffer({
+        columnData: columns.map(([column, property]) => ({
+          name: column,
+          type: columnType(column),
+          nullable: false,
+          data: rows.map((row) =>
+            columnType(column) === "INT64"
+              ? BigInt(row[property])
+              : row[property]
+          ),
+        })),
+      });
+      await writeAtomic(file, Buffer.from(buffer));
+    },
+  };
+}
+
+/**
+ * Write a file through a temporary file and a rename, so readers never see
+ * a half-written file
+ * @param {string} file - Destination path
+ * @param {string|Buffer} contents - File contents
+ */
+async function writeAtomic(file, contents) {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  const temporary = `${file}.${process.pid}.tmp`;
+  await fs.writeFile(temporary, contents);
+  await fs.rename(temporary, file);
+}
+
+/**
+ * Summarise the ticks of one day for the manifest
+ * @param {Array} ticks - The day's ticks, oldest first
+ * @returns {Object} - Row count, first and last timestamp and spread stats
+ */
+function summarizeTicks(ticks) {
+  let minSpread = Infinity;
+  let maxSpread = -Infinity;
+  let spreadSum = 0;
+  for (const tick of ticks) {
+    const spread = tick.askPrice - tick.bidPrice;
+    minSpread = Math.min(minSpread, spread);
+    maxSpread = Math.max(maxSpread, spread);
+    spreadSum += spread;
+  }
+  return {
+    count: ticks.length,
+    first: ticks[0].timestamp,
+    last: ticks[ticks.length - 1].timestamp,
+    minSpread,
+    maxSpread,
+    avgSpread: spreadSum / ticks.length,
+  };
+}
+
+async function fileExists(file) {
+  try {
+    await fs.access(file);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Turn a manifest entry into the day summary every store returns
+ */
+function daySummary({ count, first, last, minSpread, maxSpread, avgSpread }) {
+  return {
+    rowCount: count,
+    firstTimestamp: first,
+    lastTimestamp: last,
+    minSpread,
+    maxSpread,
+    avgSpread,
+  };
+}
+
+/**
+ * Create a store that keeps everything in local files, one CSV or Parquet
+ * file per symbol, kind (ticks or a bar timeframe) and UTC day:
+ *
+ *   <directory>/ledger.json
+ *   <directory>/hour-ledger.json                  hour slots of days imported hour by hour
+ *   <directory>/candle-ledger.json                slots of candle downloads
+ *   <directory>/quality.json                      rejected ticks per symbol-day and reason
+ *   <directory>/verification.json                 latest verification per symbol-day
+ *   <directory>/verification-runs.json            verify runs, newest last
+ *   <directory>/<symbol>/ticks/manifest.json     per-day counts and spreads for stats
+ *   <directory>/<symbol>/ticks/2024/2024-01-02.csv
+ *   <directory>/<symbol>/m5/2024/2024-01-02.csv
+ *   <directory>/<symbol>/m1_bid/2024/2024-01-02.csv    downloaded candles
+ *   <directory>/<symbol>/quarantine/2024/2024-01-02.json
+ *
+ * @param {Object} options - The storage config
+ * @param {string} options.directory - Root data directory
+ * @param {string} options.format - "csv" or "parquet"
+ * @returns {Object} - The store
+ */
+export async function createFileStore({ directory, format }) {
+  const codec = format === "parquet" ? await loadParquetCodec() : csvCodec;
+  const ledgerFile = path.join(directory, "ledger.json");
+  const qualityFile = path.join(directory, "quality.json");
+  const hourLedgerFile = path.join(directory, "hour-ledger.json");
+  const candleLedgerFile = path.join(directory, "candle-ledger.json");
+  const verificationFile = path.join(directory, "verification.json");
+  const verificationRunsFile = path.join(directory, "verification-runs.json");
+
+  // Writes to the same file are queued behind each other
+  const locks = new Map();
+  function withLock(key, fn) {
+    const result = (locks.get(key) || Promise.resolve()).then(fn);
+    locks.set(
+      key,
+      result.catch(() => {})
+    );
+    return result;
+  }
+
+  function dayFile(symbol, kind, day) {
+    return path.join(
+      directory,
+      symbol,
+      kind,
+      day.slice(0, 4),
+      `${day}.${codec.extension}`
+    );
+  }
+
+  function manifestFile(symbol) {
+    return path.join(directory, symbol, "ticks", "manifest.json");
+  }
+
+  async function readManifest(symbol) {
+    try {
+      return JSON.parse(await fs.readFile(manifestFile(symbol), "utf8"));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async function readJson(file, fallback) {
+    try {
+      return JSON.parse(await fs.readFile(file, "utf8"));
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return fallback;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Merge rows into their day files, replacing rows with the same timestamp
+   * @returns {Object} - For ticks, the summary of each day written (see
+   *   summarizeTicks)
+   */
+  async function upsertByDay(symbol, kind, columns, rows) {
+    const days = new Map();
+    for (const row of rows) {
+      const day = toDay(new Date(row.timestamp));
+      if (!days.has(day)) {
+        days.set(day, []);
+      }
+      days.get(day).push(row);
+    }
+
+    const summaries = {};
+    for (const [day, dayRows] of days) {
+      const file = dayFile(symbol, kind, day);
+      await withLock(file, async () => {
+        const merged = new Map();
+        if (await fileExists(file)) {
+          for (const row of await codec.read(file, columns)) {
+            merged.set(row.timestamp, row);
+          }
+        }
+        for (const row of dayRows) {
+          merged.set(row.timestamp, row);
+        }
+
+        const sorted = [...merged.values()].sort(
+          (a, b) => a.timestamp - b.timestamp
+        );
+        await codec.write(file, columns, sorted);
+        if (kind === "ticks") {
+          summaries[day] = summarizeTicks(sorted);
+        }
+      });
+    }
+    return summaries;
+  }
+
+  /**
+   * Replace the rows of the day files in [from, to) with the given rows,
+   * each day file in a single rename. Files left without rows are removed.
+   * @returns {Object} - For ticks, the summary of each day in the range,
+   *   null for a day without ticks
+   */
+  async function replaceRange(symbol, kind, columns, fromDate, toDate, rows) {
+    const from = fromDate.getTime();
+    const to = toDate.getTime();
+    const summaries = {};
+    for (const day of listDays(fromDate, new Date(to - 1))) {
+      const file = dayFile(symbol, kind, day);
+      const dayRows = rows.filter(
+        (row) => toDay(new Date(row.timestamp)) === day
+      );
+      summaries[day] = await withLock(file, async () => {
+        const kept = (await fileExists(file))
+          ? (await codec.read(file, columns)).filter(
+              (row) => row.timestamp < from || row.timestamp >= to
+            )
+          : [];
+        // Rows sharing a timestamp replace each other, as in upsertByDay
+        const merged = [
+          ...new Map(
+            [...kept, ...dayRows].map((row) => [row.timestamp, row])
+          ).values(),
+        ].sort((a, b) => a.timestamp - b.timestamp);
+        if (merged.length === 0) {
+          await fs.rm(file, { force: true });
+          return null;
+        }
+        await codec.write(file, columns, merged);
+        return kind === "ticks" ? summarizeTicks(merged) : null;
+      });
+    }
+    return summaries;
+  }
+
+  function updateManifest(symbol, update) {
+    return withLock(manifestFile(symbol), async () => {
+      const manifest = (await readManifest(symbol)) || {};
+      await writeAtomic(manifestFile(symbol), JSON.stringify(update(manifest)));
+    });
+  }
+
+  /**
+   * Put the summary of a day into the manifest, or remove the day without one
+   */
+  async function setDaySummary(symbol, day, summary) {
+    if (summary || (await readManifest(symbol))) {
+      await updateManifest(symbol, (manifest) => {
+        const updated = { ...manifest };
+        if (summary) {
+          updated[day] = summary;
+        } else {
+          delete updated[day];
+        }
+        return updated;
+      });
+    }
+  }
+
+  async function readRange(symbol, kind, columns, fromDate, toDate, limit) {
+    const rows = [];
+    const from = fromDate.getTime();
+    const to = toDate.getTime();
+
+    for (const day of listDays(fromDate, new Date(to - 1))) {
+      const file = dayFile(symbol, kind, day);
+      if (!(await fileExists(file))) {
+        continue;
+      }
+      for (const row of await codec.read(file, columns)) {
+        if (row.timestamp >= from && row.timestamp < to) {
+          rows.push(row);
+          if (rows.length === limit) {
+            return rows;
+          }
+        }
+      }
+    }
+    return rows;
+  }
+
+  // The ledger is kept in memory and flushed to ledger.json shortly after
+  // each change. Readers in another process (the dashboard) reload it
+  // whenever the file changes.
+  let ledger = new Map();
+  let ledgerMtime = 0;
+  let dirty = false;
+  let flushTimer = null;
+
+  const slotKey = (symbol, day) => `${symbol}|${day}`;
+  const candleSlotKey = ({ symbol, timeframe, side, day }) =>
+    `${symbol}|${timeframe}|${side}|${day}`;
+
+  async function loadLedger() {
+    if (dirty) {
+      return;
+    }
+    try {
+      const { mtimeMs } = await fs.stat(ledgerFile);
+      if (mtimeMs === ledgerMtime) {
+        return;
+      }
+      const entries = JSON.parse(await fs.readFile(ledgerFile, "utf8"));
+      ledger = new Map(entries.map((e) => [slotKey(e.symbol, e.day), e]));
+      ledgerMtime = mtimeMs;
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        throw error;
+      }
+    }
+  }
+
+  function flushLedger() {
+    return withLock(ledgerFile, async () => {
+      if (!dirty) {
+        return;
+      }
+      dirty = false;
+      await writeAtomic(ledgerFile, JSON.stringify([...ledger.values()]));
+      ledgerMtime = (await fs.stat(ledgerFile)).mtimeMs;
+    });
+  }
+
+  function scheduleFlush() {
+    dirty = true;
+    if (!flushTimer) {
+      flushTimer = setTimeout(() => {
+        flushTimer = null;
+        flushLedger().catch((error) =>
+          console.error("Error writing ledger file:", error)
+        );
+      }, ledgerFlushDelayMs);
+    }
+  }
+
+  const store = {
+    async init() {
+      await fs.mkdir(directory, { recursive: true });
+      await loadLedger();
+    },
+
+    async close() {
+      clearTimeout(flushTimer);
+      flushTimer = null;
+      await flushLedger();
+    },
+
+    // Files have no transactions. Every day file is replaced by a single
+    // rename and the ledger is written after the data, so a write that is
+    // interrupted leaves its slot open and the next run replaces it whole.
+    async transaction(fn) {
+      return fn(store);
+    },
+
+    // Files have no schema to migrate
+    async schemaVersion() {
+      return null;
+    },
+
+    async ensureTickTable(symbol) {
+      await fs.mkdir(path.join(directory, symbol, "ticks"), {
+        recursive: true,
+      });
+    },
+
+    async upsertTicks(symbol, ticks) {
+      const summaries = await upsertByDay(symbol, "ticks", tickColumns, ticks);
+      await updateManifest(symbol, (manifest) => ({
+        ...manifest,
+        ...summaries,
+      }));
+      console.log(`Wrote ${ticks.length} records for ${symbol}`);
+    },
+
+    readTicks(symbol, fromDate, toDate, limit) {
+      return readRange(symbol, "ticks", tickColumns, fromDate, toDate, limit);
+    },
+
+    async replaceTicks(symbol, fromDate, toDate, ticks) {
+      const summaries = await replaceRange(
+        symbol,
+        "ticks",
+        tickColumns,
+        fromDate,
+        toDate,
+        ticks
+      );
+      for (const [day, summary] of Object.entries(summaries)) {
+        await setDaySummary(symbol, day, summary);
+      }
+    },
+
+    async loadTicks(symbol, fromDate, toDate, file) {
+      // Day files are written whole, so the staged ticks are read in first
+      const ticks = [];
+      for await (const batch of readStagedTicks(file, stagedBatchSize)) {
+        ticks.push(...batch);
+      }
+      await store.replaceTicks(symbol, fromDate, toDate, ticks);
+    },
+
+    async upsertBars(symbol, timeframe, bars) {
+      await upsertByDay(symbol, timeframe, barColumns, bars);
+    },
+
+    async deleteBars(symbol, timeframe, fromDate, toDate) {
+      await replaceRange(symbol, timeframe, barColumns, fromDate, toDate, []);
+    },
+
+    readBars(symbol, timeframe, fromDate, toDate, limit) {
+      return readRange(symbol, timeframe, barColumns, fromDate, toDate, limit);
+    },
+
+    async upsertCandles(symbol, timeframe, side, candles) {
+      await upsertByDay(symbol, `${timeframe}_${side}`, candleColumns, candles);
+    },
+
+    async tickStats(symbol) {
+      const manifest = await readManifest(symbol);
+      if (!manifest) {
+        return null;
+      }
+      const days = Object.values(manifest);
+      return {
+        total_records: days.reduce((sum, day) => sum + day.count, 0),
+        oldest_timestamp: days.length
+          ? Math.min(...days.map((day) => day.first))
+          : null,
+        newest_timestamp: days.length
+          ? Math.max(...days.map((day) => day.last))
+          : null,
+      };
+    },
+
+    async refreshDaySummary(symbol, day) {
+      const file = dayFile(symbol, "ticks", day);
+      const ticks = (await fileExists(file))
+        ? await codec.read(file, tickColumns)
+        : [];
+      const summary = ticks.length > 0 ? summarizeTicks(ticks) : null;
+      await setDaySummary(symbol, day, summary);
+      return summary && daySummary(summary);
+    },
+
+    async readDaySummaries(symbol, firstDay, lastDay) {
+      const manifest = (await readManifest(symbol)) || {};
+      return Object.keys(manifest)
+        .filter((day) => day >= firstDay && day <= lastDay)
+        .sort()
+        .map((day) => ({ day, ...daySummary(manifest[day]) }));
+    },
+
+    async summaryStats(symbols) {
+      const stats = {};
+      for (const symbol of symbols) {
+        const days = Object.values((await readManifest(symbol)) || {});
+        if (days.length === 0) {
+          continue;
+        }
+        // Manifests written before spreads were tracked lack them until
+        // the summaries are rebuilt
+        const spreadDays = days.filter((day) => day.avgSpread !== undefined);
+        const spreadCount = spreadDays.reduce((sum, day) => sum + day.count, 0);
+        stats[symbol] = {
+          total_records: days.reduce((sum, day) => sum + day.count, 0),
+          oldest_timestamp: Math.min(...days.map((day) => day.first)),
+          newest_timestamp: Math.max(...days.map((day) => day.last)),
+          days: days.length,
+          min_spread: spreadCount
+            ? Math.min(...spreadDays.map((day) => day.minSpread))
+            : null,
+          max_spread: spreadCount
+            ? Math.max(...spreadDays.map((day) => day.maxSpread))
+            : null,
+          avg_spread: spreadCount
+            ? spreadDays.reduce(
+                (sum, day) => sum + day.avgSpread * day.count,
+                0
+              ) / spreadCount
+            : null,
+        };
+      }
+      return stats;
+    },
+
+    async tickCounts(symbol, fromDate, toDate, bucketMs) {
+      const counts = new Map();
+      const from = fromDate.getTime();
+      const to = toDate.getTime();
+
+      // Whole days are answered from the manifest without reading the files
+      if (bucketMs === dayMs) {
+        const manifest = (await readManifest(symbol)) || {};
+        for (const day of listDays(fromDate, new Date(to - 1))) {
+          const timestamp = Date.parse(`${day}T00:00:00Z`);
+          if (manifest[day] && timestamp >= from && timestamp < to) {
+            counts.set(timestamp, manifest[day].count);
+          }
+        }
+      } else {
+        const ticks = await readRange(
+          symbol,
+          "ticks",
+          tickColumns.slice(0, 1),
+          fromDate,
+          toDate
+        );
+        for (const { timestamp } of ticks) {
+          const bucket = timestamp - (timestamp % bucketMs);
+          counts.set(bucket, (counts.get(bucket) || 0) + 1);
+        }
+      }
+
+      return [...counts.entries()]
+        .sort(([a], [b]) => a - b)
+        .map(([timestamp, count]) => ({ timestamp, count }));
+    },
+
+    async quarantineTicks(symbol, rejected) {
+      const days = new Map();
+      for (const tick of rejected) {
+        const day = toDay(new Date(tick.timestamp));
+        if (!days.has(day)) {
+          days.set(day, []);
+        }
+        days.get(day).push(tick);
+      }
+
+      for (const [day, dayTicks] of days) {
+        const file = path.join(
+          directory,
+          symbol,
+          "quarantine",
+          day.slice(0, 4),
+          `${day}.json`
+        );
+        const counts = await withLock(file, async () => {
+          const merged = new Map(
+            (await readJson(file, [])).map((tick) => [
+              `${tick.timestamp}:${tick.seq}`,
+              tick,
+            ])
+          );
+          for (const tick of dayTicks) {
+            merged.set(`${tick.timestamp}:${tick.seq}`, tick);
+          }
+          await writeAtomic(file, JSON.stringify([...merged.values()]));
+
+          const dayCounts = {};
+          for (const { reason } of merged.values()) {
+            dayCounts[reason] = (dayCounts[reason] || 0) + 1;
+          }
+          return dayCounts;
+        });
+
+        await withLock(qualityFile, async () => {
+          const quality = await readJson(qualityFile, {});
+          quality[`${symbol}|${day}`] = counts;
+          await writeAtomic(qualityFile, JSON.stringify(quality));
+        });
+      }
+    },
+
+    async getQuarantineDays(symbol, firstDay, lastDay) {
+      const quality = await readJson(qualityFile, {});
+      const days = [];
+      for (const [key, counts] of Object.entries(quality)) {
+        const [keySymbol, day] = key.split("|");
+        if (keySymbol === symbol && day >= firstDay && day <= lastDay) {
+          days.push({
+            day,
+            ticks: Object.values(counts).reduce((sum, n) => sum + n, 0),
+          });
+        }
+      }
+      return days.sort((a, b) => a.day.localeCompare(b.day));
+    },
+
+    async getQualitySummary(dayLimit) {
+      const quality = await readJson(qualityFile, {});
+      const totals = {};
+      const bySymbol = new Map();
+      const days = [];
+
+      for (const [key, counts] of Object.entries(quality)) {
+        const [symbol, day] = key.split("|");
+        for (const [reason, ticks] of Object.entries(counts)) {
+          totals[reason] = (totals[reason] || 0) + ticks;
+          const symbolKey = `${symbol}|${reason}`;
+          bySymbol.set(symbolKey, (bySymbol.get(symbolKey) || 0) + ticks);
+          days.push({ symbol, day, reason, ticks });
+        }
+      }
+
+      return {
+        totals,
+        by_symbol: [...bySymbol.entries()]
+          .map(([key, ticks]) => {
+            const [symbol, reason] = key.split("|");
+            return { symbol, reason, ticks };
+          })
+          .sort(
+            (a, b) =>
+              a.symbol.localeCompare(b.symbol) ||
+              a.reason.localeCompare(b.reason)
+          ),
+        recent_days: days
+          .sort(
+            (a, b) =>
+              b.day.localeCompare(a.day) ||
+              a.symbol.localeCompare(b.symbol) ||
+              a.reason.localeCompare(b.reason)
+          )
+          .slice(0, dayLimit),
+      };
+    },
+
+    async recordVerificationRun(run) {
+      const entry = Object.fromEntries(
+        verificationRunColumns.map(([column, property]) => [
+          column,
+          property === "repair" ? Boolean(run.repair) : run[property],
+        ])
+      );
+      await withLock(verificationRunsFile, async () => {
+        const runs = (await readJson(verificationRunsFile, [])).filter(
+          (existing) => existing.id !== run.id
+        );
+        runs.push(entry);
+        await writeAtomic(
+          verificationRunsFile,
+          JSON.stringify(runs.slice(-verificationRunLimit))
+        );
+      });
+    },
+
+    async recordVerifications(results) {
+      await withLock(verificationFile, async () => {
+        const verification = await readJson(verificationFile, {});
+        for (const result of results) {
+          verification[`${result.symbol}|${result.day}`] = Object.fromEntries(
+            verificationColumns.map(([column, property]) => [
+              column,
+              result[property],
+            ])
+          );
+        }
+        await writeAtomic(verificationFile, JSON.stringify(verification));
+      });
+    },
+
+    async getVerificationSummary(dayLimit) {
+      const runs = await readJson(verificationRunsFile, []);
+      const days = Object.values(await readJson(verificationFile, {}));
+      const totals = {};
+      const bySymbol = new Map();
+      for (const { symbol, status } of days) {
+        totals[status] = (totals[status] || 0) + 1;
+        const key = `${symbol}|${status}`;
+        bySymbol.set(key, (bySymbol.get(key) || 0) + 1);
+      }
+
+      return {
+        last_run: runs.reduce(
+          (last, run) =>
+            !last || run.started_at > last.started_at ? run : last,
+          null
+        ),
+        totals,
+        by_symbol: [...bySymbol.entries()]
+          .map(([key, count]) => {
+            const [symbol, status] = key.split("|");
+            return { symbol, status, days: count };
+          })
+          .sort(
+            (a, b) =>
+              a.symbol.localeCompare(b.symbol) ||
+              a.status.localeCompare(b.status)
+          ),
+        problem_days: days
+          .filter(({ status }) => status === "mismatch" || status === "error")
+          .sort(
+            (a, b) =>
+              b.day.localeCompare(a.day) || a.symbol.localeCompare(b.symbol)
+          )
+          .slice(0, dayLimit),
+      };
+    },
+
+    async insertSlots(slots) {
+      await loadLedger();
+      let added = false;
+      for (const { symbol, day, status } of slots) {
+        const key = slotKey(symbol, day);
+        if (!ledger.has(key)) {
+          ledger.set(key, {
+            symbol,
+            day,
+            status,
+            row_count: null,
+            attempts: 0,
+            error: null,
+            updated_at: new Date().toISOString(),
+          });
+          added = true;
+        }
+      }
+      if (added) {
+        scheduleFlush();
+      }
+    },
+
+    async hasLedgerEntries() {
+      await loadLedger();
+      return ledger.size > 0;
+    },
+
+    async getOpenSlots(symbols, firstDay, lastDay) {
+      await loadLedger();
+      const wanted = new Set(symbols);
+      return [...ledger.values()]
+        .filter(
+          (slot) =>
+            (slot.status === "pending" || slot.status === "failed") &&
+            wanted.has(slot.symbol) &&
+            slot.day >= firstDay &&
+            slot.day <= lastDay
+        )
+        .map(({ symbol, day, status, attempts }) => ({
+          symbol,
+          day,
+          status,
+          attempts,
+        }))
+        .sort((a, b) => a.day.localeCompare(b.day));
+    },
+
+    async getSymbolSlots(symbol, firstDay, lastDay) {
+      await loadLedger();
+      return [...ledger.values()]
+        .filter(
+          (slot) =>
+            slot.symbol === symbol &&
+            slot.day >= firstDay &&
+            slot.day <= lastDay
+        )
+        .map(({ day, status, row_count }) => ({ day, status, row_count }))
+        .sort((a, b) => a.day.localeCompare(b.day));
+    },
+
+    async getSlotCounts(symbols, firstDay, lastDay) {
+      await loadLedger();
+      const wanted = new Set(symbols);
+      const counts = new Map();
+      for (const slot of ledger.values()) {
+        if (
+          wanted.has(slot.symbol) &&
+          slot.day >= firstDay &&
+          slot.day <= lastDay
+        ) {
+          const key = `${slot.symbol}|${slot.status}`;
+          counts.set(key, (counts.get(key) || 0) + 1);
+        }
+      }
+      return [...counts.entries()].map(([key, slots]) => {
+        const [symbol, status] = key.split("|");
+        return { symbol, status, slots };
+      });
+    },
+
+    async markSlot(
+      symbol,
+      day,
+      status,
+      { rowCount = null, error = null } = {}
+    ) {
+      await loadLedger();
+      const key = slotKey(symbol, day);
+      const previous = ledger.get(key);
+      ledger.set(key, {
+        symbol,
+        day,
+        status,
+        row_count: rowCount,
+        attempts: previous ? previous.attempts + 1 : 1,
+        error,
+        updated_at: new Date().toISOString(),
+      });
+      scheduleFlush();
+    },
+
+    async getHourSlots(symbols, firstDay, lastDay) {
+      const wanted = new Set(symbols);
+      return (await readJson(hourLedgerFile, []))
+        .filter(
+          (slot) =>
+            wanted.has(slot.symbol) &&
+            slot.day >= firstDay &&
+            slot.day <= lastDay
+        )
+        .map(({ symbol, day, hour, status, row_count }) => ({
+          symbol,
+          day,
+          hour,
+          status,
+          row_count,
+        }))
+        .sort((a, b) => a.day.localeCompare(b.day) || a.hour - b.hour);
+    },
+
+    async markHourSlot(
+      symbol,
+      day,
+      hour,
+      status,
+      { rowCount = null, error = null } = {}
+    ) {
+      await withLock(hourLedgerFile, async () => {
+        const slots = await readJson(hourLedgerFile, []);
+        const index = slots.findIndex(
+          (slot) =>
+            slot.symbol === symbol && slot.day === day && slot.hour === hour
+        );
+        const slot = {
+          symbol,
+          day,
+          hour,
+          status,
+          row_count: rowCount,
+          attempts: index >= 0 ? slots[index].attempts + 1 : 1,
+          error,
+          updated_at: new Date().toISOString(),
+        };
+        if (index >= 0) {
+          slots[index] = slot;
+        } else {
+          slots.push(slot);
+        }
+        await writeAtomic(hourLedgerFile, JSON.stringify(slots));
+      });
+    },
+
+    async clearHourSlots(symbol, day) {
+      await withLock(hourLedgerFile, async () => {
+        const slots = await readJson(hourLedgerFile, []);
+        await writeAtomic(
+          hourLedgerFile,
+          JSON.stringify(
+            slots.filter((slot) => slot.symbol !== symbol || slot.day !== day)
+          )
+        );
+      });
+    },
+
+    async insertCandleSlots(slots) {
+      await withLock(candleLedgerFile, async () => {
+        const existing = await readJson(candleLedgerFile, []);
+        const keys = new Set(existing.map(candleSlotKey));
+        const added = slots
+          .filter((slot) => !keys.has(candleSlotKey(slot)))
+          .map(({ symbol, timeframe, side, day, status }) => ({
+            symbol,
+            timeframe,
+            side,
+            day,
+            status,
+            row_count: null,
+            attempts: 0,
+            error: null,
+            updated_at: new Date().toISOString(),
+          }));
+        if (added.length > 0) {
+          await writeAtomic(
+            candleLedgerFile,
+            JSON.stringify(existing.concat(added))
+          );
+        }
+      });
+    },
+
+    async getOpenCandleSlots(symbols, timeframe, side, firstDay, lastDay) {
+      const wanted = new Set(symbols);
+      return (await readJson(candleLedgerFile, []))
+        .filter(
+          (slot) =>
+            (slot.status === "pending" || slot.status === "failed") &&
+            wanted.has(slot.symbol) &&
+            slot.timeframe === timeframe &&
+            slot.side === side &&
+            slot.day >= firstDay &&
+            slot.day <= lastDay
+        )
+        .map(({ symbol, day, status, attempts }) => ({
+          symbol,
+          timeframe,
+          side,
+          day,
+          status,
+          attempts,
+        }))
+        .sort((a, b) => a.day.localeCompare(b.day));
+    },
+
+    async getCandleSlotCounts(symbols, firstDay, lastDay) {
+      const wanted = new Set(symbols);
+      const counts = new Map();
+      for (const slot of await readJson(candleLedgerFile, [])) {
+        if (
+          wanted.has(slot.symbol) &&
+          slot.day >= firstDay &&
+          slot.day <= lastDay
+        ) {
+          const key = `${slot.symbol}|${slot.timeframe}|${slot.side}|${slot.status}`;
+          counts.set(key, (counts.get(key) || 0) + 1);
+        }
+      }
+      return [...counts.entries()].map(([key, slots]) => {
+        const [symbol, timeframe, side, status] = key.split("|");
+        return { symbol, timeframe, side, status, slots };
+      });
+    },
+
+    async markCandleSlot(
+      symbol,
+      timeframe,
+      side,
+      day,
+      status,
+      { rowCount = null, error = null } = {}
+    ) {
+      await withLock(candleLedgerFile, async () => {
+        const slots = await readJson(candleLedgerFile, []);
+        const key = candleSlotKey({ symbol, timeframe, side, day });
+        const index = slots.findIndex((slot) => candleSlotKey(slot) === key);
+        const slot = {
+          symbol,
+          timeframe,
+          side,
+          day,
+          status,
+          row_count: rowCount,
+          attempts: index >= 0 ? slots[index].attempts + 1 : 1,
+          error,
+          updated_at: new Date().toISOString(),
+        };
+        if (index >= 0) {
+          slots[index] = slot;
+        } else {
+          slots.push(slot);
+        }
+        await writeAtomic(candleLedgerFile, JSON.stringify(slots));
+      });
+    },
+
+    async getLedgerSummary(failedLimit) {
+      await loadLedger();
+      const slots = [...ledger.values()];
+
+      const totals = Object.fromEntries(
+        ledgerStatuses.map((status) => [status, 0])
+      );
+      slots.forEach((slot) => {
+        totals[slot.status]++;
+      });
+
+      const completed = slots.filter(
+        (slot) => slot.status === "done" || slot.status === "empty"
+      );
+      const lastCompleted = completed.reduce(
+        (last, slot) =>
+          !last || slot.updated_at > last.updated_at ? slot : last,
+        null
+      );
+
+      const failedSlots = slots
+        .filter((slot) => slot.status === "failed")
+        .sort(
+          (a, b) =>
+            a.day.localeCompare(b.day) || a.symbol.localeCompare(b.symbol)
+        )
+        .slice(0, failedLimit)
+        .map(({ symbol, day, attempts, error, updated_at }) => ({
+          symbol,
+          day,
+          attempts,
+          error,
+          updated_at,
+        }));
+
+      return {
+        totals,
+        last_completed: lastCompleted
+          ? {
+              symbol: lastCompleted.symbol,
+              day: lastCompleted.day,
+              status: lastCompleted.status,
+              row_count: lastCompleted.row_count,
+              updated_at: lastCompleted.updated_at,
+            }
+          : null,
+        failed_slots: failedSlots,
+      };
+    },
+  };
+  return store;
+}
@@ -0,0 +1,160 @@
+/**
+ * A store keeps ticks, bars and the import ledger. Every backend returns an
+ * object with these methods:
+ *
+ *   init({migrate})                             create the ledger storage, applying
+ *                                               pending schema migrations; those that
+ *                                               rewrite data only with migrate set
+ *   close()                                     release connections, flush files
+ *   transaction(fn)                             run fn(store) with every store call it
+ *                                               makes in one transaction, committed
+ *                                               when fn resolves and rolled back when
+ *                                               it throws; the files backend writes
+ *                                               each day file at once instead
+ *   schemaVersion()                             schema version of the database, null
+ *                                               for files
+ *   ensureTickTable(symbol)                     create the tick table of a symbol
+ *   upsertTicks(symbol, ticks)                  batched insert-or-replace by timestamp
+ *   readTicks(symbol, fromDate, toDate, limit)  ticks in [from, to), oldest first, at
+ *                                               most limit of them if given
+ *   replaceTicks(symbol, fromDate, toDate, ticks)
+ *                                               replace every tick in [from, to) with the
+ *                                               given ones (which lie in the range) and
+ *                                               refresh the summaries of the days touched
+ *   loadTicks(symbol, fromDate, toDate, file)   replaceTicks with the ticks of a staging
+ *                                               file (see lib/bulkLoad.js), bulk loaded
+ *                                               with LOAD DATA LOCAL on MySQL when the
+ *                                               server allows it, inserted in batches
+ *                                               elsewhere
+ *   upsertBars(symbol, timeframe, bars)         batched insert-or-replace by timestamp
+ *   deleteBars(symbol, timeframe, fromDate, toDate)
+ *                                               remove the bars in [from, to)
+ *   readBars(symbol, timeframe, fromDate, toDate, limit)
+ *   upsertCandles(symbol, timeframe, side, candles)
+ *                                               batched insert-or-replace of downloaded
+ *                                               bid or ask candles by timestamp
+ *   tickStats(symbol)                           {total_records, oldest_timestamp,
+ *                                               newest_timestamp}, null without a table
+ *   refreshDaySummary(symbol, day)              recompute {rowCount, firstTimestamp,
+ *                                               lastTimestamp, minSpread, maxSpread,
+ *                                               avgSpread} of a day from its stored
+ *                                               ticks, null if it has none; upsertTicks
+ *                                               does this for the days it touches
+ *   readDaySummaries(symbol, firstDay, lastDay)
+ *                                               [{day, ...summary}] of the days with
+ *                                               ticks, oldest first
+ *   summaryStats(symbols)                       {symbol: {total_records, oldest_timestamp,
+ *                                               newest_timestamp, days, min_spread,
+ *                                               max_spread, avg_spread}} from the day
+ *                                               summaries, for symbols with ticks
+ *   tickCounts(symbol, fromDate, toDate, bucketMs)
+ *                                               [{timestamp, count}] per bucket of
+ *                                               bucketMs with ticks, oldest first
+ *   quarantineTicks(symbol, rejected)           store ticks rejected by validation,
+ *                                               keyed by timestamp and seq
+ *   getQuarantineDays(symbol, firstDay, lastDay)
+ *                                               [{day, ticks}] quarantined per day
+ *   getQualitySummary(dayLimit)                 {totals, by_symbol, recent_days} counts
+ *                                               of quarantined ticks per reason
+ *   recordVerificationRun(run)                  insert or update a verify run by id, see
+ *                                               verificationRunColumns in schema.js
+ *   recordVerifications(results)                replace the latest verification of each
+ *                                               result's symbol-day
+ *   getVerificationSummary(dayLimit)            {last_run, totals, by_symbol, problem_days}
+ *                                               from the latest verification of each day
+ *   insertSlots(slots)                          add {symbol, day, status} ledger slots,
+ *                                               leaving existing ones alone
+ *   hasLedgerEntries()
+ *   getOpenSlots(symbols, firstDay, lastDay)    pending and failed slots
+ *   getSymbolSlots(symbol, firstDay, lastDay)   [{day, status, row_count}] of one symbol
+ *   getSlotCounts(symbols, firstDay, lastDay)   [{symbol, status, slots}] ledger slots
+ *                                               per symbol and status
+ *   markSlot(symbol, day, status, details)      record a slot outcome
+ *   getHourSlots(symbols, firstDay, lastDay)    [{symbol, day, hour, status, row_count}]
+ *                                               hour slots, oldest first
+ *   markHourSlot(symbol, day, hour, status, details)
+ *                                               record an hour slot outcome
+ *   clearHourSlots(symbol, day)                 drop the hour slots of a day
+ *   insertCandleSlots(slots)                    add {symbol, timeframe, side, day, status}
+ *                                               candle slots, leaving existing ones alone
+ *   getOpenCandleSlots(symbols, timeframe, side, firstDay, lastDay)
+ *                                               pending and failed candle slots
+ *   getCandleSlotCounts(symbols, firstDay, lastDay)
+ *                                               [{symbol, timeframe, side, status, slots}]
+ *   markCandleSlot(symbol, timeframe, side, day, status, details)
+ *                                               record a candle slot outcome
+ *   getLedgerSummary(failedLimit)
+ *
+ * The MySQL and PostgreSQL backends also have:
+ *
+ *   partitionTickTable(symbol)                  partition an existing tick table by
+ *                                               month; false if it has no table or
+ *                                               is partitioned already
+ *
+ * Ticks, bars and candles are plain objects keyed by the properties in
+ * schema.js.
+ */
+
+export const storageTypes = ["mysql", "sqlite", "postgres", "files"];
+
+/**
+ * Import a package that only some backends or export formats need, explaining
+ * how to install it when it is missing
+ * @param {string} packageName - npm package of the driver
+ * @param {string} feature - What needs it, e.g. "the sqlite storage backend"
+ * @returns {Object} - The imported module
+ */
+export async function importOptional(packageName, feature) {
+  try {
+    return await import(packageName);
+  } catch (error) {
+    if (error.code === "ERR_MODULE_NOT_FOUND") {
+      throw new Error(
+        `The ${packageName} package is needed for ${feature} (npm install ${packageName})`
+      );
+    }
+    throw error;
+  }
+}
+
+/**
+ * Create the store selected by the job config and prepare its ledger
+ * @param {Object} config - The job configuration
+ * @param {Object} [options]
+ * @param {boolean} [options.migrate] - Apply schema migrations that rewrite
+ *   data, which only npm run migrate does
+ * @returns {Object} - The store
+ * @throws {Error} - If the schema needs such a migration and migrate is not set
+ */
+export async function createStore(config, { migrate = false } = {}) {
+  const options = { ...config.storage, dbBatchSize: config.dbBatchSize };
+  let store;
+
+  switch (options.type) {
+    case "mysql": {
+      const { createMysqlStore } = await import("./mysql.js");
+      store = createMysqlStore(options);
+      break;
+    }
+    case "sqlite": {
+      const { createSqliteStore } = await import("./sqlite.js");
+      store = await createSqliteStore(options);
+      break;
+    }
+    case "postgres": {
+      const { createPostgresStore } = await import("./postgres.js");
+      store = await createPostgresStore(options);
+      break;
+    }
+    case "files": {
+      const { createFileStore } = await import("./files.js");
+      store = await createFileStore(options);
+      break;
+    }
+    default:
+      throw new Error(`Unknown storage type ${options.type}`);
+  }
+
+  await store.init({ migrate });
+  return store;
+}
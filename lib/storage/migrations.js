@@ -0,0 +1,246 @@
+import { getInstrument } from "../instruments.js";
+import {
+  barColumns,
+  candleColumns,
+  isSymbolTable,
+  priceColumnNames,
+  schemaVersionTable,
+  tickColumns,
+  validateSymbol,
+  volumeColumnNames,
+} from "./schema.js";
+
+// Versioned changes to the schema of the SQL backends, applied in order when
+// a store is opened. A migration's version is recorded once it has run to
+// the end, so an interrupted one runs again: every step must be safe to
+// repeat. Never change a migration that has shipped; add a new one.
+//
+// Migrations that rewrite data (rewritesData) can take hours, so only npm run
+// migrate applies them, holding the import lock. Every other process creates
+// the tables it needs and refuses to work on a schema that is behind.
+export const migrations = [
+  {
+    version: 1,
+    name: "ledger, quarantine and summary tables",
+    async up({ dialect, run }) {
+      await run(dialect.createLedgerTable);
+      await run(dialect.createHourLedgerTable);
+      await run(dialect.createCandleLedgerTable);
+      await run(dialect.createQuarantineTable);
+      await run(dialect.createSummaryTable);
+    },
+  },
+  {
+    version: 2,
+    name: "exact price columns",
+    rewritesData: true,
+    pending: pricesPending,
+    up: convertPriceColumns,
+  },
+  {
+    version: 3,
+    name: "verification tables",
+    async up({ dialect, run }) {
+      await run(dialect.createVerificationRunTable);
+      await run(dialect.createVerificationTable);
+    },
+  },
+];
+
+export const latestSchemaVersion = migrations[migrations.length - 1].version;
+
+/**
+ * List the tick, bar and candle tables of every symbol: the tables named
+ * after a valid symbol (see isSymbolTable) that have the columns of one of
+ * those layouts, so the tables of other applications sharing the database
+ * are left alone
+ * @returns {Array<{table: string, symbol: string, columns: Array}>} - Each
+ *   table with its symbol and the {column, type, nullable} of its columns,
+ *   by table name
+ */
+async function listSymbolTables({ dialect, query }) {
+  const layouts = [tickColumns, barColumns, candleColumns].map((layout) =>
+    layout.map(([column]) => column.toLowerCase())
+  );
+  const tables = [];
+  for (const { name: table } of await query(dialect.listTables, [])) {
+    const [symbol] = table.split("_");
+    if (validateSymbol(symbol) !== null || !isSymbolTable(table, symbol)) {
+      continue;
+    }
+    const columns = await query(dialect.columnTypes, [table]);
+    const names = columns.map(({ column }) => column.toLowerCase());
+    if (
+      layouts.some((layout) => layout.every((name) => names.includes(name)))
+    ) {
+      tables.push({ table, symbol, columns });
+    }
+  }
+  return tables.sort((a, b) => (a.table < b.table ? -1 : 1));
+}
+
+// PostgreSQL folds unquoted column names to lowercase
+const isPriceColumn = (column) =>
+  priceColumnNames.some((name) => name.toLowerCase() === column.toLowerCase());
+const isVolumeColumn = (column) =>
+  volumeColumnNames.some((name) => name.toLowerCase() === column.toLowerCase());
+
+/**
+ * Pick the price and volume columns of a table that do not have the
+ * dialect's types yet
+ * @param {Object} dialect - SQL flavour of the database, see sql.js
+ * @param {Array} columns - The {column, type, nullable} of the table
+ * @returns {Array} - The {column, type, nullable} to change them to
+ */
+function typeChanges(dialect, columns) {
+  const changes = [];
+  for (const { column, type, nullable } of columns) {
+    const wanted = isPriceColumn(column)
+      ? dialect.priceType
+      : isVolumeColumn(column)
+      ? dialect.volumeType
+      : null;
+    if (wanted && type.toLowerCase() !== wanted.toLowerCase()) {
+      changes.push({ column, type: wanted, nullable: Boolean(nullable) });
+    }
+  }
+  return changes;
+}
+
+/**
+ * Check whether the price columns still need converting. Where the price
+ * type is exact (the dialect can alter column types), every existing symbol
+ * table counts, since an interrupted npm run migrate may have converted a
+ * table without rounding its prices yet.
+ */
+async function pricesPending(context) {
+  const tables = await listSymbolTables(context);
+  return context.dialect.alterColumnTypes
+    ? tables.length > 0
+    : tables.some(
+        ({ columns }) => typeChanges(context.dialect, columns).length > 0
+      );
+}
+
+/**
+ * Give the price columns of every tick, bar and candle table the dialect's
+ * price type (DECIMAL where the database has it) and the volume columns its
+ * volume type, then round the prices to the decimals the instrument is
+ * quoted with: converting a FLOAT keeps its error as if it were exact
+ * digits, e.g. 1.0856 becomes 1.0856000185. Converted tables are skipped and
+ * rounded rows left alone, so an interrupted conversion resumes where it
+ * stopped.
+ * @throws {Error} - If the decimals of a symbol with tables are not known
+ */
+async function convertPriceColumns(context) {
+  const { dialect, run } = context;
+  const tables = await listSymbolTables(context);
+
+  if (!dialect.alterColumnTypes) {
+    const stale = tables.find(
+      ({ columns }) => typeChanges(dialect, columns).length > 0
+    );
+    if (stale) {
+      throw new Error(`The column types of ${stale.table} cannot be changed`);
+    }
+    return;
+  }
+
+  const unknown = [...new Set(tables.map(({ symbol }) => symbol))].filter(
+    (symbol) => getInstrument(symbol).decimals === null
+  );
+  if (unknown.length > 0) {
+    throw new Error(
+      `The decimals of ${unknown.join(
+        ", "
+      )} are not known; set instruments.<symbol>.decimals in the config and run npm run migrate again`
+    );
+  }
+
+  for (const [index, { table, symbol, columns }] of tables.entries()) {
+    const startedAt = Date.now();
+    const changes = typeChanges(dialect, columns);
+    const prices = columns.map(({ column }) => column).filter(isPriceColumn);
+    const { decimals } = getInstrument(symbol);
+    console.log(
+      `Converting ${table} (table ${index + 1}/${tables.length}): ${
+        changes.length
+      } column types, prices to ${decimals} decimals`
+    );
+    if (changes.length > 0) {
+      await run(dialect.alterColumnTypes(table, changes));
+    }
+    await run([
+      `UPDATE ${table} SET ${prices
+        .map((column) => `${column} = ROUND(${column}, ${decimals})`)
+        .join(", ")} WHERE ${prices
+        .map((column) => `${column} <> ROUND(${column}, ${decimals})`)
+        .join(" OR ")}`,
+    ]);
+    console.log(`Converted ${table} in ${Date.now() - startedAt}ms`);
+  }
+}
+
+/**
+ * Apply the migrations a database has not had yet. Without rewriteData,
+ * migrations that rewrite data are only recorded when they have nothing to
+ * do, as on a new database.
+ * @param {Object} context
+ * @param {Object} context.dialect - SQL flavour of the database, see sql.js
+ * @param {function(string, Array): Promise<Array>} context.query - Runs a statement
+ * @param {function(string[]): Promise<void>} context.run - Runs DDL statements
+ * @param {boolean} [rewriteData] - Also apply migrations that rewrite data
+ * @returns {number} - The schema version of the database
+ * @throws {Error} - If the database was migrated by a newer version, or
+ *   needs a migration that rewrites data and rewriteData is not set
+ */
+export async function migrate(context, rewriteData = false) {
+  const { dialect, query, run } = context;
+  await run(dialect.createSchemaVersionTable);
+
+  const applied = new Set(
+    (await query(`SELECT version FROM ${schemaVersionTable}`, [])).map((row) =>
+      Number(row.version)
+    )
+  );
+  const newest = Math.max(0, ...applied);
+  if (newest > latestSchemaVersion) {
+    throw new Error(
+      `The database schema is at version ${newest}, newer than this code knows (${latestSchemaVersion})`
+    );
+  }
+
+  const postponed = [];
+  for (const migration of migrations) {
+    if (applied.has(migration.version)) {
+      continue;
+    }
+    if (migration.rewritesData && !rewriteData) {
+      if (await migration.pending(context)) {
+        postponed.push(migration);
+        continue;
+      }
+    } else {
+      console.log(
+        `Applying schema migration ${migration.version}: ${migration.name}`
+      );
+      await migration.up(context);
+    }
+    // Another process may have applied it at the same time
+    await query(
+      `INSERT INTO ${schemaVersionTable} (version, name)
+       VALUES (${dialect.placeholder(1)}, ${dialect.placeholder(2)})
+       ${dialect.onConflict(["version"], {})}`,
+      [migration.version, migration.name]
+    );
+  }
+
+  if (postponed.length > 0) {
+    throw new Error(
+      `The database schema is behind (${postponed
+        .map(({ version, name }) => `migration ${version}: ${name}`)
+        .join(", ")}); run npm run migrate`
+    );
+  }
+  return latestSchemaVersion;
+}
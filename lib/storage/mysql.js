@@ -0,0 +1,309 @@
+import fs from "fs";
+import mysql from "mysql2/promise";
+import { createPool } from "../db.js";
+import {
+  candleLedgerTable,
+  hourLedgerTable,
+  ledgerTable,
+  quarantineTable,
+  schemaVersionTable,
+  summaryTable,
+  verificationRunTable,
+  verificationTable,
+} from "./schema.js";
+import { createSqlStore } from "./sql.js";
+
+// Error numbers of a refused LOAD DATA LOCAL
+const localInfileDisabled = 1148;
+const localInfileCapabilityDisabled = 3948;
+
+export const mysqlDialect = {
+  quote: (alias) => `\`${alias}\``,
+  placeholder: () => "?",
+  formatDay: (column) => `DATE_FORMAT(${column}, '%Y-%m-%d')`,
+  now: "CURRENT_TIMESTAMP",
+  intDiv: (a, b) => `${a} DIV ${b}`,
+  tableExists: `SELECT 1 FROM information_schema.tables
+    WHERE table_schema = DATABASE() AND table_name = ?`,
+  excluded: (column) => `VALUES(${column})`,
+  ddlInTransaction: false,
+  // Statements are sent with their values filled in, so the packet size
+  // limits them rather than the number of parameters
+  packetSize: "SELECT @@max_allowed_packet AS size",
+  // The file is streamed to the server over the connection; the name in the
+  // statement only comes back in the server's request for it
+  loadFile: (table, columns, file) => ({
+    sql: `LOAD DATA LOCAL INFILE ${mysql.escape(file)}
+      REPLACE INTO TABLE ${table} CHARACTER SET ascii
+      FIELDS TERMINATED BY ',' LINES TERMINATED BY '\\n'
+      (${columns.join(", ")})`,
+    infileStreamFactory: () => fs.createReadStream(file),
+  }),
+  // The server refuses LOAD DATA LOCAL unless local_infile is on
+  loadFileRefused: (error) =>
+    [localInfileDisabled, localInfileCapabilityDisabled].includes(error.errno),
+  onConflict(keyColumns, updates) {
+    const assignments = Object.entries(updates).map(
+      ([column, value]) => `${column} = ${value}`
+    );
+    // MySQL has no DO NOTHING; assigning a key column to itself is a no-op
+    if (assignments.length === 0) {
+      assignments.push(`${keyColumns[0]} = ${keyColumns[0]}`);
+    }
+    return `ON DUPLICATE KEY UPDATE ${assignments.join(", ")}`;
+  },
+  priceType: "DECIMAL(20,10)",
+  volumeType: "DOUBLE",
+  createTickTable: (table, { partitioned = false } = {}) => [
+    `CREATE TABLE IF NOT EXISTS ${table} (
+      Timestamp BIGINT NOT NULL,
+      BidPrice DECIMAL(20,10) NOT NULL,
+      AskPrice DECIMAL(20,10) NOT NULL,
+      BidVolume DOUBLE NOT NULL,
+      AskVolume DOUBLE NOT NULL,
+      PRIMARY KEY (Timestamp)
+    )${
+      partitioned
+        ? " PARTITION BY RANGE (Timestamp) (PARTITION pmax VALUES LESS THAN MAXVALUE)"
+        : ""
+    }`,
+  ],
+  createBarTable: (table) => [
+    `CREATE TABLE IF NOT EXISTS ${table} (
+      Timestamp BIGINT NOT NULL,
+      BidOpen DECIMAL(20,10) NOT NULL,
+      BidHigh DECIMAL(20,10) NOT NULL,
+      BidLow DECIMAL(20,10) NOT NULL,
+      BidClose DECIMAL(20,10) NOT NULL,
+      AskOpen DECIMAL(20,10) NOT NULL,
+      AskHigh DECIMAL(20,10) NOT NULL,
+      AskLow DECIMAL(20,10) NOT NULL,
+      AskClose DECIMAL(20,10) NOT NULL,
+      BidVolume DOUBLE NOT NULL,
+      AskVolume DOUBLE NOT NULL,
+      TickCount INT NOT NULL,
+      PRIMARY KEY (Timestamp)
+    )`,
+  ],
+  createCandleTable: (table) => [
+    `CREATE TABLE IF NOT EXISTS ${table} (
+      Timestamp BIGINT NOT NULL,
+      Open DECIMAL(20,10) NOT NULL,
+      High DECIMAL(20,10) NOT NULL,
+      Low DECIMAL(20,10) NOT NULL,
+      Close DECIMAL(20,10) NOT NULL,
+      Volume DOUBLE NOT NULL,
+      PRIMARY KEY (Timestamp)
+    )`,
+  ],
+  createLedgerTable: [
+    `CREATE TABLE IF NOT EXISTS ${ledgerTable} (
+      symbol VARCHAR(32) NOT NULL,
+      day DATE NOT NULL,
+      status ENUM('pending', 'done', 'empty', 'failed') NOT NULL DEFAULT 'pending',
+      row_count INT NULL,
+      attempts INT NOT NULL DEFAULT 0,
+      error TEXT NULL,
+      updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      PRIMARY KEY (symbol, day),
+      KEY idx_status (status)
+    )`,
+  ],
+  createHourLedgerTable: [
+    `CREATE TABLE IF NOT EXISTS ${hourLedgerTable} (
+      symbol VARCHAR(32) NOT NULL,
+      day DATE NOT NULL,
+      hour TINYINT NOT NULL,
+      status ENUM('pending', 'done', 'empty', 'failed') NOT NULL,
+      row_count INT NULL,
+      attempts INT NOT NULL DEFAULT 0,
+      error TEXT NULL,
+      updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      PRIMARY KEY (symbol, day, hour)
+    )`,
+  ],
+  createCandleLedgerTable: [
+    `CREATE TABLE IF NOT EXISTS ${candleLedgerTable} (
+      symbol VARCHAR(32) NOT NULL,
+      timeframe VARCHAR(8) NOT NULL,
+      side ENUM('bid', 'ask') NOT NULL,
+      day DATE NOT NULL,
+      status ENUM('pending', 'done', 'empty', 'failed') NOT NULL DEFAULT 'pending',
+      row_count INT NULL,
+      attempts INT NOT NULL DEFAULT 0,
+      error TEXT NULL,
+      updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      PRIMARY KEY (symbol, timeframe, side, day)
+    )`,
+  ],
+  createQuarantineTable: [
+    `CREATE TABLE IF NOT EXISTS ${quarantineTable} (
+      symbol VARCHAR(32) NOT NULL,
+      day DATE NOT NULL,
+      Timestamp BIGINT NOT NULL,
+      seq INT NOT NULL,
+      reason VARCHAR(32) NOT NULL,
+      BidPrice DOUBLE NULL,
+      AskPrice DOUBLE NULL,
+      BidVolume DOUBLE NULL,
+      AskVolume DOUBLE NULL,
+      PRIMARY KEY (symbol, Timestamp, seq),
+      KEY idx_day (day)
+    )`,
+  ],
+  createSchemaVersionTable: [
+    `CREATE TABLE IF NOT EXISTS ${schemaVersionTable} (
+      version INT NOT NULL,
+      name VARCHAR(128) NOT NULL,
+      applied_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (version)
+    )`,
+  ],
+  createVerificationRunTable: [
+    `CREATE TABLE IF NOT EXISTS ${verificationRunTable} (
+      id VARCHAR(40) NOT NULL,
+      started_at BIGINT NOT NULL,
+      finished_at BIGINT NULL,
+      first_day DATE NOT NULL,
+      last_day DATE NOT NULL,
+      symbols TEXT NOT NULL,
+      source VARCHAR(16) NOT NULL,
+      repair TINYINT NOT NULL,
+      checked INT NOT NULL,
+      matched INT NOT NULL,
+      mismatched INT NOT NULL,
+      repaired INT NOT NULL,
+      failed INT NOT NULL,
+      PRIMARY KEY (id)
+    )`,
+  ],
+  createVerificationTable: [
+    `CREATE TABLE IF NOT EXISTS ${verificationTable} (
+      symbol VARCHAR(32) NOT NULL,
+      day DATE NOT NULL,
+      run_id VARCHAR(40) NOT NULL,
+      status ENUM('match', 'mismatch', 'repaired', 'error') NOT NULL,
+      stored_rows INT NULL,
+      source_rows INT NULL,
+      hours VARCHAR(128) NULL,
+      error TEXT NULL,
+      checked_at BIGINT NOT NULL,
+      PRIMARY KEY (symbol, day),
+      KEY idx_status (status)
+    )`,
+  ],
+  listTables: `SELECT table_name AS name FROM information_schema.tables
+    WHERE table_schema = DATABASE() AND table_type = 'BASE TABLE'`,
+  columnTypes: `SELECT column_name AS \`column\`, column_type AS type,
+    is_nullable = 'YES' AS nullable
+    FROM information_schema.columns
+    WHERE table_schema = DATABASE() AND table_name = ?`,
+  alterColumnTypes: (table, columns) => [
+    `ALTER TABLE ${table} ${columns
+      .map(
+        ({ column, type, nullable }) =>
+          `MODIFY ${column} ${type} ${nullable ? "NULL" : "NOT NULL"}`
+      )
+      .join(", ")}`,
+  ],
+  // Partitioned tick tables end with a catch-all pmax partition, which new
+  // months are split off from (or from the partition that covers them)
+  monthPartitions: {
+    partitioned: `SELECT 1 FROM information_schema.partitions
+      WHERE table_schema = DATABASE() AND table_name = ?
+      AND partition_name IS NOT NULL LIMIT 1`,
+    list: `SELECT partition_name AS name, partition_description AS bound
+      FROM information_schema.partitions
+      WHERE table_schema = DATABASE() AND table_name = ?
+      AND partition_name IS NOT NULL
+      ORDER BY partition_ordinal_position`,
+    add(table, partition, existing) {
+      const container = existing.find(
+        ({ bound }) => bound === "MAXVALUE" || Number(bound) > partition.from
+      );
+      if (
+        !container ||
+        container.name === partition.name ||
+        (container.bound !== "MAXVALUE" &&
+          Number(container.bound) <= partition.to)
+      ) {
+        return [];
+      }
+      return [
+        `ALTER TABLE ${table} REORGANIZE PARTITION ${container.name} INTO (
+          PARTITION ${partition.name} VALUES LESS THAN (${partition.to}),
+          PARTITION ${container.name} VALUES LESS THAN ${
+          container.bound === "MAXVALUE" ? "MAXVALUE" : `(${container.bound})`
+        }
+        )`,
+      ];
+    },
+    repartition: (table, partitions) => [
+      `ALTER TABLE ${table} PARTITION BY RANGE (Timestamp) (${[
+        ...partitions.map(
+          ({ name, to }) => `PARTITION ${name} VALUES LESS THAN (${to})`
+        ),
+        "PARTITION pmax VALUES LESS THAN MAXVALUE",
+      ].join(", ")})`,
+    ],
+  },
+  createSummaryTable: [
+    `CREATE TABLE IF NOT EXISTS ${summaryTable} (
+      symbol VARCHAR(32) NOT NULL,
+      day DATE NOT NULL,
+      row_count INT NOT NULL,
+      first_timestamp BIGINT NOT NULL,
+      last_timestamp BIGINT NOT NULL,
+      min_spread DOUBLE NOT NULL,
+      max_spread DOUBLE NOT NULL,
+      avg_spread DOUBLE NOT NULL,
+      updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      PRIMARY KEY (symbol, day)
+    )`,
+  ],
+};
+
+/**
+ * Create a store backed by MySQL, connecting with the HOST, USER, PWD, DB
+ * and PORT environment variables
+ * @param {Object} options - The storage config
+ * @param {boolean} [options.partitionByMonth] - Partition new tick tables by month
+ * @param {number} options.dbBatchSize - Number of records to insert in a single query
+ * @returns {Object} - The store
+ */
+export function createMysqlStore({ partitionByMonth, dbBatchSize }) {
+  const pool = createPool();
+
+  return {
+    ...createSqlStore({
+      dialect: mysqlDialect,
+      query: async (sql, params) => {
+        const [rows] = await pool.query(sql, params);
+        return rows;
+      },
+      transaction: async (work) => {
+        const connection = await pool.getConnection();
+        try {
+          await connection.beginTransaction();
+          try {
+            const result = await work(async (sql, params) => {
+              const [rows] = await connection.query(sql, params);
+              return rows;
+            });
+            await connection.commit();
+            return result;
+          } catch (error) {
+            await connection.rollback();
+            throw error;
+          }
+        } finally {
+          connection.release();
+        }
+      },
+      close: () => pool.end(),
+      batchSize: dbBatchSize,
+      partitionByMonth,
+    }),
+    pool,
+  };
+}
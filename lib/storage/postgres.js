@@ -0,0 +1,326 @@
+import { importOptional } from "./index.js";
+import {
+  candleLedgerTable,
+  hourLedgerTable,
+  ledgerTable,
+  quarantineTable,
+  schemaVersionTable,
+  summaryTable,
+  verificationRunTable,
+  verificationTable,
+} from "./schema.js";
+import { createSqlStore } from "./sql.js";
+
+const int8Oid = 20;
+const numericOid = 1700;
+
+export const postgresDialect = {
+  quote: (alias) => `"${alias}"`,
+  placeholder: (index) => `$${index}`,
+  formatDay: (column) => `to_char(${column}, 'YYYY-MM-DD')`,
+  now: "now()",
+  intDiv: (a, b) => `${a} / ${b}`,
+  tableExists: `SELECT 1 FROM information_schema.tables
+    WHERE table_schema = current_schema() AND table_name = $1`,
+  excluded: (column) => `excluded.${column}`,
+  ddlInTransaction: false,
+  // The protocol counts parameters in 16 bits
+  maxParameters: 65535,
+  onConflict: (keyColumns, updates) => {
+    const assignments = Object.entries(updates).map(
+      ([column, value]) => `${column} = ${value}`
+    );
+    return assignments.length === 0
+      ? `ON CONFLICT (${keyColumns.join(", ")}) DO NOTHING`
+      : `ON CONFLICT (${keyColumns.join(
+          ", "
+        )}) DO UPDATE SET ${assignments.join(", ")}`;
+  },
+  priceType: "NUMERIC(20,10)",
+  volumeType: "DOUBLE PRECISION",
+  createTickTable: (table, { partitioned = false } = {}) => [
+    `CREATE TABLE IF NOT EXISTS ${table} (
+      Timestamp BIGINT NOT NULL,
+      BidPrice NUMERIC(20,10) NOT NULL,
+      AskPrice NUMERIC(20,10) NOT NULL,
+      BidVolume DOUBLE PRECISION NOT NULL,
+      AskVolume DOUBLE PRECISION NOT NULL,
+      PRIMARY KEY (Timestamp)
+    )${partitioned ? " PARTITION BY RANGE (Timestamp)" : ""}`,
+  ],
+  createBarTable: (table) => [
+    `CREATE TABLE IF NOT EXISTS ${table} (
+      Timestamp BIGINT NOT NULL,
+      BidOpen NUMERIC(20,10) NOT NULL,
+      BidHigh NUMERIC(20,10) NOT NULL,
+      BidLow NUMERIC(20,10) NOT NULL,
+      BidClose NUMERIC(20,10) NOT NULL,
+      AskOpen NUMERIC(20,10) NOT NULL,
+      AskHigh NUMERIC(20,10) NOT NULL,
+      AskLow NUMERIC(20,10) NOT NULL,
+      AskClose NUMERIC(20,10) NOT NULL,
+      BidVolume DOUBLE PRECISION NOT NULL,
+      AskVolume DOUBLE PRECISION NOT NULL,
+      TickCount INTEGER NOT NULL,
+      PRIMARY KEY (Timestamp)
+    )`,
+  ],
+  createCandleTable: (table) => [
+    `CREATE TABLE IF NOT EXISTS ${table} (
+      Timestamp BIGINT NOT NULL,
+      Open NUMERIC(20,10) NOT NULL,
+      High NUMERIC(20,10) NOT NULL,
+      Low NUMERIC(20,10) NOT NULL,
+      Close NUMERIC(20,10) NOT NULL,
+      Volume DOUBLE PRECISION NOT NULL,
+      PRIMARY KEY (Timestamp)
+    )`,
+  ],
+  createLedgerTable: [
+    `CREATE TABLE IF NOT EXISTS ${ledgerTable} (
+      symbol VARCHAR(32) NOT NULL,
+      day DATE NOT NULL,
+      status VARCHAR(16) NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'done', 'empty', 'failed')),
+      row_count INTEGER NULL,
+      attempts INTEGER NOT NULL DEFAULT 0,
+      error TEXT NULL,
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+      PRIMARY KEY (symbol, day)
+    )`,
+    `CREATE INDEX IF NOT EXISTS idx_${ledgerTable}_status ON ${ledgerTable} (status)`,
+  ],
+  createHourLedgerTable: [
+    `CREATE TABLE IF NOT EXISTS ${hourLedgerTable} (
+      symbol VARCHAR(32) NOT NULL,
+      day DATE NOT NULL,
+      hour SMALLINT NOT NULL,
+      status VARCHAR(16) NOT NULL
+        CHECK (status IN ('pending', 'done', 'empty', 'failed')),
+      row_count INTEGER NULL,
+      attempts INTEGER NOT NULL DEFAULT 0,
+      error TEXT NULL,
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+      PRIMARY KEY (symbol, day, hour)
+    )`,
+  ],
+  createCandleLedgerTable: [
+    `CREATE TABLE IF NOT EXISTS ${candleLedgerTable} (
+      symbol VARCHAR(32) NOT NULL,
+      timeframe VARCHAR(8) NOT NULL,
+      side VARCHAR(8) NOT NULL CHECK (side IN ('bid', 'ask')),
+      day DATE NOT NULL,
+      status VARCHAR(16) NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'done', 'empty', 'failed')),
+      row_count INTEGER NULL,
+      attempts INTEGER NOT NULL DEFAULT 0,
+      error TEXT NULL,
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+      PRIMARY KEY (symbol, timeframe, side, day)
+    )`,
+  ],
+  createQuarantineTable: [
+    `CREATE TABLE IF NOT EXISTS ${quarantineTable} (
+      symbol VARCHAR(32) NOT NULL,
+      day DATE NOT NULL,
+      Timestamp BIGINT NOT NULL,
+      seq INTEGER NOT NULL,
+      reason VARCHAR(32) NOT NULL,
+      BidPrice DOUBLE PRECISION NULL,
+      AskPrice DOUBLE PRECISION NULL,
+      BidVolume DOUBLE PRECISION NULL,
+      AskVolume DOUBLE PRECISION NULL,
+      PRIMARY KEY (symbol, Timestamp, seq)
+    )`,
+    `CREATE INDEX IF NOT EXISTS idx_${quarantineTable}_day ON ${quarantineTable} (day)`,
+  ],
+  createSchemaVersionTable: [
+    `CREATE TABLE IF NOT EXISTS ${schemaVersionTable} (
+      version INTEGER NOT NULL,
+      name VARCHAR(128) NOT NULL,
+      applied_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+      PRIMARY KEY (version)
+    )`,
+  ],
+  createVerificationRunTable: [
+    `CREATE TABLE IF NOT EXISTS ${verificationRunTable} (
+      id VARCHAR(40) NOT NULL,
+      started_at BIGINT NOT NULL,
+      finished_at BIGINT NULL,
+      first_day DATE NOT NULL,
+      last_day DATE NOT NULL,
+      symbols TEXT NOT NULL,
+      source VARCHAR(16) NOT NULL,
+      repair SMALLINT NOT NULL,
+      checked INTEGER NOT NULL,
+      matched INTEGER NOT NULL,
+      mismatched INTEGER NOT NULL,
+      repaired INTEGER NOT NULL,
+      failed INTEGER NOT NULL,
+      PRIMARY KEY (id)
+    )`,
+  ],
+  createVerificationTable: [
+    `CREATE TABLE IF NOT EXISTS ${verificationTable} (
+      symbol VARCHAR(32) NOT NULL,
+      day DATE NOT NULL,
+      run_id VARCHAR(40) NOT NULL,
+      status VARCHAR(16) NOT NULL
+        CHECK (status IN ('match', 'mismatch', 'repaired', 'error')),
+      stored_rows INTEGER NULL,
+      source_rows INTEGER NULL,
+      hours VARCHAR(128) NULL,
+      error TEXT NULL,
+      checked_at BIGINT NOT NULL,
+      PRIMARY KEY (symbol, day)
+    )`,
+    `CREATE INDEX IF NOT EXISTS idx_${verificationTable}_status ON ${verificationTable} (status)`,
+  ],
+  // Partitions are listed as tables too, but take their column types from
+  // the partitioned table
+  listTables: `SELECT c.relname AS name FROM pg_class c
+    WHERE c.relnamespace = current_schema()::regnamespace
+    AND c.relkind IN ('r', 'p') AND NOT c.relispartition`,
+  columnTypes: `SELECT column_name AS "column",
+    CASE WHEN data_type = 'numeric'
+      THEN 'numeric(' || numeric_precision || ',' || numeric_scale || ')'
+      ELSE data_type END AS type,
+    is_nullable = 'YES' AS nullable
+    FROM information_schema.columns
+    WHERE table_schema = current_schema() AND table_name = $1`,
+  alterColumnTypes: (table, columns) => [
+    `ALTER TABLE ${table} ${columns
+      .map(({ column, type }) => `ALTER COLUMN ${column} TYPE ${type}`)
+      .join(", ")}`,
+  ],
+  // Each month of a partitioned tick table is a table of its own,
+  // <table>_pYYYYMM. Inserting a tick without a partition for its month fails.
+  monthPartitions: {
+    partitioned: `SELECT 1 FROM pg_partitioned_table t
+      JOIN pg_class c ON c.oid = t.partrelid
+      WHERE c.relname = $1 AND c.relnamespace = current_schema()::regnamespace`,
+    list: `SELECT c.relname AS name FROM pg_inherits i
+      JOIN pg_class c ON c.oid = i.inhrelid
+      JOIN pg_class p ON p.oid = i.inhparent
+      WHERE p.relname = $1 AND p.relnamespace = current_schema()::regnamespace`,
+    add(table, partition, existing) {
+      const name = `${table}_${partition.name}`;
+      return existing.some((row) => row.name === name)
+        ? []
+        : [
+            `CREATE TABLE IF NOT EXISTS ${name} PARTITION OF ${table}
+              FOR VALUES FROM (${partition.from}) TO (${partition.to})`,
+          ];
+    },
+    // A table cannot become partitioned in place, so its ticks are copied to
+    // a partitioned copy first; the copy then takes the table's place in one
+    // transaction (a multi-statement query without parameters is one)
+    swap: (table, copy, partitions) =>
+      [
+        `ALTER TABLE ${table} RENAME TO ${table}_unpartitioned`,
+        `ALTER TABLE ${copy} RENAME TO ${table}`,
+        ...partitions.map(
+          ({ name }) => `ALTER TABLE ${copy}_${name} RENAME TO ${table}_${name}`
+        ),
+        `DROP TABLE ${table}_unpartitioned`,
+      ].join(";\n"),
+  },
+  createSummaryTable: [
+    `CREATE TABLE IF NOT EXISTS ${summaryTable} (
+      symbol VARCHAR(32) NOT NULL,
+      day DATE NOT NULL,
+      row_count INTEGER NOT NULL,
+      first_timestamp BIGINT NOT NULL,
+      last_timestamp BIGINT NOT NULL,
+      min_spread DOUBLE PRECISION NOT NULL,
+      max_spread DOUBLE PRECISION NOT NULL,
+      avg_spread DOUBLE PRECISION NOT NULL,
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+      PRIMARY KEY (symbol, day)
+    )`,
+  ],
+};
+
+// Tick tables become TimescaleDB hypertables chunked by day (Timestamp is
+// in epoch milliseconds)
+const timescaleDialect = {
+  ...postgresDialect,
+  createTickTable: (table) => [
+    ...postgresDialect.createTickTable(table),
+    `SELECT create_hypertable('${table}', 'timestamp',
+      chunk_time_interval => 86400000::bigint, if_not_exists => TRUE)`,
+  ],
+};
+
+/**
+ * Create a store backed by PostgreSQL, optionally with TimescaleDB. Connects
+ * with `connectionString` if set, otherwise with the HOST, USER, PWD, DB and
+ * PORT environment variables.
+ * @param {Object} options - The storage config
+ * @param {string} [options.connectionString] - postgres:// connection URL
+ * @param {boolean} [options.timescale] - Store ticks in hypertables
+ * @param {boolean} [options.partitionByMonth] - Partition new tick tables by month
+ * @param {number} options.dbBatchSize - Number of records to insert in a single query
+ * @returns {Object} - The store
+ */
+export async function createPostgresStore({
+  connectionString,
+  timescale,
+  partitionByMonth,
+  dbBatchSize,
+}) {
+  const { default: pg } = await importOptional(
+    "pg",
+    "the postgres storage backend"
+  );
+
+  const pool = new pg.Pool({
+    ...(connectionString
+      ? { connectionString }
+      : {
+          host: process.env.HOST,
+          user: process.env.USER,
+          password: process.env.PWD,
+          database: process.env.DB,
+          port: Number(process.env.PORT) || 5432,
+        }),
+    max: 10,
+    // BIGINT timestamps, COUNT(*) and NUMERIC prices fit in a double,
+    // return them as numbers
+    types: {
+      getTypeParser: (oid, format) =>
+        oid === int8Oid || oid === numericOid
+          ? Number
+          : pg.types.getTypeParser(oid, format),
+    },
+  });
+
+  return {
+    ...createSqlStore({
+      dialect: timescale ? timescaleDialect : postgresDialect,
+      query: async (sql, params) => (await pool.query(sql, params)).rows,
+      transaction: async (work) => {
+        const client = await pool.connect();
+        try {
+          await client.query("BEGIN");
+          try {
+            const result = await work(
+              async (sql, params) => (await client.query(sql, params)).rows
+            );
+            await client.query("COMMIT");
+            return result;
+          } catch (error) {
+            await client.query("ROLLBACK");
+            throw error;
+          }
+        } finally {
+          client.release();
+        }
+      },
+      close: () => pool.end(),
+      batchSize: dbBatchSize,
+      partitionByMonth,
+    }),
+    pool,
+  };
+}
@@ -0,0 +1,322 @@
+// Column layouts shared by every storage backend, as [column, property] pairs.
+// Columns are what SQL tables and file headers use, properties are the keys
+// of the objects passed to and returned by a store.
+
+export const tickColumns = [
+  ["Timestamp", "timestamp"],
+  ["BidPrice", "bidPrice"],
+  ["AskPrice", "askPrice"],
+  ["BidVolume", "bidVolume"],
+  ["AskVolume", "askVolume"],
+];
+
+export const barColumns = [
+  ["Timestamp", "timestamp"],
+  ["BidOpen", "bidOpen"],
+  ["BidHigh", "bidHigh"],
+  ["BidLow", "bidLow"],
+  ["BidClose", "bidClose"],
+  ["AskOpen", "askOpen"],
+  ["AskHigh", "askHigh"],
+  ["AskLow", "askLow"],
+  ["AskClose", "askClose"],
+  ["BidVolume", "bidVolume"],
+  ["AskVolume", "askVolume"],
+  ["TickCount", "tickCount"],
+];
+
+// Bars downloaded ready-made from Dukascopy (candles), one table per symbol,
+// timeframe and price side, see candleTable
+export const candleColumns = [
+  ["Timestamp", "timestamp"],
+  ["Open", "open"],
+  ["High", "high"],
+  ["Low", "low"],
+  ["Close", "close"],
+  ["Volume", "volume"],
+];
+
+// Columns of the per-symbol tables holding prices, stored as exact decimals
+// where the database has them, and volumes, stored as doubles
+export const priceColumnNames = [
+  "BidPrice",
+  "AskPrice",
+  "BidOpen",
+  "BidHigh",
+  "BidLow",
+  "BidClose",
+  "AskOpen",
+  "AskHigh",
+  "AskLow",
+  "AskClose",
+  "Open",
+  "High",
+  "Low",
+  "Close",
+];
+
+export const volumeColumnNames = ["BidVolume", "AskVolume", "Volume"];
+
+// One row per applied schema migration, see migrations.js
+export const schemaVersionTable = "schema_version";
+
+// One row per (symbol, day) describing how far the import got for that slot
+export const ledgerTable = "import_ledger";
+
+export const ledgerStatuses = ["pending", "done", "empty", "failed"];
+
+// One row per (symbol, day, hour) for days the follow mode imports hour by
+// hour while they are still in progress; the rows of a day are folded into
+// its ledger slot once every hour is done
+export const hourLedgerTable = "import_hour_ledger";
+
+// One row per (symbol, timeframe, side, period) of candle downloads; a
+// period is a day, month or year depending on the timeframe and is keyed by
+// its first day
+export const candleLedgerTable = "import_candle_ledger";
+
+// Ticks rejected by validation, keyed by timestamp and their position (seq)
+// among the downloaded ticks sharing that timestamp
+export const quarantineTable = "tick_quarantine";
+
+export const quarantineColumns = [
+  ["symbol", "symbol"],
+  ["day", "day"],
+  ["Timestamp", "timestamp"],
+  ["seq", "seq"],
+  ["reason", "reason"],
+  ...tickColumns.slice(1),
+];
+
+// One row per (symbol, day) with ticks, refreshed whenever ticks of the day
+// are stored, so progress statistics never have to scan the tick tables.
+// Spreads are ask minus bid.
+export const summaryTable = "tick_day_summary";
+
+export const summaryColumns = [
+  ["symbol", "symbol"],
+  ["day", "day"],
+  ["row_count", "rowCount"],
+  ["first_timestamp", "firstTimestamp"],
+  ["last_timestamp", "lastTimestamp"],
+  ["min_spread", "minSpread"],
+  ["max_spread", "maxSpread"],
+  ["avg_spread", "avgSpread"],
+];
+
+// One row per run of npm run verify, see lib/verify.js. Times are epoch
+// milliseconds.
+export const verificationRunTable = "verification_run";
+
+export const verificationRunColumns = [
+  ["id", "id"],
+  ["started_at", "startedAt"],
+  ["finished_at", "finishedAt"],
+  ["first_day", "firstDay"],
+  ["last_day", "lastDay"],
+  ["symbols", "symbols"],
+  ["source", "source"],
+  ["repair", "repair"],
+  ["checked", "checked"],
+  ["matched", "matched"],
+  ["mismatched", "mismatched"],
+  ["repaired", "repaired"],
+  ["failed", "failed"],
+];
+
+// The latest verification of each (symbol, day): the stored and source
+// tick counts and the hours whose ticks differ, as a comma separated list
+export const verificationTable = "verification";
+
+export const verificationStatuses = ["match", "mismatch", "repaired", "error"];
+
+export const verificationColumns = [
+  ["symbol", "symbol"],
+  ["day", "day"],
+  ["run_id", "runId"],
+  ["status", "status"],
+  ["stored_rows", "storedRows"],
+  ["source_rows", "sourceRows"],
+  ["hours", "hours"],
+  ["error", "error"],
+  ["checked_at", "checkedAt"],
+];
+
+// Tables shared by every symbol; the others are tick, bar and candle tables
+export const sharedTables = [
+  schemaVersionTable,
+  ledgerTable,
+  hourLedgerTable,
+  candleLedgerTable,
+  quarantineTable,
+  summaryTable,
+  verificationRunTable,
+  verificationTable,
+];
+
+// Symbols and timeframes become part of table names, so they are limited to
+// what every database accepts as an unquoted identifier. The longest suffix
+// added to a symbol (_m15_bid) keeps names within the 64 characters of MySQL.
+const symbolPattern = /^[a-z][a-z0-9]{0,47}$/;
+const timeframePattern = /^[a-z][a-z0-9]{0,7}$/;
+
+// Words MySQL, PostgreSQL or SQLite reserve, which a tick table, named after
+// its symbol, cannot be called without quoting
+const reservedWords = new Set(
+  `
+  abort accessible action add after all alter always analyse analyze and any
+  array as asc asensitive asymmetric attach authorization autoincrement before
+  begin between bigint binary blob both by call cascade case cast change char
+  character check collate collation column commit concurrently condition
+  conflict constraint continue convert create cross cube current cursor
+  database databases dec decimal declare default deferrable deferred delayed
+  delete desc describe detach deterministic distinct distinctrow div do double
+  drop dual each else elseif empty enclosed end escape escaped except exclude
+  exclusive exists exit explain fail false fetch filter first float float4
+  float8 following for force foreign freeze from full fulltext function
+  generated get glob grant group grouping groups having if ignore ilike
+  immediate in index indexed infile initially inner inout insensitive insert
+  instead int int1 int2 int3 int4 int8 integer intersect interval into is
+  isnull iterate join key keys kill lag last lateral lead leading leave left
+  like limit linear lines load localtime localtimestamp lock long longblob
+  longtext loop match materialized maxvalue mediumblob mediumint mediumtext
+  middleint mod modifies natural no not nothing notnull null nulls numeric of
+  offset on only optimize option optionally or order others out outer outfile
+  over overlaps partition placing plan pragma preceding precision primary
+  procedure purge query raise range rank read reads real recursive references
+  regexp reindex release rename repeat replace require resignal restrict
+  return returning revoke right rlike rollback row rows savepoint schema
+  schemas select sensitive separator set show signal similar smallint some
+  spatial specific sql sqlexception sqlstate sqlwarning ssl starting stored
+  symmetric table tablesample temp temporary terminated then ties tinyblob
+  tinyint tinytext to trailing transaction trigger true unbounded undo union
+  unique unlock unsigned update usage use user using vacuum values varbinary
+  varchar varcharacter variadic varying verbose view virtual when where while
+  window with without write xor zerofill
+  `
+    .trim()
+    .split(/\s+/)
+);
+
+/**
+ * Check that a symbol can be used in table names
+ * @param {*} symbol - The symbol to check
+ * @returns {?string} - What is wrong with it, null if it is valid
+ */
+export function validateSymbol(symbol) {
+  if (typeof symbol !== "string" || !symbolPattern.test(symbol)) {
+    return `symbol ${JSON.stringify(
+      symbol
+    )} must be a lowercase letter followed by at most 47 lowercase letters and digits`;
+  }
+  if (reservedWords.has(symbol)) {
+    return `symbol "${symbol}" is a reserved word in SQL`;
+  }
+  // Its tables would be or could clash with tables of the store itself, e.g.
+  // verification or import_ledger (the bars of "import" on timeframe "ledger")
+  if (
+    sharedTables.some(
+      (table) => table === symbol || table.startsWith(`${symbol}_`)
+    )
+  ) {
+    return `symbol "${symbol}" clashes with the table names of the store`;
+  }
+  return null;
+}
+
+/**
+ * Check whether a table is the tick table of a symbol or one of its bar or
+ * candle tables, see tickTable, barTable and candleTable
+ * @param {string} table - The table name
+ * @param {string} symbol - The forex/crypto symbol
+ * @returns {boolean}
+ */
+export function isSymbolTable(table, symbol) {
+  if (table === symbol) {
+    return true;
+  }
+  if (!table.startsWith(`${symbol}_`)) {
+    return false;
+  }
+  const [timeframe, side, ...rest] = table.slice(symbol.length + 1).split("_");
+  return (
+    timeframePattern.test(timeframe) &&
+    (side === undefined || side === "bid" || side === "ask") &&
+    rest.length === 0
+  );
+}
+
+/**
+ * Check a symbol and optionally a timeframe before they are put into SQL
+ * @param {string} symbol - The forex/crypto symbol
+ * @param {string} [timeframe] - Bar or candle timeframe
+ * @throws {Error} - If either is not a valid table name part
+ */
+function assertTableName(symbol, timeframe) {
+  const problem = validateSymbol(symbol);
+  if (problem) {
+    throw new Error(`Invalid table name: ${problem}`);
+  }
+  if (timeframe !== undefined && !timeframePattern.test(timeframe)) {
+    throw new Error(
+      `Invalid table name: timeframe ${JSON.stringify(timeframe)} is not valid`
+    );
+  }
+}
+
+/**
+ * Name of the tick table of a symbol, which is the symbol itself
+ * @param {string} symbol - The forex/crypto symbol
+ * @returns {string} - The table name
+ * @throws {Error} - If the symbol is not a valid table name
+ */
+export function tickTable(symbol) {
+  assertTableName(symbol);
+  return symbol;
+}
+
+/**
+ * Name of the bar table of a symbol for a timeframe, e.g. eurusd_m5
+ * @param {string} symbol - The forex/crypto symbol
+ * @param {string} timeframe - Bar timeframe such as m1 or h4
+ * @returns {string} - The table name
+ * @throws {Error} - If the symbol or timeframe is not a valid table name
+ */
+export function barTable(symbol, timeframe) {
+  assertTableName(symbol, timeframe);
+  return `${symbol}_${timeframe}`;
+}
+
+/**
+ * Name of the candle table of a symbol for a timeframe and price side, e.g.
+ * eurusd_m1_bid
+ * @param {string} symbol - The forex/crypto symbol
+ * @param {string} timeframe - Candle timeframe such as m1 or h1
+ * @param {string} side - "bid" or "ask"
+ * @returns {string} - The table name
+ * @throws {Error} - If any part is not valid in a table name
+ */
+export function candleTable(symbol, timeframe, side) {
+  assertTableName(symbol, timeframe);
+  if (side !== "bid" && side !== "ask") {
+    throw new Error(`Invalid table name: side ${JSON.stringify(side)}`);
+  }
+  return `${symbol}_${timeframe}_${side}`;
+}
+
+/**
+ * Describe the month partition of a tick table holding a month's ticks
+ * @param {string} month - The month (YYYY-MM)
+ * @returns {{name: string, from: number, to: number}} - Partition name
+ *   (pYYYYMM) and the epoch millisecond range it covers, end exclusive
+ */
+export function monthPartition(month) {
+  const from = new Date(`${month}-01T00:00:00Z`);
+  const to = new Date(from);
+  to.setUTCMonth(to.getUTCMonth() + 1);
+  return {
+    name: `p${month.replace("-", "")}`,
+    from: from.getTime(),
+    to: to.getTime(),
+  };
+}
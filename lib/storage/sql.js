@@ -0,0 +1,1196 @@
+import { AsyncLocalStorage } from "async_hooks";
+import { readStagedTicks } from "../bulkLoad.js";
+import { dayRange, listDays, toDay } from "../ledger.js";
+import { migrate } from "./migrations.js";
+import {
+  barColumns,
+  barTable,
+  candleColumns,
+  candleLedgerTable,
+  candleTable,
+  hourLedgerTable,
+  ledgerStatuses,
+  ledgerTable,
+  monthPartition,
+  quarantineColumns,
+  quarantineTable,
+  schemaVersionTable,
+  summaryColumns,
+  summaryTable,
+  tickColumns,
+  tickTable,
+  verificationColumns,
+  verificationRunColumns,
+  verificationRunTable,
+  verificationTable,
+} from "./schema.js";
+
+const quarantineKey = ["symbol", "Timestamp", "seq"];
+
+// Share of the server's packet limit a statement may take. Statement sizes
+// are estimated, leaving escapes and the packet header out.
+const packetHeadroom = 0.9;
+
+const ledgerInsertColumns = [
+  ["symbol", "symbol"],
+  ["day", "day"],
+  ["status", "status"],
+];
+
+const candleLedgerInsertColumns = [
+  ["symbol", "symbol"],
+  ["timeframe", "timeframe"],
+  ["side", "side"],
+  ["day", "day"],
+  ["status", "status"],
+];
+
+/**
+ * @typedef {Object} SqlDialect
+ * @property {function(string): string} quote - Quote an alias
+ * @property {function(number): string} placeholder - Placeholder of the nth (1-based) parameter
+ * @property {function(string): string} formatDay - Expression formatting a day column as YYYY-MM-DD
+ * @property {string} now - Expression for the current time
+ * @property {function(string, string): string} intDiv - Integer division of two integer expressions
+ * @property {string} tableExists - Query taking a table name that returns a row if the table exists
+ * @property {string} priceType - Column type of prices
+ * @property {string} volumeType - Column type of volumes
+ * @property {function(string, Object): string[]} createTickTable - DDL for a tick table, partitioned
+ *   by month with {partitioned: true} if the dialect has monthPartitions
+ * @property {function(string): string[]} createBarTable - DDL for a bar table
+ * @property {function(string): string[]} createCandleTable - DDL for a candle table
+ * @property {string[]} createLedgerTable - DDL for the ledger table
+ * @property {string[]} createHourLedgerTable - DDL for the hour slot ledger table
+ * @property {string[]} createCandleLedgerTable - DDL for the candle slot ledger table
+ * @property {string[]} createQuarantineTable - DDL for the quarantine table
+ * @property {string[]} createSummaryTable - DDL for the per-day tick summary table
+ * @property {string[]} createSchemaVersionTable - DDL for the schema version table
+ * @property {string[]} createVerificationRunTable - DDL for the table of verify runs
+ * @property {string[]} createVerificationTable - DDL for the latest verification of each symbol-day
+ * @property {string} listTables - Query returning the {name} of every table
+ * @property {string} columnTypes - Query taking a table name that returns {column, type, nullable}
+ *   per column, with the type written as in DDL
+ * @property {function(string, Object[]): string[]} [alterColumnTypes] - DDL changing the type of
+ *   {column, type, nullable} columns of a table in place
+ * @property {boolean} ddlInTransaction - Run DDL inside an open transaction rather than on a
+ *   connection of its own, for databases with a single connection
+ * @property {number} [maxParameters] - Most parameters one statement may have
+ * @property {string} [packetSize] - Query returning the {size} in bytes of the largest statement
+ *   the server accepts
+ * @property {function(string, string[], string): *} [loadFile] - Statement bulk loading a staging
+ *   file (see lib/bulkLoad.js) into the columns of a table, replacing rows with the same key
+ * @property {function(Error): boolean} [loadFileRefused] - Whether loadFile failed because the
+ *   server does not allow it, so inserts have to do instead
+ * @property {Object} [monthPartitions] - Partitioning of tick tables by month: `partitioned` and
+ *   `list` queries taking a table name, `add(table, partition, listed)` returning the DDL adding a
+ *   month partition (see monthPartition in schema.js), and either `repartition(table, partitions)`
+ *   partitioning a table in place or `swap(table, copy, partitions)` putting a partitioned copy in
+ *   its place
+ * @property {function(string): string} excluded - The incoming value of a column inside an upsert
+ * @property {function(string[], Object): string} onConflict - Upsert clause for the key columns and
+ *   column -> expression updates; no updates means existing rows are left alone
+ */
+
+/**
+ * Create a store on top of a SQL database. The backends only differ in
+ * their driver and dialect; every query is built here.
+ * @param {Object} options
+ * @param {SqlDialect} options.dialect - SQL flavour of the database
+ * @param {function(string, Array): Promise<Array>} options.query - Runs a statement, resolving to its rows
+ * @param {function(function(function(string, Array): Promise<Array>): Promise<*>): Promise<*>} options.transaction -
+ *   Runs a function with a query function whose statements form one transaction on one
+ *   connection, committed when the function resolves and rolled back when it throws
+ * @param {function(): Promise<void>} options.close - Releases the connection(s)
+ * @param {number} options.batchSize - Number of records to insert in a single query
+ * @param {boolean} [options.partitionByMonth] - Create tick tables partitioned by month
+ * @returns {Object} - The store, see lib/storage/index.js
+ */
+export function createSqlStore({
+  dialect,
+  query: poolQuery,
+  transaction: runTransaction,
+  close,
+  batchSize,
+  partitionByMonth = false,
+}) {
+  // Tables known to exist, so their DDL runs once per process. Tick tables
+  // map to their partitioning state.
+  const knownTables = new Map();
+
+  // Inside store.transaction(), statements go through the connection of the
+  // transaction; AsyncLocalStorage follows them through every store method
+  const activeTransaction = new AsyncLocalStorage();
+  const query = (sql, params) =>
+    (activeTransaction.getStore() || poolQuery)(sql, params);
+  // DDL, and the catalog reads around it, run on a connection of their own:
+  // MySQL would commit an open transaction halfway, and a table created by a
+  // transaction that is rolled back would vanish while cached as known.
+  // Tables are created before a transaction first writes to them, so this
+  // never waits for a lock the transaction holds.
+  const schemaQuery = dialect.ddlInTransaction ? query : poolQuery;
+
+  // Statement size limit, see statementLimit
+  let packetLimit = null;
+  // Cleared once the server turns loadFile down
+  let fileLoading = Boolean(dialect.loadFile);
+
+  /**
+   * Start a parameter list; `p(value)` adds a value and returns its placeholder
+   */
+  function parameters() {
+    const values = [];
+    const p = (value) => {
+      values.push(value);
+      return dialect.placeholder(values.length);
+    };
+    return { values, p };
+  }
+
+  function selectList(columns) {
+    return columns
+      .map(([column, property]) => `${column} AS ${dialect.quote(property)}`)
+      .join(", ");
+  }
+
+  async function tableExists(table) {
+    const rows = await query(dialect.tableExists, [table]);
+    return rows.length > 0;
+  }
+
+  async function run(statements) {
+    for (const statement of statements) {
+      await schemaQuery(statement, []);
+    }
+  }
+
+  /**
+   * Get the size of the largest statement to send, or null without a limit
+   */
+  function statementLimit() {
+    if (!packetLimit) {
+      packetLimit = dialect.packetSize
+        ? query(dialect.packetSize, []).then(([row]) =>
+            Math.floor(Number(row.size) * packetHeadroom)
+          )
+        : Promise.resolve(null);
+    }
+    return packetLimit;
+  }
+
+  /**
+   * Insert rows in batches, updating the given columns of existing rows.
+   * Batches hold up to batchSize rows, fewer if the dialect's parameter or
+   * packet limit would be exceeded.
+   */
+  async function upsertRows(table, columns, rows, keyColumns, updates) {
+    const columnList = columns.map(([column]) => column).join(", ");
+    const conflict = dialect.onConflict(keyColumns, updates);
+    const statement = (tuples) =>
+      `INSERT INTO ${table} (${columnList}) VALUES ${tuples} ${conflict}`;
+    const maxRows = dialect.maxParameters
+      ? Math.min(batchSize, Math.floor(dialect.maxParameters / columns.length))
+      : batchSize;
+    const maxBytes = await statementLimit();
+
+    for (let i = 0; i < rows.length; ) {
+      let end = Math.min(i + maxRows, rows.length);
+      if (maxBytes) {
+        // Estimated from the values as text, with a quote on either side
+        let bytes = statement("").length;
+        for (let j = i; j < end; j++) {
+          for (const [, property] of columns) {
+            bytes += String(rows[j][property]).length + 4;
+          }
+          if (bytes > maxBytes && j > i) {
+            end = j;
+            break;
+          }
+        }
+      }
+
+      const { values, p } = parameters();
+      const tuples = rows
+        .slice(i, end)
+        .map(
+          (row) =>
+            `(${columns.map(([, property]) => p(row[property])).join(", ")})`
+        )
+        .join(", ");
+      await query(statement(tuples), values);
+      i = end;
+    }
+  }
+
+  /**
+   * Bulk load a staging file into a table with the dialect's loadFile, as
+   * long as the server allows it
+   * @returns {boolean} - Whether the file was loaded
+   */
+  async function loadFile(table, columns, file) {
+    if (!fileLoading) {
+      return false;
+    }
+    try {
+      await query(
+        dialect.loadFile(
+          table,
+          columns.map(([column]) => column),
+          file
+        ),
+        []
+      );
+      return true;
+    } catch (error) {
+      if (!dialect.loadFileRefused(error)) {
+        throw error;
+      }
+      fileLoading = false;
+      console.warn(
+        `Bulk loading is not allowed by the database, inserting instead: ${error.message}`
+      );
+      return false;
+    }
+  }
+
+  async function ensureTable(table, statements) {
+    if (!knownTables.has(table)) {
+      await run(statements);
+      knownTables.set(table, null);
+    }
+  }
+
+  async function listPartitions(table) {
+    return schemaQuery(dialect.monthPartitions.list, [table]);
+  }
+
+  /**
+   * Create the tick table of a symbol unless this process already did
+   * @returns {Object} - The partitioning state of the table: whether it is
+   *   partitioned, its listed partitions and the months known to have one
+   */
+  async function ensureTickTable(symbol) {
+    const table = tickTable(symbol);
+    if (knownTables.has(table)) {
+      return knownTables.get(table);
+    }
+    try {
+      await run(
+        dialect.createTickTable(table, { partitioned: partitionByMonth })
+      );
+      const partitioned =
+        dialect.monthPartitions !== undefined &&
+        (await schemaQuery(dialect.monthPartitions.partitioned, [table]))
+          .length > 0;
+      const state = {
+        partitioned,
+        partitions: partitioned ? await listPartitions(table) : [],
+        months: new Set(),
+        adding: Promise.resolve(),
+      };
+      knownTables.set(table, state);
+      console.log(`Table for ${symbol} ensured`);
+      return state;
+    } catch (error) {
+      console.error(`Error creating table for ${symbol}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * List the month partitions covering a range of timestamps
+   */
+  function monthPartitionsBetween(first, last) {
+    const partitions = [];
+    let month = toDay(new Date(first)).slice(0, 7);
+    const lastMonth = toDay(new Date(last)).slice(0, 7);
+    while (month <= lastMonth) {
+      const partition = monthPartition(month);
+      partitions.push(partition);
+      month = toDay(new Date(partition.to)).slice(0, 7);
+    }
+    return partitions;
+  }
+
+  /**
+   * Copy a tick table into a partitioned copy month by month, then put the
+   * copy in its place. A copy that was interrupted resumes after the last
+   * tick it holds; every month is copied by a single statement.
+   */
+  async function copyIntoPartitions(table, partitions) {
+    const { monthPartitions } = dialect;
+    const copy = `${table}_partitioned`;
+    await run(dialect.createTickTable(copy, { partitioned: true }));
+    let listed = await listPartitions(copy);
+    for (const partition of partitions) {
+      const statements = monthPartitions.add(copy, partition, listed);
+      if (statements.length > 0) {
+        await run(statements);
+        listed = await listPartitions(copy);
+      }
+    }
+
+    const [copied] = await query(
+      `SELECT MAX(Timestamp) AS ${dialect.quote("last")} FROM ${copy}`,
+      []
+    );
+    const resumeFrom = copied.last === null ? 0 : Number(copied.last) + 1;
+    const columnList = tickColumns.map(([column]) => column).join(", ");
+    for (const partition of partitions) {
+      if (partition.to <= resumeFrom) {
+        continue;
+      }
+      const { values, p } = parameters();
+      await query(
+        `INSERT INTO ${copy} (${columnList})
+         SELECT ${columnList} FROM ${table}
+         WHERE Timestamp >= ${p(
+           Math.max(partition.from, resumeFrom)
+         )} AND Timestamp < ${p(partition.to)}`,
+        values
+      );
+      console.log(`Copied ${table} ${partition.name}`);
+    }
+
+    const count = async (name) =>
+      Number(
+        (
+          await query(
+            `SELECT COUNT(*) AS ${dialect.quote("rows")} FROM ${name}`,
+            []
+          )
+        )[0].rows
+      );
+    const [original, partitioned] = [await count(table), await count(copy)];
+    if (original !== partitioned) {
+      throw new Error(
+        `${copy} holds ${partitioned} ticks instead of ${original}; was ${table} written to while it was copied?`
+      );
+    }
+    await query(monthPartitions.swap(table, copy, partitions), []);
+  }
+
+  /**
+   * Make sure a partitioned table has a partition for every month of the
+   * given timestamps. Additions to one table run one at a time.
+   */
+  async function ensureMonthPartitions(table, state, timestamps) {
+    const months = new Set(
+      timestamps.map((timestamp) => toDay(new Date(timestamp)).slice(0, 7))
+    );
+    const missing = [...months].filter((month) => !state.months.has(month));
+    if (missing.length === 0) {
+      return;
+    }
+    const adding = state.adding.then(async () => {
+      for (const month of missing.sort()) {
+        if (state.months.has(month)) {
+          continue;
+        }
+        const statements = dialect.monthPartitions.add(
+          table,
+          monthPartition(month),
+          state.partitions
+        );
+        if (statements.length > 0) {
+          await run(statements);
+          state.partitions = await listPartitions(table);
+        }
+        state.months.add(month);
+      }
+    });
+    // A failed addition must not block the next ones
+    state.adding = adding.catch(() => {});
+    await adding;
+  }
+
+  function replaceAll(columns) {
+    return Object.fromEntries(
+      columns.slice(1).map(([column]) => [column, dialect.excluded(column)])
+    );
+  }
+
+  async function deleteRange(table, fromDate, toDate) {
+    const { values, p } = parameters();
+    await query(
+      `DELETE FROM ${table}
+       WHERE Timestamp >= ${p(fromDate.getTime())} AND Timestamp < ${p(
+        toDate.getTime()
+      )}`,
+      values
+    );
+  }
+
+  async function readRange(table, columns, fromDate, toDate, limit) {
+    if (!(await tableExists(table))) {
+      return [];
+    }
+    const { values, p } = parameters();
+    return query(
+      `SELECT ${selectList(columns)}
+       FROM ${table}
+       WHERE Timestamp >= ${p(fromDate.getTime())} AND Timestamp < ${p(
+        toDate.getTime()
+      )}
+       ORDER BY Timestamp${limit ? ` LIMIT ${p(limit)}` : ""}`,
+      values
+    );
+  }
+
+  /**
+   * Recompute the summary row of one day from the ticks stored for it
+   */
+  async function refreshDaySummary(symbol, day) {
+    const table = tickTable(symbol);
+    if (!(await tableExists(table))) {
+      return null;
+    }
+    const { from, to } = dayRange(day);
+    const spread = "AskPrice - BidPrice";
+    const read = parameters();
+    const [row] = await query(
+      `SELECT
+        COUNT(*) AS ${dialect.quote("rowCount")},
+        MIN(Timestamp) AS ${dialect.quote("firstTimestamp")},
+        MAX(Timestamp) AS ${dialect.quote("lastTimestamp")},
+        MIN(${spread}) AS ${dialect.quote("minSpread")},
+        MAX(${spread}) AS ${dialect.quote("maxSpread")},
+        AVG(${spread}) AS ${dialect.quote("avgSpread")}
+      FROM ${table}
+      WHERE Timestamp >= ${read.p(from.getTime())} AND Timestamp < ${read.p(
+        to.getTime()
+      )}`,
+      read.values
+    );
+
+    if (Number(row.rowCount) === 0) {
+      const remove = parameters();
+      await query(
+        `DELETE FROM ${summaryTable} WHERE symbol = ${remove.p(
+          symbol
+        )} AND day = ${remove.p(day)}`,
+        remove.values
+      );
+      return null;
+    }
+
+    const summary = Object.fromEntries(
+      Object.entries(row).map(([key, value]) => [key, Number(value)])
+    );
+    await upsertRows(
+      summaryTable,
+      summaryColumns,
+      [{ symbol, day, ...summary }],
+      ["symbol", "day"],
+      {
+        ...Object.fromEntries(
+          summaryColumns
+            .slice(2)
+            .map(([column]) => [column, dialect.excluded(column)])
+        ),
+        updated_at: dialect.now,
+      }
+    );
+    return summary;
+  }
+
+  const store = {
+    async init({ migrate: rewriteData }) {
+      await migrate({ dialect, query, run }, rewriteData);
+    },
+
+    close,
+
+    async transaction(fn) {
+      // A transaction inside another one joins it
+      if (activeTransaction.getStore()) {
+        return fn(store);
+      }
+      try {
+        return await runTransaction((transactionQuery) =>
+          activeTransaction.run(transactionQuery, () => fn(store))
+        );
+      } catch (error) {
+        // Tables created by the rolled back transaction are gone again
+        if (dialect.ddlInTransaction) {
+          knownTables.clear();
+        }
+        throw error;
+      }
+    },
+
+    async ensureTickTable(symbol) {
+      await ensureTickTable(symbol);
+    },
+
+    async schemaVersion() {
+      const [row] = await query(
+        `SELECT MAX(version) AS ${dialect.quote(
+          "version"
+        )} FROM ${schemaVersionTable}`,
+        []
+      );
+      return Number(row.version);
+    },
+
+    async partitionTickTable(symbol) {
+      const table = tickTable(symbol);
+      const { monthPartitions } = dialect;
+      if (!monthPartitions) {
+        throw new Error("This database cannot partition tables");
+      }
+      if (
+        !(await tableExists(table)) ||
+        (await query(monthPartitions.partitioned, [table])).length > 0
+      ) {
+        return false;
+      }
+
+      const [range] = await query(
+        `SELECT MIN(Timestamp) AS ${dialect.quote(
+          "first"
+        )}, MAX(Timestamp) AS ${dialect.quote("last")} FROM ${table}`,
+        []
+      );
+      const partitions =
+        range.first === null
+          ? []
+          : monthPartitionsBetween(Number(range.first), Number(range.last));
+      if (monthPartitions.repartition) {
+        await run(monthPartitions.repartition(table, partitions));
+      } else {
+        await copyIntoPartitions(table, partitions);
+      }
+      knownTables.delete(table);
+      return true;
+    },
+
+    async upsertTicks(symbol, ticks) {
+      const table = tickTable(symbol);
+      const state = await ensureTickTable(symbol);
+      if (state.partitioned) {
+        await ensureMonthPartitions(
+          table,
+          state,
+          ticks.map((tick) => tick.timestamp)
+        );
+      }
+      await upsertRows(
+        table,
+        tickColumns,
+        ticks,
+        ["Timestamp"],
+        replaceAll(tickColumns)
+      );
+
+      const days = new Set(
+        ticks.map((tick) => toDay(new Date(tick.timestamp)))
+      );
+      for (const day of days) {
+        await refreshDaySummary(symbol, day);
+      }
+    },
+
+    readTicks(symbol, fromDate, toDate, limit) {
+      return readRange(tickTable(symbol), tickColumns, fromDate, toDate, limit);
+    },
+
+    async replaceTicks(symbol, fromDate, toDate, ticks) {
+      const table = tickTable(symbol);
+      const state = await ensureTickTable(symbol);
+      if (state.partitioned && ticks.length > 0) {
+        await ensureMonthPartitions(
+          table,
+          state,
+          ticks.map((tick) => tick.timestamp)
+        );
+      }
+      await deleteRange(table, fromDate, toDate);
+      await upsertRows(
+        table,
+        tickColumns,
+        ticks,
+        ["Timestamp"],
+        replaceAll(tickColumns)
+      );
+      for (const day of listDays(fromDate, new Date(toDate.getTime() - 1))) {
+        await refreshDaySummary(symbol, day);
+      }
+    },
+
+    async loadTicks(symbol, fromDate, toDate, file) {
+      const table = tickTable(symbol);
+      const state = await ensureTickTable(symbol);
+      if (state.partitioned) {
+        await ensureMonthPartitions(table, state, [
+          fromDate.getTime(),
+          toDate.getTime() - 1,
+        ]);
+      }
+      await deleteRange(table, fromDate, toDate);
+      if (!(await loadFile(table, tickColumns, file))) {
+        for await (const ticks of readStagedTicks(file, batchSize)) {
+          await upsertRows(
+            table,
+            tickColumns,
+            ticks,
+            ["Timestamp"],
+            replaceAll(tickColumns)
+          );
+        }
+      }
+      for (const day of listDays(fromDate, new Date(toDate.getTime() - 1))) {
+        await refreshDaySummary(symbol, day);
+      }
+    },
+
+    async upsertBars(symbol, timeframe, bars) {
+      const table = barTable(symbol, timeframe);
+      await ensureTable(table, dialect.createBarTable(table));
+      await upsertRows(
+        table,
+        barColumns,
+        bars,
+        ["Timestamp"],
+        replaceAll(barColumns)
+      );
+    },
+
+    async deleteBars(symbol, timeframe, fromDate, toDate) {
+      const table = barTable(symbol, timeframe);
+      if (await tableExists(table)) {
+        await deleteRange(table, fromDate, toDate);
+      }
+    },
+
+    readBars(symbol, timeframe, fromDate, toDate, limit) {
+      return readRange(
+        barTable(symbol, timeframe),
+        barColumns,
+        fromDate,
+        toDate,
+        limit
+      );
+    },
+
+    async upsertCandles(symbol, timeframe, side, candles) {
+      const table = candleTable(symbol, timeframe, side);
+      await ensureTable(table, dialect.createCandleTable(table));
+      await upsertRows(
+        table,
+        candleColumns,
+        candles,
+        ["Timestamp"],
+        replaceAll(candleColumns)
+      );
+    },
+
+    async tickStats(symbol) {
+      const table = tickTable(symbol);
+      if (!(await tableExists(table))) {
+        return null;
+      }
+      const [row] = await query(
+        `SELECT
+          COUNT(*) AS ${dialect.quote("total_records")},
+          MIN(Timestamp) AS ${dialect.quote("oldest_timestamp")},
+          MAX(Timestamp) AS ${dialect.quote("newest_timestamp")}
+        FROM ${table}`,
+        []
+      );
+      return {
+        total_records: Number(row.total_records),
+        oldest_timestamp:
+          row.oldest_timestamp === null ? null : Number(row.oldest_timestamp),
+        newest_timestamp:
+          row.newest_timestamp === null ? null : Number(row.newest_timestamp),
+      };
+    },
+
+    refreshDaySummary,
+
+    async readDaySummaries(symbol, firstDay, lastDay) {
+      const { values, p } = parameters();
+      const rows = await query(
+        `SELECT ${dialect.formatDay("day")} AS ${dialect.quote(
+          "day"
+        )}, ${selectList(summaryColumns.slice(2))}
+         FROM ${summaryTable}
+         WHERE symbol = ${p(symbol)} AND day BETWEEN ${p(firstDay)} AND ${p(
+          lastDay
+        )}
+         ORDER BY day`,
+        values
+      );
+      return rows.map(({ day, ...summary }) => ({
+        day,
+        ...Object.fromEntries(
+          Object.entries(summary).map(([key, value]) => [key, Number(value)])
+        ),
+      }));
+    },
+
+    async summaryStats(symbols) {
+      if (symbols.length === 0) {
+        return {};
+      }
+      const { values, p } = parameters();
+      const rows = await query(
+        `SELECT
+          symbol,
+          SUM(row_count) AS ${dialect.quote("total_records")},
+          MIN(first_timestamp) AS ${dialect.quote("oldest_timestamp")},
+          MAX(last_timestamp) AS ${dialect.quote("newest_timestamp")},
+          COUNT(*) AS ${dialect.quote("days")},
+          MIN(min_spread) AS ${dialect.quote("min_spread")},
+          MAX(max_spread) AS ${dialect.quote("max_spread")},
+          SUM(avg_spread * row_count) / SUM(row_count) AS ${dialect.quote(
+            "avg_spread"
+          )}
+        FROM ${summaryTable}
+        WHERE symbol IN (${symbols.map(p).join(", ")})
+        GROUP BY symbol`,
+        values
+      );
+      return Object.fromEntries(
+        rows.map(({ symbol, ...stats }) => [
+          symbol,
+          Object.fromEntries(
+            Object.entries(stats).map(([key, value]) => [key, Number(value)])
+          ),
+        ])
+      );
+    },
+
+    async tickCounts(symbol, fromDate, toDate, bucketMs) {
+      const table = tickTable(symbol);
+      if (!(await tableExists(table))) {
+        return [];
+      }
+      // The bucket length is inlined so the grouped expression has no
+      // parameters of its own
+      const { values, p } = parameters();
+      const rows = await query(
+        `SELECT ${dialect.intDiv(
+          "Timestamp",
+          Math.trunc(bucketMs)
+        )} AS ${dialect.quote("bucket")}, COUNT(*) AS ${dialect.quote("count")}
+         FROM ${table}
+         WHERE Timestamp >= ${p(fromDate.getTime())} AND Timestamp < ${p(
+          toDate.getTime()
+        )}
+         GROUP BY 1
+         ORDER BY 1`,
+        values
+      );
+      return rows.map((row) => ({
+        timestamp: Number(row.bucket) * bucketMs,
+        count: Number(row.count),
+      }));
+    },
+
+    async quarantineTicks(symbol, rejected) {
+      await upsertRows(
+        quarantineTable,
+        quarantineColumns,
+        rejected.map((tick) => ({
+          ...tick,
+          symbol,
+          day: toDay(new Date(tick.timestamp)),
+        })),
+        quarantineKey,
+        Object.fromEntries(
+          quarantineColumns
+            .filter(([column]) => !quarantineKey.includes(column))
+            .map(([column]) => [column, dialect.excluded(column)])
+        )
+      );
+    },
+
+    async getQuarantineDays(symbol, firstDay, lastDay) {
+      const { values, p } = parameters();
+      const rows = await query(
+        `SELECT ${dialect.formatDay("day")} AS ${dialect.quote(
+          "day"
+        )}, COUNT(*) AS ${dialect.quote("ticks")}
+         FROM ${quarantineTable}
+         WHERE symbol = ${p(symbol)} AND day BETWEEN ${p(firstDay)} AND ${p(
+          lastDay
+        )}
+         GROUP BY day
+         ORDER BY day`,
+        values
+      );
+      return rows.map((row) => ({ day: row.day, ticks: Number(row.ticks) }));
+    },
+
+    async getQualitySummary(dayLimit) {
+      const count = `COUNT(*) AS ${dialect.quote("ticks")}`;
+      const totalRows = await query(
+        `SELECT reason, ${count} FROM ${quarantineTable} GROUP BY reason`,
+        []
+      );
+      const symbolRows = await query(
+        `SELECT symbol, reason, ${count}
+         FROM ${quarantineTable}
+         GROUP BY symbol, reason
+         ORDER BY symbol, reason`,
+        []
+      );
+      const { values, p } = parameters();
+      const dayRows = await query(
+        `SELECT symbol, ${dialect.formatDay("day")} AS ${dialect.quote(
+          "day"
+        )}, reason, ${count}
+         FROM ${quarantineTable}
+         GROUP BY symbol, day, reason
+         ORDER BY day DESC, symbol, reason
+         LIMIT ${p(dayLimit)}`,
+        values
+      );
+
+      const withCount = (row) => ({ ...row, ticks: Number(row.ticks) });
+      return {
+        totals: Object.fromEntries(
+          totalRows.map((row) => [row.reason, Number(row.ticks)])
+        ),
+        by_symbol: symbolRows.map(withCount),
+        recent_days: dayRows.map(withCount),
+      };
+    },
+
+    async recordVerificationRun(run) {
+      await upsertRows(
+        verificationRunTable,
+        verificationRunColumns,
+        [{ ...run, repair: run.repair ? 1 : 0 }],
+        ["id"],
+        replaceAll(verificationRunColumns)
+      );
+    },
+
+    async recordVerifications(results) {
+      await upsertRows(
+        verificationTable,
+        verificationColumns,
+        results,
+        ["symbol", "day"],
+        Object.fromEntries(
+          verificationColumns
+            .slice(2)
+            .map(([column]) => [column, dialect.excluded(column)])
+        )
+      );
+    },
+
+    async getVerificationSummary(dayLimit) {
+      const [lastRun] = await query(
+        `SELECT id, started_at, finished_at, ${dialect.formatDay(
+          "first_day"
+        )} AS ${dialect.quote("first_day")}, ${dialect.formatDay(
+          "last_day"
+        )} AS ${dialect.quote("last_day")}, symbols, source, repair,
+          checked, matched, mismatched, repaired, failed
+         FROM ${verificationRunTable}
+         ORDER BY started_at DESC
+         LIMIT 1`,
+        []
+      );
+      const count = `COUNT(*) AS ${dialect.quote("days")}`;
+      const totalRows = await query(
+        `SELECT status, ${count} FROM ${verificationTable} GROUP BY status`,
+        []
+      );
+      const symbolRows = await query(
+        `SELECT symbol, status, ${count}
+         FROM ${verificationTable}
+         GROUP BY symbol, status
+         ORDER BY symbol, status`,
+        []
+      );
+      const { values, p } = parameters();
+      const dayRows = await query(
+        `SELECT symbol, ${dialect.formatDay("day")} AS ${dialect.quote(
+          "day"
+        )}, run_id, status, stored_rows, source_rows, hours, error, checked_at
+         FROM ${verificationTable}
+         WHERE status IN (${p("mismatch")}, ${p("error")})
+         ORDER BY day DESC, symbol
+         LIMIT ${p(dayLimit)}`,
+        values
+      );
+
+      const numbers = (row, keys) =>
+        Object.fromEntries(
+          Object.entries(row).map(([key, value]) => [
+            key,
+            keys.includes(key) && value !== null ? Number(value) : value,
+          ])
+        );
+      return {
+        last_run: lastRun
+          ? {
+              ...numbers(lastRun, [
+                "started_at",
+                "finished_at",
+                "checked",
+                "matched",
+                "mismatched",
+                "repaired",
+                "failed",
+              ]),
+              repair: Boolean(Number(lastRun.repair)),
+            }
+          : null,
+        totals: Object.fromEntries(
+          totalRows.map((row) => [row.status, Number(row.days)])
+        ),
+        by_symbol: symbolRows.map((row) => ({
+          ...row,
+          days: Number(row.days),
+        })),
+        problem_days: dayRows.map((row) =>
+          numbers(row, ["stored_rows", "source_rows", "checked_at"])
+        ),
+      };
+    },
+
+    async insertSlots(slots) {
+      await upsertRows(
+        ledgerTable,
+        ledgerInsertColumns,
+        slots,
+        ["symbol", "day"],
+        {}
+      );
+    },
+
+    async hasLedgerEntries() {
+      const rows = await query(`SELECT 1 FROM ${ledgerTable} LIMIT 1`, []);
+      return rows.length > 0;
+    },
+
+    async getOpenSlots(symbols, firstDay, lastDay) {
+      const { values, p } = parameters();
+      return query(
+        `SELECT symbol, ${dialect.formatDay("day")} AS ${dialect.quote(
+          "day"
+        )}, status, attempts
+         FROM ${ledgerTable}
+         WHERE status IN (${p("pending")}, ${p("failed")})
+         AND symbol IN (${symbols.map(p).join(", ")})
+         AND day BETWEEN ${p(firstDay)} AND ${p(lastDay)}
+         ORDER BY day`,
+        values
+      );
+    },
+
+    getSymbolSlots(symbol, firstDay, lastDay) {
+      const { values, p } = parameters();
+      return query(
+        `SELECT ${dialect.formatDay("day")} AS ${dialect.quote(
+          "day"
+        )}, status, row_count
+         FROM ${ledgerTable}
+         WHERE symbol = ${p(symbol)} AND day BETWEEN ${p(firstDay)} AND ${p(
+          lastDay
+        )}
+         ORDER BY day`,
+        values
+      );
+    },
+
+    async getSlotCounts(symbols, firstDay, lastDay) {
+      const { values, p } = parameters();
+      const rows = await query(
+        `SELECT symbol, status, COUNT(*) AS ${dialect.quote("slots")}
+         FROM ${ledgerTable}
+         WHERE symbol IN (${symbols.map(p).join(", ")})
+         AND day BETWEEN ${p(firstDay)} AND ${p(lastDay)}
+         GROUP BY symbol, status`,
+        values
+      );
+      return rows.map((row) => ({ ...row, slots: Number(row.slots) }));
+    },
+
+    async markSlot(
+      symbol,
+      day,
+      status,
+      { rowCount = null, error = null } = {}
+    ) {
+      const { values, p } = parameters();
+      await query(
+        `INSERT INTO ${ledgerTable} (symbol, day, status, row_count, attempts, error)
+         VALUES (${p(symbol)}, ${p(day)}, ${p(status)}, ${p(rowCount)}, 1, ${p(
+          error
+        )})
+         ${dialect.onConflict(["symbol", "day"], {
+           status: dialect.excluded("status"),
+           row_count: dialect.excluded("row_count"),
+           attempts: `${ledgerTable}.attempts + 1`,
+           error: dialect.excluded("error"),
+           updated_at: dialect.now,
+         })}`,
+        values
+      );
+    },
+
+    async getHourSlots(symbols, firstDay, lastDay) {
+      const { values, p } = parameters();
+      const rows = await query(
+        `SELECT symbol, ${dialect.formatDay("day")} AS ${dialect.quote(
+          "day"
+        )}, hour, status, row_count
+         FROM ${hourLedgerTable}
+         WHERE symbol IN (${symbols.map(p).join(", ")})
+         AND day BETWEEN ${p(firstDay)} AND ${p(lastDay)}
+         ORDER BY day, hour`,
+        values
+      );
+      return rows.map((row) => ({ ...row, hour: Number(row.hour) }));
+    },
+
+    async markHourSlot(
+      symbol,
+      day,
+      hour,
+      status,
+      { rowCount = null, error = null } = {}
+    ) {
+      const { values, p } = parameters();
+      await query(
+        `INSERT INTO ${hourLedgerTable} (symbol, day, hour, status, row_count, attempts, error)
+         VALUES (${p(symbol)}, ${p(day)}, ${p(hour)}, ${p(status)}, ${p(
+          rowCount
+        )}, 1, ${p(error)})
+         ${dialect.onConflict(["symbol", "day", "hour"], {
+           status: dialect.excluded("status"),
+           row_count: dialect.excluded("row_count"),
+           attempts: `${hourLedgerTable}.attempts + 1`,
+           error: dialect.excluded("error"),
+           updated_at: dialect.now,
+         })}`,
+        values
+      );
+    },
+
+    async clearHourSlots(symbol, day) {
+      const { values, p } = parameters();
+      await query(
+        `DELETE FROM ${hourLedgerTable} WHERE symbol = ${p(
+          symbol
+        )} AND day = ${p(day)}`,
+        values
+      );
+    },
+
+    async insertCandleSlots(slots) {
+      await upsertRows(
+        candleLedgerTable,
+        candleLedgerInsertColumns,
+        slots,
+        ["symbol", "timeframe", "side", "day"],
+        {}
+      );
+    },
+
+    async getOpenCandleSlots(symbols, timeframe, side, firstDay, lastDay) {
+      const { values, p } = parameters();
+      return query(
+        `SELECT symbol, timeframe, side, ${dialect.formatDay(
+          "day"
+        )} AS ${dialect.quote("day")}, status, attempts
+         FROM ${candleLedgerTable}
+         WHERE status IN (${p("pending")}, ${p("failed")})
+         AND symbol IN (${symbols.map(p).join(", ")})
+         AND timeframe = ${p(timeframe)} AND side = ${p(side)}
+         AND day BETWEEN ${p(firstDay)} AND ${p(lastDay)}
+         ORDER BY day`,
+        values
+      );
+    },
+
+    async getCandleSlotCounts(symbols, firstDay, lastDay) {
+      const { values, p } = parameters();
+      const rows = await query(
+        `SELECT symbol, timeframe, side, status, COUNT(*) AS ${dialect.quote(
+          "slots"
+        )}
+         FROM ${candleLedgerTable}
+         WHERE symbol IN (${symbols.map(p).join(", ")})
+         AND day BETWEEN ${p(firstDay)} AND ${p(lastDay)}
+         GROUP BY symbol, timeframe, side, status`,
+        values
+      );
+      return rows.map((row) => ({ ...row, slots: Number(row.slots) }));
+    },
+
+    async markCandleSlot(
+      symbol,
+      timeframe,
+      side,
+      day,
+      status,
+      { rowCount = null, error = null } = {}
+    ) {
+      const { values, p } = parameters();
+      await query(
+        `INSERT INTO ${candleLedgerTable} (symbol, timeframe, side, day, status, row_count, attempts, error)
+         VALUES (${p(symbol)}, ${p(timeframe)}, ${p(side)}, ${p(day)}, ${p(
+          status
+        )}, ${p(rowCount)}, 1, ${p(error)})
+         ${dialect.onConflict(["symbol", "timeframe", "side", "day"], {
+           status: dialect.excluded("status"),
+           row_count: dialect.excluded("row_count"),
+           attempts: `${candleLedgerTable}.attempts + 1`,
+           error: dialect.excluded("error"),
+           updated_at: dialect.now,
+         })}`,
+        values
+      );
+    },
+
+    async getLedgerSummary(failedLimit) {
+      const statusRows = await query(
+        `SELECT status, COUNT(*) AS ${dialect.quote(
+          "slots"
+        )} FROM ${ledgerTable} GROUP BY status`,
+        []
+      );
+      const totals = Object.fromEntries(
+        ledgerStatuses.map((status) => [status, 0])
+      );
+      statusRows.forEach((row) => {
+        totals[row.status] = Number(row.slots);
+      });
+
+      const day = `${dialect.formatDay("day")} AS ${dialect.quote("day")}`;
+      const last = parameters();
+      const [lastCompleted] = await query(
+        `SELECT symbol, ${day}, status, row_count, updated_at
+         FROM ${ledgerTable}
+         WHERE status IN (${last.p("done")}, ${last.p("empty")})
+         ORDER BY updated_at DESC
+         LIMIT 1`,
+        last.values
+      );
+
+      const failed = parameters();
+      const failedSlots = await query(
+        `SELECT symbol, ${day}, attempts, error, updated_at
+         FROM ${ledgerTable}
+         WHERE status = ${failed.p("failed")}
+         ORDER BY day, symbol
+         LIMIT ${failed.p(failedLimit)}`,
+        failed.values
+      );
+
+      return {
+        totals,
+        last_completed: lastCompleted || null,
+        failed_slots: failedSlots,
+      };
+    },
+  };
+  return store;
+}
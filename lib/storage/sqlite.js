@@ -0,0 +1,264 @@
+import fs from "fs/promises";
+import path from "path";
+import { importOptional } from "./index.js";
+import {
+  candleLedgerTable,
+  hourLedgerTable,
+  ledgerTable,
+  quarantineTable,
+  schemaVersionTable,
+  summaryTable,
+  verificationRunTable,
+  verificationTable,
+} from "./schema.js";
+import { createSqlStore } from "./sql.js";
+
+export const sqliteDialect = {
+  quote: (alias) => `"${alias}"`,
+  placeholder: () => "?",
+  formatDay: (column) => column,
+  now: "strftime('%Y-%m-%dT%H:%M:%fZ', 'now')",
+  intDiv: (a, b) => `${a} / ${b}`,
+  tableExists: "SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ?",
+  excluded: (column) => `excluded.${column}`,
+  // There is only the one connection
+  ddlInTransaction: true,
+  // SQLITE_MAX_VARIABLE_NUMBER of the bundled SQLite
+  maxParameters: 32766,
+  onConflict(keyColumns, updates) {
+    const assignments = Object.entries(updates).map(
+      ([column, value]) => `${column} = ${value}`
+    );
+    return assignments.length === 0
+      ? `ON CONFLICT (${keyColumns.join(", ")}) DO NOTHING`
+      : `ON CONFLICT (${keyColumns.join(
+          ", "
+        )}) DO UPDATE SET ${assignments.join(", ")}`;
+  },
+  // REAL is a double, which holds every price exactly enough; SQLite has no
+  // decimal type
+  priceType: "REAL",
+  volumeType: "REAL",
+  createTickTable: (table) => [
+    `CREATE TABLE IF NOT EXISTS ${table} (
+      Timestamp INTEGER NOT NULL PRIMARY KEY,
+      BidPrice REAL NOT NULL,
+      AskPrice REAL NOT NULL,
+      BidVolume REAL NOT NULL,
+      AskVolume REAL NOT NULL
+    ) WITHOUT ROWID`,
+  ],
+  createBarTable: (table) => [
+    `CREATE TABLE IF NOT EXISTS ${table} (
+      Timestamp INTEGER NOT NULL PRIMARY KEY,
+      BidOpen REAL NOT NULL,
+      BidHigh REAL NOT NULL,
+      BidLow REAL NOT NULL,
+      BidClose REAL NOT NULL,
+      AskOpen REAL NOT NULL,
+      AskHigh REAL NOT NULL,
+      AskLow REAL NOT NULL,
+      AskClose REAL NOT NULL,
+      BidVolume REAL NOT NULL,
+      AskVolume REAL NOT NULL,
+      TickCount INTEGER NOT NULL
+    ) WITHOUT ROWID`,
+  ],
+  createCandleTable: (table) => [
+    `CREATE TABLE IF NOT EXISTS ${table} (
+      Timestamp INTEGER NOT NULL PRIMARY KEY,
+      Open REAL NOT NULL,
+      High REAL NOT NULL,
+      Low REAL NOT NULL,
+      Close REAL NOT NULL,
+      Volume REAL NOT NULL
+    ) WITHOUT ROWID`,
+  ],
+  createLedgerTable: [
+    `CREATE TABLE IF NOT EXISTS ${ledgerTable} (
+      symbol TEXT NOT NULL,
+      day TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'done', 'empty', 'failed')),
+      row_count INTEGER NULL,
+      attempts INTEGER NOT NULL DEFAULT 0,
+      error TEXT NULL,
+      updated_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+      PRIMARY KEY (symbol, day)
+    )`,
+    `CREATE INDEX IF NOT EXISTS idx_${ledgerTable}_status ON ${ledgerTable} (status)`,
+  ],
+  createHourLedgerTable: [
+    `CREATE TABLE IF NOT EXISTS ${hourLedgerTable} (
+      symbol TEXT NOT NULL,
+      day TEXT NOT NULL,
+      hour INTEGER NOT NULL,
+      status TEXT NOT NULL
+        CHECK (status IN ('pending', 'done', 'empty', 'failed')),
+      row_count INTEGER NULL,
+      attempts INTEGER NOT NULL DEFAULT 0,
+      error TEXT NULL,
+      updated_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+      PRIMARY KEY (symbol, day, hour)
+    ) WITHOUT ROWID`,
+  ],
+  createCandleLedgerTable: [
+    `CREATE TABLE IF NOT EXISTS ${candleLedgerTable} (
+      symbol TEXT NOT NULL,
+      timeframe TEXT NOT NULL,
+      side TEXT NOT NULL,
+      day TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'done', 'empty', 'failed')),
+      row_count INTEGER NULL,
+      attempts INTEGER NOT NULL DEFAULT 0,
+      error TEXT NULL,
+      updated_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+      PRIMARY KEY (symbol, timeframe, side, day)
+    ) WITHOUT ROWID`,
+  ],
+  createQuarantineTable: [
+    `CREATE TABLE IF NOT EXISTS ${quarantineTable} (
+      symbol TEXT NOT NULL,
+      day TEXT NOT NULL,
+      Timestamp INTEGER NOT NULL,
+      seq INTEGER NOT NULL,
+      reason TEXT NOT NULL,
+      BidPrice REAL NULL,
+      AskPrice REAL NULL,
+      BidVolume REAL NULL,
+      AskVolume REAL NULL,
+      PRIMARY KEY (symbol, Timestamp, seq)
+    ) WITHOUT ROWID`,
+    `CREATE INDEX IF NOT EXISTS idx_${quarantineTable}_day ON ${quarantineTable} (day)`,
+  ],
+  createSchemaVersionTable: [
+    `CREATE TABLE IF NOT EXISTS ${schemaVersionTable} (
+      version INTEGER NOT NULL PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+    )`,
+  ],
+  createVerificationRunTable: [
+    `CREATE TABLE IF NOT EXISTS ${verificationRunTable} (
+      id TEXT NOT NULL PRIMARY KEY,
+      started_at INTEGER NOT NULL,
+      finished_at INTEGER NULL,
+      first_day TEXT NOT NULL,
+      last_day TEXT NOT NULL,
+      symbols TEXT NOT NULL,
+      source TEXT NOT NULL,
+      repair INTEGER NOT NULL,
+      checked INTEGER NOT NULL,
+      matched INTEGER NOT NULL,
+      mismatched INTEGER NOT NULL,
+      repaired INTEGER NOT NULL,
+      failed INTEGER NOT NULL
+    ) WITHOUT ROWID`,
+  ],
+  createVerificationTable: [
+    `CREATE TABLE IF NOT EXISTS ${verificationTable} (
+      symbol TEXT NOT NULL,
+      day TEXT NOT NULL,
+      run_id TEXT NOT NULL,
+      status TEXT NOT NULL
+        CHECK (status IN ('match', 'mismatch', 'repaired', 'error')),
+      stored_rows INTEGER NULL,
+      source_rows INTEGER NULL,
+      hours TEXT NULL,
+      error TEXT NULL,
+      checked_at INTEGER NOT NULL,
+      PRIMARY KEY (symbol, day)
+    ) WITHOUT ROWID`,
+    `CREATE INDEX IF NOT EXISTS idx_${verificationTable}_status ON ${verificationTable} (status)`,
+  ],
+  listTables: "SELECT name FROM sqlite_master WHERE type = 'table'",
+  columnTypes: `SELECT name AS "column", type, "notnull" = 0 AS nullable
+    FROM pragma_table_info(?)`,
+  createSummaryTable: [
+    `CREATE TABLE IF NOT EXISTS ${summaryTable} (
+      symbol TEXT NOT NULL,
+      day TEXT NOT NULL,
+      row_count INTEGER NOT NULL,
+      first_timestamp INTEGER NOT NULL,
+      last_timestamp INTEGER NOT NULL,
+      min_spread REAL NOT NULL,
+      max_spread REAL NOT NULL,
+      avg_spread REAL NOT NULL,
+      updated_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+      PRIMARY KEY (symbol, day)
+    ) WITHOUT ROWID`,
+  ],
+};
+
+/**
+ * Create a store backed by a local SQLite database file
+ * @param {Object} options - The storage config
+ * @param {string} options.path - Database file
+ * @param {number} options.dbBatchSize - Number of records to insert in a single query
+ * @returns {Object} - The store
+ */
+export async function createSqliteStore({ path: file, dbBatchSize }) {
+  const { default: Database } = await importOptional(
+    "better-sqlite3",
+    "the sqlite storage backend"
+  );
+
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  const db = new Database(file);
+  // Let the dashboard read while the importer writes
+  db.pragma("journal_mode = WAL");
+  db.pragma("busy_timeout = 5000");
+
+  const execute = (sql, params) => {
+    const statement = db.prepare(sql);
+    if (statement.reader) {
+      return statement.all(params);
+    }
+    statement.run(params);
+    return [];
+  };
+
+  // Every statement shares the one connection, so while a transaction is
+  // open the statements of other callers wait for it to finish instead of
+  // becoming part of it. The check and what follows it run without an
+  // await in between, so no transaction can open in the gap.
+  let openTransaction = null;
+
+  return createSqlStore({
+    dialect: sqliteDialect,
+    query: async (sql, params) => {
+      while (openTransaction) {
+        await openTransaction;
+      }
+      return execute(sql, params);
+    },
+    transaction: async (work) => {
+      while (openTransaction) {
+        await openTransaction;
+      }
+      let finish;
+      openTransaction = new Promise((resolve) => {
+        finish = resolve;
+      });
+      try {
+        execute("BEGIN IMMEDIATE", []);
+        try {
+          const result = await work(async (sql, params) =>
+            execute(sql, params)
+          );
+          execute("COMMIT", []);
+          return result;
+        } catch (error) {
+          execute("ROLLBACK", []);
+          throw error;
+        }
+      } finally {
+        openTransaction = null;
+        finish();
+      }
+    },
+    close: async () => db.close(),
+    batchSize: dbBatchSize,
+  });
+}
@@ -0,0 +1,305 @@
+import { assetClass, assetClasses } from "./instruments.js";
+
+// Reasons a tick can be rejected for, in the order the checks run
+export const rejectReasons = [
+  "non_positive",
+  "crossed",
+  "wide_spread",
+  "duplicate",
+  "spike",
+];
+
+// Rules applied when the config does not override them. Spreads and spikes
+// are percentages of the mid price; null switches the check off.
+export const defaultValidation = Object.freeze({
+  forex: {
+    nonPositive: true,
+    crossed: true,
+    duplicate: true,
+    maxSpreadPct: 1,
+    maxSpikePct: 2,
+  },
+  metal: {
+    nonPositive: true,
+    crossed: true,
+    duplicate: true,
+    maxSpreadPct: 2,
+    maxSpikePct: 5,
+  },
+  crypto: {
+    nonPositive: true,
+    crossed: true,
+    duplicate: true,
+    maxSpreadPct: 10,
+    maxSpikePct: 20,
+  },
+});
+
+const booleanRules = ["nonPositive", "crossed", "duplicate"];
+const percentRules = ["maxSpreadPct", "maxSpikePct"];
+
+/**
+ * Merge the configured validation rules over the defaults and check them
+ * @param {Object} [validation] - Rules per asset class from the config
+ * @returns {{rules: Object, problems: string[]}} - Merged rules and any problems found
+ */
+export function resolveValidation(validation = {}) {
+  const problems = [];
+  if (typeof validation !== "object" || validation === null) {
+    return {
+      rules: defaultValidation,
+      problems: ["validation must be an object"],
+    };
+  }
+
+  for (const key of Object.keys(validation)) {
+    if (!assetClasses.includes(key)) {
+      problems.push(
+        `validation.${key} is not an asset class (use ${assetClasses.join(
+          ", "
+        )})`
+      );
+    }
+  }
+
+  const rules = {};
+  for (const assetClassName of assetClasses) {
+    const merged = {
+      ...defaultValidation[assetClassName],
+      ...validation[assetClassName],
+    };
+    for (const [rule, value] of Object.entries(merged)) {
+      const name = `validation.${assetClassName}.${rule}`;
+      if (booleanRules.includes(rule)) {
+        if (typeof value !== "boolean") {
+          problems.push(`${name} must be true or false`);
+        }
+      } else if (percentRules.includes(rule)) {
+        if (value !== null && !(typeof value === "number" && value > 0)) {
+          problems.push(`${name} must be a positive number or null`);
+        }
+      } else {
+        problems.push(`${name} is not a validation rule`);
+      }
+    }
+    rules[assetClassName] = merged;
+  }
+
+  return { rules, problems };
+}
+
+/**
+ * Get the validation rules that apply to a symbol
+ * @param {Object} validation - Rules per asset class (config.validation)
+ * @param {string} symbol - The forex/crypto symbol
+ * @returns {Object} - The symbol's rules
+ */
+export function rulesFor(validation, symbol) {
+  return (validation || defaultValidation)[assetClass(symbol)];
+}
+
+const midPrice = (tick) => (tick.bidPrice + tick.askPrice) / 2;
+
+const movePct = (from, to) => (Math.abs(to - from) / from) * 100;
+
+/**
+ * Create a validator that checks a download in chunks, such as the hours of
+ * a day, as they arrive. Ticks with the same timestamp and prices as an
+ * earlier one are dropped; every other rejected tick is returned with the
+ * reason and its position (seq) among the ticks sharing its timestamp, so it
+ * can be quarantined. Accepted ticks have distinct timestamps: without the
+ * duplicate check, the last tick of a timestamp replaces the earlier ones.
+ *
+ * A spike is a tick whose mid price is further than maxSpikePct from both
+ * the previous accepted tick and the next tick, so a genuine jump in the
+ * price level is kept. The last tick of a chunk waits for the first of the
+ * next one, or for flush().
+ * @param {Object} rules - Rules of the symbol, see rulesFor
+ * @returns {{push: function(Array): Object, flush: function(): Object, counts: Object}} -
+ *   push takes the next ticks, oldest first and with no timestamp split over
+ *   two chunks, and like flush returns the {accepted, rejected} ticks judged
+ *   so far; counts holds the number of ticks rejected per reason
+ */
+export function createTickValidator(rules) {
+  const counts = {};
+  let accepted = [];
+  let rejected = [];
+  let lastAccepted = null;
+  let pending = null;
+
+  const reject = (tick, seq, reason) => {
+    rejected.push({
+      ...Object.fromEntries(
+        Object.entries(tick).map(([key, value]) => [
+          key,
+          Number.isFinite(value) ? value : null,
+        ])
+      ),
+      seq,
+      reason,
+    });
+    counts[reason] = (counts[reason] || 0) + 1;
+  };
+
+  // Second check: spikes against the neighbouring ticks
+  const judge = ({ tick, seq }, after) => {
+    if (
+      rules.maxSpikePct !== null &&
+      lastAccepted &&
+      after &&
+      movePct(midPrice(lastAccepted), midPrice(tick)) > rules.maxSpikePct &&
+      movePct(midPrice(after), midPrice(tick)) > rules.maxSpikePct
+    ) {
+      reject(tick, seq, "spike");
+    } else {
+      accepted.push(tick);
+      lastAccepted = tick;
+    }
+  };
+
+  const take = () => {
+    const result = { accepted, rejected };
+    accepted = [];
+    rejected = [];
+    return result;
+  };
+
+  return {
+    counts,
+
+    push(ticks) {
+      // First check: what only needs the tick itself and its timestamp
+      const seen = new Map();
+      for (const tick of ticks) {
+        const entry = seen.get(tick.timestamp) || { count: 0, kept: null };
+        const seq = entry.count++;
+        seen.set(tick.timestamp, entry);
+
+        const prices = [tick.bidPrice, tick.askPrice];
+        let candidate = false;
+        if (
+          rules.nonPositive &&
+          (prices.some((price) => !Number.isFinite(price) || price <= 0) ||
+            !(tick.bidVolume >= 0) ||
+            !(tick.askVolume >= 0))
+        ) {
+          reject(tick, seq, "non_positive");
+        } else if (rules.crossed && tick.bidPrice > tick.askPrice) {
+          reject(tick, seq, "crossed");
+        } else if (
+          rules.maxSpreadPct !== null &&
+          ((tick.askPrice - tick.bidPrice) / midPrice(tick)) * 100 >
+            rules.maxSpreadPct
+        ) {
+          reject(tick, seq, "wide_spread");
+        } else if (!entry.kept) {
+          entry.kept = tick;
+          candidate = true;
+        } else if (
+          entry.kept.bidPrice === tick.bidPrice &&
+          entry.kept.askPrice === tick.askPrice &&
+          entry.kept.bidVolume === tick.bidVolume &&
+          entry.kept.askVolume === tick.askVolume
+        ) {
+          continue;
+        } else if (rules.duplicate) {
+          reject(tick, seq, "duplicate");
+        } else {
+          // The last tick of a timestamp wins, as it would in the store. The
+          // ticks of a timestamp are adjacent, so the one it replaces is
+          // still pending.
+          entry.kept = tick;
+          pending = { tick, seq };
+          continue;
+        }
+
+        if (candidate) {
+          if (pending) {
+            judge(pending, tick);
+          }
+          pending = { tick, seq };
+        }
+      }
+      return take();
+    },
+
+    flush() {
+      if (pending) {
+        judge(pending, null);
+        pending = null;
+      }
+      return take();
+    },
+  };
+}
+
+/**
+ * Check a download before it is stored, see createTickValidator
+ * @param {Array} ticks - Ticks as returned by the fetcher, oldest first
+ * @param {Object} rules - Rules of the symbol, see rulesFor
+ * @returns {{accepted: Array, rejected: Array, counts: Object}} - The split and the number of ticks rejected per reason
+ */
+export function validateTicks(ticks, rules) {
+  const validator = createTickValidator(rules);
+  const { accepted, rejected } = validator.push(ticks);
+  const last = validator.flush();
+  accepted.push(...last.accepted);
+  rejected.push(...last.rejected);
+  return { accepted, rejected, counts: validator.counts };
+}
+
+/**
+ * Move rejected ticks to the quarantine
+ * @param {Object} store - The storage backend
+ * @param {string} symbol - The forex/crypto symbol
+ * @param {Array} rejected - Ticks rejected by validation
+ * @param {Object} counts - Number of ticks rejected per reason
+ */
+export async function quarantineTicks(store, symbol, rejected, counts) {
+  if (rejected.length === 0) {
+    return;
+  }
+  await store.quarantineTicks(symbol, rejected);
+  console.log(
+    `Quarantined ${rejected.length} ticks for ${symbol} (${Object.entries(
+      counts
+    )
+      .map(([reason, count]) => `${reason}: ${count}`)
+      .join(", ")})`
+  );
+}
+
+/**
+ * Validate downloaded ticks and move the rejected ones to the quarantine
+ * @param {Object} store - The storage backend
+ * @param {string} symbol - The forex/crypto symbol
+ * @param {Array} ticks - Ticks as returned by the fetcher
+ * @param {Object} validation - Rules per asset class (config.validation)
+ * @returns {Array} - The ticks to store
+ */
+export async function quarantineRejected(store, symbol, ticks, validation) {
+  const { accepted, rejected, counts } = validateTicks(
+    ticks,
+    rulesFor(validation, symbol)
+  );
+  await quarantineTicks(store, symbol, rejected, counts);
+  return accepted;
+}
+
+/**
+ * Get the quarantine counts per reason, overall, per symbol and for the most
+ * recent symbol-days with rejected ticks
+ * @param {Object} store - The storage backend
+ * @param {number} [dayLimit] - Maximum number of symbol-day rows returned
+ * @returns {Object} - {totals, by_symbol, recent_days}
+ */
+export async function getQualitySummary(store, dayLimit = 100) {
+  const summary = await store.getQualitySummary(dayLimit);
+  return {
+    ...summary,
+    totals: {
+      ...Object.fromEntries(rejectReasons.map((reason) => [reason, 0])),
+      ...summary.totals,
+    },
+  };
+}
@@ -0,0 +1,321 @@
+import crypto from "crypto";
+import { rebuildBars } from "./bars.js";
+import { SlotStatus, dayRange, hourRange, markSlot } from "./ledger.js";
+import { verificationStatuses } from "./storage/schema.js";
+import { rulesFor, validateTicks } from "./validation.js";
+import { runWorkerPool } from "./workerPool.js";
+
+const hourMs = 60 * 60 * 1000;
+const allHours = Array.from({ length: 24 }, (_, hour) => hour);
+
+// Prices and volumes are compared at this many decimals, which every
+// backend stores exactly
+const compareDecimals = 10;
+
+/**
+ * Digest the ticks of every hour: how many there are and a checksum over
+ * their timestamps, prices and volumes
+ * @param {Array} ticks - Ticks of one day, oldest first
+ * @returns {Map<number, {count: number, checksum: string}>} - Per hour of the day
+ */
+function digestHours(ticks) {
+  const hashes = new Map();
+  const counts = new Map();
+  for (const tick of ticks) {
+    const hour = new Date(tick.timestamp).getUTCHours();
+    if (!hashes.has(hour)) {
+      hashes.set(hour, crypto.createHash("sha1"));
+      counts.set(hour, 0);
+    }
+    hashes
+      .get(hour)
+      .update(
+        `${tick.timestamp},${[
+          tick.bidPrice,
+          tick.askPrice,
+          tick.bidVolume,
+          tick.askVolume,
+        ]
+          .map((value) => Number(value).toFixed(compareDecimals))
+          .join(",")}\n`
+      );
+    counts.set(hour, counts.get(hour) + 1);
+  }
+  return new Map(
+    [...hashes.entries()].map(([hour, hash]) => [
+      hour,
+      { count: counts.get(hour), checksum: hash.digest("hex") },
+    ])
+  );
+}
+
+/**
+ * List the hours whose stored ticks differ from the source
+ */
+function differingHours(stored, source, hours) {
+  const storedHours = digestHours(stored);
+  const sourceHours = digestHours(source);
+  const empty = { count: 0, checksum: null };
+  return hours.filter((hour) => {
+    const a = storedHours.get(hour) || empty;
+    const b = sourceHours.get(hour) || empty;
+    return a.count !== b.count || a.checksum !== b.checksum;
+  });
+}
+
+const inHours = (hours) => (tick) =>
+  hours.includes(Math.floor(tick.timestamp / hourMs) % 24);
+
+/**
+ * Pick the symbol-days to verify: the ledger slots in the range that are
+ * done or empty, or a random sample of them. With an archive as the source,
+ * only the days it has ticks for are picked, each with the hours it has
+ * files for.
+ * @param {Object} store - The storage backend
+ * @param {Object} options
+ * @param {string[]} options.symbols - The forex/crypto symbols
+ * @param {string} options.startDate - First day (inclusive)
+ * @param {string} options.endDate - Last day (inclusive)
+ * @param {number} [options.sample] - Number of days to pick at random
+ * @param {Array} [options.archiveDays] - The days of an archive, see openArchive
+ * @returns {Array<{symbol: string, day: string, hours: ?number[]}>} - The
+ *   days in time order; hours is null for a whole day
+ */
+export async function listVerifySlots(
+  store,
+  { symbols, startDate, endDate, sample, archiveDays }
+) {
+  const archive =
+    archiveDays &&
+    new Map(
+      archiveDays.map((entry) => [`${entry.symbol}|${entry.day}`, entry])
+    );
+
+  let slots = [];
+  for (const symbol of symbols) {
+    for (const { day, status } of await store.getSymbolSlots(
+      symbol,
+      startDate,
+      endDate
+    )) {
+      if (status !== SlotStatus.DONE && status !== SlotStatus.EMPTY) {
+        continue;
+      }
+      const key = `${symbol}|${day}`;
+      if (archive && !archive.has(key)) {
+        continue;
+      }
+      slots.push({
+        symbol,
+        day,
+        hours: archive ? archive.get(key).hours : null,
+      });
+    }
+  }
+
+  if (sample && sample < slots.length) {
+    // Partial Fisher-Yates shuffle
+    for (let i = 0; i < sample; i++) {
+      const j = i + Math.floor(Math.random() * (slots.length - i));
+      [slots[i], slots[j]] = [slots[j], slots[i]];
+    }
+    slots = slots.slice(0, sample);
+  }
+  // Archive CSV files are read front to back, so days go in time order
+  return slots.sort(
+    (a, b) => a.day.localeCompare(b.day) || a.symbol.localeCompare(b.symbol)
+  );
+}
+
+/**
+ * Compare the stored ticks of one symbol-day with the source, and with
+ * repair set replace the hours that differ
+ */
+async function verifyDay(
+  { symbol, day, hours },
+  { store, fetchHistoricalData, validation, repair }
+) {
+  const { from, to } = dayRange(day);
+  const checked = hours || allHours;
+  const source = await fetchHistoricalData(symbol, from, to);
+  // What the import would have stored: the ticks validation accepts, the
+  // last of each timestamp winning as it does in upsertTicks
+  const { accepted, rejected } = validateTicks(
+    source,
+    rulesFor(validation, symbol)
+  );
+  const expected = [
+    ...new Map(accepted.map((tick) => [tick.timestamp, tick])).values(),
+  ].filter(inHours(checked));
+
+  let stored = (await store.readTicks(symbol, from, to)).filter(
+    inHours(checked)
+  );
+  let differing = differingHours(stored, expected, checked);
+  const result = {
+    symbol,
+    day,
+    status: differing.length > 0 ? "mismatch" : "match",
+    storedRows: stored.length,
+    sourceRows: expected.length,
+    hours: differing.length > 0 ? differing.join(",") : null,
+    error: null,
+  };
+
+  if (differing.length === 0 || !repair) {
+    return result;
+  }
+
+  // The differing hours, the day's bars and its slot change together
+  await store.transaction(async (tx) => {
+    for (const hour of differing) {
+      const range = hourRange(day, hour);
+      await tx.replaceTicks(
+        symbol,
+        range.from,
+        range.to,
+        expected.filter(inHours([hour]))
+      );
+    }
+    const quarantined = rejected.filter(inHours(differing));
+    if (quarantined.length > 0) {
+      await tx.quarantineTicks(symbol, quarantined);
+    }
+    await rebuildBars(tx, symbol, from, to);
+    if (!hours) {
+      await markSlot(
+        tx,
+        symbol,
+        day,
+        expected.length > 0 ? SlotStatus.DONE : SlotStatus.EMPTY,
+        { rowCount: expected.length }
+      );
+    }
+  });
+
+  // Read back what was written
+  stored = (await store.readTicks(symbol, from, to)).filter(inHours(checked));
+  differing = differingHours(stored, expected, checked);
+  return {
+    ...result,
+    status: differing.length > 0 ? "mismatch" : "repaired",
+    storedRows: stored.length,
+  };
+}
+
+/**
+ * Verify symbol-days against the source they were imported from: re-fetch
+ * (or re-read from an archive) each day, validate it as the import does,
+ * and compare the row count and a checksum of every hour with the stored
+ * ticks. With repair set, the ticks of the hours that differ are replaced
+ * with the source's, the day's bars rebuilt and its ledger slot updated, all
+ * in one transaction.
+ * The run and the result of every day are recorded in the store as they
+ * finish.
+ * @param {Array} slots - Days from listVerifySlots
+ * @param {Object} options
+ * @param {Object} options.store - The storage backend
+ * @param {Function} options.fetchHistoricalData - Gets the source ticks of (symbol, from, to)
+ * @param {Object} options.validation - Validation rules per asset class
+ * @param {boolean} [options.repair] - Re-import the hours that differ
+ * @param {number} options.concurrency - Number of days in flight at once
+ * @param {Object} options.run - {firstDay, lastDay, symbols, source} recorded with the run
+ * @returns {Object} - The run: its id, times and the number of days checked,
+ *   matched, mismatched, repaired and failed
+ */
+export async function verifySlots(
+  slots,
+  { store, fetchHistoricalData, validation, repair = false, concurrency, run }
+) {
+  const startedAt = Date.now();
+  const summary = {
+    id: `${new Date(startedAt).toISOString()}-${process.pid}`,
+    startedAt,
+    finishedAt: null,
+    firstDay: run.firstDay,
+    lastDay: run.lastDay,
+    symbols: run.symbols.join(","),
+    source: run.source,
+    repair,
+    checked: 0,
+    matched: 0,
+    mismatched: 0,
+    repaired: 0,
+    failed: 0,
+  };
+  const counters = {
+    match: "matched",
+    mismatch: "mismatched",
+    repaired: "repaired",
+    error: "failed",
+  };
+  await store.recordVerificationRun(summary);
+
+  await runWorkerPool(slots, concurrency, async (slot) => {
+    let result;
+    try {
+      result = await verifyDay(slot, {
+        store,
+        fetchHistoricalData,
+        validation,
+        repair,
+      });
+      console.log(
+        `Verified ${slot.symbol} ${slot.day}: ${result.status} (stored ${
+          result.storedRows
+        }, source ${result.sourceRows}${
+          result.hours ? `, hours ${result.hours}` : ""
+        })`
+      );
+    } catch (error) {
+      console.error(`Failed to verify ${slot.symbol} ${slot.day}:`, error);
+      result = {
+        symbol: slot.symbol,
+        day: slot.day,
+        status: "error",
+        storedRows: null,
+        sourceRows: null,
+        hours: null,
+        error: error.message,
+      };
+    }
+
+    summary.checked++;
+    summary[counters[result.status]]++;
+    try {
+      await store.recordVerifications([
+        { ...result, runId: summary.id, checkedAt: Date.now() },
+      ]);
+    } catch (error) {
+      console.error(
+        `Error recording verification of ${slot.symbol} ${slot.day}:`,
+        error
+      );
+    }
+  });
+
+  summary.finishedAt = Date.now();
+  await store.recordVerificationRun(summary);
+  console.log(
+    `Verification finished: ${summary.checked} days checked, ${summary.matched} match, ${summary.mismatched} differ, ${summary.repaired} repaired, ${summary.failed} failed`
+  );
+  return summary;
+}
+
+/**
+ * Get the latest verification of the stored days, per status overall and
+ * per symbol, the days that differ or failed, and the last run
+ * @param {Object} store - The storage backend
+ * @param {number} [dayLimit] - Maximum number of problem days returned
+ * @returns {Object} - {last_run, totals, by_symbol, problem_days}
+ */
+export async function getVerificationSummary(store, dayLimit = 100) {
+  const summary = await store.getVerificationSummary(dayLimit);
+  return {
+    ...summary,
+    totals: {
+      ...Object.fromEntries(verificationStatuses.map((status) => [status, 0])),
+      ...summary.totals,
+    },
+  };
+}
@@ -0,0 +1,23 @@
+/**
+ * Run an async handler over a list of items with at most `concurrency`
+ * handlers in flight. Items are started in list order. The handler is
+ * expected to deal with its own errors; one that throws stops the pool.
+ * @param {Array} items - Work items
+ * @param {number} concurrency - Maximum number of concurrent handlers
+ * @param {function(*, number): Promise<void>} handler - Called with each item and its index
+ */
+export async function runWorkerPool(items, concurrency, handler) {
+  let next = 0;
+
+  const workers = Array.from(
+    { length: Math.max(1, Math.min(concurrency, items.length)) },
+    async () => {
+      while (next < items.length) {
+        const index = next++;
+        await handler(items[index], index);
+      }
+    }
+  );
+
+  await Promise.all(workers);
+}
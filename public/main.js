@@ -1,6 +1,15 @@
 document.addEventListener("DOMContentLoaded", function () {
-  // Initial data load
-  loadAllData();
+  // Load the data once we know who is logged in
+  fetch("/api/auth/me")
+    .then((response) => (response.ok ? response.json() : null))
+    .then((user) => (user ? startDashboard(user) : showLogin()))
+    .catch((error) => {
+      console.error("Error checking the session:", error);
+      showLogin();
+    });
+
+  document.getElementById("loginForm").addEventListener("submit", login);
+  document.getElementById("logoutBtn").addEventListener("click", logout);
 
   // Setup refresh button
   document.getElementById("refreshBtn").addEventListener("click", function () {
@@ -11,12 +20,65 @@ document.addEventListener("DOMContentLoaded", function () {
     }, 1000);
   });
 
-  // Setup symbol search
+  // Setup import run controls
+  document.getElementById("runStart").addEventListener("click", function () {
+    const symbols = document
+      .getElementById("runSymbols")
+      .value.split(",")
+      .map((symbol) => symbol.trim().toLowerCase())
+      .filter(Boolean);
+    const body = {
+      symbols: symbols.length > 0 ? symbols : undefined,
+      startDate: document.getElementById("runFrom").value || undefined,
+      endDate: document.getElementById("runTo").value || undefined,
+      timeframe: document.getElementById("runTimeframe").value || undefined,
+      price: document.getElementById("runPrice").value || undefined,
+    };
+    sendRunCommand("start", body);
+  });
+  ["pause", "resume", "stop"].forEach((action) => {
+    document
+      .getElementById(`run${action[0].toUpperCase()}${action.slice(1)}`)
+      .addEventListener("click", () => sendRunCommand(action));
+  });
+
+  // Setup log search
+  document.getElementById("logSearch").addEventListener("click", () => {
+    loadLogData();
+    followLogs(document.getElementById("logFollow").checked);
+  });
+  document
+    .getElementById("logOlder")
+    .addEventListener("click", () => loadLogData(true));
+  document.getElementById("logFollow").addEventListener("change", function () {
+    followLogs(this.checked);
+  });
+  document.getElementById("runDetails").addEventListener("click", (event) => {
+    const link = event.target.closest(".run-logs");
+    if (link) {
+      event.preventDefault();
+      showRunLogs(link.getAttribute("data-run"));
+    }
+  });
+
+  // Open the detail view of a symbol when its card is clicked
+  document.getElementById("symbolGrid").addEventListener("click", (event) => {
+    const card = event.target.closest(".symbol-card");
+    if (card) {
+      openSymbolDetail(card.getAttribute("data-symbol"));
+    }
+  });
+  document
+    .getElementById("detailLoad")
+    .addEventListener("click", loadSymbolDetail);
+
+  // Setup symbol search and the asset class filter
   document
     .getElementById("symbolSearch")
-    .addEventListener("input", function () {
-      filterSymbols(this.value.toLowerCase());
-    });
+    .addEventListener("input", filterSymbols);
+  document
+    .getElementById("symbolClass")
+    .addEventListener("change", filterSymbols);
 
   // Setup tab click event to reload data for the active tab
   document.querySelectorAll("#dataTabs button").forEach((tab) => {
@@ -24,7 +86,7 @@ document.addEventListener("DOMContentLoaded", function () {
       const tabId = this.getAttribute("data-bs-target").substring(1);
       switch (tabId) {
         case "symbols":
-          loadSymbolData();
+          loadProgress();
           break;
         case "logs":
           loadLogData();
@@ -32,16 +94,121 @@ document.addEventListener("DOMContentLoaded", function () {
         case "checkpoint":
           loadCheckpointData();
           break;
+        case "quality":
+          loadQualityData();
+          break;
+        case "verification":
+          loadVerificationData();
+          break;
       }
     });
   });
 });
 
+// Logged in user, {username, role}
+let currentUser = null;
+
+// Live event stream, open while logged in
+let eventSource = null;
+
+function startDashboard(user) {
+  currentUser = user;
+  renderUser();
+  loadAllData();
+  followEvents();
+}
+
+function renderUser() {
+  const userInfo = document.getElementById("userInfo");
+  userInfo.textContent = `${currentUser.username} (${currentUser.role})`;
+  userInfo.classList.remove("d-none");
+  // Nobody logs out when authentication is disabled
+  document
+    .getElementById("logoutBtn")
+    .classList.toggle("d-none", currentUser.username === "anonymous");
+
+  // Viewers only get to look
+  document.querySelectorAll(".operator-only").forEach((element) => {
+    element.classList.toggle("d-none", currentUser.role !== "operator");
+  });
+}
+
+function showLogin() {
+  if (eventSource) {
+    eventSource.close();
+    eventSource = null;
+  }
+  followLogs(false);
+  currentUser = null;
+  document.getElementById("loginError").classList.add("d-none");
+  bootstrap.Modal.getOrCreateInstance(
+    document.getElementById("loginModal")
+  ).show();
+}
+
+function login(event) {
+  event.preventDefault();
+  const password = document.getElementById("loginPassword");
+  fetch("/api/auth/login", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({
+      username: document.getElementById("loginUsername").value,
+      password: password.value,
+    }),
+  })
+    .then((response) =>
+      response.json().then((data) => {
+        if (!response.ok) {
+          throw new Error(data.error || "Failed to log in");
+        }
+        return data;
+      })
+    )
+    .then((user) => {
+      password.value = "";
+      bootstrap.Modal.getOrCreateInstance(
+        document.getElementById("loginModal")
+      ).hide();
+      startDashboard(user);
+    })
+    .catch((error) => {
+      const loginError = document.getElementById("loginError");
+      loginError.textContent = error.message;
+      loginError.classList.remove("d-none");
+    });
+}
+
+function logout() {
+  fetch("/api/auth/logout", { method: "POST" })
+    .catch((error) => console.error("Error logging out:", error))
+    .then(() => {
+      document.getElementById("userInfo").classList.add("d-none");
+      document.getElementById("logoutBtn").classList.add("d-none");
+      showLogin();
+    });
+}
+
+/**
+ * fetch for the API that asks to log in again when the session has expired
+ */
+function apiFetch(url, options) {
+  return fetch(url, options).then((response) => {
+    if (response.status === 401 && currentUser) {
+      showLogin();
+    }
+    return response;
+  });
+}
+
 function loadAllData() {
-  loadOverallProgress();
-  loadSymbolData();
+  loadRunStatus();
+  loadFollowHealth();
+  loadProgress();
   loadLogData();
   loadCheckpointData();
+  loadQualityData();
+  loadVerificationData();
   updateLastUpdated();
 }
 
@@ -52,177 +219,494 @@ function updateLastUpdated() {
   ).textContent = `Last updated: ${now.toLocaleTimeString()}`;
 }
 
-function loadOverallProgress() {
-  fetch("/api/progress")
-    .then((response) => {
+// Latest /api/progress response, kept up to date by slot_finished events
+let progressData = null;
+
+// Slots of the live run being imported, per symbol
+const activeSlots = {};
+
+// Instrument metadata from /api/symbols, per symbol
+let instruments = {};
+
+// Asset classes in the order the symbol cards are grouped in
+const assetClassNames = { forex: "Forex", metal: "Metals", crypto: "Crypto" };
+
+function loadProgress() {
+  Promise.all([
+    apiFetch("/api/progress").then((response) => {
       if (!response.ok) {
-        throw new Error("Failed to fetch overall progress");
+        throw new Error("Failed to fetch progress data");
       }
       return response.json();
+    }),
+    fetchJson("/api/symbols"),
+  ])
+    .then(([data, symbols]) => {
+      progressData = data;
+      instruments = Object.fromEntries(
+        symbols.map((instrument) => [instrument.symbol, instrument])
+      );
+      renderOverallProgress();
+      renderSymbolCards();
     })
-    .then((data) => {
-      const overallProgressEl = document.getElementById("overallProgress");
-
-      const stats = data.overall_stats;
-      const dateFrom = stats.date_range.from
-        ? new Date(stats.date_range.from).toLocaleDateString()
-        : "N/A";
-      const dateTo = stats.date_range.to
-        ? new Date(stats.date_range.to).toLocaleDateString()
-        : "N/A";
-
-      overallProgressEl.innerHTML = `
-        <div class="row">
-          <div class="col-md-8">
-            <h4 class="mb-3">Completion: ${stats.completion_percentage}%</h4>
-            <div class="progress mb-4">
-              <div class="progress-bar bg-success" role="progressbar" style="width: ${
-                stats.completion_percentage
-              }%"
-                aria-valuenow="${
-                  stats.completion_percentage
-                }" aria-valuemin="0" aria-valuemax="100">
-                ${stats.completion_percentage}%
-              </div>
-            </div>
+    .catch((error) => {
+      console.error("Error loading progress data:", error);
+      ["overallProgress", "symbolGrid"].forEach((id) => {
+        document.getElementById(id).innerHTML = `
+          <div class="alert alert-danger">
+            Failed to load progress data: ${error.message}
           </div>
-          <div class="col-md-4">
-            <div class="card bg-light">
-              <div class="card-body">
-                <p class="mb-1"><strong>Date Range:</strong> ${dateFrom} - ${dateTo}</p>
-                <p class="mb-1"><strong>Total Symbols:</strong> ${
-                  stats.total_symbols
-                }</p>
-                <p class="mb-1"><strong>Tables with Data:</strong> ${
-                  stats.tables_with_data
-                }</p>
-                <p class="mb-0"><strong>Total Records:</strong> ${stats.total_records.toLocaleString()}</p>
-              </div>
-            </div>
+        `;
+      });
+    });
+}
+
+function renderOverallProgress() {
+  const overallProgressEl = document.getElementById("overallProgress");
+
+  const stats = progressData.overall_stats;
+  const dateFrom = stats.date_range.from
+    ? new Date(stats.date_range.from).toLocaleDateString()
+    : "N/A";
+  const dateTo = stats.date_range.to
+    ? new Date(stats.date_range.to).toLocaleDateString()
+    : "N/A";
+
+  const etaText =
+    stats.eta_seconds !== null
+      ? `${formatDuration(
+          stats.eta_seconds
+        )} at ${stats.slots_per_minute.toFixed(1)} days/min`
+      : stats.remaining_days === 0
+      ? "Done"
+      : "No import running";
+
+  overallProgressEl.innerHTML = `
+    <div class="row">
+      <div class="col-md-8">
+        <h4 class="mb-3">Completion: ${stats.completion_percentage}%</h4>
+        <div class="progress mb-2">
+          <div class="progress-bar bg-success" role="progressbar" style="width: ${
+            stats.completion_percentage
+          }%"
+            aria-valuenow="${
+              stats.completion_percentage
+            }" aria-valuemin="0" aria-valuemax="100">
+            ${stats.completion_percentage}%
           </div>
         </div>
-      `;
-    })
-    .catch((error) => {
-      console.error("Error loading overall progress:", error);
-      document.getElementById("overallProgress").innerHTML = `
-        <div class="alert alert-danger">
-          Failed to load progress data: ${error.message}
+        <p class="mb-1">${stats.processed_days.toLocaleString()} of ${stats.requested_days.toLocaleString()} symbol-days processed (${
+    stats.requested_range.from
+  } to ${stats.requested_range.to})${
+    stats.failed_days
+      ? `, <span class="text-danger">${stats.failed_days.toLocaleString()} failed</span>`
+      : ""
+  }</p>
+        <p class="mb-4"><strong>ETA:</strong> ${etaText}</p>
+      </div>
+      <div class="col-md-4">
+        <div class="card bg-light">
+          <div class="card-body">
+            <p class="mb-1"><strong>Date Range:</strong> ${dateFrom} - ${dateTo}</p>
+            <p class="mb-1"><strong>Total Symbols:</strong> ${
+              stats.total_symbols
+            }</p>
+            <p class="mb-1"><strong>Tables with Data:</strong> ${
+              stats.tables_with_data
+            }</p>
+            <p class="mb-0"><strong>Total Records:</strong> ${stats.total_records.toLocaleString()}</p>
+          </div>
         </div>
-      `;
-    });
+      </div>
+    </div>
+    ${renderTimeframeProgress(progressData.timeframe_stats)}
+  `;
 }
 
-function loadSymbolData() {
-  fetch("/api/progress")
-    .then((response) => {
-      if (!response.ok) {
-        throw new Error("Failed to fetch symbol data");
-      }
-      return response.json();
-    })
-    .then((data) => {
-      const symbolGrid = document.getElementById("symbolGrid");
-      const symbolStats = data.symbol_stats;
-
-      // Sort by symbol name
-      symbolStats.sort((a, b) => a.symbol.localeCompare(b.symbol));
-
-      let html = "";
-
-      symbolStats.forEach((stat) => {
-        const cardClass = stat.has_data ? "border-success" : "border-danger";
-        const iconClass = stat.has_data
-          ? "bi-check-circle-fill text-success"
-          : "bi-x-circle-fill text-danger";
-        const dateRangeText = stat.has_data
-          ? `${new Date(stat.oldest_date).toLocaleDateString()} - ${new Date(
-              stat.newest_date
-            ).toLocaleDateString()}`
-          : "No data";
-
-        html += `
-          <div class="card symbol-card ${cardClass}" data-symbol="${
-          stat.symbol
-        }">
-            <div class="card-header d-flex justify-content-between align-items-center">
-              <span class="fw-bold">${stat.symbol.toUpperCase()}</span>
-              <i class="bi ${iconClass}"></i>
-            </div>
-            <div class="card-body">
-              <p class="mb-1"><strong>Records:</strong> ${stat.total_records.toLocaleString()}</p>
-              <p class="mb-0"><small><strong>Date Range:</strong><br>${dateRangeText}</small></p>
+// Names of the periods a slot covers, per timeframe
+const periodNames = { day: "days", month: "months", year: "years" };
+
+/**
+ * Progress table of the tick data and every downloaded candle timeframe
+ */
+function renderTimeframeProgress(series) {
+  const rows = series
+    .map(
+      (entry) => `
+        <tr>
+          <td>${entry.timeframe}</td>
+          <td>${entry.side}</td>
+          <td style="width: 40%;">
+            <div class="progress" style="height: 1rem;">
+              <div class="progress-bar ${
+                entry.failed ? "bg-warning" : "bg-success"
+              }" role="progressbar" style="width: ${
+        entry.completion_percentage
+      }%">${entry.completion_percentage}%</div>
             </div>
-          </div>
-        `;
-      });
+          </td>
+          <td>${entry.processed.toLocaleString()} of ${entry.requested.toLocaleString()} symbol-${
+        periodNames[entry.period]
+      }</td>
+          <td class="${entry.failed ? "text-danger" : ""}">${entry.failed}</td>
+        </tr>
+      `
+    )
+    .join("");
+
+  return `
+    <table class="table table-sm mb-0">
+      <thead>
+        <tr>
+          <th>Timeframe</th>
+          <th>Price</th>
+          <th>Completion</th>
+          <th>Processed</th>
+          <th>Failed</th>
+        </tr>
+      </thead>
+      <tbody>${rows}</tbody>
+    </table>
+  `;
+}
 
-      symbolGrid.innerHTML = html;
+function renderSymbolCards() {
+  const symbolGrid = document.getElementById("symbolGrid");
+  const symbolStats = progressData.symbol_stats;
 
-      // Apply current filter if search box has value
-      const searchTerm = document
-        .getElementById("symbolSearch")
-        .value.toLowerCase();
-      if (searchTerm) {
-        filterSymbols(searchTerm);
-      }
-    })
-    .catch((error) => {
-      console.error("Error loading symbol data:", error);
-      document.getElementById("symbolGrid").innerHTML = `
-        <div class="alert alert-danger">
-          Failed to load symbol data: ${error.message}
+  // Sort by symbol name
+  symbolStats.sort((a, b) => a.symbol.localeCompare(b.symbol));
+
+  let html = "";
+
+  Object.entries(assetClassNames).forEach(([assetClass, title]) => {
+    const groupStats = symbolStats.filter(
+      (stat) => instrumentOf(stat.symbol).asset_class === assetClass
+    );
+    if (groupStats.length > 0) {
+      html += `
+        <div class="symbol-group" data-asset-class="${assetClass}">
+          <h6 class="mt-2">${title} <span class="badge bg-secondary">${
+        groupStats.length
+      }</span></h6>
+          <div class="symbol-grid mb-3">
+            ${groupStats.map(renderSymbolCard).join("")}
+          </div>
         </div>
       `;
-    });
-}
+    }
+  });
 
-function filterSymbols(searchTerm) {
-  const symbolCards = document.querySelectorAll(".symbol-card");
+  symbolGrid.innerHTML = html;
+  filterSymbols();
+}
 
-  symbolCards.forEach((card) => {
-    const symbol = card.getAttribute("data-symbol");
-    if (symbol.includes(searchTerm)) {
-      card.style.display = "";
-    } else {
-      card.style.display = "none";
+/**
+ * Get the metadata of a symbol, with placeholders until /api/symbols is loaded
+ */
+function instrumentOf(symbol) {
+  return (
+    instruments[symbol] || {
+      symbol,
+      name: symbol.toUpperCase(),
+      description: "",
+      asset_class: "forex",
     }
+  );
+}
+
+function renderSymbolCard(stat) {
+  const instrument = instrumentOf(stat.symbol);
+  const importing = (activeSlots[stat.symbol] || []).length > 0;
+  const cardClass = importing
+    ? "border-primary"
+    : stat.has_data
+    ? "border-success"
+    : "border-danger";
+  const iconClass = importing
+    ? "bi-arrow-repeat text-primary"
+    : stat.has_data
+    ? "bi-check-circle-fill text-success"
+    : "bi-x-circle-fill text-danger";
+  const dateRangeText = stat.has_data
+    ? `${new Date(stat.oldest_date).toLocaleDateString()} - ${new Date(
+        stat.newest_date
+      ).toLocaleDateString()}`
+    : "No data";
+  const candleText = stat.timeframes
+    .filter((entry) => entry.timeframe !== "tick")
+    .map(
+      (entry) =>
+        `${entry.timeframe} ${entry.side}: ${entry.completion_percentage}%`
+    )
+    .join(", ");
+  const importingText = importing
+    ? `<p class="mb-0 text-primary"><small>Importing ${activeSlots[
+        stat.symbol
+      ].join(", ")}</small></p>`
+    : "";
+
+  return `
+      <div class="card symbol-card ${cardClass}" data-symbol="${
+    stat.symbol
+  }" data-search="${[stat.symbol, instrument.name, instrument.description]
+    .join(" ")
+    .toLowerCase()}">
+        <div class="card-header d-flex justify-content-between align-items-center">
+          <span class="fw-bold">${instrument.name}</span>
+          <i class="bi ${iconClass}"></i>
+        </div>
+        <div class="card-body">
+          <p class="mb-2 text-muted"><small>${
+            instrument.description
+          }</small></p>
+          <div class="progress mb-2" style="height: 1rem;" title="${
+            stat.processed_days
+          } of ${stat.requested_days} days processed">
+            <div class="progress-bar ${
+              stat.failed_days ? "bg-warning" : "bg-success"
+            }" role="progressbar" style="width: ${
+    stat.completion_percentage
+  }%" aria-valuenow="${
+    stat.completion_percentage
+  }" aria-valuemin="0" aria-valuemax="100">${stat.completion_percentage}%</div>
+          </div>
+          <p class="mb-1"><strong>Records:</strong> ${stat.total_records.toLocaleString()}</p>
+          <p class="mb-1"><strong>Days with Data:</strong> ${stat.days_with_data.toLocaleString()}${
+    stat.avg_spread !== null
+      ? ` <small class="text-muted">(avg spread ${stat.avg_spread.toPrecision(
+          3
+        )})</small>`
+      : ""
+  }</p>
+          <p class="mb-0"><small><strong>Date Range:</strong><br>${dateRangeText}</small></p>
+          ${
+            candleText
+              ? `<p class="mb-0"><small><strong>Candles:</strong> ${candleText}</small></p>`
+              : ""
+          }
+          ${importingText}
+        </div>
+      </div>
+    `;
+}
+
+/**
+ * Fold a finished slot of the live run into the progress data. Records of a
+ * day imported again are counted twice until the next full reload. Candle
+ * slots are left to the next reload.
+ */
+function applySlotFinished(slot) {
+  if (slot.timeframe) {
+    return;
+  }
+  const stat =
+    progressData &&
+    progressData.symbol_stats.find((s) => s.symbol === slot.symbol);
+  if (!stat) {
+    return;
+  }
+  const symbolStats = progressData.symbol_stats;
+  const stats = progressData.overall_stats;
+  const percentage = (processed, requested) =>
+    requested > 0 ? Math.round((processed / requested) * 1000) / 10 : 0;
+
+  // Runs only pick up open slots, so a processed slot inside the requested
+  // range is one more processed day
+  const range = stats.requested_range;
+  if (
+    ["done", "empty"].includes(slot.status) &&
+    slot.day >= range.from &&
+    slot.day <= range.to &&
+    stat.processed_days < stat.requested_days
+  ) {
+    stat.processed_days++;
+    stat.completion_percentage = percentage(
+      stat.processed_days,
+      stat.requested_days
+    );
+    stats.processed_days++;
+    stats.remaining_days--;
+    stats.completion_percentage = percentage(
+      stats.processed_days,
+      stats.requested_days
+    );
+    updateEta();
+  }
+  if (slot.rowCount === 0) {
+    return;
+  }
+
+  const dayStart = new Date(`${slot.day}T00:00:00Z`).toISOString();
+  const dayEnd = new Date(
+    Date.parse(`${slot.day}T00:00:00Z`) + 24 * 60 * 60 * 1000 - 1
+  ).toISOString();
+  stat.total_records += slot.rowCount;
+  stat.days_with_data++;
+  stat.has_data = true;
+  if (!stat.oldest_date || dayStart < stat.oldest_date) {
+    stat.oldest_date = dayStart;
+  }
+  if (!stat.newest_date || dayEnd > stat.newest_date) {
+    stat.newest_date = dayEnd;
+  }
+
+  stats.tables_with_data = symbolStats.filter((s) => s.has_data).length;
+  stats.total_records = symbolStats.reduce(
+    (sum, s) => sum + s.total_records,
+    0
+  );
+  if (!stats.date_range.from || stat.oldest_date < stats.date_range.from) {
+    stats.date_range.from = stat.oldest_date;
+  }
+  if (!stats.date_range.to || stat.newest_date > stats.date_range.to) {
+    stats.date_range.to = stat.newest_date;
+  }
+}
+
+/**
+ * Recompute the ETA from the remaining days and the live run's throughput
+ */
+function updateEta(slotsPerMinute) {
+  const stats = progressData.overall_stats;
+  if (slotsPerMinute !== undefined) {
+    stats.slots_per_minute = slotsPerMinute;
+  }
+  stats.eta_seconds =
+    stats.slots_per_minute > 0
+      ? Math.round((stats.remaining_days / stats.slots_per_minute) * 60)
+      : null;
+}
+
+function formatDuration(seconds) {
+  const days = Math.floor(seconds / 86400);
+  const hours = Math.floor((seconds % 86400) / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  if (days > 0) {
+    return `${days}d ${hours}h`;
+  }
+  if (hours > 0) {
+    return `${hours}h ${minutes}m`;
+  }
+  return minutes > 0 ? `${minutes}m` : "under a minute";
+}
+
+/**
+ * Show the symbol cards matching the search box and the asset class filter,
+ * and the groups that have any left
+ */
+function filterSymbols() {
+  const searchTerm = document
+    .getElementById("symbolSearch")
+    .value.trim()
+    .toLowerCase();
+  const assetClass = document.getElementById("symbolClass").value;
+
+  document.querySelectorAll(".symbol-group").forEach((group) => {
+    const classMatches =
+      !assetClass || group.getAttribute("data-asset-class") === assetClass;
+    let visible = 0;
+    group.querySelectorAll(".symbol-card").forEach((card) => {
+      const matches =
+        classMatches && card.getAttribute("data-search").includes(searchTerm);
+      card.style.display = matches ? "" : "none";
+      visible += matches ? 1 : 0;
+    });
+    group.style.display = visible > 0 ? "" : "none";
   });
 }
 
-function loadLogData() {
-  fetch("/api/logs")
-    .then((response) => {
-      if (!response.ok) {
-        throw new Error("Failed to fetch logs");
-      }
-      return response.json();
-    })
-    .then((data) => {
-      const logContainer = document.getElementById("logContainer");
+// Where the last log search stopped, to load older records from
+let logCursor = null;
 
-      if (!data.log_file) {
-        logContainer.innerHTML =
-          '<div class="alert alert-info">No log files found.</div>';
-        return;
-      }
+// Stream of new log records while "Follow new records" is on
+let logTail = null;
 
-      let html = `
-        <h5>Log File: ${data.log_file}</h5>
-        <p>Total lines: ${data.total_lines.toLocaleString()}</p>
-        <p>Showing latest ${data.recent_lines.length} lines:</p>
-      `;
+// Records fetched per log search page
+const logPageSize = 200;
 
-      data.recent_lines.forEach((line) => {
-        const isError = line.includes("[ERROR]");
-        const lineClass = isError ? "log-error" : "";
-        html += `<pre class="log-line ${lineClass}">${line}</pre>`;
-      });
+function logFilters() {
+  const params = new URLSearchParams();
+  const level = document.getElementById("logLevel").value;
+  const symbol = document.getElementById("logSymbol").value.trim();
+  const run = document.getElementById("logRun").value.trim();
+  const from = document.getElementById("logFrom").value;
+  const to = document.getElementById("logTo").value;
+  if (level) {
+    params.set("level", level);
+  }
+  if (symbol) {
+    params.set("symbol", symbol.toLowerCase());
+  }
+  if (run) {
+    params.set("run", run);
+  }
+  // The date inputs are in local time
+  if (from) {
+    params.set("from", new Date(from).toISOString());
+  }
+  if (to) {
+    params.set("to", new Date(to).toISOString());
+  }
+  return params;
+}
 
-      logContainer.innerHTML = html;
+function renderLogRecord(record) {
+  const pre = document.createElement("pre");
+  pre.className = `log-line ${
+    record.level === "error"
+      ? "log-error"
+      : record.level === "warn"
+      ? "log-warn"
+      : ""
+  }`;
+  const slot = [record.symbol, record.day].filter(Boolean).join(" ");
+  pre.textContent = `${record.time || ""} ${record.level.toUpperCase()}${
+    record.run ? ` (${record.run})` : ""
+  }${slot ? ` [${slot}]` : ""} ${record.message}${
+    record.duration_ms !== undefined ? ` in ${record.duration_ms} ms` : ""
+  }`;
+  return pre;
+}
 
-      // Auto-scroll to bottom of log container
-      logContainer.scrollTop = logContainer.scrollHeight;
+/**
+ * Search the logs with the filters of the Logs tab, newest records first;
+ * older records are loaded page by page
+ * @param {boolean} [older] - Load the page after the last one shown
+ */
+function loadLogData(older = false) {
+  const params = logFilters();
+  params.set("limit", logPageSize);
+  if (older && logCursor) {
+    params.set("cursor", logCursor);
+  }
+
+  apiFetch(`/api/logs?${params}`)
+    .then((response) =>
+      response.json().then((data) => {
+        if (!response.ok) {
+          throw new Error(data.error || "Failed to fetch logs");
+        }
+        return data;
+      })
+    )
+    .then((data) => {
+      const logContainer = document.getElementById("logContainer");
+      if (!older) {
+        logContainer.innerHTML = "";
+      }
+      data.records.forEach((record) =>
+        logContainer.appendChild(renderLogRecord(record))
+      );
+      if (logContainer.childElementCount === 0) {
+        logContainer.innerHTML =
+          '<div class="alert alert-info">No matching log records.</div>';
+      }
+
+      logCursor = data.next_cursor;
+      document
+        .getElementById("logOlder")
+        .classList.toggle("d-none", !logCursor);
     })
     .catch((error) => {
       console.error("Error loading logs:", error);
@@ -234,8 +718,44 @@ function loadLogData() {
     });
 }
 
+/**
+ * Show new log records matching the filters at the top as they are written
+ * @param {boolean} enabled - Start or stop following
+ */
+function followLogs(enabled) {
+  if (logTail) {
+    logTail.close();
+    logTail = null;
+  }
+  if (!enabled) {
+    return;
+  }
+
+  const params = logFilters();
+  params.delete("from");
+  params.delete("to");
+  logTail = new EventSource(`/api/logs/tail?${params}`);
+  logTail.addEventListener("log", (event) => {
+    const logContainer = document.getElementById("logContainer");
+    const notice = logContainer.querySelector(".alert");
+    if (notice) {
+      notice.remove();
+    }
+    logContainer.prepend(renderLogRecord(JSON.parse(event.data)));
+  });
+}
+
+function showRunLogs(run) {
+  document.getElementById("logRun").value = run;
+  bootstrap.Tab.getOrCreateInstance(
+    document.querySelector('#dataTabs button[data-bs-target="#logs"]')
+  ).show();
+  loadLogData();
+  followLogs(document.getElementById("logFollow").checked);
+}
+
 function loadCheckpointData() {
-  fetch("/api/checkpoint")
+  apiFetch("/api/checkpoint")
     .then((response) => {
       if (!response.ok) {
         throw new Error("Failed to fetch checkpoint data");
@@ -245,24 +765,62 @@ function loadCheckpointData() {
     .then((data) => {
       const checkpointCard = document.getElementById("checkpointCard");
 
-      const date = new Date(data.date).toLocaleString();
+      const totals = data.totals;
+      const last = data.last_completed;
+      const lastText = last
+        ? `${last.symbol.toUpperCase()} on ${last.day} (${
+            last.status
+          }, ${new Date(last.updated_at).toLocaleString()})`
+        : "Nothing completed yet";
+
+      let failedHtml =
+        '<div class="alert alert-success mb-0">No failed slots.</div>';
+      if (data.failed_slots.length > 0) {
+        failedHtml = `
+          <table class="table table-sm mb-0">
+            <thead>
+              <tr><th>Symbol</th><th>Day</th><th>Attempts</th><th>Error</th></tr>
+            </thead>
+            <tbody>
+              ${data.failed_slots
+                .map(
+                  (slot) => `
+                <tr>
+                  <td>${slot.symbol.toUpperCase()}</td>
+                  <td>${slot.day}</td>
+                  <td>${slot.attempts}</td>
+                  <td class="text-danger"><small>${
+                    slot.error || ""
+                  }</small></td>
+                </tr>`
+                )
+                .join("")}
+            </tbody>
+          </table>
+        `;
+      }
 
       checkpointCard.innerHTML = `
         <div class="card-header bg-info text-white">
-          <h5 class="mb-0">Current Checkpoint</h5>
+          <h5 class="mb-0">Import Ledger</h5>
         </div>
         <div class="card-body">
           <div class="row">
             <div class="col-md-6">
-              <p><strong>Date:</strong> ${date}</p>
-              <p><strong>Last Symbol:</strong> ${data.lastSymbol.toUpperCase()}</p>
+              <p class="mb-1"><strong>Done:</strong> ${totals.done.toLocaleString()}</p>
+              <p class="mb-1"><strong>Empty:</strong> ${totals.empty.toLocaleString()}</p>
+              <p class="mb-1"><strong>Pending:</strong> ${totals.pending.toLocaleString()}</p>
+              <p class="mb-1"><strong>Failed:</strong> ${totals.failed.toLocaleString()}</p>
             </div>
             <div class="col-md-6">
+              <p><strong>Last Completed:</strong> ${lastText}</p>
               <div class="alert alert-info">
-                <p class="mb-0">The import script will resume from this symbol on the next date.</p>
+                <p class="mb-0">Pending and failed slots are picked up on the next import run.</p>
               </div>
             </div>
           </div>
+          <h6 class="mt-3">Failed Slots</h6>
+          ${failedHtml}
         </div>
       `;
     })
@@ -277,3 +835,811 @@ function loadCheckpointData() {
       `;
     });
 }
+
+function loadQualityData() {
+  apiFetch("/api/quality")
+    .then((response) => {
+      if (!response.ok) {
+        throw new Error("Failed to fetch quality data");
+      }
+      return response.json();
+    })
+    .then((data) => {
+      const qualityCard = document.getElementById("qualityCard");
+      const reasons = Object.keys(data.totals);
+      const totalRejected = reasons.reduce(
+        (sum, reason) => sum + data.totals[reason],
+        0
+      );
+
+      let symbolsHtml =
+        '<div class="alert alert-success mb-0">No ticks have been quarantined.</div>';
+      if (data.by_symbol.length > 0) {
+        // One row per symbol with a column per reason
+        const bySymbol = {};
+        data.by_symbol.forEach((row) => {
+          bySymbol[row.symbol] = bySymbol[row.symbol] || {};
+          bySymbol[row.symbol][row.reason] = row.ticks;
+        });
+
+        symbolsHtml = `
+          <table class="table table-sm mb-0">
+            <thead>
+              <tr><th>Symbol</th>${reasons
+                .map((reason) => `<th>${reason}</th>`)
+                .join("")}</tr>
+            </thead>
+            <tbody>
+              ${Object.keys(bySymbol)
+                .map(
+                  (symbol) => `
+                <tr>
+                  <td>${symbol.toUpperCase()}</td>
+                  ${reasons
+                    .map(
+                      (reason) =>
+                        `<td>${(
+                          bySymbol[symbol][reason] || 0
+                        ).toLocaleString()}</td>`
+                    )
+                    .join("")}
+                </tr>`
+                )
+                .join("")}
+            </tbody>
+          </table>
+        `;
+      }
+
+      let daysHtml = "";
+      if (data.recent_days.length > 0) {
+        daysHtml = `
+          <h6 class="mt-3">Recent Symbol-Days</h6>
+          <table class="table table-sm mb-0">
+            <thead>
+              <tr><th>Symbol</th><th>Day</th><th>Reason</th><th>Ticks</th></tr>
+            </thead>
+            <tbody>
+              ${data.recent_days
+                .map(
+                  (row) => `
+                <tr>
+                  <td>${row.symbol.toUpperCase()}</td>
+                  <td>${row.day}</td>
+                  <td>${row.reason}</td>
+                  <td>${row.ticks.toLocaleString()}</td>
+                </tr>`
+                )
+                .join("")}
+            </tbody>
+          </table>
+        `;
+      }
+
+      qualityCard.innerHTML = `
+        <div class="card-header bg-warning">
+          <h5 class="mb-0">Quarantined Ticks</h5>
+        </div>
+        <div class="card-body">
+          <div class="row mb-3">
+            <div class="col-md-6">
+              <p class="mb-1"><strong>Total:</strong> ${totalRejected.toLocaleString()}</p>
+              ${reasons
+                .map(
+                  (reason) =>
+                    `<p class="mb-1"><strong>${reason}:</strong> ${data.totals[
+                      reason
+                    ].toLocaleString()}</p>`
+                )
+                .join("")}
+            </div>
+            <div class="col-md-6">
+              <div class="alert alert-info">
+                <p class="mb-0">Ticks failing validation are kept out of the tick tables and stored in the quarantine instead.</p>
+              </div>
+            </div>
+          </div>
+          <h6>Per Symbol</h6>
+          ${symbolsHtml}
+          ${daysHtml}
+        </div>
+      `;
+    })
+    .catch((error) => {
+      console.error("Error loading quality data:", error);
+      document.getElementById("qualityCard").innerHTML = `
+        <div class="card-body">
+          <div class="alert alert-danger">
+            Failed to load quality data: ${error.message}
+          </div>
+        </div>
+      `;
+    });
+}
+
+// Badge colour per verification status
+const verificationStatusClasses = {
+  match: "bg-success",
+  mismatch: "bg-danger",
+  repaired: "bg-info text-dark",
+  error: "bg-warning text-dark",
+};
+
+function loadVerificationData() {
+  apiFetch("/api/verification")
+    .then((response) => {
+      if (!response.ok) {
+        throw new Error("Failed to fetch verification data");
+      }
+      return response.json();
+    })
+    .then((data) => {
+      const verificationCard = document.getElementById("verificationCard");
+      const statuses = Object.keys(data.totals);
+      const run = data.last_run;
+
+      let runHtml =
+        '<div class="alert alert-secondary mb-3">No verification has run yet. Start one with <code>npm run verify</code>.</div>';
+      if (run) {
+        runHtml = `
+          <div class="row mb-3">
+            <div class="col-md-6">
+              <p class="mb-1"><strong>Last run:</strong> ${new Date(
+                run.started_at
+              ).toLocaleString()}${
+          run.finished_at
+            ? ""
+            : ' <span class="badge bg-primary">running</span>'
+        }</p>
+              <p class="mb-1"><strong>Range:</strong> ${run.first_day} to ${
+          run.last_day
+        } (${run.source}${run.repair ? ", with repair" : ""})</p>
+              <p class="mb-1"><strong>Days checked:</strong> ${run.checked.toLocaleString()}</p>
+            </div>
+            <div class="col-md-6">
+              <p class="mb-1"><strong>Match:</strong> ${run.matched.toLocaleString()}</p>
+              <p class="mb-1"><strong>Differ:</strong> ${run.mismatched.toLocaleString()}</p>
+              <p class="mb-1"><strong>Repaired:</strong> ${run.repaired.toLocaleString()}</p>
+              <p class="mb-1"><strong>Failed:</strong> ${run.failed.toLocaleString()}</p>
+            </div>
+          </div>
+        `;
+      }
+
+      let symbolsHtml = "";
+      if (data.by_symbol.length > 0) {
+        // One row per symbol with a column per status
+        const bySymbol = {};
+        data.by_symbol.forEach((row) => {
+          bySymbol[row.symbol] = bySymbol[row.symbol] || {};
+          bySymbol[row.symbol][row.status] = row.days;
+        });
+
+        symbolsHtml = `
+          <h6>Latest Result Per Day</h6>
+          <table class="table table-sm mb-0">
+            <thead>
+              <tr><th>Symbol</th>${statuses
+                .map((status) => `<th>${status}</th>`)
+                .join("")}</tr>
+            </thead>
+            <tbody>
+              ${Object.keys(bySymbol)
+                .map(
+                  (symbol) => `
+                <tr>
+                  <td>${symbol.toUpperCase()}</td>
+                  ${statuses
+                    .map(
+                      (status) =>
+                        `<td>${(
+                          bySymbol[symbol][status] || 0
+                        ).toLocaleString()}</td>`
+                    )
+                    .join("")}
+                </tr>`
+                )
+                .join("")}
+            </tbody>
+          </table>
+        `;
+      }
+
+      let daysHtml = "";
+      if (data.problem_days.length > 0) {
+        daysHtml = `
+          <h6 class="mt-3">Days That Differ Or Failed</h6>
+          <table class="table table-sm mb-0">
+            <thead>
+              <tr><th>Symbol</th><th>Day</th><th>Status</th><th>Stored</th><th>Source</th><th>Hours</th></tr>
+            </thead>
+            <tbody>
+              ${data.problem_days
+                .map(
+                  (row) => `
+                <tr>
+                  <td>${row.symbol.toUpperCase()}</td>
+                  <td>${row.day}</td>
+                  <td><span class="badge ${
+                    verificationStatusClasses[row.status] || "bg-secondary"
+                  }">${row.status}</span></td>
+                  <td>${
+                    row.stored_rows === null
+                      ? "-"
+                      : row.stored_rows.toLocaleString()
+                  }</td>
+                  <td>${
+                    row.source_rows === null
+                      ? "-"
+                      : row.source_rows.toLocaleString()
+                  }</td>
+                  <td>${row.error || row.hours || "-"}</td>
+                </tr>`
+                )
+                .join("")}
+            </tbody>
+          </table>
+        `;
+      }
+
+      verificationCard.innerHTML = `
+        <div class="card-header bg-info">
+          <h5 class="mb-0">Verification Against Source</h5>
+        </div>
+        <div class="card-body">
+          ${runHtml}
+          <div class="alert alert-info">
+            <p class="mb-0">Stored days are compared hour by hour with a fresh download. Run <code>npm run verify -- --repair</code> to import the hours that differ again.</p>
+          </div>
+          ${symbolsHtml}
+          ${daysHtml}
+        </div>
+      `;
+    })
+    .catch((error) => {
+      console.error("Error loading verification data:", error);
+      document.getElementById("verificationCard").innerHTML = `
+        <div class="card-body">
+          <div class="alert alert-danger">
+            Failed to load verification data: ${error.message}
+          </div>
+        </div>
+      `;
+    });
+}
+
+// Badge colour per run state
+const runStateClasses = {
+  idle: "bg-secondary",
+  running: "bg-success",
+  paused: "bg-warning text-dark",
+  stopping: "bg-info text-dark",
+  failed: "bg-danger",
+};
+
+// Latest run status, updated from the event stream
+let runStatus = null;
+
+function loadRunStatus() {
+  apiFetch("/api/run")
+    .then((response) => {
+      if (!response.ok) {
+        throw new Error("Failed to fetch run status");
+      }
+      return response.json();
+    })
+    .then(renderRunStatus)
+    .catch((error) => {
+      console.error("Error loading run status:", error);
+      document.getElementById("runDetails").innerHTML = `
+        <div class="alert alert-danger mb-0">
+          Failed to load run status: ${error.message}
+        </div>
+      `;
+    });
+}
+
+function sendRunCommand(action, body) {
+  apiFetch(`/api/run/${action}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body || {}),
+  })
+    .then((response) =>
+      response.json().then((data) => {
+        if (!response.ok) {
+          throw new Error(data.error || `Failed to ${action} the import`);
+        }
+        return data;
+      })
+    )
+    .then(renderRunStatus)
+    .catch((error) => {
+      console.error(`Error sending ${action} command:`, error);
+      alert(error.message);
+    });
+}
+
+function renderRunStatus(status) {
+  runStatus = status;
+  const { state, run } = status;
+  const active = ["running", "paused", "stopping"].includes(state);
+
+  const badge = document.getElementById("runState");
+  badge.className = `badge ${runStateClasses[state] || "bg-secondary"}`;
+  badge.textContent = state;
+
+  document.getElementById("runStart").disabled = active;
+  document.getElementById("runPause").disabled = state !== "running";
+  document.getElementById("runResume").disabled = state !== "paused";
+  document.getElementById("runStop").disabled = !active;
+
+  const details = document.getElementById("runDetails");
+  if (!run) {
+    details.textContent =
+      "Dates, timeframe and price left empty default to the job config.";
+  } else {
+    const progress = run.progress;
+    const progressText =
+      progress && progress.total !== undefined
+        ? `${progress.completed || 0}/${progress.total} slots${
+            progress.failed ? `, ${progress.failed} failed` : ""
+          }`
+        : "planning";
+    const throughput = run.throughput;
+    const throughputText =
+      throughput && ["running", "paused"].includes(state)
+        ? `, ${throughput.slotsPerMinute.toFixed(1)} slots/min, ${Math.round(
+            throughput.recordsPerSecond
+          ).toLocaleString()} records/s`
+        : "";
+    details.innerHTML = `
+      <p class="mb-1"><strong>Run ${run.id}</strong> (${run.state}): ${
+      run.symbols.length
+    } symbols, ${run.startDate} to ${run.endDate}, ${run.timeframe}${
+      run.timeframe === "tick" ? "" : ` ${run.price}`
+    }, ${progressText}${throughputText}</p>
+      <p class="mb-0">Started ${new Date(run.startedAt).toLocaleString()}${
+      run.finishedAt
+        ? `, finished ${new Date(run.finishedAt).toLocaleString()}`
+        : ""
+    } &middot; <a href="#" class="run-logs" data-run="${
+      run.logRun
+    }">Logs of run ${run.logRun}</a></p>
+      ${
+        run.error ? `<pre class="text-danger mt-2 mb-0">${run.error}</pre>` : ""
+      }
+    `;
+  }
+}
+
+// Badge colour per follow mode health
+const followStateClasses = {
+  off: "bg-secondary",
+  stopped: "bg-secondary",
+  stale: "bg-danger",
+  failing: "bg-danger",
+  lagging: "bg-warning text-dark",
+  healthy: "bg-success",
+};
+
+// Symbols listed as behind in the follow mode card
+const maxLaggingSymbols = 10;
+
+function loadFollowHealth() {
+  apiFetch("/api/follow")
+    .then((response) => {
+      if (!response.ok) {
+        throw new Error("Failed to fetch follow mode status");
+      }
+      return response.json();
+    })
+    .then(renderFollowHealth)
+    .catch((error) => {
+      console.error("Error loading follow mode status:", error);
+      document.getElementById("followDetails").innerHTML = `
+        <div class="alert alert-danger mb-0">
+          Failed to load follow mode status: ${error.message}
+        </div>
+      `;
+    });
+}
+
+function renderFollowHealth(health) {
+  const badge = document.getElementById("followState");
+  badge.className = `badge ${
+    followStateClasses[health.state] || "bg-secondary"
+  }`;
+  badge.textContent = health.state;
+
+  const details = document.getElementById("followDetails");
+  if (health.state === "off") {
+    details.innerHTML =
+      "Not running. Start it with <code>npm run follow</code> to keep the data complete up to the last finished hour.";
+    return;
+  }
+
+  const time = (value) => (value ? new Date(value).toLocaleString() : "never");
+  const poll = health.last_poll;
+  const pollText = poll
+    ? `${poll.slots} slots up to ${time(poll.until)}: ${poll.done} done, ${
+        poll.empty
+      } empty, ${poll.failed} failed, ${poll.records.toLocaleString()} records`
+    : "none yet";
+  const behind = health.symbols
+    .filter((s) => s.lag_seconds > 3600)
+    .sort((a, b) => b.lag_seconds - a.lag_seconds);
+  const behindText =
+    behind.length > 0
+      ? `<p class="mb-1 text-warning">Behind: ${behind
+          .slice(0, maxLaggingSymbols)
+          .map(
+            (s) =>
+              `${s.symbol.toUpperCase()} (${formatDuration(s.lag_seconds)})`
+          )
+          .join(", ")}${
+          behind.length > maxLaggingSymbols
+            ? ` and ${behind.length - maxLaggingSymbols} more`
+            : ""
+        }</p>`
+      : "";
+
+  details.innerHTML = `
+    <p class="mb-1"><strong>Pid ${health.pid}</strong> (${
+    health.activity
+  }): polls every ${health.interval_minutes} min, hours fetched ${
+    health.delay_minutes
+  } min after they end. Last poll ${time(health.last_poll_at)}${
+    health.next_poll_at ? `, next ${time(health.next_poll_at)}` : ""
+  }.</p>
+    <p class="mb-1">Last poll: ${pollText}. Largest lag: ${
+    health.symbols.length > 0 ? formatDuration(health.lag_seconds) : "unknown"
+  }.</p>
+    ${behindText}
+    ${
+      health.last_error
+        ? `<pre class="text-danger mt-2 mb-0">${health.last_error}</pre>`
+        : ""
+    }
+  `;
+}
+
+/**
+ * Follow the import over Server-Sent Events: run state, progress, slots and
+ * follow mode health are pushed as they happen. EventSource reconnects by itself and
+ * the server sends the current run state on every connect.
+ */
+function followEvents() {
+  const events = new EventSource("/api/events");
+  eventSource = events;
+
+  events.addEventListener("run", (event) => {
+    const status = JSON.parse(event.data);
+    const wasActive =
+      runStatus && ["running", "paused", "stopping"].includes(runStatus.state);
+    renderRunStatus(status);
+
+    // Without a running import there is no throughput to extrapolate
+    if (progressData && status.state !== "running") {
+      updateEta(null);
+      renderOverallProgress();
+    }
+    if (!["running", "paused", "stopping"].includes(status.state)) {
+      Object.keys(activeSlots).forEach((symbol) => delete activeSlots[symbol]);
+      // Resync the estimates made from slot events once the run is over
+      if (wasActive) {
+        loadAllData();
+      }
+    }
+  });
+
+  events.addEventListener("progress", (event) => {
+    const { id, progress, throughput } = JSON.parse(event.data);
+    if (runStatus && runStatus.run && runStatus.run.id === id) {
+      renderRunStatus({
+        ...runStatus,
+        run: { ...runStatus.run, progress, throughput },
+      });
+    }
+    if (progressData && throughput) {
+      updateEta(throughput.slotsPerMinute);
+      renderOverallProgress();
+    }
+  });
+
+  // Day of a tick slot, or day, timeframe and side of a candle slot
+  const activeSlotName = ({ day, timeframe, side }) =>
+    timeframe ? `${day} ${timeframe} ${side}` : day;
+
+  events.addEventListener("slot_started", (event) => {
+    const slot = JSON.parse(event.data);
+    activeSlots[slot.symbol] = [
+      ...(activeSlots[slot.symbol] || []),
+      activeSlotName(slot),
+    ];
+    if (progressData) {
+      renderSymbolCards();
+    }
+  });
+
+  events.addEventListener("slot_finished", (event) => {
+    const slot = JSON.parse(event.data);
+    activeSlots[slot.symbol] = (activeSlots[slot.symbol] || []).filter(
+      (name) => name !== activeSlotName(slot)
+    );
+    if (progressData) {
+      applySlotFinished(slot);
+      renderOverallProgress();
+      renderSymbolCards();
+    }
+    updateLastUpdated();
+  });
+
+  events.addEventListener("follow", (event) => {
+    renderFollowHealth(JSON.parse(event.data));
+  });
+}
+
+// Symbol shown in the detail view and its price chart
+let detailSymbol = null;
+let detailChart = null;
+
+// Most bars drawn in the price chart
+const maxChartPoints = 5000;
+
+const dayMs = 24 * 60 * 60 * 1000;
+
+function shiftDay(day, days) {
+  return new Date(Date.parse(`${day}T00:00:00Z`) + days * dayMs)
+    .toISOString()
+    .split("T")[0];
+}
+
+function openSymbolDetail(symbol) {
+  detailSymbol = symbol;
+  const instrument = instrumentOf(symbol);
+  document.getElementById(
+    "symbolModalTitle"
+  ).textContent = `${instrument.name} Details`;
+  renderInstrument(instrument);
+
+  // Default to the last 30 days with data, or the job's range without data
+  const stat =
+    progressData && progressData.symbol_stats.find((s) => s.symbol === symbol);
+  let from;
+  let to;
+  if (stat && stat.has_data) {
+    to = stat.newest_date.split("T")[0];
+    const oldest = stat.oldest_date.split("T")[0];
+    from = shiftDay(to, -29) < oldest ? oldest : shiftDay(to, -29);
+  } else if (progressData) {
+    ({ from, to } = progressData.overall_stats.requested_range);
+  }
+  document.getElementById("detailFrom").value = from || "";
+  document.getElementById("detailTo").value = to || "";
+
+  bootstrap.Modal.getOrCreateInstance(
+    document.getElementById("symbolModal")
+  ).show();
+  loadSymbolDetail();
+}
+
+function renderInstrument(instrument) {
+  const facts = [
+    instrument.description,
+    assetClassNames[instrument.asset_class],
+    instrument.decimals !== null && instrument.decimals !== undefined
+      ? `${instrument.decimals} decimals, pip ${instrument.pip_size}`
+      : "decimals unknown",
+    instrument.session === "crypto" ? "trades 24/7" : "trades Sunday to Friday",
+    instrument.earliest_date
+      ? `ticks from ${instrument.earliest_date}`
+      : "first tick unknown",
+  ];
+  document.getElementById("detailInstrument").textContent = facts
+    .filter(Boolean)
+    .join(" · ");
+}
+
+function loadSymbolDetail() {
+  const from = document.getElementById("detailFrom").value;
+  const to = document.getElementById("detailTo").value;
+  const timeframe = document.getElementById("detailTimeframe").value;
+  const range = new URLSearchParams();
+  if (from) {
+    range.set("from", from);
+  }
+  if (to) {
+    range.set("to", to);
+  }
+
+  loadDetailChart(from, to, timeframe);
+  fetchJson(`/api/symbols/${detailSymbol}/coverage?${range}`)
+    .then(renderHeatmap)
+    .catch((error) => {
+      console.error("Error loading coverage:", error);
+      document.getElementById("detailHeatmap").innerHTML = `
+        <div class="alert alert-danger">Failed to load coverage: ${error.message}</div>
+      `;
+    });
+  fetchJson(`/api/symbols/${detailSymbol}/summary?${range}`)
+    .then(renderMarketSummary)
+    .catch((error) => {
+      console.error("Error loading summary:", error);
+      document.getElementById("detailSummary").innerHTML = `
+        <div class="alert alert-danger">Failed to load summary: ${error.message}</div>
+      `;
+    });
+}
+
+function fetchJson(url) {
+  return apiFetch(url).then((response) =>
+    response.json().then((data) => {
+      if (!response.ok) {
+        throw new Error(data.error || response.statusText);
+      }
+      return data;
+    })
+  );
+}
+
+function loadDetailChart(from, to, timeframe) {
+  const note = document.getElementById("detailChartNote");
+  if (!from || !to) {
+    note.textContent = "Pick a date range to chart.";
+    return;
+  }
+
+  const query = new URLSearchParams({
+    timeframe,
+    price: "mid",
+    from,
+    to: shiftDay(to, 1),
+    limit: maxChartPoints,
+  });
+  note.textContent = "Loading...";
+  fetchJson(`/api/data/${detailSymbol}/bars?${query}`)
+    .then((result) => {
+      const bars = result.data;
+      note.textContent =
+        bars.length === 0
+          ? "No bars stored in this range."
+          : `${bars.length.toLocaleString()} ${timeframe} bars${
+              result.next_cursor !== null
+                ? `, truncated at ${maxChartPoints.toLocaleString()}; pick a longer timeframe or a shorter range to see all of it`
+                : ""
+            }`;
+
+      const labels = bars.map((bar) =>
+        timeframe === "d1"
+          ? new Date(bar.timestamp).toLocaleDateString()
+          : new Date(bar.timestamp).toLocaleString()
+      );
+      const closes = bars.map((bar) => bar.close);
+
+      if (detailChart) {
+        detailChart.destroy();
+      }
+      detailChart = new Chart(document.getElementById("detailChart"), {
+        type: "line",
+        data: {
+          labels,
+          datasets: [
+            {
+              label: `${detailSymbol.toUpperCase()} mid close`,
+              data: closes,
+              borderColor: "#0d6efd",
+              borderWidth: 1,
+              pointRadius: 0,
+            },
+          ],
+        },
+        options: {
+          animation: false,
+          maintainAspectRatio: false,
+          interaction: { mode: "index", intersect: false },
+          plugins: { legend: { display: false } },
+          scales: { x: { ticks: { maxTicksLimit: 10 } } },
+        },
+      });
+    })
+    .catch((error) => {
+      console.error("Error loading bars:", error);
+      note.textContent = `Failed to load bars: ${error.message}`;
+    });
+}
+
+function renderHeatmap(coverage) {
+  const days = coverage.days;
+  const maxTicks = Math.max(1, ...days.map((day) => day.ticks));
+
+  // Columns are weeks starting on Sunday, so pad the first week
+  const padding = new Date(`${coverage.from}T00:00:00Z`).getUTCDay();
+  let cells = '<div style="visibility: hidden"></div>'.repeat(padding);
+
+  let gaps = 0;
+  let quarantinedDays = 0;
+  days.forEach((day) => {
+    let className;
+    let label;
+    if (day.ticks > 0) {
+      className = `level-${Math.min(4, Math.ceil((day.ticks / maxTicks) * 4))}`;
+      label = `${day.ticks.toLocaleString()} ticks`;
+    } else if (day.gap) {
+      className = "gap";
+      label = `gap (${day.status})`;
+      gaps++;
+    } else if (!day.trading_day) {
+      className = "closed";
+      label = "market closed";
+    } else {
+      className = "open";
+      label = "not imported yet";
+    }
+    if (day.quarantined > 0) {
+      className += " quarantined";
+      label += `, ${day.quarantined.toLocaleString()} quarantined`;
+      quarantinedDays++;
+    }
+    cells += `<div class="heatmap-day ${className}" title="${day.day}: ${label}"></div>`;
+  });
+
+  document.getElementById("detailHeatmap").innerHTML = `
+    <div class="heatmap mb-2">${cells}</div>
+    <div class="small text-muted heatmap-legend">
+      ${coverage.from} to ${coverage.to}: ${gaps} gap days, ${quarantinedDays} days with quarantined ticks
+      <span class="heatmap-day level-3"></span>ticks
+      <span class="heatmap-day gap"></span>gap
+      <span class="heatmap-day closed"></span>closed
+      <span class="heatmap-day open"></span>not imported
+      <span class="heatmap-day quarantined"></span>quarantined
+    </div>
+  `;
+}
+
+function renderMarketSummary(summary) {
+  const format = (value, digits) =>
+    value === null ? "N/A" : Number(value.toPrecision(digits)).toString();
+  const { spread, volume } = summary;
+
+  document.getElementById("detailSummary").innerHTML = `
+    <div class="row">
+      <div class="col-md-4">
+        <p class="mb-1"><strong>Days with Data:</strong> ${summary.days_with_data.toLocaleString()}</p>
+        <p class="mb-0"><strong>Ticks:</strong> ${summary.total_ticks.toLocaleString()}</p>
+      </div>
+      <div class="col-md-4">
+        <p class="mb-1"><strong>Average Spread:</strong> ${format(
+          spread.avg,
+          3
+        )}</p>
+        <p class="mb-1"><strong>Min Spread:</strong> ${format(
+          spread.min,
+          3
+        )}</p>
+        <p class="mb-0"><strong>Max Spread:</strong> ${format(
+          spread.max,
+          3
+        )}</p>
+      </div>
+      <div class="col-md-4">
+        <p class="mb-1"><strong>Total Volume:</strong> ${format(
+          volume.total,
+          6
+        )} (bid ${format(volume.bid, 6)}, ask ${format(volume.ask, 6)})</p>
+        <p class="mb-1"><strong>Average Daily Volume:</strong> ${format(
+          volume.avg_daily,
+          6
+        )}</p>
+        <p class="mb-0"><strong>Busiest Day:</strong> ${
+          volume.busiest_day
+            ? `${volume.busiest_day.day} (${format(
+                volume.busiest_day.volume,
+                6
+              )})`
+            : "N/A"
+        }</p>
+      </div>
+    </div>
+  `;
+}
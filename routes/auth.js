@@ -0,0 +1,66 @@
+import express from "express";
+
+/**
+ * Create the router for logging in and out, mounted at /api/auth ahead of
+ * the role checks:
+ *
+ *   POST /api/auth/login    {username, password}, sets the session cookie;
+ *                           429 while failed logins hold off further tries
+ *   POST /api/auth/logout
+ *   GET  /api/auth/me       the user and role of the session or token
+ *
+ * @param {Object} options
+ * @param {Object} options.auth - The authentication, see lib/auth.js
+ * @returns {express.Router} - The router
+ */
+export function createAuthRouter({ auth }) {
+  const router = express.Router();
+
+  router.post("/login", async (req, res) => {
+    const { username, password } = req.body || {};
+    if (typeof username !== "string" || typeof password !== "string") {
+      return res
+        .status(400)
+        .json({ error: "username and password are required" });
+    }
+
+    const delayMs = auth.loginDelay(username, req.ip);
+    if (delayMs > 0) {
+      console.log(`Held off login for ${username} after failed attempts`);
+      res.set("Retry-After", String(Math.ceil(delayMs / 1000)));
+      return res
+        .status(429)
+        .json({ error: "Too many failed logins; try again later" });
+    }
+
+    try {
+      const session = await auth.login(username, password, req.ip);
+      if (!session) {
+        console.log(`Failed login for ${username}`);
+        return res.status(401).json({ error: "Wrong username or password" });
+      }
+      auth.setSessionCookie(res, session.sessionId);
+      console.log(`${username} logged in as ${session.user.role}`);
+      res.json(session.user);
+    } catch (error) {
+      console.error("Error logging in:", error);
+      res.status(500).json({ error: "Failed to log in" });
+    }
+  });
+
+  router.post("/logout", (req, res) => {
+    auth.logout(req);
+    auth.setSessionCookie(res, null);
+    res.json({ ok: true });
+  });
+
+  router.get("/me", (req, res) => {
+    const user = auth.identify(req);
+    if (!user) {
+      return res.status(401).json({ error: "Authentication required" });
+    }
+    res.json(user);
+  });
+
+  return router;
+}
@@ -0,0 +1,176 @@
+import express from "express";
+import {
+  maxQueryLimit,
+  parseTime,
+  parseTimeframe,
+  priceTypes,
+  queryColumns,
+  streamQuery,
+  writeChunk,
+} from "../lib/query.js";
+
+const defaultLimit = 10000;
+
+// Output formats. JSON wraps the rows in an object that ends with the next
+// page's cursor; CSV and NDJSON are bare rows, so their next page starts
+// after the timestamp of the last row.
+const formats = {
+  json: {
+    contentType: "application/json",
+    start: (meta) => `${JSON.stringify(meta).slice(0, -1)},"data":[`,
+    rows: (rows, columns, first) =>
+      (first ? "" : ",") + rows.map((row) => JSON.stringify(row)).join(","),
+    end: ({ count, nextCursor }) =>
+      `],"count":${count},"next_cursor":${JSON.stringify(nextCursor)}}`,
+  },
+  ndjson: {
+    contentType: "application/x-ndjson",
+    start: () => "",
+    rows: (rows) => rows.map((row) => `${JSON.stringify(row)}\n`).join(""),
+    end: () => "",
+  },
+  csv: {
+    contentType: "text/csv",
+    start: (meta, columns) => `${columns.join(",")}\n`,
+    rows: (rows, columns) =>
+      rows
+        .map((row) => `${columns.map((column) => row[column]).join(",")}\n`)
+        .join(""),
+    end: () => "",
+  },
+};
+
+/**
+ * Parse and check the query string of a data request
+ * @returns {{query: Object}|{error: string}} - The query or what is wrong with it
+ */
+function parseRequest(req, type, symbols) {
+  const { symbol } = req.params;
+  const {
+    timeframe,
+    price = "both",
+    format = "json",
+    from = "0",
+    to = String(Date.now()),
+    cursor,
+    limit = String(defaultLimit),
+  } = req.query;
+
+  if (!symbols.includes(symbol)) {
+    return { error: `Unknown symbol ${symbol}` };
+  }
+  if (type === "bars" && !parseTimeframe(timeframe)) {
+    return {
+      error:
+        "timeframe must be a number of seconds, minutes, hours or days that divides a day, e.g. s10, m1, m30, h4, d1",
+    };
+  }
+  if (!priceTypes.includes(price)) {
+    return { error: `price must be one of ${priceTypes.join(", ")}` };
+  }
+  if (typeof format !== "string" || !Object.hasOwn(formats, format)) {
+    return {
+      error: `format must be one of ${Object.keys(formats).join(", ")}`,
+    };
+  }
+
+  const fromTime = parseTime(from);
+  const toTime = parseTime(to);
+  if (fromTime === null || toTime === null) {
+    return {
+      error: "from and to must be epoch milliseconds, YYYY-MM-DD or ISO 8601",
+    };
+  }
+  if (cursor !== undefined && !/^\d+$/.test(cursor)) {
+    return { error: "cursor must be a timestamp in epoch milliseconds" };
+  }
+  const rowLimit = Number(limit);
+  if (!Number.isInteger(rowLimit) || rowLimit < 1 || rowLimit > maxQueryLimit) {
+    return { error: `limit must be an integer from 1 to ${maxQueryLimit}` };
+  }
+
+  return {
+    query: {
+      symbol,
+      type,
+      timeframe: type === "bars" ? timeframe : undefined,
+      from: fromTime,
+      to: toTime,
+      cursor: cursor === undefined ? undefined : Number(cursor),
+      limit: rowLimit,
+      price,
+      format,
+    },
+  };
+}
+
+/**
+ * Create the router serving stored ticks and bars, mounted at /api/data:
+ *
+ *   GET /api/data/:symbol/ticks?from=&to=&price=&format=&limit=&cursor=
+ *   GET /api/data/:symbol/bars?timeframe=m5&from=&to=&price=&format=&limit=&cursor=
+ *
+ * from and to take epoch milliseconds, YYYY-MM-DD or ISO 8601 (to is
+ * exclusive); price is both, bid, ask or mid; format is json, csv or ndjson.
+ * Bars of timeframes that are not stored (e.g. m30, s10) are resampled.
+ * @param {Object} options
+ * @param {Object} options.store - The storage backend
+ * @param {string[]} options.symbols - Symbols that may be queried
+ * @returns {express.Router} - The router
+ */
+export function createDataRouter({ store, symbols }) {
+  const router = express.Router();
+
+  for (const type of ["ticks", "bars"]) {
+    router.get(`/:symbol/${type}`, async (req, res) => {
+      const { query, error } = parseRequest(req, type, symbols);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      const format = formats[query.format];
+      const columns = queryColumns(type, query.price);
+      let first = true;
+
+      try {
+        res.type(format.contentType);
+        await writeChunk(
+          res,
+          format.start(
+            {
+              symbol: query.symbol,
+              type,
+              timeframe: query.timeframe,
+              price: query.price,
+              from: query.from,
+              to: query.to,
+            },
+            columns
+          )
+        );
+
+        const result = await streamQuery(store, query, async (rows) => {
+          await writeChunk(res, format.rows(rows, columns, first));
+          first = false;
+        });
+
+        await writeChunk(res, format.end(result));
+        res.end();
+      } catch (error) {
+        if (res.destroyed) {
+          return;
+        }
+        console.error(`Error querying ${type} for ${query.symbol}:`, error);
+        if (res.headersSent) {
+          // The body is already partly sent; cut the connection so the client
+          // does not mistake it for a complete response
+          res.destroy(error);
+        } else {
+          res.status(500).json({ error: `Failed to query ${type}` });
+        }
+      }
+    });
+  }
+
+  return router;
+}
@@ -0,0 +1,105 @@
+import express from "express";
+import {
+  exportFormats,
+  listExportParts,
+  resolveExport,
+  writeExport,
+} from "../lib/export.js";
+import { parseTime } from "../lib/query.js";
+
+/**
+ * Create the router exporting stored ticks and bars as files, mounted at
+ * /api/export:
+ *
+ *   GET /api/export/:symbol/ticks?format=&price=&from=&to=&split=
+ *   GET /api/export/:symbol/bars?timeframe=m1&format=&price=&from=&to=&split=
+ *
+ * format is csv (gzip-compressed), parquet, metatrader, hst (MetaTrader 4
+ * history, bars only) or ninjatrader; from and to take epoch milliseconds,
+ * YYYY-MM-DD or ISO 8601 (to is exclusive). Without split (or split=none) the
+ * export is streamed as a single file; with split=day or split=month the
+ * response lists the parts of the days with ticks, each with the URL that
+ * downloads it.
+ * @param {Object} options
+ * @param {Object} options.store - The storage backend
+ * @param {string[]} options.symbols - Symbols that may be exported
+ * @returns {express.Router} - The router
+ */
+export function createExportRouter({ store, symbols }) {
+  const router = express.Router();
+
+  router.get("/:symbol/:type", async (req, res) => {
+    const { symbol, type } = req.params;
+    const { timeframe, price, format = "csv", split = "none" } = req.query;
+
+    if (!symbols.includes(symbol)) {
+      return res.status(400).json({ error: `Unknown symbol ${symbol}` });
+    }
+    const from = parseTime(req.query.from || "");
+    const to = parseTime(req.query.to || "");
+    if (from === null || to === null) {
+      return res.status(400).json({
+        error: "from and to must be epoch milliseconds, YYYY-MM-DD or ISO 8601",
+      });
+    }
+    try {
+      const { job, error } = resolveExport({
+        symbol,
+        type,
+        timeframe,
+        price,
+        format,
+        from,
+        to,
+        split,
+      });
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      const parts = await listExportParts(store, job);
+      if (split !== "none") {
+        return res.json({
+          symbol,
+          type,
+          timeframe: job.timeframe,
+          price: job.price,
+          format,
+          parts: parts.map((part) => {
+            const params = new URLSearchParams({
+              format,
+              price: job.price,
+              from: part.from,
+              to: part.to,
+            });
+            if (job.timeframe) {
+              params.set("timeframe", job.timeframe);
+            }
+            return {
+              ...part,
+              url: `${req.baseUrl}/${symbol}/${type}?${params}`,
+            };
+          }),
+        });
+      }
+
+      res.attachment(parts[0].name);
+      res.type(exportFormats[job.format].contentType);
+      await writeExport(store, job, parts[0], res);
+    } catch (error) {
+      if (res.destroyed) {
+        return;
+      }
+      console.error(`Error exporting ${type} for ${symbol}:`, error);
+      if (res.headersSent) {
+        // The file is already partly sent; cut the connection so the client
+        // does not mistake it for a complete download
+        res.destroy(error);
+      } else {
+        res.status(500).json({ error: `Failed to export ${type}` });
+      }
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,116 @@
+import express from "express";
+import { formatEvent } from "../lib/eventHub.js";
+import { logLevels } from "../lib/logger.js";
+import { listLogFiles, searchLogs, tailLogs } from "../lib/logs.js";
+
+const defaultLimit = 200;
+const maxLimit = 1000;
+
+// Comment line sent to idle tails so proxies do not close the stream
+const heartbeatMs = 25000;
+
+/**
+ * Parse the record filters of a request
+ * @returns {{filters: Object}|{error: string}}
+ */
+function parseFilters(query) {
+  const { level, symbol, run } = query;
+  if (level && !logLevels.includes(level)) {
+    return { error: `level must be one of ${logLevels.join(", ")}` };
+  }
+
+  const filters = { level, symbol, run };
+  for (const key of ["from", "to"]) {
+    if (query[key]) {
+      const time = new Date(query[key]);
+      if (isNaN(time)) {
+        return { error: `${key} must be a date or ISO timestamp` };
+      }
+      filters[key] = time.toISOString();
+    }
+  }
+  return { filters };
+}
+
+/**
+ * Create the router for the importer's log files, mounted at /api/logs:
+ *
+ *   GET /api/logs?level=&symbol=&run=&from=&to=&limit=&cursor=
+ *                          matching records, newest first; next_cursor pages
+ *                          on through older records and files
+ *   GET /api/logs/files    the log files, newest first
+ *   GET /api/logs/tail?level=&symbol=&run=
+ *                          Server-Sent Events "log" stream of the records
+ *                          written from now on
+ *
+ * @param {Object} options
+ * @param {string} options.directory - The log directory
+ * @returns {express.Router} - The router
+ */
+export function createLogRouter({ directory }) {
+  const router = express.Router();
+
+  router.get("/", async (req, res) => {
+    const { filters, error } = parseFilters(req.query);
+    const limit = Number(req.query.limit || defaultLimit);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > maxLimit) {
+      return res
+        .status(400)
+        .json({ error: `limit must be between 1 and ${maxLimit}` });
+    }
+
+    try {
+      res.json(
+        await searchLogs(directory, {
+          filters,
+          limit,
+          cursor: req.query.cursor,
+        })
+      );
+    } catch (error) {
+      if (error.message === "Invalid or expired cursor") {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error("Error searching logs:", error);
+      res.status(500).json({ error: "Failed to retrieve logs" });
+    }
+  });
+
+  router.get("/files", async (req, res) => {
+    try {
+      res.json(await listLogFiles(directory));
+    } catch (error) {
+      console.error("Error listing log files:", error);
+      res.status(500).json({ error: "Failed to list log files" });
+    }
+  });
+
+  router.get("/tail", (req, res) => {
+    const { filters, error } = parseFilters(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+    });
+    const stop = tailLogs(directory, filters, (record) =>
+      res.write(formatEvent("log", record))
+    );
+    const heartbeat = setInterval(
+      () => res.write(": heartbeat\n\n"),
+      heartbeatMs
+    );
+    res.on("close", () => {
+      stop();
+      clearInterval(heartbeat);
+    });
+  });
+
+  return router;
+}
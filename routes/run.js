@@ -0,0 +1,76 @@
+import express from "express";
+import { validateConfig } from "../lib/config.js";
+import { RunStateError } from "../lib/runManager.js";
+
+/**
+ * Create the router controlling import runs, mounted at /api/run:
+ *
+ *   GET  /api/run           state of the current or last run
+ *   POST /api/run/start     {symbols, startDate, endDate, timeframe, price},
+ *                           each defaulting to the job config
+ *   POST /api/run/pause
+ *   POST /api/run/resume
+ *   POST /api/run/stop
+ *
+ * @param {Object} options
+ * @param {Object} options.runs - The run manager
+ * @param {Object} options.config - The job configuration
+ * @returns {express.Router} - The router
+ */
+export function createRunRouter({ runs, config }) {
+  const router = express.Router();
+
+  // Run commands that do not fit the current state are conflicts
+  const command = (action) => (req, res) => {
+    try {
+      res.json(action(req));
+    } catch (error) {
+      if (error instanceof RunStateError) {
+        return res.status(409).json({ error: error.message });
+      }
+      console.error("Error controlling import run:", error);
+      res.status(500).json({ error: "Failed to control import run" });
+    }
+  };
+
+  router.get("/", (req, res) => {
+    res.json(runs.status());
+  });
+
+  router.post(
+    "/start",
+    (req, res, next) => {
+      const { symbols, startDate, endDate, timeframe, price } = req.body || {};
+      const job = {
+        ...config,
+        symbols: symbols === undefined ? config.symbols : symbols,
+        startDate: startDate || config.startDate,
+        endDate: endDate || config.endDate,
+        timeframe: timeframe || config.timeframe,
+        price: price || config.price,
+      };
+      const problems = validateConfig(job);
+      if (problems.length > 0) {
+        return res.status(400).json({ error: problems.join("; ") });
+      }
+      req.job = job;
+      next();
+    },
+    command((req) => runs.start(req.job))
+  );
+
+  router.post(
+    "/pause",
+    command(() => runs.pause())
+  );
+  router.post(
+    "/resume",
+    command(() => runs.resume())
+  );
+  router.post(
+    "/stop",
+    command(() => runs.stop())
+  );
+
+  return router;
+}
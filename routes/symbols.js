@@ -0,0 +1,92 @@
+import express from "express";
+import { resolveDate } from "../lib/config.js";
+import { getCoverage, getMarketSummary } from "../lib/coverage.js";
+import { listDays } from "../lib/ledger.js";
+
+// Longest range of days a single request may cover
+const maxRangeDays = 366 * 20;
+
+/**
+ * Parse the symbol and day range of a request; from and to default to the
+ * job config
+ * @returns {{symbol: string, firstDay: string, lastDay: string}|{error: string}}
+ */
+function parseRange(req, symbols, config) {
+  const { symbol } = req.params;
+  const firstDay = resolveDate(req.query.from || config.startDate);
+  const lastDay = resolveDate(req.query.to || config.endDate);
+
+  if (!symbols.includes(symbol)) {
+    return { error: `Unknown symbol ${symbol}` };
+  }
+  if (!firstDay || !lastDay) {
+    return { error: 'from and to must be YYYY-MM-DD, "today" or "yesterday"' };
+  }
+  if (firstDay > lastDay) {
+    return { error: "from must not be after to" };
+  }
+  if (listDays(firstDay, lastDay).length > maxRangeDays) {
+    return { error: `The range may cover at most ${maxRangeDays} days` };
+  }
+  return { symbol, firstDay, lastDay };
+}
+
+/**
+ * Create the router behind the symbol detail view, mounted at /api/symbols:
+ *
+ *   GET /api/symbols/:symbol/coverage?from=&to=   ticks, quarantined ticks,
+ *                                                 ledger status and gaps per day
+ *   GET /api/symbols/:symbol/summary?from=&to=    spread and volume summary
+ *
+ * Prices for the chart come from /api/data/:symbol/bars.
+ * @param {Object} options
+ * @param {Object} options.store - The storage backend
+ * @param {string[]} options.symbols - Symbols that may be queried
+ * @param {Object} options.config - The job configuration
+ * @returns {express.Router} - The router
+ */
+export function createSymbolRouter({ store, symbols, config }) {
+  const router = express.Router();
+
+  router.get("/:symbol/coverage", async (req, res) => {
+    const range = parseRange(req, symbols, config);
+    if (range.error) {
+      return res.status(400).json({ error: range.error });
+    }
+
+    try {
+      const { symbol, firstDay, lastDay } = range;
+      res.json({
+        symbol,
+        from: firstDay,
+        to: lastDay,
+        days: await getCoverage(store, symbol, firstDay, lastDay),
+      });
+    } catch (error) {
+      console.error(`Error retrieving coverage for ${range.symbol}:`, error);
+      res.status(500).json({ error: "Failed to retrieve coverage" });
+    }
+  });
+
+  router.get("/:symbol/summary", async (req, res) => {
+    const range = parseRange(req, symbols, config);
+    if (range.error) {
+      return res.status(400).json({ error: range.error });
+    }
+
+    try {
+      const { symbol, firstDay, lastDay } = range;
+      res.json({
+        symbol,
+        from: firstDay,
+        to: lastDay,
+        ...(await getMarketSummary(store, symbol, firstDay, lastDay)),
+      });
+    } catch (error) {
+      console.error(`Error retrieving summary for ${range.symbol}:`, error);
+      res.status(500).json({ error: "Failed to retrieve summary" });
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,171 @@
+import dotenv from "dotenv";
+import { stageTicks } from "../lib/bulkLoad.js";
+import { loadConfig } from "../lib/config.js";
+import { dayRange } from "../lib/ledger.js";
+import { acquireRunLock } from "../lib/runLock.js";
+import { createStore } from "../lib/storage/index.js";
+import { rulesFor } from "../lib/validation.js";
+
+// Compares how fast the configured store takes ticks through the default
+// path (the day's ticks in an array, inserted in dbBatchSize batches) and
+// through the bulk loader (staged to a file, then LOAD DATA on MySQL). Both
+// write the same synthetic day of the first configured symbol, on a day
+// before any Dukascopy history, and delete it again afterwards. Accepts the
+// same flags as index.js, e.g.
+//   npm run benchmark-load -- --symbols btcusd --rows 2000000
+//   npm run benchmark-load -- --db-batch-size 5000 --day 2000-01-04
+
+dotenv.config();
+
+let config;
+try {
+  config = await loadConfig(process.argv.slice(2), {
+    rows: { type: "string", default: "500000" },
+    day: { type: "string", default: "2000-01-03" },
+  });
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
+
+const dayMs = 24 * 60 * 60 * 1000;
+const hourMs = 60 * 60 * 1000;
+const rows = Number(config.args.rows);
+const { day } = config.args;
+
+if (!Number.isInteger(rows) || rows < 1 || rows > dayMs) {
+  console.error(`--rows must be an integer from 1 to ${dayMs}`);
+  process.exit(1);
+}
+if (!/^\d{4}-\d{2}-\d{2}$/.test(day) || isNaN(new Date(day))) {
+  console.error("--day must be a YYYY-MM-DD date");
+  process.exit(1);
+}
+
+const lockFile = "./import.lock";
+
+/**
+ * Generate a day of ticks spread evenly over it, as a random walk
+ * @param {Date} from - Start of the day
+ * @yields {Object} - Ticks, oldest first
+ */
+function* syntheticTicks(from) {
+  let price = 1.1;
+  for (let i = 0; i < rows; i++) {
+    price *= 1 + (Math.random() - 0.5) * 1e-5;
+    const bidPrice = Math.round(price * 1e5) / 1e5;
+    yield {
+      timestamp: from.getTime() + Math.floor((i * dayMs) / rows),
+      bidPrice,
+      askPrice: Math.round((bidPrice + 0.00002) * 1e5) / 1e5,
+      bidVolume: Math.round(Math.random() * 1e6) / 100,
+      askVolume: Math.round(Math.random() * 1e6) / 100,
+    };
+  }
+}
+
+/**
+ * Group ticks by hour, the way fetchInChunks hands them out
+ */
+async function* hourChunks(ticks) {
+  let chunk = [];
+  for (const tick of ticks) {
+    if (
+      chunk.length > 0 &&
+      tick.timestamp - (tick.timestamp % hourMs) !==
+        chunk[0].timestamp - (chunk[0].timestamp % hourMs)
+    ) {
+      yield chunk;
+      chunk = [];
+    }
+    chunk.push(tick);
+  }
+  if (chunk.length > 0) {
+    yield chunk;
+  }
+}
+
+const rate = (count, ms) =>
+  `${Math.round((count / Math.max(ms, 1)) * 1000).toLocaleString(
+    "en-US"
+  )} rows/s`;
+
+/**
+ * Main function to time both ways of loading a day of ticks
+ */
+async function main() {
+  let store;
+  let releaseLock;
+  try {
+    const [symbol] = config.symbols;
+    const { from, to } = dayRange(day);
+    releaseLock = await acquireRunLock(lockFile);
+    store = await createStore(config);
+
+    if ((await store.readTicks(symbol, from, to, 1)).length > 0) {
+      throw new Error(
+        `${symbol} has ticks on ${day}; pick an empty day with --day`
+      );
+    }
+    console.log(
+      `Loading ${rows} ${symbol} ticks into ${config.storage.type} storage on ${day}`
+    );
+
+    try {
+      const ticks = [...syntheticTicks(from)];
+      let startedAt = Date.now();
+      await store.transaction((tx) => tx.replaceTicks(symbol, from, to, ticks));
+      const insertMs = Date.now() - startedAt;
+      console.log(
+        `Insert (batches of ${config.dbBatchSize}): ${insertMs}ms, ${rate(
+          rows,
+          insertMs
+        )}`
+      );
+      ticks.length = 0;
+      await store.transaction((tx) => tx.replaceTicks(symbol, from, to, []));
+
+      startedAt = Date.now();
+      const staged = await stageTicks(hourChunks(syntheticTicks(from)), {
+        rules: rulesFor(config.validation, symbol),
+        directory: config.bulkLoad.directory,
+        symbol,
+      });
+      const stageMs = Date.now() - startedAt;
+      try {
+        startedAt = Date.now();
+        await store.transaction((tx) =>
+          tx.loadTicks(symbol, from, to, staged.file)
+        );
+      } finally {
+        await staged.remove();
+      }
+      const loadMs = Date.now() - startedAt;
+      console.log(
+        `Bulk load: ${loadMs}ms, ${rate(
+          staged.rowCount,
+          loadMs
+        )} (staged in ${stageMs}ms)`
+      );
+      console.log(
+        `Bulk loading is ${(insertMs / Math.max(loadMs, 1)).toFixed(
+          1
+        )}x as fast as inserting`
+      );
+    } finally {
+      await store.transaction((tx) => tx.replaceTicks(symbol, from, to, []));
+    }
+  } catch (error) {
+    console.error("Fatal error benchmarking:", error);
+    process.exitCode = 1;
+  } finally {
+    if (store) {
+      await store.close();
+    }
+    if (releaseLock) {
+      await releaseLock();
+    }
+  }
+}
+
+main();
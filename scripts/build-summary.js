@@ -0,0 +1,68 @@
+import dotenv from "dotenv";
+import { loadConfig } from "../lib/config.js";
+import { listDays } from "../lib/ledger.js";
+import { createStore } from "../lib/storage/index.js";
+import { runWorkerPool } from "../lib/workerPool.js";
+
+// Builds the per-day tick summaries behind /api/progress for ticks stored
+// before the summaries existed. Imports keep them up to date afterwards.
+// Accepts the same flags as index.js, e.g.
+//   npm run build-summary -- --symbols eurusd --from 2020-01-01
+
+dotenv.config();
+
+let config;
+try {
+  config = await loadConfig();
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
+
+/**
+ * Main function to build the summary of every configured symbol-day
+ */
+async function main() {
+  let store;
+  try {
+    const { symbols, startDate, endDate, concurrency } = config;
+    store = await createStore(config);
+    const slots = [];
+
+    for (const symbol of symbols) {
+      for (const day of listDays(startDate, endDate)) {
+        slots.push({ symbol, day });
+      }
+    }
+
+    console.log(`Building tick summaries for ${slots.length} symbol-days`);
+    let days = 0;
+    let records = 0;
+
+    await runWorkerPool(slots, concurrency, async ({ symbol, day }) => {
+      try {
+        const summary = await store.refreshDaySummary(symbol, day);
+        if (summary) {
+          days++;
+          records += summary.rowCount;
+        }
+      } catch (error) {
+        console.error(`Error summarising ${symbol} ${day}:`, error);
+        process.exitCode = 1;
+      }
+    });
+
+    console.log(
+      `Tick summaries built: ${days} symbol-days with ${records} records`
+    );
+  } catch (error) {
+    console.error("Fatal error building tick summaries:", error);
+    process.exitCode = 1;
+  } finally {
+    if (store) {
+      await store.close();
+    }
+  }
+}
+
+main();
@@ -0,0 +1,119 @@
+import dotenv from "dotenv";
+import fs from "fs";
+import path from "path";
+import { loadConfig } from "../lib/config.js";
+import {
+  exportFormats,
+  exportSplits,
+  listExportParts,
+  resolveExport,
+  writeExport,
+} from "../lib/export.js";
+import { dayRange } from "../lib/ledger.js";
+import { createStore } from "../lib/storage/index.js";
+
+// Exports the stored ticks or bars of the configured symbols and dates to
+// files, one per symbol and part. Accepts the same flags as index.js, e.g.
+//   npm run export -- --symbols eurusd --from 2024-01-01 --to 2024-03-31 --split month
+//   npm run export -- --type bars --timeframe m1 --format ninjatrader --price bid
+//   npm run export -- --type bars --timeframe h1 --format hst --out ./mt4
+
+dotenv.config();
+
+let config;
+try {
+  config = await loadConfig(process.argv.slice(2), {
+    type: { type: "string", default: "ticks" },
+    timeframe: { type: "string" },
+    price: { type: "string" },
+    format: { type: "string", default: "csv" },
+    split: { type: "string", default: "day" },
+    out: { type: "string", default: "./exports" },
+  });
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
+
+const { out } = config.args;
+
+// Checked up front so a bad flag fails before anything is written
+const { job: template, error } = resolveExport({
+  ...config.args,
+  symbol: config.symbols[0],
+  from: dayRange(config.startDate).from.getTime(),
+  to: dayRange(config.endDate).to.getTime(),
+});
+if (error) {
+  console.error(error);
+  console.error(
+    `Formats: ${Object.keys(exportFormats).join(
+      ", "
+    )}; splits: ${exportSplits.join(", ")}`
+  );
+  process.exit(1);
+}
+
+/**
+ * Write one export file, through a temporary file so that an interrupted
+ * export never leaves a truncated file behind
+ */
+async function exportFile(store, job, part) {
+  const file = path.join(out, job.symbol, part.name);
+  const temporary = `${file}.${process.pid}.tmp`;
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+  try {
+    const rows = await writeExport(
+      store,
+      job,
+      part,
+      fs.createWriteStream(temporary)
+    );
+    await fs.promises.rename(temporary, file);
+    return rows;
+  } catch (error) {
+    await fs.promises.rm(temporary, { force: true });
+    throw error;
+  }
+}
+
+/**
+ * Main function to export every configured symbol
+ */
+async function main() {
+  let store;
+  try {
+    store = await createStore(config);
+    let files = 0;
+
+    for (const symbol of config.symbols) {
+      if (!(await store.tickStats(symbol))) {
+        console.log(`No tick table for ${symbol}, skipping`);
+        continue;
+      }
+      const job = { ...template, symbol };
+
+      for (const part of await listExportParts(store, job)) {
+        try {
+          const rows = await exportFile(store, job, part);
+          files++;
+          console.log(`Exported ${rows} rows to ${part.name}`);
+        } catch (error) {
+          console.error(`Error exporting ${part.name}:`, error);
+          process.exitCode = 1;
+        }
+      }
+    }
+
+    console.log(`Export completed: ${files} files in ${out}`);
+  } catch (error) {
+    console.error("Fatal error exporting data:", error);
+    process.exitCode = 1;
+  } finally {
+    if (store) {
+      await store.close();
+    }
+  }
+}
+
+main();
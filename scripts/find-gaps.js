@@ -0,0 +1,118 @@
+import dotenv from "dotenv";
+import { loadConfig } from "../lib/config.js";
+import { createFetcher } from "../lib/fetcher.js";
+import { backfillGaps, findGaps, gapGranularities } from "../lib/gaps.js";
+import { dayRange } from "../lib/ledger.js";
+import { createRateLimiter } from "../lib/rateLimiter.js";
+import { acquireRunLock } from "../lib/runLock.js";
+import { createStore } from "../lib/storage/index.js";
+
+// Reports holes in the stored ticks of the configured symbols and dates, and
+// downloads them again with --backfill. Accepts the same flags as index.js, e.g.
+//   npm run find-gaps -- --symbols eurusd --granularity day
+//   npm run find-gaps -- --from 2022-01-01 --min-gap 3 --backfill
+
+dotenv.config();
+
+let config;
+try {
+  config = await loadConfig(process.argv.slice(2), {
+    granularity: { type: "string", default: "hour" },
+    "min-gap": { type: "string", default: "1" },
+    backfill: { type: "boolean", default: false },
+    json: { type: "boolean", default: false },
+  });
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
+
+const { granularity, backfill, json } = config.args;
+const minBuckets = Number(config.args["min-gap"]);
+
+if (!Object.hasOwn(gapGranularities, granularity)) {
+  console.error(
+    `--granularity must be one of ${Object.keys(gapGranularities).join(", ")}`
+  );
+  process.exit(1);
+}
+if (!Number.isInteger(minBuckets) || minBuckets < 1) {
+  console.error("--min-gap must be a positive integer");
+  process.exit(1);
+}
+
+const lockFile = "./import.lock";
+
+/**
+ * Main function to find (and optionally backfill) gaps for every configured symbol
+ */
+async function main() {
+  let store;
+  let releaseLock;
+  try {
+    const { symbols, startDate, endDate } = config;
+    // Backfills write ticks, so imports are locked out meanwhile
+    if (backfill) {
+      releaseLock = await acquireRunLock(lockFile);
+    }
+    store = await createStore(config);
+    const gaps = [];
+
+    for (const symbol of symbols) {
+      const symbolGaps = await findGaps(store, symbol, {
+        fromDate: dayRange(startDate).from,
+        toDate: dayRange(endDate).to,
+        granularity,
+        minBuckets,
+      });
+      gaps.push(...symbolGaps);
+
+      if (!json) {
+        console.log(`${symbol}: ${symbolGaps.length} gaps`);
+        for (const gap of symbolGaps) {
+          console.log(
+            `  ${gap.from.toISOString()} - ${gap.to.toISOString()} (${
+              gap.buckets
+            } ${granularity}s)`
+          );
+        }
+      }
+    }
+
+    if (json) {
+      console.log(JSON.stringify(gaps, null, 2));
+    } else {
+      console.log(`Found ${gaps.length} gaps in ${symbols.length} symbols`);
+    }
+
+    if (backfill && gaps.length > 0) {
+      const fetchHistoricalData = createFetcher({
+        ...config,
+        limiter: createRateLimiter({
+          ratePerSecond: config.requestsPerSecond,
+        }),
+      });
+      const result = await backfillGaps(gaps, {
+        store,
+        fetchHistoricalData,
+        validation: config.validation,
+        concurrency: config.concurrency,
+      });
+      if (result.failed > 0) {
+        process.exitCode = 1;
+      }
+    }
+  } catch (error) {
+    console.error("Fatal error finding gaps:", error);
+    process.exitCode = 1;
+  } finally {
+    if (store) {
+      await store.close();
+    }
+    if (releaseLock) {
+      await releaseLock();
+    }
+  }
+}
+
+main();
@@ -0,0 +1,69 @@
+import dotenv from "dotenv";
+import { loadConfig } from "../lib/config.js";
+import { acquireRunLock } from "../lib/runLock.js";
+import { createStore } from "../lib/storage/index.js";
+
+// Brings the database schema up to date: applies pending schema migrations
+// and, with storage.partitionByMonth set, partitions the tick tables of the
+// configured symbols that were created before. Other commands only create
+// missing tables; migrations that rewrite data are left to this one, and
+// they refuse to start until it has run. Converting a large table takes a
+// while; an interrupted run picks up where it stopped. Imports are locked out
+// meanwhile. Accepts the same flags as index.js, e.g.
+//   npm run migrate -- --symbols eurusd,btcusd
+
+dotenv.config();
+
+let config;
+try {
+  config = await loadConfig();
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
+
+const lockFile = "./import.lock";
+
+/**
+ * Main function to migrate the schema and partition the tick tables
+ */
+async function main() {
+  let store;
+  let releaseLock;
+  try {
+    releaseLock = await acquireRunLock(lockFile);
+    store = await createStore(config, { migrate: true });
+    const version = await store.schemaVersion();
+    console.log(
+      version === null
+        ? `The ${config.storage.type} storage has no schema to migrate`
+        : `Schema is at version ${version}`
+    );
+
+    if (config.storage.partitionByMonth) {
+      let partitioned = 0;
+      for (const symbol of config.symbols) {
+        const startedAt = Date.now();
+        if (await store.partitionTickTable(symbol)) {
+          partitioned++;
+          console.log(
+            `Partitioned ${symbol} by month in ${Date.now() - startedAt}ms`
+          );
+        }
+      }
+      console.log(`Partitioned ${partitioned} tick tables`);
+    }
+  } catch (error) {
+    console.error("Fatal error migrating the schema:", error);
+    process.exitCode = 1;
+  } finally {
+    if (store) {
+      await store.close();
+    }
+    if (releaseLock) {
+      await releaseLock();
+    }
+  }
+}
+
+main();
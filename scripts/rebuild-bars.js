@@ -0,0 +1,66 @@
+import dotenv from "dotenv";
+import { rebuildBars } from "../lib/bars.js";
+import { loadConfig } from "../lib/config.js";
+import { dayRange, listDays } from "../lib/ledger.js";
+import { createStore } from "../lib/storage/index.js";
+import { runWorkerPool } from "../lib/workerPool.js";
+
+// Rebuilds the bar tables from ticks that are already stored, for the symbols
+// and dates of the job config. Accepts the same flags as index.js, e.g.
+//   npm run rebuild-bars -- --symbols eurusd --from 2024-01-01 --to 2024-12-31
+
+dotenv.config();
+
+let config;
+try {
+  config = await loadConfig();
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
+
+/**
+ * Main function to rebuild bars for every configured symbol-day
+ */
+async function main() {
+  let store;
+  try {
+    const { symbols, startDate, endDate, concurrency } = config;
+    store = await createStore(config);
+    const slots = [];
+
+    for (const symbol of symbols) {
+      if (!(await store.tickStats(symbol))) {
+        console.log(`No tick table for ${symbol}, skipping`);
+        continue;
+      }
+      for (const day of listDays(startDate, endDate)) {
+        slots.push({ symbol, day });
+      }
+    }
+
+    console.log(`Rebuilding bars for ${slots.length} symbol-days`);
+    let ticks = 0;
+
+    await runWorkerPool(slots, concurrency, async ({ symbol, day }) => {
+      const { from, to } = dayRange(day);
+      try {
+        ticks += await rebuildBars(store, symbol, from, to);
+      } catch (error) {
+        console.error(`Error rebuilding bars for ${symbol} ${day}:`, error);
+        process.exitCode = 1;
+      }
+    });
+
+    console.log(`Bar rebuild completed from ${ticks} ticks`);
+  } catch (error) {
+    console.error("Fatal error rebuilding bars:", error);
+    process.exitCode = 1;
+  } finally {
+    if (store) {
+      await store.close();
+    }
+  }
+}
+
+main();
@@ -0,0 +1,153 @@
+import dotenv from "dotenv";
+import {
+  generateToken,
+  hashPassword,
+  hashToken,
+  loadUsers,
+  roles,
+  saveUsers,
+} from "../lib/auth.js";
+import { loadConfig } from "../lib/config.js";
+
+// Manages the dashboard users and API tokens in the users file, e.g.
+//   npm run users -- --add alice --role operator      (asks for the password)
+//   echo "$PASSWORD" | npm run users -- --add bob     (viewer by default)
+//   npm run users -- --add-token grafana --role viewer
+//   npm run users -- --remove bob
+//   npm run users -- --remove-token grafana
+//   npm run users -- --list
+
+dotenv.config();
+
+let config;
+try {
+  config = await loadConfig(process.argv.slice(2), {
+    add: { type: "string" },
+    remove: { type: "string" },
+    "add-token": { type: "string" },
+    "remove-token": { type: "string" },
+    list: { type: "boolean", default: false },
+    role: { type: "string", default: "viewer" },
+  });
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
+
+const { role } = config.args;
+if (!roles.includes(role)) {
+  console.error(`--role must be one of ${roles.join(", ")}`);
+  process.exit(1);
+}
+
+/**
+ * Read a password from the terminal without echoing it, or the first line of
+ * stdin when it is piped
+ */
+async function readPassword(prompt) {
+  const { stdin, stdout } = process;
+  if (!stdin.isTTY) {
+    let input = "";
+    for await (const chunk of stdin) {
+      input += chunk;
+    }
+    return input.split(/\r?\n/)[0];
+  }
+
+  stdout.write(prompt);
+  stdin.setRawMode(true);
+  stdin.setEncoding("utf8");
+  return new Promise((resolve, reject) => {
+    let password = "";
+    const onData = (chars) => {
+      for (const char of chars) {
+        if (char === "\r" || char === "\n") {
+          stdin.setRawMode(false);
+          stdin.pause();
+          stdin.off("data", onData);
+          stdout.write("\n");
+          return resolve(password);
+        }
+        if (char === "\u0003") {
+          stdin.setRawMode(false);
+          return reject(new Error("Cancelled"));
+        }
+        password = char === "\u007f" ? password.slice(0, -1) : password + char;
+      }
+    };
+    stdin.on("data", onData);
+    stdin.resume();
+  });
+}
+
+/**
+ * Main function to apply the requested change to the users file
+ */
+async function main() {
+  const { usersFile } = config.auth;
+  const { add, remove, list } = config.args;
+  const addToken = config.args["add-token"];
+  const removeToken = config.args["remove-token"];
+
+  try {
+    const data = await loadUsers(usersFile);
+
+    if (add) {
+      const password = await readPassword(`Password for ${add}: `);
+      if (password.length < 8) {
+        throw new Error("The password must be at least 8 characters long");
+      }
+      data.users = data.users.filter((user) => user.username !== add);
+      data.users.push({
+        username: add,
+        role,
+        passwordHash: await hashPassword(password),
+      });
+      await saveUsers(usersFile, data);
+      console.log(`Saved user ${add} (${role}) in ${usersFile}`);
+    } else if (remove) {
+      const count = data.users.length;
+      data.users = data.users.filter((user) => user.username !== remove);
+      if (data.users.length === count) {
+        throw new Error(`No user ${remove} in ${usersFile}`);
+      }
+      await saveUsers(usersFile, data);
+      console.log(`Removed user ${remove}`);
+    } else if (addToken) {
+      // Only the hash is kept, so the token is shown this once
+      const token = generateToken();
+      data.tokens = data.tokens.filter((entry) => entry.name !== addToken);
+      data.tokens.push({ name: addToken, role, tokenHash: hashToken(token) });
+      await saveUsers(usersFile, data);
+      console.log(
+        `API token ${addToken} (${role}), send it as "Authorization: Bearer <token>":`
+      );
+      console.log(token);
+    } else if (removeToken) {
+      const count = data.tokens.length;
+      data.tokens = data.tokens.filter((entry) => entry.name !== removeToken);
+      if (data.tokens.length === count) {
+        throw new Error(`No API token ${removeToken} in ${usersFile}`);
+      }
+      await saveUsers(usersFile, data);
+      console.log(`Removed API token ${removeToken}`);
+    } else if (list) {
+      for (const user of data.users) {
+        console.log(`user   ${user.username} (${user.role})`);
+      }
+      for (const entry of data.tokens) {
+        console.log(`token  ${entry.name} (${entry.role})`);
+      }
+    } else {
+      console.error(
+        "Nothing to do; use --add, --remove, --add-token, --remove-token or --list"
+      );
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+  }
+}
+
+main();
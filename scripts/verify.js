@@ -0,0 +1,124 @@
+import dotenv from "dotenv";
+import { loadConfig } from "../lib/config.js";
+import { createFetcher } from "../lib/fetcher.js";
+import { openArchive } from "../lib/offline.js";
+import { createRateLimiter } from "../lib/rateLimiter.js";
+import { acquireRunLock } from "../lib/runLock.js";
+import { createStore } from "../lib/storage/index.js";
+import { listVerifySlots, verifySlots } from "../lib/verify.js";
+
+// Checks the stored ticks of the configured symbols and dates against
+// Dukascopy: every imported day is downloaded again (or read from an
+// archive with --offline) and compared hour by hour. --sample checks that
+// many random days instead of all of them, --repair imports the hours that
+// differ again. Results show on the dashboard. Accepts the same flags as
+// index.js, e.g.
+//   npm run verify -- --symbols eurusd --sample 50
+//   npm run verify -- --from 2024-01-01 --to 2024-01-31 --repair
+//   npm run verify -- --offline /mnt/archive
+
+dotenv.config();
+
+let config;
+try {
+  config = await loadConfig(process.argv.slice(2), {
+    sample: { type: "string" },
+    repair: { type: "boolean", default: false },
+    offline: { type: "string" },
+  });
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
+
+const { repair, offline } = config.args;
+const sample =
+  config.args.sample === undefined ? null : Number(config.args.sample);
+
+if (sample !== null && (!Number.isInteger(sample) || sample < 1)) {
+  console.error("--sample must be a positive integer");
+  process.exit(1);
+}
+if (config.timeframe !== "tick") {
+  console.error(`verify checks ticks only (timeframe is ${config.timeframe})`);
+  process.exit(1);
+}
+
+const lockFile = "./import.lock";
+
+/**
+ * Main function to verify (and optionally repair) the stored days
+ */
+async function main() {
+  let store;
+  let releaseLock;
+  try {
+    const { symbols, startDate, endDate } = config;
+    // Repairs write ticks, so imports are locked out meanwhile
+    if (repair) {
+      releaseLock = await acquireRunLock(lockFile);
+    }
+    store = await createStore(config);
+
+    let archive = null;
+    if (offline) {
+      archive = await openArchive({
+        directory: offline,
+        symbols,
+        startDate,
+        endDate,
+      });
+    }
+    const slots = await listVerifySlots(store, {
+      symbols,
+      startDate,
+      endDate,
+      sample,
+      archiveDays: archive && archive.days,
+    });
+    console.log(
+      `Verifying ${slots.length} days of ${
+        symbols.length
+      } symbols from ${startDate} to ${endDate}${
+        offline ? ` against ${offline}` : ""
+      }`
+    );
+
+    const fetchHistoricalData = archive
+      ? archive.fetchHistoricalData
+      : createFetcher({
+          ...config,
+          limiter: createRateLimiter({
+            ratePerSecond: config.requestsPerSecond,
+          }),
+        });
+    const run = await verifySlots(slots, {
+      store,
+      fetchHistoricalData,
+      validation: config.validation,
+      repair,
+      concurrency: config.concurrency,
+      run: {
+        firstDay: startDate,
+        lastDay: endDate,
+        symbols,
+        source: offline ? "archive" : "download",
+      },
+    });
+    if (run.mismatched > 0 || run.failed > 0) {
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error("Fatal error verifying data:", error);
+    process.exitCode = 1;
+  } finally {
+    if (store) {
+      await store.close();
+    }
+    if (releaseLock) {
+      await releaseLock();
+    }
+  }
+}
+
+main();
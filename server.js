@@ -1,9 +1,25 @@
 import express from "express";
-import mysql from "mysql2/promise";
 import dotenv from "dotenv";
-import fs from "fs/promises";
 import path from "path";
 import { fileURLToPath } from "url";
+import { createAuth } from "./lib/auth.js";
+import { candleSides, getCandleProgress } from "./lib/candles.js";
+import { loadConfig, resolveDate } from "./lib/config.js";
+import { createEventHub } from "./lib/eventHub.js";
+import { getFollowHealth } from "./lib/follow.js";
+import { findGaps, gapGranularities } from "./lib/gaps.js";
+import { getInstrument } from "./lib/instruments.js";
+import { dayRange, getLedgerSummary, getRangeProgress } from "./lib/ledger.js";
+import { createRunManager } from "./lib/runManager.js";
+import { createStore } from "./lib/storage/index.js";
+import { getQualitySummary } from "./lib/validation.js";
+import { getVerificationSummary } from "./lib/verify.js";
+import { createAuthRouter } from "./routes/auth.js";
+import { createDataRouter } from "./routes/data.js";
+import { createExportRouter } from "./routes/export.js";
+import { createLogRouter } from "./routes/logs.js";
+import { createRunRouter } from "./routes/run.js";
+import { createSymbolRouter } from "./routes/symbols.js";
 
 dotenv.config();
 
@@ -15,223 +31,320 @@ const __dirname = path.dirname(__filename);
 app.use(express.static(path.join(__dirname, "public")));
 app.use(express.json());
 
-const pool = mysql.createPool({
-  host: process.env.HOST,
-  user: process.env.USER,
-  password: process.env.PWD,
-  database: process.env.DB,
-  waitForConnections: true,
-  connectionLimit: 10,
-  queueLimit: 0,
+let config;
+try {
+  config = await loadConfig();
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
+
+let auth;
+try {
+  auth = await createAuth(config.auth);
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
+if (!config.auth.enabled) {
+  console.warn("Authentication is disabled; everybody can control imports");
+}
+
+const { symbols } = config;
+
+// Schema migrations that rewrite data are left to npm run migrate, so the
+// dashboard never waits on one; it stops if the schema is behind
+let store;
+try {
+  store = await createStore(config);
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
+
+// Live run events pushed to the dashboard
+const events = createEventHub();
+
+// Import runs started from the dashboard use the same config file and storage
+const runs = createRunManager({
+  script: path.join(__dirname, "index.js"),
+  baseArgs: ["--config", config.configFile, "--storage", config.storage.type],
+  onEvent: events.publish,
 });
 
-const symbols = [
-  "eurusd",
-  "gbpusd",
-  "audusd",
-  "nzdusd",
-  "usdcad",
-  "usdchf",
-  "usdjpy",
-  "xagusd",
-  "xauusd",
-  "adausd",
-  "aveusd",
-  "batusd",
-  "btcchf",
-  "btceur",
-  "btcgbp",
-  "btcusd",
-  "ethchf",
-  "etheur",
-  "ethgbp",
-  "ethusd",
-  "cmpusd",
-  "dshusd",
-  "enjusd",
-  "eosusd",
-  "lnkusd",
-  "ltcchf",
-  "ltceur",
-  "ltcgbp",
-  "ltcusd",
-  "matusd",
-  "mkrusd",
-  "trxusd",
-  "uniusd",
-  "xlmchf",
-  "xlmeur",
-  "xlmgbp",
-  "xlmusd",
-];
+// Health of the follow mode (npm run follow), which runs on its own; it is
+// checked periodically and pushed to the dashboard whenever it changes
+const followCheckMs = 30 * 1000;
+let followHealth = { state: "off" };
+
+async function checkFollowHealth() {
+  try {
+    const health = await getFollowHealth();
+    if (JSON.stringify(health) !== JSON.stringify(followHealth)) {
+      followHealth = health;
+      events.publish("follow", health);
+    }
+  } catch (error) {
+    console.error("Error reading follow mode status:", error);
+  }
+}
+
+await checkFollowHealth();
+setInterval(checkFollowHealth, followCheckMs).unref();
+
+// Logging in is open; every other API route needs the viewer role to read
+// and the operator role for anything else
+app.use("/api/auth", createAuthRouter({ auth }));
+app.use("/api", auth.authorize);
+
+// Stored ticks and bars, e.g. /api/data/eurusd/bars?timeframe=h1&from=2024-01-01
+app.use("/api/data", createDataRouter({ store, symbols }));
+
+// Stored ticks and bars as files, e.g. /api/export/eurusd/ticks?format=csv&from=2024-01-01&to=2024-02-01
+app.use("/api/export", createExportRouter({ store, symbols }));
+
+// Start, pause, resume and stop import runs
+app.use("/api/run", createRunRouter({ runs, config }));
+
+// Search, page through and follow the importer's structured log files
+app.use("/api/logs", createLogRouter({ directory: config.logging.directory }));
+
+// Coverage calendar and spread/volume summary of the symbol detail view
+app.use("/api/symbols", createSymbolRouter({ store, symbols, config }));
 
 app.get("/", (req, res) => {
   res.sendFile(path.join(__dirname, "public", "index.html"));
 });
 
-// API endpoint to get the latest checkpoint info
+// Server-Sent Events stream of the run state, progress, slots, log lines and
+// follow mode health; new clients get the current run state and health first
+app.get("/api/events", (req, res) => {
+  events.subscribe(res, [
+    ["run", runs.status()],
+    ["follow", followHealth],
+  ]);
+});
+
+// API endpoint to get the health of the follow mode
+app.get("/api/follow", async (req, res) => {
+  await checkFollowHealth();
+  res.json(followHealth);
+});
+
+// API endpoint to get the import ledger summary
 app.get("/api/checkpoint", async (req, res) => {
   try {
-    const checkpointFile = "./checkpoint.json";
-    const data = await fs.readFile(checkpointFile, "utf8");
-    const checkpoint = JSON.parse(data);
-    res.json(checkpoint);
+    const summary = await getLedgerSummary(store);
+    res.json(summary);
+  } catch (error) {
+    console.error("Error reading import ledger:", error);
+    res.status(500).json({ error: "Failed to retrieve import ledger" });
+  }
+});
+
+// API endpoint to get the counts of ticks quarantined by validation
+app.get("/api/quality", async (req, res) => {
+  try {
+    const summary = await getQualitySummary(store);
+    res.json(summary);
   } catch (error) {
-    console.error("Error reading checkpoint:", error);
-    res.status(404).json({ error: "Checkpoint not found" });
+    console.error("Error reading quality counts:", error);
+    res.status(500).json({ error: "Failed to retrieve quality counts" });
   }
 });
 
-// API endpoint to get the list of symbols
+// API endpoint to get the latest verification of the stored days against
+// the source (npm run verify)
+app.get("/api/verification", async (req, res) => {
+  try {
+    const summary = await getVerificationSummary(store);
+    res.json(summary);
+  } catch (error) {
+    console.error("Error reading verification results:", error);
+    res.status(500).json({ error: "Failed to retrieve verification results" });
+  }
+});
+
+// API endpoint to get the configured symbols with their instrument metadata
+// (asset class, currencies, decimals, pip size, session, earliest date)
 app.get("/api/symbols", (req, res) => {
-  res.json(symbols);
+  res.json(symbols.map((symbol) => getInstrument(symbol)));
 });
 
-// API endpoint to get progress statistics
+// API endpoint to get progress statistics. Completion counts the processed
+// symbol-days of the configured date range in the ledger; the data stats come
+// from the per-day tick summaries so the tick tables are never scanned.
+// timeframe_stats adds the progress of the downloaded candle timeframes.
 app.get("/api/progress", async (req, res) => {
   try {
-    const connection = await pool.getConnection();
-
-    try {
-      const stats = [];
-
-      // Get counts for each symbol table
-      for (const symbol of symbols) {
-        try {
-          // Check if table exists first to avoid errors
-          const [tables] = await connection.query(
-            `SHOW TABLES LIKE '${symbol}'`
-          );
-
-          if (tables.length > 0) {
-            const [rows] = await connection.query(
-              `SELECT 
-                COUNT(*) as total_records,
-                MIN(Timestamp) as oldest_timestamp,
-                MAX(Timestamp) as newest_timestamp
-              FROM ${symbol}`
-            );
-
-            const record = rows[0];
-
-            stats.push({
-              symbol,
-              total_records: record.total_records,
-              oldest_date: record.oldest_timestamp
-                ? new Date(record.oldest_timestamp).toISOString()
-                : null,
-              newest_date: record.newest_timestamp
-                ? new Date(record.newest_timestamp).toISOString()
-                : null,
-              has_data: record.total_records > 0,
-            });
-          } else {
-            stats.push({
-              symbol,
-              total_records: 0,
-              oldest_date: null,
-              newest_date: null,
-              has_data: false,
-            });
-          }
-        } catch (error) {
-          console.error(`Error getting stats for ${symbol}:`, error);
-          stats.push({
+    const summaries = await store.summaryStats(symbols);
+    const range = await getRangeProgress(
+      store,
+      symbols,
+      config.startDate,
+      config.endDate
+    );
+
+    // Progress of every series (tick data plus each downloaded candle
+    // timeframe and side), in periods of the series
+    const toSeriesProgress = (progress) => ({
+      requested: progress.requested_days,
+      processed: progress.processed_days,
+      failed: progress.failed_days,
+      completion_percentage: progress.completion_percentage,
+    });
+    const timeframeStats = [
+      {
+        timeframe: "tick",
+        side: "both",
+        period: "day",
+        ...toSeriesProgress(range.overall),
+        symbols: Object.fromEntries(
+          symbols.map((symbol) => [
             symbol,
-            total_records: 0,
-            oldest_date: null,
-            newest_date: null,
-            has_data: false,
-            error: error.message,
-          });
-        }
+            toSeriesProgress(range.symbols[symbol]),
+          ])
+        ),
+      },
+      ...(await getCandleProgress(
+        store,
+        symbols,
+        config.startDate,
+        config.endDate,
+        config.timeframe === "tick"
+          ? []
+          : candleSides(config.price).map((side) => ({
+              timeframe: config.timeframe,
+              side,
+            }))
+      )),
+    ];
+    const seriesOf = (symbol) =>
+      timeframeStats.map(({ timeframe, side, symbols: progress }) => ({
+        timeframe,
+        side,
+        ...progress[symbol],
+      }));
+
+    const stats = symbols.map((symbol) => {
+      const record = summaries[symbol];
+      if (!record) {
+        return {
+          symbol,
+          ...range.symbols[symbol],
+          timeframes: seriesOf(symbol),
+          total_records: 0,
+          oldest_date: null,
+          newest_date: null,
+          days_with_data: 0,
+          avg_spread: null,
+          has_data: false,
+        };
       }
+      return {
+        symbol,
+        ...range.symbols[symbol],
+        timeframes: seriesOf(symbol),
+        total_records: record.total_records,
+        oldest_date: new Date(record.oldest_timestamp).toISOString(),
+        newest_date: new Date(record.newest_timestamp).toISOString(),
+        days_with_data: record.days,
+        avg_spread: record.avg_spread,
+        has_data: record.total_records > 0,
+      };
+    });
+
+    // Calculate overall statistics
+    const tablesWithData = stats.filter((s) => s.has_data).length;
+    const totalRecords = stats.reduce((sum, s) => sum + s.total_records, 0);
 
-      // Calculate overall statistics
-      const tablesWithData = stats.filter((s) => s.has_data).length;
-      const totalRecords = stats.reduce((sum, s) => sum + s.total_records, 0);
-
-      let oldestDate = null;
-      let newestDate = null;
-
-      stats.forEach((s) => {
-        if (
-          s.oldest_date &&
-          (!oldestDate || new Date(s.oldest_date) < new Date(oldestDate))
-        ) {
-          oldestDate = s.oldest_date;
-        }
-        if (
-          s.newest_date &&
-          (!newestDate || new Date(s.newest_date) > new Date(newestDate))
-        ) {
-          newestDate = s.newest_date;
-        }
-      });
-
-      res.json({
-        symbol_stats: stats,
-        overall_stats: {
-          total_symbols: symbols.length,
-          tables_with_data: tablesWithData,
-          completion_percentage: Math.round(
-            (tablesWithData / symbols.length) * 100
-          ),
-          total_records: totalRecords,
-          date_range: {
-            from: oldestDate,
-            to: newestDate,
-          },
+    let oldestDate = null;
+    let newestDate = null;
+
+    stats.forEach((s) => {
+      if (
+        s.oldest_date &&
+        (!oldestDate || new Date(s.oldest_date) < new Date(oldestDate))
+      ) {
+        oldestDate = s.oldest_date;
+      }
+      if (
+        s.newest_date &&
+        (!newestDate || new Date(s.newest_date) > new Date(newestDate))
+      ) {
+        newestDate = s.newest_date;
+      }
+    });
+
+    // The ETA extrapolates the throughput of the run in progress, if any
+    const { state, run } = runs.status();
+    const throughput =
+      state === "running" && run.throughput ? run.throughput : null;
+    const remainingDays =
+      range.overall.requested_days - range.overall.processed_days;
+
+    res.json({
+      symbol_stats: stats,
+      timeframe_stats: timeframeStats.map(
+        ({ symbols: bySymbol, ...series }) => series
+      ),
+      overall_stats: {
+        total_symbols: symbols.length,
+        tables_with_data: tablesWithData,
+        ...range.overall,
+        remaining_days: remainingDays,
+        requested_range: {
+          from: config.startDate,
+          to: config.endDate,
         },
-      });
-    } finally {
-      connection.release();
-    }
+        slots_per_minute: throughput ? throughput.slotsPerMinute : null,
+        eta_seconds:
+          throughput && throughput.slotsPerMinute > 0
+            ? Math.round((remainingDays / throughput.slotsPerMinute) * 60)
+            : null,
+        total_records: totalRecords,
+        date_range: {
+          from: oldestDate,
+          to: newestDate,
+        },
+      },
+    });
   } catch (error) {
     console.error("Error retrieving progress data:", error);
     res.status(500).json({ error: "Failed to retrieve progress data" });
   }
 });
 
-// API endpoint to get logs
-app.get("/api/logs", async (req, res) => {
-  try {
-    const logDirectory = "./logs";
-    const files = await fs.readdir(logDirectory);
-
-    // Sort by modification time (newest first)
-    const sortedFiles = await Promise.all(
-      files.map(async (file) => {
-        const stats = await fs.stat(path.join(logDirectory, file));
-        return { file, mtime: stats.mtime };
-      })
-    );
+// API endpoint to get the holes in one symbol's ticks, e.g.
+// /api/gaps?symbol=eurusd&granularity=day&from=2022-01-01&to=2022-12-31
+app.get("/api/gaps", async (req, res) => {
+  const { symbol, granularity = "hour" } = req.query;
+  const from = resolveDate(req.query.from || config.startDate);
+  const to = resolveDate(req.query.to || config.endDate);
 
-    sortedFiles.sort((a, b) => b.mtime - a.mtime);
-
-    // Get the most recent log file
-    if (sortedFiles.length > 0) {
-      const latestLog = sortedFiles[0].file;
-      const logContent = await fs.readFile(
-        path.join(logDirectory, latestLog),
-        "utf8"
-      );
-
-      // Return the latest 100 lines for brevity
-      const lines = logContent.split("\n").filter((line) => line.trim() !== "");
-      const recentLines = lines.slice(Math.max(0, lines.length - 100));
-
-      res.json({
-        log_file: latestLog,
-        total_lines: lines.length,
-        recent_lines: recentLines,
-      });
-    } else {
-      res.json({ log_file: null, recent_lines: [] });
-    }
+  if (!symbols.includes(symbol)) {
+    return res.status(400).json({ error: "Unknown or missing symbol" });
+  }
+  if (
+    typeof granularity !== "string" ||
+    !Object.hasOwn(gapGranularities, granularity)
+  ) {
+    return res.status(400).json({ error: "Invalid granularity" });
+  }
+  if (!from || !to) {
+    return res.status(400).json({ error: "Invalid date range" });
+  }
+
+  try {
+    const gaps = await findGaps(store, symbol, {
+      fromDate: dayRange(from).from,
+      toDate: dayRange(to).to,
+      granularity,
+    });
+    res.json({ symbol, granularity, from, to, gaps });
   } catch (error) {
-    console.error("Error retrieving logs:", error);
-    res.status(500).json({ error: "Failed to retrieve logs" });
+    console.error(`Error finding gaps for ${symbol}:`, error);
+    res.status(500).json({ error: "Failed to find gaps" });
   }
 });
 
@@ -0,0 +1,65 @@
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { after, before, test } from "node:test";
+import { createAuth, hashPassword, saveUsers } from "../lib/auth.js";
+
+let directory;
+let usersFile;
+
+before(async () => {
+  directory = await fs.mkdtemp(path.join(os.tmpdir(), "auth-test-"));
+  usersFile = path.join(directory, "users.json");
+  await saveUsers(usersFile, {
+    users: [
+      {
+        username: "alice",
+        role: "operator",
+        passwordHash: await hashPassword("secret"),
+      },
+    ],
+    tokens: [],
+  });
+});
+
+after(async () => {
+  await fs.rm(directory, { recursive: true, force: true });
+});
+
+const createTestAuth = () =>
+  createAuth({ enabled: true, usersFile, sessionTtlHours: 1 });
+
+test("opens a session for the right password", async () => {
+  const auth = await createTestAuth();
+  const session = await auth.login("alice", "secret", "10.0.0.1");
+  assert.equal(typeof session.sessionId, "string");
+  assert.deepEqual(session.user, { username: "alice", role: "operator" });
+  assert.equal(auth.loginDelay("alice", "10.0.0.1"), 0);
+});
+
+test("holds off logins for the username and address after failures", async () => {
+  const auth = await createTestAuth();
+  assert.equal(await auth.login("alice", "wrong", "10.0.0.1"), null);
+  const first = auth.loginDelay("alice", "10.0.0.2");
+  assert.ok(first > 0 && first <= 1000);
+  assert.ok(auth.loginDelay("bob", "10.0.0.1") > 0);
+  assert.equal(auth.loginDelay("bob", "10.0.0.2"), 0);
+
+  assert.equal(await auth.login("alice", "wrong", "10.0.0.1"), null);
+  assert.ok(auth.loginDelay("alice", "10.0.0.1") > 1000);
+});
+
+test("holds off guesses sent in parallel", async () => {
+  const auth = await createTestAuth();
+  const attempt = auth.login("alice", "wrong", "10.0.0.1");
+  assert.ok(auth.loginDelay("alice", "10.0.0.1") > 0);
+  assert.equal(await attempt, null);
+});
+
+test("forgets the failures of a username and address on success", async () => {
+  const auth = await createTestAuth();
+  await auth.login("alice", "wrong", "10.0.0.1");
+  assert.ok(await auth.login("alice", "secret", "10.0.0.1"));
+  assert.equal(auth.loginDelay("alice", "10.0.0.1"), 0);
+});
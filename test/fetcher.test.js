@@ -0,0 +1,136 @@
+import assert from "node:assert/strict";
+import { beforeEach, mock, test } from "node:test";
+import {
+  FetchError,
+  backoffDelay,
+  createFetcher,
+  isTransientError,
+} from "../lib/fetcher.js";
+import { createRateLimiter } from "../lib/rateLimiter.js";
+
+const from = new Date("2024-01-02T00:00:00Z");
+const to = new Date("2024-01-03T00:00:00Z");
+
+beforeEach(() => {
+  mock.method(console, "log", () => {});
+  mock.method(console, "error", () => {});
+});
+
+/**
+ * Create a fetcher around a stubbed getHistoricalRates that plays back the
+ * given outcomes, one per call: an Error or object to throw, or data
+ */
+function stubbedFetcher(outcomes, options = {}) {
+  const calls = [];
+  const getHistoricalRates = async (request) => {
+    calls.push(request);
+    const outcome = outcomes[Math.min(calls.length, outcomes.length) - 1];
+    if (outcome instanceof Error || (outcome && outcome.validationErrors)) {
+      throw outcome;
+    }
+    return outcome;
+  };
+  const fetchHistoricalData = createFetcher({
+    limiter: createRateLimiter({ ratePerSecond: 1000 }),
+    batchSize: 10,
+    pauseBetweenBatchesMs: 0,
+    maxRetries: 2,
+    retryBaseDelayMs: 1,
+    retryMaxDelayMs: 2,
+    getHistoricalRates,
+    ...options,
+  });
+  return { fetchHistoricalData, calls };
+}
+
+const networkError = (code) =>
+  Object.assign(new Error("fetch failed"), { cause: { code } });
+
+test("classifies network failures, timeouts and 5xx as transient", () => {
+  assert.equal(isTransientError(networkError("ECONNRESET")), true);
+  assert.equal(isTransientError(networkError("ETIMEDOUT")), true);
+  assert.equal(
+    isTransientError(
+      Object.assign(new Error("aborted"), { name: "AbortError" })
+    ),
+    true
+  );
+  assert.equal(isTransientError(new Error("Request failed, status 503")), true);
+  assert.equal(isTransientError(new Error("Request failed, status 429")), true);
+});
+
+test("classifies invalid requests and other 4xx as permanent", () => {
+  assert.equal(
+    isTransientError({ validationErrors: [{ message: "unknown instrument" }] }),
+    false
+  );
+  assert.equal(
+    isTransientError(new Error("Request failed, status 404")),
+    false
+  );
+  assert.equal(isTransientError(new Error("Something else")), false);
+  assert.equal(isTransientError(undefined), false);
+});
+
+test("keeps backoff delays within the growing ceiling", () => {
+  for (let retry = 1; retry <= 6; retry++) {
+    const delay = backoffDelay(retry, 100, 1000);
+    assert.ok(delay >= 0 && delay <= Math.min(1000, 100 * 2 ** (retry - 1)));
+  }
+});
+
+test("returns the data of a download that succeeds", async () => {
+  const ticks = [{ timestamp: from.getTime(), bidPrice: 1, askPrice: 1.1 }];
+  const { fetchHistoricalData, calls } = stubbedFetcher([ticks]);
+  assert.deepEqual(await fetchHistoricalData("eurusd", from, to), ticks);
+  assert.equal(calls.length, 1);
+  assert.equal(calls[0].instrument, "eurusd");
+  assert.equal(calls[0].timeframe, "tick");
+});
+
+test("retries transient errors until a download succeeds", async () => {
+  const { fetchHistoricalData, calls } = stubbedFetcher([
+    networkError("ECONNRESET"),
+    new Error("Request failed, status 502"),
+    [],
+  ]);
+  assert.deepEqual(await fetchHistoricalData("eurusd", from, to), []);
+  assert.equal(calls.length, 3);
+});
+
+test("gives up once the retries are used up", async () => {
+  const { fetchHistoricalData, calls } = stubbedFetcher([
+    networkError("ETIMEDOUT"),
+  ]);
+  await assert.rejects(fetchHistoricalData("eurusd", from, to), (error) => {
+    assert.ok(error instanceof FetchError);
+    assert.equal(error.transient, true);
+    assert.equal(error.attempts, 3);
+    return true;
+  });
+  assert.equal(calls.length, 3);
+});
+
+test("fails fast on permanent errors", async () => {
+  const { fetchHistoricalData, calls } = stubbedFetcher([
+    { validationErrors: [{ message: "instrument is not valid" }] },
+  ]);
+  await assert.rejects(fetchHistoricalData("nosuch", from, to), (error) => {
+    assert.ok(error instanceof FetchError);
+    assert.equal(error.transient, false);
+    assert.equal(error.attempts, 1);
+    assert.match(error.message, /Permanent error: instrument is not valid/);
+    return true;
+  });
+  assert.equal(calls.length, 1);
+});
+
+test("takes a rate limiter token per hour of ticks on every attempt", async () => {
+  const acquired = [];
+  const { fetchHistoricalData } = stubbedFetcher(
+    [networkError("ECONNRESET"), []],
+    { limiter: { acquire: async (cost) => acquired.push(cost) } }
+  );
+  await fetchHistoricalData("eurusd", from, to);
+  assert.deepEqual(acquired, [24, 24]);
+});
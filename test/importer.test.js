@@ -0,0 +1,177 @@
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { afterEach, beforeEach, mock, test } from "node:test";
+import { createFetcher } from "../lib/fetcher.js";
+import { importSlots } from "../lib/importer.js";
+import { SlotStatus, dayRange, planSlots } from "../lib/ledger.js";
+import { createRateLimiter } from "../lib/rateLimiter.js";
+import { createStore } from "../lib/storage/index.js";
+import { defaultValidation } from "../lib/validation.js";
+
+// The importer run end to end against the files backend, with
+// getHistoricalRates stubbed out
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+let directory;
+let store;
+
+beforeEach(async () => {
+  mock.method(console, "log", () => {});
+  mock.method(console, "error", () => {});
+  directory = await fs.mkdtemp(path.join(os.tmpdir(), "importer-test-"));
+  store = await createStore({
+    storage: { type: "files", directory, format: "csv" },
+    symbols: ["eurusd", "gbpusd"],
+  });
+});
+
+afterEach(async () => {
+  await store.close();
+  await fs.rm(directory, { recursive: true, force: true });
+});
+
+// A few ticks at the start of the requested range
+function ticksFor({ dates }) {
+  const start = dates.from.getTime();
+  return [0, 1000, 2000].map((offset, index) => ({
+    timestamp: start + offset,
+    bidPrice: 1.1 + index * 0.0001,
+    askPrice: 1.1002 + index * 0.0001,
+    bidVolume: 1,
+    askVolume: 1,
+  }));
+}
+
+function options(getHistoricalRates, overrides = {}) {
+  return {
+    store,
+    fetchHistoricalData: createFetcher({
+      limiter: createRateLimiter({ ratePerSecond: 1000 }),
+      batchSize: 10,
+      pauseBetweenBatchesMs: 0,
+      maxRetries: 1,
+      retryBaseDelayMs: 1,
+      retryMaxDelayMs: 2,
+      getHistoricalRates,
+    }),
+    uploadData: async (tx, data, symbol, slot) => {
+      const { from, to } = dayRange(slot.day);
+      await tx.replaceTicks(symbol, from, to, data);
+    },
+    validation: defaultValidation,
+    concurrency: 3,
+    ...overrides,
+  };
+}
+
+const slotsOf = (symbols, days) =>
+  days.flatMap((day) => symbols.map((symbol) => ({ symbol, day })));
+
+async function ledgerStatus(symbol, day) {
+  const slots = await store.getOpenSlots([symbol], day, day);
+  return slots.length > 0 ? slots[0].status : "closed";
+}
+
+test("imports slots with the configured number of downloads in flight", async () => {
+  let inFlight = 0;
+  let peak = 0;
+  const getHistoricalRates = async (request) => {
+    inFlight++;
+    peak = Math.max(peak, inFlight);
+    await sleep(10);
+    inFlight--;
+    return ticksFor(request);
+  };
+  const days = ["2024-01-02", "2024-01-03", "2024-01-04"];
+  const slots = slotsOf(["eurusd", "gbpusd"], days);
+  await planSlots(store, ["eurusd", "gbpusd"], days);
+
+  const progress = await importSlots(slots, options(getHistoricalRates));
+
+  assert.equal(peak, 3);
+  assert.equal(progress.total, 6);
+  assert.equal(progress.completed, 6);
+  assert.equal(progress[SlotStatus.DONE], 6);
+  assert.equal(progress.records, 18);
+  const { from, to } = dayRange("2024-01-03");
+  assert.equal((await store.readTicks("gbpusd", from, to)).length, 3);
+  assert.deepEqual(
+    await store.getOpenSlots(["eurusd", "gbpusd"], days[0], days[2]),
+    []
+  );
+});
+
+test("records a slot whose download keeps failing as failed, not empty", async () => {
+  const getHistoricalRates = async (request) => {
+    if (request.instrument === "gbpusd") {
+      throw Object.assign(new Error("fetch failed"), {
+        cause: { code: "ECONNRESET" },
+      });
+    }
+    return [];
+  };
+  const day = "2024-01-02";
+  await planSlots(store, ["eurusd", "gbpusd"], [day]);
+
+  const progress = await importSlots(
+    slotsOf(["eurusd", "gbpusd"], [day]),
+    options(getHistoricalRates)
+  );
+
+  assert.equal(progress[SlotStatus.EMPTY], 1);
+  assert.equal(progress[SlotStatus.FAILED], 1);
+  assert.equal(await ledgerStatus("eurusd", day), "closed");
+  assert.equal(await ledgerStatus("gbpusd", day), SlotStatus.FAILED);
+});
+
+test("records a permanent error as failed after a single attempt", async () => {
+  let calls = 0;
+  const getHistoricalRates = async () => {
+    calls++;
+    throw { validationErrors: [{ message: "instrument is not valid" }] };
+  };
+  const day = "2024-01-02";
+  await planSlots(store, ["eurusd"], [day]);
+
+  const progress = await importSlots(
+    slotsOf(["eurusd"], [day]),
+    options(getHistoricalRates)
+  );
+
+  assert.equal(calls, 1);
+  assert.equal(progress[SlotStatus.FAILED], 1);
+  assert.equal(await ledgerStatus("eurusd", day), SlotStatus.FAILED);
+});
+
+test("keeps the rate limit shared by every worker", async () => {
+  const calls = [];
+  const getHistoricalRates = async (request) => {
+    calls.push(Date.now());
+    return ticksFor(request);
+  };
+  const days = ["2024-01-02", "2024-01-03", "2024-01-04"];
+  const slots = slotsOf(["eurusd"], days);
+  await planSlots(store, ["eurusd"], days);
+
+  // A day of ticks costs 24 tokens: the first download uses the bucket,
+  // the other two wait 120ms each
+  const startedAt = Date.now();
+  await importSlots(slots, {
+    ...options(getHistoricalRates),
+    fetchHistoricalData: createFetcher({
+      limiter: createRateLimiter({ ratePerSecond: 200, burst: 24 }),
+      batchSize: 10,
+      pauseBetweenBatchesMs: 0,
+      maxRetries: 0,
+      retryBaseDelayMs: 1,
+      retryMaxDelayMs: 2,
+      getHistoricalRates,
+    }),
+  });
+
+  assert.equal(calls.length, 3);
+  assert.ok(Date.now() - startedAt >= 230);
+});
@@ -0,0 +1,38 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { createRateLimiter } from "../lib/rateLimiter.js";
+
+test("lets a full bucket through at once", async () => {
+  const limiter = createRateLimiter({ ratePerSecond: 10 });
+  const startedAt = Date.now();
+  for (let i = 0; i < 10; i++) {
+    await limiter.acquire();
+  }
+  assert.ok(Date.now() - startedAt < 50);
+});
+
+test("holds requests beyond the burst to the rate", async () => {
+  const limiter = createRateLimiter({ ratePerSecond: 20, burst: 1 });
+  const startedAt = Date.now();
+  await Promise.all(Array.from({ length: 5 }, () => limiter.acquire()));
+  // The first token is in the bucket, the other four take 50ms each
+  assert.ok(Date.now() - startedAt >= 190);
+});
+
+test("serves waiters in the order they asked", async () => {
+  const limiter = createRateLimiter({ ratePerSecond: 50, burst: 1 });
+  const order = [];
+  await Promise.all(
+    [1, 2, 3, 4].map((n) => limiter.acquire().then(() => order.push(n)))
+  );
+  assert.deepEqual(order, [1, 2, 3, 4]);
+});
+
+test("leaves the bucket in debt after a request costing more than it holds", async () => {
+  const limiter = createRateLimiter({ ratePerSecond: 20, burst: 2 });
+  await limiter.acquire(6);
+  const startedAt = Date.now();
+  await limiter.acquire();
+  // Four tokens of debt plus the one asked for take 250ms to refill
+  assert.ok(Date.now() - startedAt >= 240);
+});
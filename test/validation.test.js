@@ -0,0 +1,150 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import {
+  createTickValidator,
+  defaultValidation,
+  resolveValidation,
+  validateTicks,
+} from "../lib/validation.js";
+
+const rules = {
+  nonPositive: true,
+  crossed: true,
+  duplicate: true,
+  maxSpreadPct: 1,
+  maxSpikePct: 2,
+};
+
+const tick = (timestamp, bidPrice, askPrice = bidPrice + 0.0002) => ({
+  timestamp,
+  bidPrice,
+  askPrice,
+  bidVolume: 1,
+  askVolume: 1,
+});
+
+const prices = (ticks) => ticks.map((t) => [t.timestamp, t.bidPrice]);
+
+test("accepts clean ticks", () => {
+  const ticks = [tick(1, 1.1), tick(2, 1.1001), tick(3, 1.1002)];
+  const { accepted, rejected, counts } = validateTicks(ticks, rules);
+  assert.deepEqual(accepted, ticks);
+  assert.deepEqual(rejected, []);
+  assert.deepEqual(counts, {});
+});
+
+test("rejects non-positive, crossed and wide quotes", () => {
+  const { accepted, rejected, counts } = validateTicks(
+    [
+      tick(1, 1.1),
+      tick(2, 0),
+      tick(3, 1.2, 1.1),
+      tick(4, 1.1, 1.2),
+      tick(5, 1.1),
+    ],
+    rules
+  );
+  assert.deepEqual(prices(accepted), [
+    [1, 1.1],
+    [5, 1.1],
+  ]);
+  assert.deepEqual(
+    rejected.map((t) => [t.timestamp, t.reason]),
+    [
+      [2, "non_positive"],
+      [3, "crossed"],
+      [4, "wide_spread"],
+    ]
+  );
+  assert.deepEqual(counts, { non_positive: 1, crossed: 1, wide_spread: 1 });
+});
+
+test("drops exact repeats and rejects differing ticks of a timestamp", () => {
+  const { accepted, rejected } = validateTicks(
+    [tick(1, 1.1), tick(1, 1.1), tick(1, 1.1005), tick(2, 1.1)],
+    rules
+  );
+  assert.deepEqual(prices(accepted), [
+    [1, 1.1],
+    [2, 1.1],
+  ]);
+  assert.deepEqual(
+    rejected.map((t) => [t.timestamp, t.seq, t.reason]),
+    [[1, 2, "duplicate"]]
+  );
+});
+
+test("keeps the last tick of a timestamp without the duplicate check", () => {
+  const { accepted, rejected } = validateTicks(
+    [
+      tick(1, 1.1),
+      tick(2, 1.1),
+      tick(2, 1.1005),
+      tick(2, 1.1003),
+      tick(3, 1.1),
+    ],
+    { ...rules, duplicate: false }
+  );
+  assert.deepEqual(prices(accepted), [
+    [1, 1.1],
+    [2, 1.1003],
+    [3, 1.1],
+  ]);
+  assert.deepEqual(rejected, []);
+});
+
+test("rejects a spike but keeps a lasting jump", () => {
+  const { accepted, rejected } = validateTicks(
+    [tick(1, 1.1), tick(2, 1.3), tick(3, 1.1), tick(4, 1.3), tick(5, 1.3)],
+    rules
+  );
+  assert.deepEqual(prices(accepted), [
+    [1, 1.1],
+    [3, 1.1],
+    [4, 1.3],
+    [5, 1.3],
+  ]);
+  assert.deepEqual(
+    rejected.map((t) => [t.timestamp, t.reason]),
+    [[2, "spike"]]
+  );
+});
+
+test("judges chunks the same as the whole download", () => {
+  const ticks = [
+    tick(1, 1.1),
+    tick(2, 1.3),
+    tick(3, 1.1),
+    tick(3, 1.1004),
+    tick(4, 1.1, 1.0),
+    tick(5, 1.1001),
+  ];
+  const whole = validateTicks(ticks, rules);
+  const validator = createTickValidator(rules);
+  const parts = [ticks.slice(0, 2), ticks.slice(2, 4), ticks.slice(4)].map(
+    (chunk) => validator.push(chunk)
+  );
+  parts.push(validator.flush());
+  assert.deepEqual(
+    parts.flatMap((part) => part.accepted),
+    whole.accepted
+  );
+  assert.deepEqual(
+    parts.flatMap((part) => part.rejected),
+    whole.rejected
+  );
+});
+
+test("checks configured rules", () => {
+  assert.deepEqual(resolveValidation().rules, defaultValidation);
+  const { problems } = resolveValidation({
+    forex: { crossed: "yes", maxSpikePct: -1, tolerance: 1 },
+    stocks: {},
+  });
+  assert.deepEqual(problems, [
+    "validation.stocks is not an asset class (use forex, metal, crypto)",
+    "validation.forex.crossed must be true or false",
+    "validation.forex.maxSpikePct must be a positive number or null",
+    "validation.forex.tolerance is not a validation rule",
+  ]);
+});
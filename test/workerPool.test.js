@@ -0,0 +1,64 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { runWorkerPool } from "../lib/workerPool.js";
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test("runs every item with at most concurrency handlers in flight", async () => {
+  const items = Array.from({ length: 20 }, (_, index) => index);
+  const seen = [];
+  let inFlight = 0;
+  let peak = 0;
+
+  await runWorkerPool(items, 4, async (item, index) => {
+    inFlight++;
+    peak = Math.max(peak, inFlight);
+    await sleep(5 + (item % 3));
+    seen.push(index);
+    inFlight--;
+  });
+
+  assert.equal(peak, 4);
+  assert.deepEqual(
+    seen.sort((a, b) => a - b),
+    items
+  );
+});
+
+test("starts items in list order", async () => {
+  const started = [];
+  await runWorkerPool(["a", "b", "c", "d"], 2, async (item) => {
+    started.push(item);
+    await sleep(1);
+  });
+  assert.deepEqual(started, ["a", "b", "c", "d"]);
+});
+
+test("runs one handler at a time with a concurrency of one", async () => {
+  let inFlight = 0;
+  await runWorkerPool([1, 2, 3], 1, async () => {
+    inFlight++;
+    assert.equal(inFlight, 1);
+    await sleep(1);
+    inFlight--;
+  });
+});
+
+test("stops when a handler throws", async () => {
+  await assert.rejects(
+    runWorkerPool([1, 2, 3], 2, async (item) => {
+      if (item === 2) {
+        throw new Error("boom");
+      }
+    }),
+    /boom/
+  );
+});
+
+test("does nothing for an empty list", async () => {
+  let calls = 0;
+  await runWorkerPool([], 3, async () => {
+    calls++;
+  });
+  assert.equal(calls, 0);
+});